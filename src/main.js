@@ -1,10 +1,53 @@
 import { DrawingManager } from './modules/drawing.js';
 import { PrinterManager } from './modules/printer.js';
+import { PrintQueue } from './modules/print-queue.js';
+import { PrinterPool, describePoolPrinter } from './modules/printer-pool.js';
+import { SerialTransport, UsbTransport } from './modules/transports.js';
+import { VirtualPrinter, paperToCanvas } from './modules/virtual-printer.js';
 import { ModalManager } from './modules/modals.js';
 import { AIManager } from './modules/ai.js';
 import { CameraManager } from './modules/camera.js';
 import { ImageManager } from './modules/image.js';
-import { DRAWING_SIZES } from './modules/constants.js';
+import { describeStatusProblem } from './modules/printer-status.js';
+import { describePrinterError } from './modules/printer-errors.js';
+import { describeDeviceInfo } from './modules/device-info.js';
+import { findPrinterConfig } from './modules/printer-profiles.js';
+import {
+  loadPrinterSettings,
+  savePrinterSettings,
+  normalizePrinterSettings,
+} from './modules/print-settings.js';
+import { renderPrintPreview } from './modules/print-preview.js';
+import {
+  loadMediaSettings,
+  saveMediaSettings,
+  normalizeMedia,
+  getCanvasSize,
+  isLabelMedia,
+} from './modules/label-media.js';
+import {
+  DRAWING_SIZES,
+  DITHER_MODES,
+  TRANSPORT_TYPES,
+  CANVAS_CONFIG,
+  PRINTER_MODELS,
+  RASTER_MODES,
+  PRINT_LAYOUT,
+} from './modules/constants.js';
+
+/**
+ * @typedef {import('./modules/printer.js').PrintOptions} PrintOptions
+ * @typedef {import('./modules/print-settings.js').PrinterSettings} PrinterSettings
+ * @typedef {import('./modules/modals.js').PrintAction} PrintAction
+ * @typedef {import('./modules/print-queue.js').PrintJob} PrintJob
+ * @typedef {import('./modules/transports.js').TransportType} TransportType
+ * @typedef {import('./modules/label-media.js').MediaSettings} MediaSettings
+ * @typedef {import('./modules/banner.js').BannerContent} BannerContent
+ * @typedef {import('./modules/receipt.js').ReceiptBlock} ReceiptBlock
+ * @typedef {import('./modules/constants.js').RasterMode} RasterMode
+ * @typedef {import('./modules/diagnostics.js').CalibrationPattern} CalibrationPattern
+ * @typedef {import('./modules/printer-pool.js').PoolPrinter} PoolPrinter
+ */
 
 /**
  * Main application class that coordinates all modules
@@ -16,8 +59,23 @@ class StickerPrinterApp {
   /** @type {DrawingManager} */
   drawingManager;
 
-  /** @type {PrinterManager} */
-  printerManager;
+  /** @type {PrinterPool} Every connected printer */
+  printerPool;
+
+  /** @type {PrinterManager} Stands in for the primary printer while the pool is empty */
+  offlinePrinter;
+
+  /** @type {PrintQueue} */
+  printQueue;
+
+  /** @type {number | null} Job whose progress is on screen, when several are printing */
+  shownJobId;
+
+  /** @type {MediaSettings} Paper loaded in the printers */
+  media;
+
+  /** @type {Map<number, string>} Success message for each queued job */
+  jobDoneMessages;
 
   /** @type {ModalManager} */
   modalManager;
@@ -37,12 +95,51 @@ class StickerPrinterApp {
   /** @type {HTMLElement} */
   connectPrinterBtn;
 
+  /** @type {HTMLElement} Opens the other ways to connect: USB, serial and virtual */
+  connectOtherBtn;
+
   /** @type {HTMLElement} */
   disconnectPrinterBtn;
 
   /** @type {HTMLElement} */
   printOptionsBtn;
 
+  /** @type {HTMLElement} */
+  printQueueBtn;
+
+  /** @type {HTMLElement} */
+  paperSettingsBtn;
+
+  /** @type {HTMLElement} */
+  bannerBtn;
+
+  /** @type {HTMLElement} */
+  receiptBtn;
+
+  /** @type {HTMLElement} */
+  diagnosticsBtn;
+
+  /** @type {HTMLElement} */
+  printersBtn;
+
+  /** @type {number} Print width in dots of the last connected printer */
+  printWidth;
+
+  /** @type {PrintOptions} Settings used for the next print, remembered between prints */
+  printOptions;
+
+  /** @type {boolean} Whether the user picked a picture style, which photos then keep */
+  ditherChosen;
+
+  /** @type {HTMLCanvasElement} Shown over the drawing while the live print preview is on */
+  previewCanvas;
+
+  /** @type {boolean} Whether the drawing shows how it will print while drawing */
+  livePreview;
+
+  /** @type {number | null} Animation frame of the pending live preview update */
+  previewFrame;
+
   /**
    * @throws {Error} If canvas element not found
    */
@@ -54,19 +151,59 @@ class StickerPrinterApp {
     this.canvas = canvas;
 
     this.drawingManager = new DrawingManager(this.canvas);
-    this.printerManager = new PrinterManager();
+    this.media = loadMediaSettings();
+    this.printerPool = new PrinterPool();
+    this.offlinePrinter = this.createPrinterManager();
+    this.printQueue = new PrintQueue(this.printerPool, (manager) =>
+      this.getPrinterSettings(manager.config?.MODEL)
+    );
+    this.shownJobId = null;
+    this.jobDoneMessages = new Map();
     this.modalManager = new ModalManager();
     this.aiManager = new AIManager(this.modalManager);
     this.cameraManager = new CameraManager(this.modalManager);
     this.imageManager = new ImageManager();
+    this.printOptions = {};
+    this.ditherChosen = false;
+    this.printWidth = CANVAS_CONFIG.WIDTH;
+    this.livePreview = false;
+    this.previewFrame = null;
 
     this.printerStatus = document.createElement('div');
     this.connectPrinterBtn = document.createElement('button');
+    this.connectOtherBtn = document.createElement('button');
     this.disconnectPrinterBtn = document.createElement('button');
     this.printOptionsBtn = document.createElement('button');
+    this.printQueueBtn = document.createElement('button');
+    this.paperSettingsBtn = document.createElement('button');
+    this.bannerBtn = document.createElement('button');
+    this.receiptBtn = document.createElement('button');
+    this.diagnosticsBtn = document.createElement('button');
+    this.printersBtn = document.createElement('button');
+    this.previewCanvas = document.createElement('canvas');
 
     this.initUI();
     this.setupEventHandlers();
+    this.restorePrinter();
+  }
+
+  /**
+   * The printer the drawing is sized for, and that settings, tests and
+   * diagnostics apply to: the pool's primary printer
+   * @returns {PrinterManager}
+   */
+  get printerManager() {
+    return this.printerPool.getPrimary()?.manager ?? this.offlinePrinter;
+  }
+
+  /**
+   * A printer ready to connect, with the loaded paper
+   * @returns {PrinterManager}
+   */
+  createPrinterManager() {
+    const manager = new PrinterManager();
+    manager.setMedia(this.media);
+    return manager;
   }
 
   /**
@@ -77,19 +214,49 @@ class StickerPrinterApp {
   initUI() {
     const printerStatus = document.getElementById('printerStatus');
     const connectPrinterBtn = document.getElementById('connectPrinterBtn');
+    const connectOtherBtn = document.getElementById('connectOtherBtn');
     const disconnectPrinterBtn = document.getElementById('disconnectPrinterBtn');
     const printOptionsBtn = document.getElementById('printOptionsBtn');
+    const printQueueBtn = document.getElementById('printQueueBtn');
+    const paperSettingsBtn = document.getElementById('paperSettingsBtn');
+    const bannerBtn = document.getElementById('bannerBtn');
+    const receiptBtn = document.getElementById('receiptBtn');
+    const diagnosticsBtn = document.getElementById('diagnosticsBtn');
+    const printersBtn = document.getElementById('printersBtn');
+    const previewCanvas = document.getElementById('printPreviewCanvas');
 
-    if (!printerStatus || !connectPrinterBtn || !disconnectPrinterBtn || !printOptionsBtn) {
+    if (
+      !printerStatus ||
+      !connectPrinterBtn ||
+      !connectOtherBtn ||
+      !disconnectPrinterBtn ||
+      !printOptionsBtn ||
+      !printQueueBtn ||
+      !paperSettingsBtn ||
+      !bannerBtn ||
+      !receiptBtn ||
+      !diagnosticsBtn ||
+      !printersBtn ||
+      !(previewCanvas instanceof HTMLCanvasElement)
+    ) {
       throw new Error('Required UI elements not found');
     }
 
     this.printerStatus = printerStatus;
     this.connectPrinterBtn = connectPrinterBtn;
+    this.connectOtherBtn = connectOtherBtn;
     this.disconnectPrinterBtn = disconnectPrinterBtn;
     this.printOptionsBtn = printOptionsBtn;
+    this.printQueueBtn = printQueueBtn;
+    this.paperSettingsBtn = paperSettingsBtn;
+    this.bannerBtn = bannerBtn;
+    this.receiptBtn = receiptBtn;
+    this.diagnosticsBtn = diagnosticsBtn;
+    this.printersBtn = printersBtn;
+    this.previewCanvas = previewCanvas;
 
     this.updatePrinterStatus();
+    this.matchCanvasToPrinter();
   }
 
   /**
@@ -130,14 +297,106 @@ class StickerPrinterApp {
     }
 
     // Printer connection
+    // One tap connects over Bluetooth; other links are a step further away
     this.connectPrinterBtn.addEventListener('click', () => this.connectPrinter());
+    this.connectOtherBtn.addEventListener('click', () => this.showConnectOptions());
+    this.modalManager.onConnectAction = (type, model, showAllDevices) =>
+      this.connectPrinter(type, model, showAllDevices);
     this.disconnectPrinterBtn.addEventListener('click', () =>
       this.disconnectPrinter()
     );
 
+    // Printer pool: live status of every printer (paper, lid, temperature,
+    // battery), dropped links and automatic reconnects
+    this.printerPool.addEventListener('change', () => this.updatePrinterStatus());
+    this.printQueue.addEventListener('change', () => this.updatePrinterStatus());
+    this.printersBtn.addEventListener('click', () =>
+      this.modalManager.showPrinterPool(this.printerPool, this.printQueue)
+    );
+    this.modalManager.onAddPrinter = () => this.showConnectOptions();
+
     // Print options
     this.printOptionsBtn.addEventListener('click', () => this.showPrintOptions());
 
+    // Print preview over the drawing, kept up to date as it changes
+    this.modalManager.onLivePreviewChange = (enabled, options) =>
+      this.setLivePreview(enabled, options);
+    this.drawingManager.onChange = () => this.scheduleLivePreview();
+
+    // Paper (roll or labels)
+    this.paperSettingsBtn.addEventListener('click', () =>
+      this.modalManager.showPaperSettings(this.media)
+    );
+    this.modalManager.onMediaChange = (media) => this.setMedia(media);
+
+    // Banners (long strips)
+    this.bannerBtn.addEventListener('click', () =>
+      this.modalManager.showBanner(
+        this.canvas,
+        this.printWidth,
+        this.printerPool.getConnected().length > 0
+      )
+    );
+    this.modalManager.onBannerPrint = (content) => this.printBanner(content);
+
+    // Text receipts, printed in the printer's own font where it has one
+    this.receiptBtn.addEventListener('click', () =>
+      this.modalManager.showReceipt(
+        this.printWidth,
+        this.printerPool.getConnected().length > 0,
+        this.printerManager.getNativeBlocks()
+      )
+    );
+    this.modalManager.onReceiptPrint = (blocks) => this.printReceipt(blocks);
+
+    // Test print for printers we couldn't identify
+    this.modalManager.onRasterTestPrint = () => this.printRasterTest();
+    this.modalManager.onRasterModeChosen = (mode) => this.chooseRasterMode(mode);
+
+    // Diagnostics: services, detection, calibration prints and raw traffic
+    this.diagnosticsBtn.addEventListener('click', () => this.showDiagnostics());
+    this.modalManager.onCalibrationPrint = (pattern) => this.printCalibration(pattern);
+
+    // Print queue
+    this.printQueueBtn.addEventListener('click', () => this.showPrintQueue());
+    this.printQueue.addEventListener('jobdone', (e) => {
+      const job = /** @type {CustomEvent<PrintJob>} */ (e).detail;
+      const message = this.jobDoneMessages.get(job.id) ?? 'Your image has been printed!';
+      this.jobDoneMessages.delete(job.id);
+
+      const virtual = this.getVirtualPrinter(job);
+      if (virtual) {
+        this.showVirtualPrint(virtual.manager, virtual.printer, message);
+        return;
+      }
+      this.modalManager.showStatusWithClose('✅ Success!', message);
+    });
+    this.printQueue.addEventListener('progress', (e) => {
+      const job = /** @type {CustomEvent<PrintJob>} */ (e).detail;
+      // With several printers busy, keep showing one job until it is done
+      const shown = this.printQueue.getActiveJobs().find((j) => j.id === this.shownJobId);
+      if (shown && shown !== job) return;
+      this.shownJobId = job.id;
+      this.showJobProgress(job);
+    });
+    this.printQueue.addEventListener('jobcancelled', (e) => {
+      const job = /** @type {CustomEvent<PrintJob>} */ (e).detail;
+      this.jobDoneMessages.delete(job.id);
+      // Don't let the part printed before stopping turn up in the next virtual print
+      this.getVirtualPrinter(job)?.printer.clear();
+      this.modalManager.showStatusWithClose('🚫 Cancelled', 'The print was stopped.');
+    });
+    this.printQueue.addEventListener('jobfailed', (e) => {
+      const { job, error } = /** @type {CustomEvent<{job: PrintJob, error: unknown}>} */ (e).detail;
+      this.getVirtualPrinter(job)?.printer.clear();
+      // Its done message is kept for when it is retried
+      const next = job.resumeRow > 0 ? 'carry on where it stopped' : 'try again';
+      this.modalManager.showStatusWithClose(
+        '❌ Printing stopped',
+        `${describePrinterError(error)} Then press 🔁 next to ${job.label} in 🧾 Queue to ${next}.`
+      );
+    });
+
     // Status modal close
     const statusCloseBtn = document.getElementById('statusCloseBtn');
     if (statusCloseBtn) {
@@ -154,6 +413,7 @@ class StickerPrinterApp {
     // Image upload handler
     this.imageManager.onImageLoaded = (img) => {
       this.drawingManager.drawImage(img);
+      this.preferPhotoDithering();
       this.modalManager.showStatusWithClose(
         '✅ Image Loaded!',
         'Ready to save or print'
@@ -164,6 +424,7 @@ class StickerPrinterApp {
     this.cameraManager.onImageCaptured = (img) => {
       img.onload = () => {
         this.drawingManager.drawImage(img);
+        this.preferPhotoDithering();
       };
     };
 
@@ -180,7 +441,8 @@ class StickerPrinterApp {
     };
 
     // Print action handler
-    this.modalManager.onPrintAction = (action) => this.handlePrintAction(action);
+    this.modalManager.onPrintAction = (action, options) =>
+      this.handlePrintAction(action, options);
   }
 
   /**
@@ -219,34 +481,148 @@ class StickerPrinterApp {
 
 
   /**
-   * Connect to a Bluetooth printer
+   * Switch to photo-friendly dithering after a photo or upload lands on the canvas
+   * A plain threshold turns photos into black blobs; a picture style the
+   * user picked in the print options, threshold included, is left alone
+   * @returns {void}
+   */
+  preferPhotoDithering() {
+    if (this.ditherChosen || this.printOptions.dither === DITHER_MODES.FLOYD_STEINBERG) return;
+    this.printOptions = { ...this.printOptions, dither: DITHER_MODES.FLOYD_STEINBERG };
+    this.scheduleLivePreview();
+  }
+
+  /**
+   * Note when the print options come back with a different picture style than they showed
+   * Printing without touching the style is not a choice, so photos still switch it
+   * @param {PrintOptions} options - Settings chosen in the print options
+   * @returns {void}
+   */
+  rememberDitherChoice(options) {
+    const shown = this.printOptions.dither ?? DITHER_MODES.THRESHOLD;
+    if (options.dither !== undefined && options.dither !== shown) {
+      this.ditherChosen = true;
+    }
+  }
+
+  /**
+   * Show the other ways to connect that this browser supports
+   * @returns {void}
+   */
+  showConnectOptions() {
+    /** @type {TransportType[]} */
+    const types = [TRANSPORT_TYPES.BLUETOOTH];
+    if ('usb' in navigator) types.push(TRANSPORT_TYPES.USB);
+    if ('serial' in navigator) types.push(TRANSPORT_TYPES.SERIAL);
+    types.push(TRANSPORT_TYPES.VIRTUAL);
+
+    this.modalManager.showConnectOptions(types);
+  }
+
+  /**
+   * Connect to a printer and add it to the pool
+   * @param {TransportType} [type] - How the printer is connected
+   * @param {string} [model] - Printer model for USB/serial links, which can't detect it
+   * @param {boolean} [showAllDevices] - List every Bluetooth device, not just known printers
    * @returns {Promise<void>}
    */
-  async connectPrinter() {
+  async connectPrinter(type = TRANSPORT_TYPES.BLUETOOTH, model, showAllDevices = false) {
     try {
       this.modalManager.showStatus('⏳ Connecting...', 'Looking for printer...');
 
-      const deviceName = await this.printerManager.connect();
+      const manager = this.createPrinterManager();
+      let deviceName;
+      switch (type) {
+        case TRANSPORT_TYPES.USB:
+          deviceName = manager.connectTransport(
+            await UsbTransport.request(),
+            findPrinterConfig(model)
+          );
+          break;
+        case TRANSPORT_TYPES.SERIAL:
+          deviceName = manager.connectTransport(
+            await SerialTransport.request(),
+            findPrinterConfig(model)
+          );
+          break;
+        case TRANSPORT_TYPES.VIRTUAL: {
+          const config = findPrinterConfig(model);
+          deviceName = manager.connectTransport(new VirtualPrinter(config), config);
+          break;
+        }
+        default:
+          deviceName = await manager.connect(showAllDevices);
+      }
 
-      this.updatePrinterStatus();
+      const printer = this.printerPool.add(manager);
       this.modalManager.closeStatus();
+
+      // An unknown printer may not understand GS v 0; offer to find out.
+      // The test print goes to the primary printer, so make it this one
+      const config = manager.config;
+      if (config?.MODEL === PRINTER_MODELS.UNKNOWN && !config.RASTER_MODE) {
+        this.printerPool.setPrimary(printer.id);
+        this.modalManager.showRasterTest(
+          `Connected to ${deviceName}, but we don't know this printer yet.`
+        );
+        return;
+      }
+
+      // Say which settings will be used, and why, before anything is printed
+      const count = this.printerPool.printers.length;
+      const detected = `Using the ${config?.NAME} settings: ${manager.detectionReason}.`;
       this.modalManager.showStatusWithClose(
         '✅ Connected!',
-        `Printer ready: ${deviceName}`
+        count > 1
+          ? `Printer ready: ${deviceName}. ${detected} ${count} printers are connected.`
+          : `Printer ready: ${deviceName}. ${detected}`
       );
     } catch (error) {
       this.updatePrinterStatus();
-      const message = error instanceof Error ? error.message : String(error);
+      let message = describePrinterError(error);
+      // The chooser was closed, maybe because the printer wasn't listed
+      if (
+        type === TRANSPORT_TYPES.BLUETOOTH &&
+        !showAllDevices &&
+        error instanceof DOMException &&
+        error.name === 'NotFoundError'
+      ) {
+        message +=
+          ' If your printer was not in the list, press 🔌 More Ways and' +
+          ' tick "Show all Bluetooth devices".';
+      }
       this.modalManager.showStatusWithClose('❌ Connection Failed', message);
     }
   }
 
   /**
-   * Disconnect from the printer
+   * Reconnect to the printer from the last visit without opening the chooser
+   * Runs quietly on startup; if it fails the user can still connect manually
+   * @returns {Promise<void>}
+   */
+  async restorePrinter() {
+    // In the pool while reconnecting, so the status bar shows it
+    const printer = this.printerPool.add(this.createPrinterManager());
+    try {
+      if (!(await printer.manager.reconnectRemembered())) {
+        this.printerPool.remove(printer.id);
+      }
+    } catch (error) {
+      // Remembered printer unavailable, leave it to the Connect button
+      this.printerPool.remove(printer.id);
+    }
+    this.updatePrinterStatus();
+  }
+
+  /**
+   * Disconnect a printer and take it out of the pool
+   * @param {number} [id] - Pool printer (default: the primary one)
    * @returns {void}
    */
-  disconnectPrinter() {
-    this.printerManager.disconnect();
+  disconnectPrinter(id = this.printerPool.getPrimary()?.id) {
+    if (id !== undefined) {
+      this.printerPool.remove(id);
+    }
     this.updatePrinterStatus();
     this.modalManager.showStatusWithClose(
       '👋 Disconnected',
@@ -259,39 +635,227 @@ class StickerPrinterApp {
    * @returns {void}
    */
   updatePrinterStatus() {
+    const printers = this.printerPool.printers;
+    this.printersBtn.style.display = printers.length > 0 ? 'block' : 'none';
+    if (printers.length > 1) {
+      this.showPoolStatus(printers);
+      return;
+    }
+
     const isConnected = this.printerManager.getConnectionStatus();
 
     if (isConnected) {
-      const deviceName = this.printerManager.getDeviceName();
-      this.printerStatus.textContent = `🖨️ Connected: ${deviceName}`;
+      const primary = this.printerPool.getPrimary();
+      const deviceName = primary
+        ? this.printerPool.getName(primary)
+        : this.printerManager.getDeviceName();
+      const status = this.printerManager.getStatus();
+      const problem = describeStatusProblem(status);
+      const battery = status.batteryLevel !== null ? ` · 🔋 ${status.batteryLevel}%` : '';
+      const info = describeDeviceInfo(this.printerManager.deviceInfo);
+
+      this.printerStatus.textContent = problem
+        ? `⚠️ ${deviceName}: ${problem}`
+        : `🖨️ Connected: ${deviceName}${battery}${info ? ` · ${info}` : ''}`;
       this.printerStatus.classList.remove('disconnected');
       this.printerStatus.classList.add('connected');
-      this.connectPrinterBtn.style.display = 'none';
-      this.disconnectPrinterBtn.style.display = 'block';
+      this.printerStatus.classList.toggle('warning', problem !== null);
+      this.showConnectionButtons(false, true);
+      this.matchCanvasToPrinter();
+    } else if (this.printerManager.isReconnecting) {
+      this.printerStatus.textContent = '🔄 Reconnecting to printer...';
+      this.printerStatus.classList.remove('connected', 'warning');
+      this.printerStatus.classList.add('disconnected');
+      this.showConnectionButtons(false, true);
     } else {
       this.printerStatus.textContent = 'Printer: Not Connected';
-      this.printerStatus.classList.remove('connected');
+      this.printerStatus.classList.remove('connected', 'warning');
       this.printerStatus.classList.add('disconnected');
-      this.connectPrinterBtn.style.display = 'block';
-      this.disconnectPrinterBtn.style.display = 'none';
+      this.showConnectionButtons(true, false);
     }
   }
 
+  /**
+   * Show the connect buttons or the disconnect button
+   * @param {boolean} connect - Connect Printer and its other ways to connect
+   * @param {boolean} disconnect
+   * @returns {void}
+   */
+  showConnectionButtons(connect, disconnect) {
+    this.connectPrinterBtn.style.display = connect ? 'block' : 'none';
+    this.connectOtherBtn.style.display = connect ? 'block' : 'none';
+    this.disconnectPrinterBtn.style.display = disconnect ? 'block' : 'none';
+  }
+
+  /**
+   * Show every printer in the pool in the status bar
+   * @param {PoolPrinter[]} printers - Two or more printers
+   * @returns {void}
+   */
+  showPoolStatus(printers) {
+    const states = printers.map((printer) =>
+      describePoolPrinter(printer, this.printQueue.getPrinterJob(printer.id) !== null)
+    );
+
+    this.printerStatus.textContent = printers
+      .map((printer, i) => `${this.printerPool.getName(printer)}: ${states[i].text}`)
+      .join(' · ');
+    this.printerStatus.classList.toggle('connected', this.printerPool.getConnected().length > 0);
+    this.printerStatus.classList.toggle('disconnected', this.printerPool.getConnected().length === 0);
+    this.printerStatus.classList.toggle('warning', states.some((state) => state.problem));
+    this.showConnectionButtons(false, false);
+    this.matchCanvasToPrinter();
+  }
+
+  /**
+   * Size the canvas and camera captures to the printer's width and the loaded paper
+   * The last printer's width is kept after disconnecting, so the drawing
+   * doesn't change under the user
+   * @returns {void}
+   */
+  matchCanvasToPrinter() {
+    this.printWidth = this.printerManager.config?.WIDTH ?? this.printWidth;
+
+    const media = this.printerManager.getMedia();
+    const { width, height } = getCanvasSize(media, this.printWidth);
+    this.drawingManager.resize(width, height);
+
+    this.cameraManager.captureWidth = width;
+    this.cameraManager.captureHeight = isLabelMedia(media)
+      ? height
+      : Math.round((width * CANVAS_CONFIG.CAPTURE_HEIGHT) / CANVAS_CONFIG.WIDTH);
+
+    // The printer may have changed without the canvas changing size
+    this.scheduleLivePreview();
+  }
+
+  /**
+   * Switch between a roll and labels, remembering the choice
+   * @param {Partial<MediaSettings>} settings - Paper settings from the form
+   * @returns {void}
+   */
+  setMedia(settings) {
+    const media = normalizeMedia(settings);
+    saveMediaSettings(media);
+    this.media = media;
+    // Every printer is loaded with the same paper
+    for (const manager of [this.offlinePrinter, ...this.printerPool.printers.map((p) => p.manager)]) {
+      manager.setMedia(media);
+    }
+    this.matchCanvasToPrinter();
+
+    this.modalManager.showStatusWithClose(
+      '🏷️ Paper Set',
+      isLabelMedia(media)
+        ? `Printing on ${media.widthMm} × ${media.heightMm} mm labels`
+        : 'Printing on a plain roll'
+    );
+  }
+
   /**
    * Show the print/save options modal
    * @returns {void}
    */
   showPrintOptions() {
-    const isConnected = this.printerManager.getConnectionStatus();
-    this.modalManager.showPrintOptions(isConnected);
+    const isConnected = this.printerPool.getConnected().length > 0;
+    const config = this.printerManager.config;
+    // A printer chosen last time may have left the pool since
+    const { printerId } = this.printOptions;
+    if (printerId != null && !this.printerPool.get(printerId)) {
+      this.printOptions = { ...this.printOptions, printerId: null };
+    }
+    this.modalManager.showPrintOptions(
+      isConnected,
+      { ...this.printOptions, ...this.getPrinterSettings(config?.MODEL) },
+      config,
+      this.printerPool.printers.length > 1 ? this.printerPool : null,
+      (options) => this.renderPrintPreview(options),
+      this.livePreview
+    );
+  }
+
+  /**
+   * Draw the drawing exactly as it will print
+   * Uses the width of the printer the options send it to, so a narrower
+   * printer in the pool shows where the drawing gets cut off
+   * @param {PrintOptions} options - Dithering mode, threshold and printer
+   * @param {HTMLCanvasElement} [target] - Canvas to draw on (default: a new one)
+   * @returns {HTMLCanvasElement}
+   */
+  renderPrintPreview(options, target) {
+    // The printer the job has to fit, as in PrintQueue.getTargetPrinter
+    const chosen = options.printerId != null ? this.printerPool.get(options.printerId) : null;
+    const printer = chosen ?? this.printerPool.getNarrowest();
+    const config = printer?.manager.config ?? this.printerManager.config;
+    const bytesPerLine = Math.ceil(this.canvas.width / 8);
+    return renderPrintPreview(
+      this.canvas,
+      Math.min(bytesPerLine, config?.BYTES_PER_LINE ?? bytesPerLine),
+      options,
+      target
+    );
+  }
+
+  /**
+   * Turn the print preview over the drawing on or off
+   * @param {boolean} enabled
+   * @param {PrintOptions} options - Settings chosen in the print options, which the preview shows
+   * @returns {void}
+   */
+  setLivePreview(enabled, options) {
+    this.rememberDitherChoice(options);
+    const { dither, threshold, printerId } = options;
+    this.printOptions = { ...this.printOptions, dither, threshold, printerId };
+    this.livePreview = enabled;
+    this.previewCanvas.hidden = !enabled;
+    this.scheduleLivePreview();
+  }
+
+  /**
+   * Update the print preview over the drawing on the next frame
+   * A stroke changes the drawing many times a frame; it is converted once
+   * @returns {void}
+   */
+  scheduleLivePreview() {
+    if (!this.livePreview || this.previewFrame !== null) return;
+
+    this.previewFrame = requestAnimationFrame(() => {
+      this.previewFrame = null;
+      if (this.livePreview) {
+        this.renderPrintPreview(this.printOptions, this.previewCanvas);
+      }
+    });
+  }
+
+  /**
+   * Settings last used with a printer model
+   * Drawings are trimmed until the trim option is turned off
+   * @param {string | undefined} model - PrinterConfig.MODEL
+   * @returns {PrinterSettings}
+   */
+  getPrinterSettings(model) {
+    return { trim: PRINT_LAYOUT.TRIM_DRAWINGS, ...loadPrinterSettings(model) };
   }
 
   /**
    * Handle print action - orchestrates the selected action
-   * @param {'save' | 'print' | 'saveAndPrint'} action - The action to perform
+   * @param {PrintAction} action - The action to perform
+   * @param {PrintOptions} [options] - Settings chosen in the print options modal
    * @returns {void | Promise<void>}
    */
-  handlePrintAction(action) {
+  handlePrintAction(action, options = {}) {
+    // Density, speed and the paper around the print belong to the printer, not the picture
+    const { density, speed, feedBefore, feedAfter, align, trim, cut, ...pictureOptions } = options;
+    this.rememberDitherChoice(options);
+    this.printOptions = { ...this.printOptions, ...pictureOptions };
+    this.scheduleLivePreview();
+
+    const model = this.printerManager.config?.MODEL;
+    const settings = normalizePrinterSettings(options);
+    if (model && Object.keys(settings).length > 0) {
+      savePrinterSettings(model, settings);
+    }
+
     switch (action) {
       case 'save':
         return this.saveImageOnly();
@@ -316,52 +880,324 @@ class StickerPrinterApp {
     );
   }
 
+  /**
+   * Check the reported printer status before sending a print
+   * Shows what to fix when the printer can't print right now. A print for
+   * any printer in the pool only needs one of them to be ready.
+   * @param {PrinterManager[]} [printers] - Printers that could take the print (default: those the print options allow)
+   * @returns {boolean} True if the printer is ready
+   * @private
+   */
+  checkPrinterReady(printers = this.getPrintTargets()) {
+    const problems = printers.map((manager) => describeStatusProblem(manager.getStatus()));
+    const problem = problems.every((p) => p !== null) ? problems[0] ?? null : null;
+    if (problem) {
+      this.modalManager.showStatusWithClose('🛑 Wait a moment!', problem);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Printers the next print may go to
+   * @returns {PrinterManager[]} The printer chosen in the print options, or every printer
+   * @private
+   */
+  getPrintTargets() {
+    const { printerId } = this.printOptions;
+    const chosen = printerId != null ? this.printerPool.get(printerId) : null;
+    if (chosen) return [chosen.manager];
+    const printers = this.printerPool.printers.map((printer) => printer.manager);
+    return printers.length > 0 ? printers : [this.printerManager];
+  }
+
   /**
    * Print the canvas image without saving
-   * @returns {Promise<void>}
+   * @returns {void}
    * @private
    */
-  async printImageOnly() {
+  printImageOnly() {
     this.modalManager.closePrintOptions();
-    try {
-      this.modalManager.showStatus('⏳ Printing...', 'Sending to printer...');
-      await this.printerManager.print(this.canvas);
+    if (!this.checkPrinterReady()) return;
+
+    this.queuePrint('Your image has been printed!');
+  }
+
+  /**
+   * Save and print the canvas image
+   * @returns {void}
+   * @private
+   */
+  saveAndPrint() {
+    this.modalManager.closePrintOptions();
+    if (!this.checkPrinterReady()) return;
+    this.imageManager.saveCanvasAsImage(this.canvas);
+
+    this.queuePrint('Your image has been saved and printed!');
+  }
+
+  /**
+   * Print a banner along the paper
+   * Each printer lays it out at its own width, and renders its rows while printing
+   * @param {BannerContent} content - Text and drawing for the banner
+   * @returns {void}
+   * @private
+   */
+  printBanner(content) {
+    if (isLabelMedia(this.printerManager.getMedia())) {
       this.modalManager.showStatusWithClose(
-        '✅ Success!',
-        'Your image has been printed!'
+        '🧻 Banners need a roll',
+        'Switch to a paper roll with the 🏷️ Paper button, then try again.'
       );
+      return;
+    }
+    if (!this.checkPrinterReady()) return;
+
+    this.queuePrint('Your banner has been printed!', (options) =>
+      this.printQueue.addBanner(content, options)
+    );
+  }
+
+  /**
+   * Print a text receipt
+   * Each printer lays it out for itself, so it goes to whichever is free
+   * @param {ReceiptBlock[]} blocks - Text, QR code and barcode from the form
+   * @returns {void}
+   * @private
+   */
+  printReceipt(blocks) {
+    if (!this.checkPrinterReady()) return;
+
+    this.queuePrint('Your text has been printed!', (options) =>
+      this.printQueue.addReceipt(blocks, options)
+    );
+  }
+
+  /**
+   * Print one test pattern per raster mode, then ask which came out right
+   * Prints directly rather than through the queue, so it waits for an idle printer
+   * @returns {Promise<void>}
+   * @private
+   */
+  async printRasterTest() {
+    this.modalManager.closeRasterTest();
+    if (this.printQueue.getPendingJobs().length > 0) {
+      this.modalManager.showStatusWithClose(
+        '🧾 Printer is busy',
+        'Wait for the print queue to finish, then try the test print again.'
+      );
+      return;
+    }
+    if (!this.checkPrinterReady([this.printerManager])) return;
+
+    const modes = Object.values(RASTER_MODES);
+    try {
+      for (let i = 0; i < modes.length; i++) {
+        this.modalManager.showStatus(
+          '⏳ Test Print',
+          `Printing pattern ${i + 1} of ${modes.length}...`
+        );
+        await this.printerManager.printRasterTest(modes[i], i + 1);
+      }
+      this.modalManager.closeStatus();
+      this.modalManager.showRasterTestChoice();
     } catch (error) {
-      const message = error instanceof Error ? error.message : String(error);
       this.modalManager.showStatusWithClose(
         '❌ Error',
-        `Printing failed: ${message}`
+        `Test print failed: ${describePrinterError(error)}`
       );
     }
   }
 
   /**
-   * Save and print the canvas image
-   * @returns {Promise<void>}
+   * Use the raster mode picked after the test print
+   * @param {RasterMode | null} mode - Mode that printed right, or null if none did
+   * @returns {void}
    * @private
    */
-  async saveAndPrint() {
-    this.modalManager.closePrintOptions();
-    this.imageManager.saveCanvasAsImage(this.canvas);
+  chooseRasterMode(mode) {
+    if (!mode) {
+      this.modalManager.showStatusWithClose(
+        '😕 No luck',
+        "This printer doesn't seem to understand any of the picture commands we know. Try picking its model when connecting over USB or serial."
+      );
+      return;
+    }
 
     try {
-      this.modalManager.showStatus('⏳ Printing...', 'Sending to printer...');
-      await this.printerManager.print(this.canvas);
+      this.printerManager.setRasterMode(mode);
       this.modalManager.showStatusWithClose(
-        '✅ Success!',
-        'Your image has been saved and printed!'
+        '✅ All set!',
+        "We'll use that picture command for this printer from now on."
       );
     } catch (error) {
       const message = error instanceof Error ? error.message : String(error);
+      this.modalManager.showStatusWithClose('❌ Error', message);
+    }
+  }
+
+  /**
+   * Show the diagnostics panel for the connected printer
+   * The Bluetooth services are listed once they have been read
+   * @returns {Promise<void>}
+   * @private
+   */
+  async showDiagnostics() {
+    const config = this.printerManager.config;
+    if (!this.printerManager.getConnectionStatus() || !config) {
       this.modalManager.showStatusWithClose(
-        '❌ Error',
-        `Printing failed: ${message}`
+        '📱 No printer',
+        'Connect a printer first, then open the diagnostics.'
       );
+      return;
+    }
+
+    this.modalManager.showDiagnostics({
+      deviceName: this.printerManager.getDeviceName(),
+      config,
+      tier: this.printerManager.detectionTier,
+      reason: this.printerManager.detectionReason,
+      services: undefined,
+      servicesError: null,
+      printing: null,
+      throughput: null,
+      printError: null,
+      log: this.printerManager.trafficLog,
+    });
+
+    try {
+      const services = await this.printerManager.getGattServices();
+      this.modalManager.updateDiagnostics({ services });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      this.modalManager.updateDiagnostics({
+        services: null,
+        servicesError: `Could not read the services: ${message}`,
+      });
+    }
+  }
+
+  /**
+   * Print a calibration pattern from the diagnostics panel and show its speed
+   * Prints directly rather than through the queue, so it waits for an idle printer
+   * @param {CalibrationPattern} pattern - Pattern to print
+   * @returns {Promise<void>}
+   * @private
+   */
+  async printCalibration(pattern) {
+    if (this.printQueue.getPendingJobs().length > 0) {
+      this.modalManager.updateDiagnostics({
+        printError: 'Wait for the print queue to finish, then try again.',
+      });
+      return;
+    }
+    const problem = describeStatusProblem(this.printerManager.getStatus());
+    if (problem) {
+      this.modalManager.updateDiagnostics({ printError: problem });
+      return;
     }
+
+    this.modalManager.updateDiagnostics({ printing: pattern, printError: null });
+    try {
+      const throughput = await this.printerManager.printCalibration(pattern);
+      this.modalManager.updateDiagnostics({ printing: null, throughput });
+    } catch (error) {
+      this.modalManager.updateDiagnostics({
+        printing: null,
+        printError: `Calibration print failed: ${describePrinterError(error)}`,
+      });
+    }
+  }
+
+  /**
+   * Add the canvas to the print queue
+   * Prints right away if the printer is free, otherwise waits its turn
+   * @param {string} doneMessage - Message shown once the job has printed
+   * @param {(options: PrintOptions) => PrintJob} [addJob] - Queues the job; defaults to the canvas
+   * @returns {void}
+   * @private
+   */
+  queuePrint(doneMessage, addJob = (options) => this.printQueue.add(this.canvas, options)) {
+    try {
+      const jobsAhead = this.printQueue.getPendingJobs().length;
+      // Density, speed and layout come from whichever printer takes the job
+      const job = addJob(this.printOptions);
+      this.jobDoneMessages.set(job.id, doneMessage);
+
+      // Started straight away on a free printer
+      if (job.state === 'printing') {
+        this.shownJobId = job.id;
+        this.showJobProgress(job);
+      } else {
+        this.modalManager.showStatusWithClose(
+          '🧾 Added to Queue',
+          `${job.label} will print after ${jobsAhead} more.`
+        );
+      }
+    } catch (error) {
+      this.modalManager.showStatusWithClose('❌ Error', describePrinterError(error));
+    }
+  }
+
+  /**
+   * Show how far the active print job has got, with a Cancel button
+   * @param {PrintJob} job - The job being printed
+   * @returns {void}
+   * @private
+   */
+  showJobProgress(job) {
+    const copyInfo = job.copies > 1 ? ` (copy ${job.copiesPrinted + 1} of ${job.copies})` : '';
+    const printer = job.assignedTo !== null ? this.printerPool.get(job.assignedTo) : null;
+    const destination =
+      printer && this.printerPool.printers.length > 1 ? this.printerPool.getName(printer) : 'printer';
+    this.modalManager.showProgress(
+      '⏳ Printing...',
+      `Sending to ${destination}...${copyInfo}`,
+      job.progress,
+      () => this.printQueue.cancel(job.id)
+    );
+  }
+
+  /**
+   * The virtual printer a job went to
+   * @param {PrintJob} job
+   * @returns {{ manager: PrinterManager, printer: VirtualPrinter } | null} Null for real printers
+   * @private
+   */
+  getVirtualPrinter(job) {
+    const pooled = job.assignedTo !== null ? this.printerPool.get(job.assignedTo) : null;
+    const transport = pooled?.manager.transport;
+    return pooled && transport instanceof VirtualPrinter
+      ? { manager: pooled.manager, printer: transport }
+      : null;
+  }
+
+  /**
+   * Show the paper the virtual printer produced, then clear it for the next print
+   * @param {PrinterManager} manager - The pool printer it is connected to
+   * @param {VirtualPrinter} printer - The connected virtual printer
+   * @param {string} message - Success message for the finished job
+   * @returns {void}
+   * @private
+   */
+  showVirtualPrint(manager, printer, message) {
+    this.modalManager.closeStatus();
+    printer.media = manager.getMedia();
+    try {
+      this.modalManager.showVirtualPrint(paperToCanvas(printer.getPaper()), message);
+    } catch (error) {
+      const reason = error instanceof Error ? error.message : String(error);
+      this.modalManager.showStatusWithClose('❌ Error', `Could not read the print: ${reason}`);
+    }
+    printer.clear();
+  }
+
+  /**
+   * Show the print queue panel
+   * @returns {void}
+   */
+  showPrintQueue() {
+    this.modalManager.showPrintQueue(this.printQueue);
   }
 }
 
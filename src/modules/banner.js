@@ -0,0 +1,223 @@
+import { BANNER_CONFIG } from './constants.js';
+import { createDitherCarry } from './bitmap.js';
+
+/**
+ * @typedef {import('./printer.js').RowSource} RowSource
+ * @typedef {import('./bitmap.js').DitherCarry} DitherCarry
+ */
+
+/**
+ * What goes on a banner
+ * @typedef {Object} BannerContent
+ * @property {string} text - Printed in letters as tall as the paper is wide
+ * @property {HTMLCanvasElement | null} [image] - Drawing placed before the text
+ */
+
+/**
+ * A part of the banner, positioned along its length
+ * @typedef {{ type: 'text', x: number, width: number, text: string, font: string }
+ *   | { type: 'image', x: number, width: number, image: HTMLCanvasElement }} BannerItem
+ */
+
+/**
+ * A banner laid out in its own coordinates: x runs along the paper and
+ * y across it, so it is drawn as a wide strip and rotated 90° to print
+ * @typedef {Object} BannerLayout
+ * @property {number} length - Length along the paper in dots
+ * @property {number} height - Height across the paper in dots (the print width)
+ * @property {BannerItem[]} items
+ */
+
+/** @type {CanvasRenderingContext2D | null} */
+let measureContext = null;
+
+/**
+ * Width of text in the given font, measured on a shared scratch canvas
+ * @param {string} text
+ * @param {string} font
+ * @returns {number}
+ */
+function measureText(text, font) {
+  measureContext ??= document.createElement('canvas').getContext('2d');
+  if (!measureContext) return 0;
+  measureContext.font = font;
+  return measureContext.measureText(text).width;
+}
+
+/**
+ * Lay out a banner for a printer
+ * The drawing is scaled to the print width and the text follows it,
+ * with a margin at both ends and between them
+ * @param {BannerContent} content
+ * @param {number} printWidth - Print width in dots
+ * @param {(text: string, font: string) => number} [measure] - Text width in dots
+ * @returns {BannerLayout}
+ */
+export function layoutBanner(content, printWidth, measure = measureText) {
+  const margin = BANNER_CONFIG.MARGIN_DOTS;
+  /** @type {BannerItem[]} */
+  const items = [];
+  let x = margin;
+
+  const { image } = content;
+  if (image && image.width > 0 && image.height > 0) {
+    const width = Math.round((image.width * printWidth) / image.height);
+    items.push({ type: 'image', x, width, image });
+    x += width + margin;
+  }
+
+  const text = content.text.trim();
+  if (text) {
+    const fontSize = Math.round(printWidth * BANNER_CONFIG.TEXT_SCALE);
+    const font = `bold ${fontSize}px ${BANNER_CONFIG.FONT_FAMILY}`;
+    const width = Math.ceil(measure(text, font));
+    items.push({ type: 'text', x, width, text, font });
+    x += width + margin;
+  }
+
+  return { length: items.length ? x : 0, height: printWidth, items };
+}
+
+/**
+ * Draw the part of a banner between two points along its length
+ * Items entirely outside the range are skipped
+ * @param {CanvasRenderingContext2D} ctx - Context in banner coordinates
+ * @param {BannerLayout} layout
+ * @param {number} [from] - Start of the range in dots
+ * @param {number} [to] - End of the range in dots
+ * @returns {void}
+ */
+export function drawBanner(ctx, layout, from = 0, to = layout.length) {
+  for (const item of layout.items) {
+    if (item.x + item.width <= from || item.x >= to) continue;
+
+    if (item.type === 'image') {
+      ctx.drawImage(item.image, item.x, 0, item.width, layout.height);
+    } else {
+      ctx.fillStyle = 'black';
+      ctx.font = item.font;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(item.text, item.x, layout.height / 2);
+    }
+  }
+}
+
+/**
+ * Render a small unrotated picture of the banner for the screen
+ * @param {BannerLayout} layout
+ * @returns {HTMLCanvasElement}
+ */
+export function renderBannerPreview(layout) {
+  const scale = BANNER_CONFIG.PREVIEW_SCALE;
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.ceil(layout.length * scale));
+  canvas.height = Math.ceil(layout.height * scale);
+
+  const ctx = canvas.getContext('2d');
+  if (ctx) {
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.scale(scale, scale);
+    drawBanner(ctx, layout);
+  }
+  return canvas;
+}
+
+/**
+ * Stream a banner's printer rows a few hundred at a time
+ *
+ * Each block of rows is drawn rotated onto one small reused canvas and
+ * converted with toRows, so a banner metres long never needs a canvas
+ * bigger than BANNER_CONFIG.RENDER_ROWS rows. The next block is drawn
+ * and handed over while the current one prints, so its conversion
+ * (in a worker, with canvasToRows) overlaps the printing.
+ *
+ * Blocks read one after another share a dithering carry, so error
+ * diffusion runs on across them as if the banner were converted whole.
+ *
+ * @param {BannerLayout} layout
+ * @param {(canvas: HTMLCanvasElement, carry: DitherCarry) => RowSource} toRows - Converts a rendered block to printer rows, copying the canvas and carrying on its dithering
+ * @returns {RowSource}
+ */
+export function createBannerSource(layout, toRows) {
+  const canvas = document.createElement('canvas');
+  canvas.width = layout.height;
+  canvas.height = BANNER_CONFIG.RENDER_ROWS;
+  const bytesPerLine = Math.ceil(layout.height / 8);
+
+  /** @type {Map<number, RowSource>} Rendered blocks by first row: the current one and the next */
+  const blocks = new Map();
+
+  /** @type {DitherCarry} Started over whenever reading jumps, e.g. for the next copy */
+  let carry = createDitherCarry(canvas.width);
+
+  /**
+   * @param {number} start - First row of the block
+   * @returns {RowSource}
+   */
+  const renderBlock = (start) => {
+    const rows = Math.min(BANNER_CONFIG.RENDER_ROWS, layout.length - start);
+    if (canvas.height !== rows) {
+      canvas.height = rows;
+    }
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) throw new Error('Canvas 2D is not available');
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvas.width, rows);
+
+    // Banner x runs down the paper; the top of the banner is the right edge
+    ctx.translate(canvas.width, 0);
+    ctx.rotate(Math.PI / 2);
+    ctx.translate(-start, 0);
+    drawBanner(ctx, layout, start, start + rows);
+
+    return toRows(canvas, carry);
+  };
+
+  /**
+   * The block holding a row, rendering it if needed
+   * Blocks before it are dropped, and the one after it is started
+   * @param {number} y
+   * @returns {{ start: number, source: RowSource }}
+   */
+  const getBlock = (y) => {
+    let start = [...blocks.keys()].find(
+      (blockStart) => y >= blockStart && y < blockStart + BANNER_CONFIG.RENDER_ROWS
+    );
+    if (start === undefined) {
+      blocks.clear();
+      carry = createDitherCarry(canvas.width);
+      start = y;
+      blocks.set(start, renderBlock(start));
+    }
+    for (const blockStart of blocks.keys()) {
+      if (blockStart < start) blocks.delete(blockStart);
+    }
+
+    const next = start + BANNER_CONFIG.RENDER_ROWS;
+    if (next < layout.length && !blocks.has(next)) {
+      blocks.set(next, renderBlock(next));
+    }
+    return { start, source: /** @type {RowSource} */ (blocks.get(start)) };
+  };
+
+  return {
+    height: layout.length,
+    bytesPerLine,
+    async getRows(start, end) {
+      const rows = new Uint8Array((end - start) * bytesPerLine);
+      for (let y = start; y < end; ) {
+        const block = getBlock(y);
+        const last = Math.min(end, block.start + block.source.height);
+        const data = await block.source.getRows(y - block.start, last - block.start);
+        rows.set(data, (y - start) * bytesPerLine);
+        y = last;
+      }
+      return rows;
+    },
+  };
+}
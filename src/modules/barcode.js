@@ -0,0 +1,156 @@
+import { BARCODE_FORMATS } from './constants.js';
+
+/**
+ * 1D barcode encoders, for printers that can't draw barcodes themselves
+ * Reference: ISO/IEC 15417 (Code 128), ISO/IEC 15420 (EAN-13)
+ */
+
+/**
+ * @typedef {typeof BARCODE_FORMATS[keyof typeof BARCODE_FORMATS]} BarcodeFormat
+ */
+
+/**
+ * A barcode as a row of modules
+ * @typedef {Object} BarcodeModules
+ * @property {Uint8Array} modules - One entry per module, 1 = bar
+ * @property {string} text - Human-readable text printed under the bars
+ */
+
+/**
+ * Code 128 symbols, index = symbol value: widths of bar, space, bar,
+ * space, bar, space in modules
+ */
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232',
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = '2331112';
+const CODE128_CHECK_MODULO = 103;
+
+// EAN-13 digit patterns, 1 = bar: L (odd parity) on the left, R on the right;
+// G (even parity) is R reversed
+const EAN_L_PATTERNS = [
+  '0001101', '0011001', '0010011', '0111101', '0100011',
+  '0110001', '0101111', '0111011', '0110111', '0001011',
+];
+// Which left-hand digits use G, picked by the first digit, which has no bars of its own
+const EAN_PARITY = [
+  'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+  'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL',
+];
+const EAN_GUARD = '101';
+const EAN_CENTER_GUARD = '01010';
+
+/**
+ * EAN-13 check digit
+ * @param {string} digits - The first 12 digits
+ * @returns {number}
+ */
+export function getEanCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Check barcode data and put it in the form the printer expects
+ * EAN-13 takes 12 digits and gets its check digit added, or 13 with a
+ * correct check digit
+ * @param {BarcodeFormat} format
+ * @param {string} data
+ * @returns {string} The data to encode
+ * @throws {Error} Saying what is wrong with the data
+ */
+export function normalizeBarcodeData(format, data) {
+  switch (format) {
+    case BARCODE_FORMATS.CODE128:
+      if (data === '') {
+        throw new Error('Type something for the barcode');
+      }
+      if (!/^[\x20-\x7e]+$/.test(data)) {
+        throw new Error('Barcodes can only hold plain letters, numbers and punctuation');
+      }
+      return data;
+
+    case BARCODE_FORMATS.EAN13: {
+      const digits = data.replace(/\s/g, '');
+      if (!/^\d{12,13}$/.test(digits)) {
+        throw new Error('An EAN-13 barcode needs 12 or 13 digits');
+      }
+      const check = getEanCheckDigit(digits);
+      if (digits.length === 13 && Number(digits[12]) !== check) {
+        throw new Error(`The last digit of this EAN-13 barcode should be ${check}`);
+      }
+      return digits.slice(0, 12) + check;
+    }
+
+    default:
+      throw new Error(`Unknown barcode format: ${format}`);
+  }
+}
+
+/**
+ * @param {string} widths - Alternating bar and space widths, starting with a bar
+ * @returns {number[]} Modules, 1 = bar
+ */
+function widthsToModules(widths) {
+  /** @type {number[]} */
+  const modules = [];
+  for (let i = 0; i < widths.length; i++) {
+    for (let w = 0; w < Number(widths[i]); w++) modules.push(i % 2 === 0 ? 1 : 0);
+  }
+  return modules;
+}
+
+/**
+ * Encode data as barcode modules
+ * Code 128 uses code set B, which covers printable ASCII
+ * @param {BarcodeFormat} format
+ * @param {string} data - Checked with normalizeBarcodeData first
+ * @returns {BarcodeModules}
+ * @throws {Error} If the data can't be encoded
+ */
+export function encodeBarcode(format, data) {
+  const text = normalizeBarcodeData(format, data);
+
+  if (format === BARCODE_FORMATS.CODE128) {
+    const values = [CODE128_START_B, ...Array.from(text, (char) => char.charCodeAt(0) - 32)];
+    const check =
+      values.reduce((sum, value, i) => sum + value * Math.max(i, 1), 0) % CODE128_CHECK_MODULO;
+    const widths = [...values, check].map((value) => CODE128_PATTERNS[value]).join('') + CODE128_STOP;
+    return { modules: Uint8Array.from(widthsToModules(widths)), text };
+  }
+
+  const parity = EAN_PARITY[Number(text[0])];
+  let bits = EAN_GUARD;
+  for (let i = 1; i <= 6; i++) {
+    const left = EAN_L_PATTERNS[Number(text[i])];
+    bits += parity[i - 1] === 'L' ? left : [...invertBits(left)].reverse().join('');
+  }
+  bits += EAN_CENTER_GUARD;
+  for (let i = 7; i <= 12; i++) {
+    bits += invertBits(EAN_L_PATTERNS[Number(text[i])]);
+  }
+  bits += EAN_GUARD;
+  return { modules: Uint8Array.from(bits, Number), text };
+}
+
+/**
+ * @param {string} bits - e.g. '0001101'
+ * @returns {string} Every bit flipped
+ */
+function invertBits(bits) {
+  return bits.replace(/[01]/g, (bit) => (bit === '0' ? '1' : '0'));
+}
@@ -0,0 +1,15 @@
+import { handleConversionRequest } from './bitmap.js';
+
+/**
+ * Worker that converts pictures to printer bitmaps, so dithering a big
+ * photo or a long banner doesn't freeze the drawing UI
+ * Started by convertCanvas in bitmap.js
+ * @typedef {import('./bitmap.js').ConversionRequest} ConversionRequest
+ */
+
+self.addEventListener('message', (event) => {
+  const reply = handleConversionRequest(/** @type {ConversionRequest} */ (event.data));
+  // Hand the bitmap back without copying it
+  const transfer = 'bitmap' in reply ? [/** @type {ArrayBuffer} */ (reply.bitmap.data.buffer)] : [];
+  self.postMessage(reply, { transfer });
+});
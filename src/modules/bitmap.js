@@ -0,0 +1,368 @@
+import { toLuminance, dither, createDiffusionError } from './dither.js';
+
+/**
+ * @typedef {import('./dither.js').DitherMode} DitherMode
+ */
+
+/**
+ * A 1-bit image packed the way printers take it: 8 dots per byte,
+ * leftmost dot in the MSB, rows one after another
+ * @typedef {Object} Bitmap
+ * @property {number} height - Rows
+ * @property {number} bytesPerLine - Bytes in every row
+ * @property {Uint8Array} data - height × bytesPerLine bytes
+ */
+
+/**
+ * How grayscale is reduced to black/white
+ * @typedef {Object} ConversionOptions
+ * @property {DitherMode} [dither] - Dithering mode (default: threshold)
+ * @property {number} [threshold] - Brightness cutoff 0-255 (default: 128)
+ * @property {DitherCarry} [carry] - Carry on dithering from the block above, for pictures converted in blocks
+ */
+
+/**
+ * Dithering handed from one block of a long picture to the next, so the
+ * blocks join up without a seam
+ * Blocks sharing a carry are converted in the order they are handed over
+ * @typedef {Object} DitherCarry
+ * @property {Float32Array} error - Error diffused past the bottom of the last block converted
+ * @property {Promise<unknown>} done - Settles once that block is converted
+ */
+
+/**
+ * Picture sent to the conversion worker
+ * @typedef {Object} ConversionRequest
+ * @property {number} id - Matches the reply to the request
+ * @property {ImageBitmap | ImageData} image
+ * @property {number} bytesPerLine - Row width to pack to
+ * @property {Omit<ConversionOptions, 'carry'>} options
+ * @property {Float32Array | null} carry - Error from the block above, sent back updated
+ */
+
+/**
+ * Answer from the conversion worker
+ * @typedef {{ id: number, bitmap: Bitmap, carry: Float32Array | null } | { id: number, error: string }} ConversionReply
+ */
+
+/**
+ * @typedef {Object} PendingConversion
+ * @property {ConversionRequest} request - Kept so it can be redone here if the worker dies
+ * @property {DitherCarry | undefined} carry - Updated with the error the reply carries on
+ * @property {(bitmap: Bitmap) => void} resolve
+ * @property {(error: Error) => void} reject
+ */
+
+/** @type {Worker | null} Converts pictures off the main thread, started on first use */
+let worker = null;
+
+/** @type {boolean} Set once the worker fails, so conversions stay on the main thread */
+let workerFailed = false;
+
+let nextRequestId = 1;
+
+/** @type {Map<number, PendingConversion>} */
+const pending = new Map();
+
+/**
+ * @param {number} height - Rows
+ * @param {number} bytesPerLine - Bytes in every row
+ * @returns {Bitmap} An all-white bitmap
+ */
+export function createBitmap(height, bytesPerLine) {
+  return { height, bytesPerLine, data: new Uint8Array(height * bytesPerLine) };
+}
+
+/**
+ * Pack rows of bytes into a bitmap
+ * Short rows are padded with white, long ones cut
+ * @param {ArrayLike<number>[]} rows
+ * @param {number} [bytesPerLine] - Row width (default: the first row's)
+ * @returns {Bitmap}
+ */
+export function bitmapFromRows(rows, bytesPerLine = rows[0]?.length ?? 0) {
+  const bitmap = createBitmap(rows.length, bytesPerLine);
+  rows.forEach((row, y) => {
+    const bytes = row.length > bytesPerLine ? Array.prototype.slice.call(row, 0, bytesPerLine) : row;
+    bitmap.data.set(bytes, y * bytesPerLine);
+  });
+  return bitmap;
+}
+
+/**
+ * One row of a bitmap, without copying it
+ * @param {Bitmap} bitmap
+ * @param {number} y - Row number
+ * @returns {Uint8Array}
+ */
+export function getBitmapRow(bitmap, y) {
+  return bitmap.data.subarray(y * bitmap.bytesPerLine, (y + 1) * bitmap.bytesPerLine);
+}
+
+/**
+ * Cut the blank rows off the top and bottom of a bitmap, without copying
+ * Blank rows between inked ones stay, so the picture keeps its shape
+ * @param {Bitmap} bitmap
+ * @returns {Bitmap} No rows at all if the bitmap is blank
+ */
+export function trimBitmap(bitmap) {
+  const { height, bytesPerLine, data } = bitmap;
+  const isBlank = (/** @type {number} */ y) => getBitmapRow(bitmap, y).every((byte) => byte === 0);
+
+  let top = 0;
+  while (top < height && isBlank(top)) top++;
+  let bottom = height;
+  while (bottom > top && isBlank(bottom - 1)) bottom--;
+
+  return {
+    height: bottom - top,
+    bytesPerLine,
+    data: data.subarray(top * bytesPerLine, bottom * bytesPerLine),
+  };
+}
+
+/**
+ * Pack black/white dots into a bitmap
+ * Dots beyond bytesPerLine × 8 are dropped; missing ones print white
+ * @param {Uint8Array} ink - 1 for each black dot, 0 for white, row by row (from dither)
+ * @param {number} width - Image width in dots
+ * @param {number} height - Image height in dots
+ * @param {number} bytesPerLine - Bytes in every packed row
+ * @returns {Bitmap}
+ */
+export function packBitmap(ink, width, height, bytesPerLine) {
+  const bitmap = createBitmap(height, bytesPerLine);
+  const { data } = bitmap;
+  const dots = Math.min(width, bytesPerLine * 8);
+
+  for (let y = 0; y < height; y++) {
+    const inkRow = y * width;
+    const dataRow = y * bytesPerLine;
+    for (let x = 0; x < dots; x++) {
+      if (ink[inkRow + x]) {
+        data[dataRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return bitmap;
+}
+
+/**
+ * Convert pixels to a bitmap: brightness, dithering, then packing
+ * Error diffusion needs to look at neighbouring pixels, so every pixel is
+ * decided before any are packed
+ * @param {ImageData} imageData - RGBA pixels
+ * @param {number} bytesPerLine - Bytes in every packed row
+ * @param {Omit<ConversionOptions, 'carry'>} [options]
+ * @param {Float32Array} [carry] - Error from the block above, replaced with the error for the block below
+ * @returns {Bitmap}
+ */
+export function imageDataToBitmap(imageData, bytesPerLine, options = {}, carry) {
+  const { data, width, height } = imageData;
+  const luminance = toLuminance(data, width, height);
+  const ink = dither(luminance, width, height, options.dither, options.threshold, carry);
+  return packBitmap(ink, width, height, bytesPerLine);
+}
+
+/**
+ * Start converting a long picture in blocks, top to bottom
+ * @param {number} width - Picture width in pixels
+ * @returns {DitherCarry} Pass it with every block, in order
+ */
+export function createDitherCarry(width) {
+  return { error: createDiffusionError(width), done: Promise.resolve() };
+}
+
+/**
+ * Read the pixels of a picture
+ * Works in a worker too, where there is no document but OffscreenCanvas
+ * @param {ImageBitmap | ImageData} image
+ * @returns {ImageData}
+ * @throws {Error} If 2D context cannot be obtained
+ */
+export function readPixels(image) {
+  if ('data' in image) return image;
+
+  const canvas =
+    typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(image.width, image.height)
+      : Object.assign(document.createElement('canvas'), {
+          width: image.width,
+          height: image.height,
+        });
+  const ctx = /** @type {CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D | null} */ (
+    canvas.getContext('2d')
+  );
+  if (!ctx) {
+    throw new Error('Could not get 2D context from canvas');
+  }
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, image.width, image.height);
+}
+
+/**
+ * Do a conversion the worker was asked for
+ * @param {ConversionRequest} request
+ * @returns {ConversionReply}
+ */
+export function handleConversionRequest({ id, image, bytesPerLine, options, carry }) {
+  try {
+    const bitmap = imageDataToBitmap(readPixels(image), bytesPerLine, options, carry ?? undefined);
+    return { id, bitmap, carry };
+  } catch (error) {
+    return { id, error: error instanceof Error ? error.message : String(error) };
+  }
+}
+
+/**
+ * Finish a conversion with the worker's answer
+ * @param {PendingConversion} conversion
+ * @param {ConversionReply} reply
+ * @returns {void}
+ */
+function settle({ request, carry, resolve, reject }, reply) {
+  if ('close' in request.image) {
+    request.image.close();
+  }
+  if ('error' in reply) {
+    reject(new Error(reply.error));
+  } else {
+    if (carry && reply.carry) {
+      carry.error.set(reply.carry);
+    }
+    resolve(reply.bitmap);
+  }
+}
+
+/**
+ * Whether pictures can be converted in a worker here
+ * The worker needs OffscreenCanvas to read the pictures it is sent
+ * @returns {boolean}
+ */
+function canUseWorker() {
+  return (
+    !workerFailed &&
+    typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap === 'function'
+  );
+}
+
+/**
+ * The conversion worker, started on first use
+ * @returns {Worker | null} Null if it can't be started
+ */
+function getWorker() {
+  if (worker || !canUseWorker()) return worker;
+
+  try {
+    worker = new Worker(new URL('./bitmap-worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    // Pictures are converted on the main thread instead
+    workerFailed = true;
+    return null;
+  }
+
+  worker.addEventListener('message', (event) => {
+    const reply = /** @type {ConversionReply} */ (event.data);
+    const conversion = pending.get(reply.id);
+    if (!conversion) return;
+
+    pending.delete(reply.id);
+    settle(conversion, reply);
+  });
+
+  // A worker that can't load (e.g. blocked by the page's security policy)
+  // fails every request; redo them here and stop using it
+  worker.addEventListener('error', (event) => {
+    event.preventDefault();
+    worker?.terminate();
+    worker = null;
+    workerFailed = true;
+
+    const conversions = [...pending.values()];
+    pending.clear();
+    for (const conversion of conversions) {
+      settle(conversion, handleConversionRequest(conversion.request));
+    }
+  });
+
+  return worker;
+}
+
+/**
+ * Convert a canvas to a bitmap, off the main thread where the browser allows
+ *
+ * The canvas is copied before this returns, so it can be drawn on or
+ * reused straight away. Without worker support the conversion runs here.
+ * A block with a carry waits for the block before it to be converted.
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} bytesPerLine - Bytes in every packed row
+ * @param {ConversionOptions} [options]
+ * @returns {Promise<Bitmap>}
+ * @throws {Error} If 2D context cannot be obtained from canvas
+ */
+export function convertCanvas(canvas, bytesPerLine, options = {}) {
+  const { carry, ...conversionOptions } = options;
+  const { width, height } = canvas;
+  // createImageBitmap can't copy an empty canvas
+  const target = width > 0 && height > 0 ? getWorker() : null;
+
+  /** @type {Promise<Bitmap>} */
+  let bitmap;
+  if (!target) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      throw new Error('Could not get 2D context from canvas');
+    }
+    const imageData = ctx.getImageData(0, 0, width, height);
+    bitmap = (carry?.done ?? Promise.resolve()).then(() =>
+      imageDataToBitmap(imageData, bytesPerLine, conversionOptions, carry?.error)
+    );
+  } else {
+    // createImageBitmap copies the canvas before it returns; the pixels are
+    // read back in the worker, so the main thread never waits for them
+    const copied = createImageBitmap(canvas);
+    bitmap = Promise.all([copied, carry?.done]).then(([image]) =>
+      postConversion(
+        {
+          id: nextRequestId++,
+          image,
+          bytesPerLine,
+          options: conversionOptions,
+          carry: carry?.error ?? null,
+        },
+        carry
+      )
+    );
+  }
+
+  if (carry) {
+    // The next block carries on from this one, even if this one fails
+    carry.done = bitmap.catch(() => {});
+  }
+  return bitmap;
+}
+
+/**
+ * Send a copied picture to the worker
+ * @param {ConversionRequest} request
+ * @param {DitherCarry} [carry] - Updated once the worker answers
+ * @returns {Promise<Bitmap>}
+ */
+function postConversion(request, carry) {
+  return new Promise((resolve, reject) => {
+    /** @type {PendingConversion} */
+    const conversion = { request, carry, resolve, reject };
+    // The worker may have failed while the canvas was being copied
+    const current = getWorker();
+    if (!current) {
+      settle(conversion, handleConversionRequest(request));
+      return;
+    }
+    pending.set(request.id, conversion);
+    current.postMessage(request);
+  });
+}
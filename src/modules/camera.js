@@ -19,6 +19,12 @@ export class CameraManager {
   /** @type {((img: HTMLImageElement) => void) | null} */
   onImageCaptured;
 
+  /** @type {number} Width of captured photos in pixels, matching the printer */
+  captureWidth;
+
+  /** @type {number} Height of captured photos in pixels */
+  captureHeight;
+
   /**
    * @param {ModalManager} modalManager - The modal manager instance
    * @throws {Error} If camera video element not found or is not a video element
@@ -32,6 +38,8 @@ export class CameraManager {
     this.video = video;
     this.currentStream = null;
     this.onImageCaptured = null;
+    this.captureWidth = CANVAS_CONFIG.WIDTH;
+    this.captureHeight = CANVAS_CONFIG.CAPTURE_HEIGHT;
   }
 
   /**
@@ -167,16 +175,19 @@ export class CameraManager {
       throw new Error('Video not ready');
     }
 
+    const width = this.captureWidth;
+    const height = this.captureHeight;
+
     const tempCanvas = document.createElement('canvas');
-    tempCanvas.width = CANVAS_CONFIG.WIDTH;
-    tempCanvas.height = 400;
+    tempCanvas.width = width;
+    tempCanvas.height = height;
 
     const tempCtx = tempCanvas.getContext('2d');
     if (!tempCtx) {
       throw new Error('Could not get 2D context from canvas');
     }
 
-    const targetRatio = CANVAS_CONFIG.WIDTH / 400;
+    const targetRatio = width / height;
     const videoRatio = videoWidth / videoHeight;
 
     let sx, sy, sWidth, sHeight;
@@ -201,8 +212,8 @@ export class CameraManager {
       sHeight,
       0,
       0,
-      CANVAS_CONFIG.WIDTH,
-      400
+      width,
+      height
     );
 
     // Stop the camera stream
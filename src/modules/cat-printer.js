@@ -0,0 +1,211 @@
+import { CAT_PRINTER } from './constants.js';
+import { getPrintLevels } from './print-settings.js';
+
+/**
+ * @typedef {import('./constants.js').PrinterConfig} PrinterConfig
+ * @typedef {import('./print-settings.js').PrinterSettings} PrinterSettings
+ */
+
+/**
+ * One packet found in a cat printer byte stream
+ * @typedef {Object} CatPacket
+ * @property {number} offset - Position of the packet in the stream
+ * @property {number} command - CAT_PRINTER.COMMANDS value
+ * @property {Uint8Array} data - Payload between the length and the checksum
+ */
+
+const { COMMANDS } = CAT_PRINTER;
+
+// Magic (2), command, direction, length (2) before the data; checksum and end byte after
+const HEADER_BYTES = 6;
+const PACKET_OVERHEAD = HEADER_BYTES + 2;
+
+// Cat printers take the leftmost dot in the least significant bit, the
+// other way round from ESC/POS, so every image byte is mirrored
+const REVERSED_BITS = Uint8Array.from({ length: 256 }, (_, byte) => {
+  let reversed = 0;
+  for (let bit = 0; bit < 8; bit++) {
+    if (byte & (1 << bit)) reversed |= 0x80 >> bit;
+  }
+  return reversed;
+});
+
+/**
+ * CRC-8 (polynomial 0x07, no reflection) over a packet's data
+ * @param {ArrayLike<number>} data
+ * @returns {number}
+ */
+export function crc8(data) {
+  let crc = 0;
+  for (let i = 0; i < data.length; i++) {
+    crc ^= data[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+    }
+  }
+  return crc;
+}
+
+/**
+ * Frame a command as a packet
+ * @param {number} command - CAT_PRINTER.COMMANDS value
+ * @param {readonly number[]} data - Payload
+ * @returns {number[]}
+ */
+export function catPacket(command, data) {
+  return [
+    ...CAT_PRINTER.MAGIC,
+    command,
+    0x00, // Host to printer
+    data.length & 0xff,
+    (data.length >> 8) & 0xff,
+    ...data,
+    crc8(data),
+    CAT_PRINTER.END,
+  ];
+}
+
+/**
+ * Packet for one image row
+ * Rows narrower than the print head are centered, as ESC/POS printers do
+ * @param {ArrayLike<number>} row - Row bytes, leftmost dot in the MSB
+ * @param {number} bytesPerLine - Print head width in bytes
+ * @returns {number[]}
+ */
+export function encodeCatRow(row, bytesPerLine) {
+  const data = new Array(bytesPerLine).fill(0);
+  const left = Math.max(0, Math.floor((bytesPerLine - row.length) / 2));
+  for (let x = 0; x < row.length && left + x < bytesPerLine; x++) {
+    data[left + x] = REVERSED_BITS[row[x]];
+  }
+  return catPacket(COMMANDS.PRINT_ROW, data);
+}
+
+/**
+ * Turn a row packet's data back into row bytes, leftmost dot in the MSB
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+export function decodeCatRow(data) {
+  return data.map((byte) => REVERSED_BITS[byte]);
+}
+
+/**
+ * Bytes each image row takes on the wire
+ * @param {number} bytesPerLine - Print head width in bytes
+ * @returns {number}
+ */
+export function getCatRowSize(bytesPerLine) {
+  return PACKET_OVERHEAD + bytesPerLine;
+}
+
+/**
+ * Packets that start a print: quality, lattice start, energy and speed
+ * Energy and speed are the chosen density and speed levels, starting from
+ * the config's DEFAULT_LEVELS
+ * @param {PrinterConfig} config
+ * @param {PrinterSettings} [settings] - Density and speed for this print
+ * @returns {number[]}
+ */
+export function getCatHeader(config, settings = {}) {
+  const { density, speed } = getPrintLevels(config, settings);
+
+  const packets = [
+    catPacket(COMMANDS.SET_QUALITY, [CAT_PRINTER.QUALITY_200_DPI]),
+    catPacket(COMMANDS.LATTICE, CAT_PRINTER.LATTICE_START),
+  ];
+  if (density !== null) {
+    const energy = Math.min(density * CAT_PRINTER.ENERGY_PER_LEVEL, 0xffff);
+    packets.push(
+      catPacket(COMMANDS.SET_ENERGY, [energy & 0xff, energy >> 8]),
+      catPacket(COMMANDS.APPLY_ENERGY, [0x01])
+    );
+  }
+  if (speed !== null) {
+    packets.push(catPacket(COMMANDS.SET_SPEED, [speed * CAT_PRINTER.SPEED_PER_LEVEL]));
+  }
+  return packets.flat();
+}
+
+/**
+ * Packet that feeds blank paper
+ * @param {number} dots - Distance in dots (0-65535)
+ * @returns {number[]}
+ */
+export function getCatFeed(dots) {
+  return catPacket(COMMANDS.FEED, [dots & 0xff, (dots >> 8) & 0xff]);
+}
+
+/**
+ * Packets that end a print: feed the paper out, then lattice end
+ * @param {number} feedDots - Blank paper after the image, in dots
+ * @returns {number[]}
+ */
+export function getCatFooter(feedDots) {
+  return [...getCatFeed(feedDots), ...catPacket(COMMANDS.LATTICE, CAT_PRINTER.LATTICE_END)];
+}
+
+/**
+ * Packet asking the printer to report its state
+ * @returns {number[]}
+ */
+export function getCatStateRequest() {
+  return catPacket(COMMANDS.GET_STATE, [0x00]);
+}
+
+/**
+ * Split a cat printer byte stream into packets
+ * @param {Uint8Array} bytes - The raw stream
+ * @returns {CatPacket[]}
+ * @throws {Error} If the stream has bytes outside a packet, a bad checksum or ends inside a packet
+ */
+export function decodeCatPackets(bytes) {
+  /** @type {CatPacket[]} */
+  const packets = [];
+  let i = 0;
+
+  while (i < bytes.length) {
+    const offset = i;
+    if (bytes[i] !== CAT_PRINTER.MAGIC[0] || bytes[i + 1] !== CAT_PRINTER.MAGIC[1]) {
+      throw new Error(`Expected a packet at byte ${offset}`);
+    }
+    if (i + HEADER_BYTES > bytes.length) {
+      throw new Error(`Stream ends inside a packet at byte ${offset}`);
+    }
+
+    const length = bytes[i + 4] | (bytes[i + 5] << 8);
+    const end = i + HEADER_BYTES + length;
+    if (end + 2 > bytes.length) {
+      throw new Error(`Stream ends inside a packet at byte ${offset}`);
+    }
+
+    const data = bytes.slice(i + HEADER_BYTES, end);
+    if (bytes[end] !== crc8(data) || bytes[end + 1] !== CAT_PRINTER.END) {
+      throw new Error(`Bad checksum in packet at byte ${offset}`);
+    }
+
+    packets.push({ offset, command: bytes[i + 2], data });
+    i = end + 2;
+  }
+
+  return packets;
+}
+
+/**
+ * Look for a pause/resume request in a notification
+ * The printer asks for a pause when its buffer fills up
+ * @param {Uint8Array} bytes - Raw notification value
+ * @returns {boolean | null} True to pause, false to resume, null if it isn't one
+ */
+export function readCatFlowControl(bytes) {
+  for (let i = 0; i + HEADER_BYTES < bytes.length; i++) {
+    if (
+      bytes[i] === CAT_PRINTER.MAGIC[0] &&
+      bytes[i + 1] === CAT_PRINTER.MAGIC[1] &&
+      bytes[i + 2] === COMMANDS.FLOW
+    ) {
+      return bytes[i + HEADER_BYTES] === CAT_PRINTER.FLOW_PAUSE;
+    }
+  }
+  return null;
+}
@@ -1,9 +1,10 @@
 /**
+ * Vendor ESC/POS commands sent before each print; any can be left out
  * @typedef {Object} InitCommands
- * @property {readonly number[]} WAKE_PRINTER
- * @property {readonly number[]} SET_DENSITY
- * @property {readonly number[]} SET_LABEL_GAP
- * @property {readonly number[]} SET_PRINT_SPEED
+ * @property {readonly number[]} [WAKE_PRINTER]
+ * @property {readonly number[]} [SET_DENSITY] - Ends with the density level, filled in from the print options
+ * @property {readonly number[]} [SET_LABEL_GAP] - Ends with the gap length in dots (high, low), filled in from the media settings
+ * @property {readonly number[]} [SET_PRINT_SPEED] - Ends with the speed level, filled in from the print options
  */
 
 /**
@@ -17,16 +18,189 @@
  * @property {number} BYTES_PER_LINE
  * @property {number} MTU_SIZE
  * @property {number} LINES_PER_CHUNK
- * @property {InitCommands | null} INIT_COMMANDS
+ * @property {InitCommands | null} INIT_COMMANDS - ESC/POS only; other protocols use DEFAULT_LEVELS
+ * @property {StatusProtocol | null} STATUS_PROTOCOL - How to read notify packets (null = ignore them)
+ * @property {FlowTuning} [FLOW_CONTROL] - How fast the printer takes data (default: FLOW_CONFIG)
+ * @property {RasterMode} [RASTER_MODE] - Command used to send images (default: GS v 0)
+ * @property {PrinterProtocol} [PROTOCOL] - Command language the printer speaks (default: ESC/POS)
+ * @property {DefaultLevels} [DEFAULT_LEVELS] - Density and speed the PROTOCOL driver sends, on printers that don't speak ESC/POS
+ * @property {readonly string[]} [NAME_PREFIXES] - Only detect this config on devices whose name starts with one of these
+ * @property {readonly string[]} [DEVICE_NAMES] - Starts of the names the printer advertises, so the Bluetooth chooser lists it
+ * @property {boolean} [LABELS_ONLY] - Prints on die-cut labels only, never a continuous roll
+ * @property {number} [MAX_DENSITY] - Highest density level the printer takes (default: PRINT_LEVELS.MAX_DENSITY)
+ * @property {readonly ReceiptBlockType[]} [NATIVE_BLOCKS] - Receipt blocks printed with the printer's own commands (default: none, they are drawn as pictures)
+ * @property {boolean} [CUTTER] - Has a paper cutter that takes GS V
+ * @property {MediaCommands} [MEDIA_COMMANDS] - Paper sensor setup for ESC/POS prints (default: MEDIA_SENSOR_COMMANDS.ESC_POS)
  */
 
+/**
+ * Command that points the paper sensor at what is loaded, for each kind of paper
+ * Kinds left out get no command
+ * @typedef {{ readonly [type in typeof MEDIA_TYPES[keyof typeof MEDIA_TYPES]]?: readonly number[] }} MediaCommands
+ */
+
+/**
+ * Levels a printer prints at unless the print options pick others
+ * Left out means the driver doesn't send that setting
+ * @typedef {Object} DefaultLevels
+ * @property {number} [DENSITY]
+ * @property {number} [SPEED]
+ */
+
+/**
+ * @typedef {typeof RECEIPT_BLOCKS[keyof typeof RECEIPT_BLOCKS]} ReceiptBlockType
+ */
+
+/**
+ * @typedef {typeof RASTER_MODES[keyof typeof RASTER_MODES]} RasterMode
+ */
+
+/**
+ * @typedef {typeof PRINTER_PROTOCOLS[keyof typeof PRINTER_PROTOCOLS]} PrinterProtocol
+ */
+
+/**
+ * How fast a printer takes data, used to pace writes
+ * @typedef {Object} FlowTuning
+ * @property {number} BUFFER_BYTES - Bytes the printer can hold before it has to print them
+ * @property {number} BYTES_PER_SEC - How fast printing empties the buffer
+ * @property {boolean} XON_XOFF - Whether the printer sends XOFF/XON on notify when its buffer fills/empties
+ */
+
+/**
+ * @typedef {typeof STATUS_PROTOCOLS[keyof typeof STATUS_PROTOCOLS]} StatusProtocol
+ */
+
+// Formats printers use to report status on the notify characteristic
+export const STATUS_PROTOCOLS = /** @type {const} */ ({
+  // Phomemo 3-byte packets: [0x1a, type, value]
+  PHOMEMO: 'phomemo',
+  // ESC/POS Automatic Status Back (ASB), enabled with GS a n
+  ESCPOS_ASB: 'escpos-asb',
+  // Cat printer device state packets, see CAT_PRINTER
+  CAT: 'cat',
+});
+
+// Command languages printers speak
+export const PRINTER_PROTOCOLS = /** @type {const} */ ({
+  ESC_POS: 'escpos',
+  // Framed packets used by GB01/GB02/MX05 "cat" printers, see CAT_PRINTER
+  CAT: 'cat',
+  // Framed packets with replies used by Niimbot label makers, see NIIMBOT
+  NIIMBOT: 'niimbot',
+});
+
+/**
+ * ESC/POS commands for sending an image
+ * GS v 0 is the most common; older and cheaper printers may only know one
+ * of the others
+ */
+export const RASTER_MODES = /** @type {const} */ ({
+  // GS v 0 - Raster bit image, row by row
+  GS_V_0: 'gs-v-0',
+  // ESC * - Bit image in 24-dot bands, column by column
+  ESC_STAR: 'esc-star',
+  // GS ( L / GS 8 L - Store raster graphics, then print them
+  GS_L: 'gs-l',
+});
+
+// Kinds of content in a text receipt, see receipt.js
+// Printers list the ones they have ESC/POS commands for in NATIVE_BLOCKS
+export const RECEIPT_BLOCKS = /** @type {const} */ ({
+  TEXT: 'text',
+  QR: 'qr',
+  BARCODE: 'barcode',
+});
+
+// Ways the app can talk to a printer
+export const TRANSPORT_TYPES = /** @type {const} */ ({
+  BLUETOOTH: 'bluetooth',
+  SERIAL: 'serial',
+  USB: 'usb',
+  LOOPBACK: 'loopback',
+  // On-screen emulator that renders prints instead of using paper
+  VIRTUAL: 'virtual',
+});
+
+/**
+ * Web Serial settings, used for printers paired over classic Bluetooth (SPP)
+ * or plugged in with a USB-serial cable
+ */
+export const SERIAL_CONFIG = /** @type {const} */ ({
+  // SPP ignores the baud rate; USB-serial printers commonly default to 115200
+  BAUD_RATE: 115200,
+});
+
+/**
+ * WebUSB settings
+ */
+export const USB_CONFIG = /** @type {const} */ ({
+  // USB interface class for printers
+  PRINTER_CLASS: 0x07,
+});
+
+/**
+ * Kinds of paper the printer can be loaded with
+ * Gap and black mark rolls are die-cut labels the printer finds with its sensor
+ */
+export const MEDIA_TYPES = /** @type {const} */ ({
+  CONTINUOUS: 'continuous',
+  GAP: 'gap',
+  BLACK_MARK: 'black-mark',
+});
+
+/**
+ * Paper sensor commands for each command family
+ * Niimbot printers get the paper type in their print setup instead (see
+ * niimbot.js), and cat printers only print on continuous rolls
+ */
+export const MEDIA_SENSOR_COMMANDS = /** @type {const} */ ({
+  // FS ( L <Function 33> - Paper layout, which also picks the sensor:
+  // '1' = labels found by their gaps, '2' = labels with black marks.
+  // Continuous paper is the power-on default, and older printers print the
+  // bytes of commands they don't know, so nothing is sent for it
+  // https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/fs_lparen_cl_fn33.html
+  ESC_POS: {
+    [MEDIA_TYPES.GAP]: [0x1c, 0x28, 0x4c, 0x02, 0x00, 0x21, 0x31],
+    [MEDIA_TYPES.BLACK_MARK]: [0x1c, 0x28, 0x4c, 0x02, 0x00, 0x21, 0x32],
+  },
+  // Phomemo paper type: [0x1f, 0x11, type] - 0x0a = labels with gaps,
+  // 0x0b = continuous, 0x26 = labels with black marks
+  // Reference: https://github.com/vivier/phomemo-tools
+  PHOMEMO: {
+    [MEDIA_TYPES.CONTINUOUS]: [0x1f, 0x11, 0x0b],
+    [MEDIA_TYPES.GAP]: [0x1f, 0x11, 0x0a],
+    [MEDIA_TYPES.BLACK_MARK]: [0x1f, 0x11, 0x26],
+  },
+});
+
 // Printer model identifiers
 export const PRINTER_MODELS = /** @type {const} */ ({
   T02: 'T02',
   HB4057: 'HB-4057',
+  GENERIC_80MM: 'Generic-80mm',
+  GENERIC_104MM: 'Generic-104mm',
+  CAT: 'Cat-GB01',
+  NIIMBOT_D11: 'Niimbot-D11',
+  NIIMBOT_B21: 'Niimbot-B21',
   UNKNOWN: 'Unknown',
 });
 
+/**
+ * Pacing for printers without measured tuning
+ * None of the supported printers document their buffer size or print
+ * rate, so they share one cautious guess that the slowest of them keeps
+ * up with; pacing speeds up from there, and profiles can set measured values
+ */
+const DEFAULT_FLOW_TUNING = /** @type {const} */ ({
+  BUFFER_BYTES: 512,
+  BYTES_PER_SEC: 2000,
+  XON_XOFF: false,
+});
+
+// The same, for printers that ask for pauses with XOFF/XON
+const XON_XOFF_FLOW_TUNING = /** @type {const} */ ({ ...DEFAULT_FLOW_TUNING, XON_XOFF: true });
+
 /**
  * Unified printer configuration registry
  * Add new printer support by adding an entry here with its unique characteristics
@@ -35,6 +209,7 @@ export const PRINTER_CONFIGS = /** @type {const} */ ({
   [PRINTER_MODELS.T02]: {
     MODEL: PRINTER_MODELS.T02,
     NAME: 'Phomemo T02/M02',
+    DEVICE_NAMES: ['T02', 'M02'],
     SERVICE_UUID: '0000ff00-0000-1000-8000-00805f9b34fb',
     WRITE_CHAR_UUID: '0000ff02-0000-1000-8000-00805f9b34fb',
     NOTIFY_CHAR_UUID: '0000ff03-0000-1000-8000-00805f9b34fb',
@@ -65,6 +240,8 @@ export const PRINTER_CONFIGS = /** @type {const} */ ({
       // [0x1f, 0x11, 0x02, speed] - 0x04 = speed level 4
       SET_PRINT_SPEED: [0x1f, 0x11, 0x02, 0x04],
     },
+    MEDIA_COMMANDS: MEDIA_SENSOR_COMMANDS.PHOMEMO,
+    STATUS_PROTOCOL: STATUS_PROTOCOLS.PHOMEMO,
   },
   [PRINTER_MODELS.HB4057]: {
     MODEL: PRINTER_MODELS.HB4057,
@@ -80,6 +257,109 @@ export const PRINTER_CONFIGS = /** @type {const} */ ({
     LINES_PER_CHUNK: 8,
     // No special init commands for HB-4057
     INIT_COMMANDS: null,
+    STATUS_PROTOCOL: STATUS_PROTOCOLS.ESCPOS_ASB,
+    // The RN4870's transparent UART passes the printer's XON/XOFF through on notify
+    FLOW_CONTROL: XON_XOFF_FLOW_TUNING,
+  },
+  // Wide ESC/POS printers, picked by hand for USB/serial links
+  // No UUIDs, so Bluetooth detection skips them
+  [PRINTER_MODELS.GENERIC_80MM]: {
+    MODEL: PRINTER_MODELS.GENERIC_80MM,
+    NAME: 'Generic 80mm (576 dots)',
+    WIDTH: 576,
+    BYTES_PER_LINE: 72,
+    MTU_SIZE: 64,
+    LINES_PER_CHUNK: 8,
+    INIT_COMMANDS: null,
+    STATUS_PROTOCOL: null,
+    // Desktop ESC/POS printers signal a full buffer with XOFF
+    FLOW_CONTROL: XON_XOFF_FLOW_TUNING,
+    // Desktop ESC/POS printers have fonts, QR codes and barcodes built in
+    NATIVE_BLOCKS: [RECEIPT_BLOCKS.TEXT, RECEIPT_BLOCKS.QR, RECEIPT_BLOCKS.BARCODE],
+    CUTTER: true,
+  },
+  [PRINTER_MODELS.GENERIC_104MM]: {
+    MODEL: PRINTER_MODELS.GENERIC_104MM,
+    NAME: 'Generic 104mm (832 dots)',
+    WIDTH: 832,
+    BYTES_PER_LINE: 104,
+    MTU_SIZE: 64,
+    LINES_PER_CHUNK: 8,
+    INIT_COMMANDS: null,
+    STATUS_PROTOCOL: null,
+    // Desktop ESC/POS printers signal a full buffer with XOFF
+    FLOW_CONTROL: XON_XOFF_FLOW_TUNING,
+    // Desktop ESC/POS printers have fonts, QR codes and barcodes built in
+    NATIVE_BLOCKS: [RECEIPT_BLOCKS.TEXT, RECEIPT_BLOCKS.QR, RECEIPT_BLOCKS.BARCODE],
+    CUTTER: true,
+  },
+  // GB01, GB02, MX05 and other "cat" printers sold under many names
+  // They don't speak ESC/POS at all; see cat-printer.js
+  [PRINTER_MODELS.CAT]: {
+    MODEL: PRINTER_MODELS.CAT,
+    NAME: 'Cat Printer (GB01/GB02/MX05)',
+    PROTOCOL: PRINTER_PROTOCOLS.CAT,
+    DEVICE_NAMES: ['GB0', 'MX0'],
+    SERVICE_UUID: '0000ae30-0000-1000-8000-00805f9b34fb',
+    WRITE_CHAR_UUID: '0000ae01-0000-1000-8000-00805f9b34fb',
+    NOTIFY_CHAR_UUID: '0000ae02-0000-1000-8000-00805f9b34fb',
+    WIDTH: 384,
+    BYTES_PER_LINE: 48,
+    MTU_SIZE: 112, // Two row packets
+    LINES_PER_CHUNK: 8,
+    INIT_COMMANDS: null,
+    // Sent as energy and speed packets by cat-printer.js, scaled by
+    // CAT_PRINTER.ENERGY_PER_LEVEL and CAT_PRINTER.SPEED_PER_LEVEL
+    DEFAULT_LEVELS: {
+      DENSITY: 4,
+      SPEED: 4,
+    },
+    STATUS_PROTOCOL: STATUS_PROTOCOLS.CAT,
+  },
+  // Niimbot label makers share one service, so the model comes from the
+  // device name; other devices with that service fall through to generic ESC/POS
+  // They don't speak ESC/POS at all; see niimbot.js
+  [PRINTER_MODELS.NIIMBOT_D11]: {
+    MODEL: PRINTER_MODELS.NIIMBOT_D11,
+    NAME: 'Niimbot D11',
+    PROTOCOL: PRINTER_PROTOCOLS.NIIMBOT,
+    NAME_PREFIXES: ['D11', 'D110', 'D101'],
+    LABELS_ONLY: true,
+    SERVICE_UUID: 'e7810a71-73ae-499d-8c15-faa9aef0c3f2',
+    WRITE_CHAR_UUID: 'bef8d6c9-9c21-4c9e-b632-bd58c1009f9f',
+    // Replies come back on the same characteristic
+    NOTIFY_CHAR_UUID: 'bef8d6c9-9c21-4c9e-b632-bd58c1009f9f',
+    WIDTH: 96, // 12 mm print head
+    BYTES_PER_LINE: 12,
+    MTU_SIZE: 64,
+    LINES_PER_CHUNK: 8,
+    INIT_COMMANDS: null,
+    // Sent as a SET_LABEL_DENSITY packet by niimbot.js
+    DEFAULT_LEVELS: {
+      DENSITY: 2,
+    },
+    MAX_DENSITY: 3,
+    STATUS_PROTOCOL: null,
+  },
+  [PRINTER_MODELS.NIIMBOT_B21]: {
+    MODEL: PRINTER_MODELS.NIIMBOT_B21,
+    NAME: 'Niimbot B21',
+    PROTOCOL: PRINTER_PROTOCOLS.NIIMBOT,
+    NAME_PREFIXES: ['B21', 'B1', 'B3S'],
+    LABELS_ONLY: true,
+    SERVICE_UUID: 'e7810a71-73ae-499d-8c15-faa9aef0c3f2',
+    WRITE_CHAR_UUID: 'bef8d6c9-9c21-4c9e-b632-bd58c1009f9f',
+    NOTIFY_CHAR_UUID: 'bef8d6c9-9c21-4c9e-b632-bd58c1009f9f',
+    WIDTH: 384, // 48 mm print head
+    BYTES_PER_LINE: 48,
+    MTU_SIZE: 100,
+    LINES_PER_CHUNK: 8,
+    INIT_COMMANDS: null,
+    DEFAULT_LEVELS: {
+      DENSITY: 3,
+    },
+    MAX_DENSITY: 5,
+    STATUS_PROTOCOL: null,
   },
 });
 
@@ -98,6 +378,106 @@ export const DEFAULT_PRINTER_CONFIG = /** @type {const} */ ({
   MTU_SIZE: 64, // Conservative smaller chunks
   LINES_PER_CHUNK: 8,
   INIT_COMMANDS: null, // Only use standard ESC/POS, no vendor-specific commands
+  STATUS_PROTOCOL: null, // Unknown notify format, so notifications are ignored
+});
+
+/**
+ * Phomemo status notifications
+ * Each packet is [0x1a, type, value]; several may arrive in one notification
+ * Reference: https://github.com/vivier/phomemo-tools (observed on T02/M02)
+ */
+export const PHOMEMO_STATUS = /** @type {const} */ ({
+  PREFIX: 0x1a,
+  // [0x1a, 0x03, state] - 0xa9 = cover open, 0xa8 = cover closed
+  COVER: 0x03,
+  COVER_OPEN: 0xa9,
+  // [0x1a, 0x04, percent] - Battery level 0-100
+  BATTERY: 0x04,
+  // [0x1a, 0x06, state] - 0x88 = no paper, 0x89 = paper loaded
+  PAPER: 0x06,
+  PAPER_OUT: 0x88,
+  // [0x1a, 0x0a, state] - 0x88 = print head too hot, 0x89 = cooled down
+  TEMPERATURE: 0x0a,
+  OVERHEATED: 0x88,
+  // [0x1a, 0x0f, 0x0c] - Sent once the last line has been printed
+  PRINT_FINISHED: 0x0f,
+});
+
+/**
+ * Cat printer (GB01/GB02/MX05) protocol
+ * Every command is a packet: 0x51 0x78 cmd 0x00 lenL lenH [data] crc8(data) 0xff
+ * Reference: https://github.com/NaitLee/Cat-Printer
+ */
+export const CAT_PRINTER = /** @type {const} */ ({
+  MAGIC: [0x51, 0x78],
+  END: 0xff,
+  COMMANDS: {
+    FEED: 0xa1, // [dotsL, dotsH]
+    PRINT_ROW: 0xa2, // One row of 48 bytes, leftmost dot in the LSB
+    GET_STATE: 0xa3, // [0x00]; answered with a state packet
+    SET_QUALITY: 0xa4, // [quality]
+    LATTICE: 0xa6, // Start/end of a print
+    FLOW: 0xae, // Sent by the printer: [0x10] = pause, [0x00] = resume
+    SET_ENERGY: 0xaf, // [energyL, energyH]
+    SET_SPEED: 0xbd, // [speed]
+    APPLY_ENERGY: 0xbe, // [0x01]
+  },
+  QUALITY_200_DPI: 0x33,
+  LATTICE_START: [0xaa, 0x55, 0x17, 0x38, 0x44, 0x5f, 0x5f, 0x5f, 0x44, 0x38, 0x2c],
+  LATTICE_END: [0xaa, 0x55, 0x17, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x17],
+  // Density and speed levels (PRINT_LEVELS) are scaled to the printer's units
+  ENERGY_PER_LEVEL: 0x1000,
+  SPEED_PER_LEVEL: 8,
+  // Dots fed per line by feed(), matching ESC d on ESC/POS printers
+  LINE_DOTS: 30,
+  FLOW_PAUSE: 0x10,
+  // Bits of the state byte
+  STATE_PAPER_OUT: 0x01,
+  STATE_COVER_OPEN: 0x02,
+  STATE_OVERHEATED: 0x04,
+});
+
+/**
+ * Niimbot label printer protocol
+ * Every command is a packet: 0x55 0x55 cmd len [data] checksum 0xaa 0xaa,
+ * where the checksum is cmd XOR len XOR each data byte
+ * Most commands are answered with a packet whose code is the request's
+ * plus REPLY_OFFSETS (default 1)
+ * Reference: https://github.com/AndBondStyle/niimprint
+ */
+export const NIIMBOT = /** @type {const} */ ({
+  HEADER: [0x55, 0x55],
+  TRAILER: [0xaa, 0xaa],
+  COMMANDS: {
+    START_PRINT: 0x01, // [0x01]
+    START_PAGE: 0x03, // [0x01]
+    SET_DIMENSION: 0x13, // [rowsH, rowsL, colsH, colsL]
+    SET_LABEL_DENSITY: 0x21, // [level]
+    SET_LABEL_TYPE: 0x23, // [type]
+    EMPTY_ROWS: 0x84, // [yH, yL, count]
+    BITMAP_ROW: 0x85, // [yH, yL, 0, 0, 0, repeat, ...row]
+    GET_PRINT_STATUS: 0xa3, // [0x01]; answered with [pageH, pageL, progress, progress]
+    END_PAGE: 0xe3, // [0x01]; answered with [1] once the page is accepted
+    END_PRINT: 0xf3, // [0x01]
+    ERROR: 0xdb, // Sent by the printer when it rejects a command
+  },
+  // Reply code minus request code, where it isn't 1
+  REPLY_OFFSETS: {
+    [0x21]: 0x10,
+    [0x23]: 0x10,
+    [0xa3]: 0x10,
+  },
+  // SET_LABEL_TYPE values
+  LABEL_TYPES: {
+    GAP: 0x01,
+    BLACK_MARK: 0x02,
+    CONTINUOUS: 0x03,
+  },
+  // How long to wait for each reply before giving up
+  REPLY_TIMEOUT_MS: 3000,
+  // Polling for END_PAGE and GET_PRINT_STATUS while the label prints
+  STATUS_POLL_MS: 100,
+  MAX_STATUS_POLLS: 300,
 });
 
 // Standard ESC/POS command prefixes
@@ -106,11 +486,318 @@ export const COMMANDS = /** @type {const} */ ({
   GS: 0x1d,  // Group Separator - Graphics/advanced commands prefix
 });
 
+/**
+ * Flow control defaults and how pacing adapts while printing
+ *
+ * Writes are paced against an estimate of how full the printer's buffer is.
+ * The estimated print rate speeds up while writes go through smoothly and
+ * backs off when the printer pushes back: an acknowledged write that takes
+ * much longer than usual, or an XOFF on the notify characteristic.
+ */
+export const FLOW_CONFIG = /** @type {const} */ ({
+  // Used for printers whose config has no FLOW_CONTROL
+  DEFAULT_TUNING: DEFAULT_FLOW_TUNING,
+  // The estimated rate stays between these multiples of the tuned rate
+  MIN_RATE_FACTOR: 0.25,
+  MAX_RATE_FACTOR: 2,
+  // Rate multiplier each time the printer pushes back
+  BACKOFF_FACTOR: 0.7,
+  // Rate increase per write that goes through smoothly, as a share of the tuned rate
+  SPEEDUP_STEP: 0.01,
+  // A write is a stall if it takes this many times longer than usual...
+  STALL_FACTOR: 4,
+  // ...and at least this long
+  MIN_STALL_MS: 50,
+  // Carry on after an XOFF if no XON arrives in time
+  XOFF_TIMEOUT_MS: 5000,
+  // How long the printer takes to carry out a reset (ESC @) or another
+  // command before more data follows, at the tuned rate
+  RESET_SETTLE_MS: 200,
+  COMMAND_SETTLE_MS: 100,
+  // Software flow control bytes (DC1/DC3)
+  XON: 0x11,
+  XOFF: 0x13,
+});
+
+/**
+ * Automatic reconnect after the printer sleeps or drops the link
+ * Delays double after each failed attempt, up to MAX_DELAY_MS
+ */
+export const RECONNECT_CONFIG = /** @type {const} */ ({
+  MAX_ATTEMPTS: 5,
+  INITIAL_DELAY_MS: 1000,
+  MAX_DELAY_MS: 16000,
+});
+
+/**
+ * Retrying a chunk write that fails for a moment, e.g. on a busy Bluetooth link
+ * Delays double after each failed attempt. A write that takes longer than
+ * TIMEOUT_MS fails the print without a retry, since it may yet arrive.
+ */
+export const WRITE_RETRY_CONFIG = /** @type {const} */ ({
+  MAX_ATTEMPTS: 4,
+  INITIAL_DELAY_MS: 250,
+  TIMEOUT_MS: 10000,
+});
+
+/**
+ * Kinds of printer failure, see printer-errors.js
+ */
+export const PRINTER_ERRORS = /** @type {const} */ ({
+  NOT_CONNECTED: 'not-connected',
+  // A chunk still failed after retrying
+  WRITE_FAILED: 'write-failed',
+  PAPER_OUT: 'paper-out',
+  TIMEOUT: 'timeout',
+  // Connected, but nothing on it looks like a printer
+  UNSUPPORTED_DEVICE: 'unsupported-device',
+});
+
+/**
+ * Label media settings
+ * Thermal printers in this class print at 203 dpi, which is 8 dots per mm
+ */
+export const LABEL_CONFIG = /** @type {const} */ ({
+  DOTS_PER_MM: 8,
+  DEFAULT_GAP_MM: 3,
+  MAX_GAP_MM: 20,
+  MIN_SIZE_MM: 10,
+  MAX_HEIGHT_MM: 200,
+  // Common die-cut label sizes as [width, height] in mm
+  PRESETS: [
+    [30, 20],
+    [40, 30],
+    [40, 40],
+    [50, 30],
+    [50, 80],
+    [100, 150],
+  ],
+});
+
+// Print queue limits
+export const QUEUE_CONFIG = /** @type {const} */ ({
+  MAX_COPIES: 10,
+  // Blank lines fed between copies so they can be torn apart
+  SEPARATOR_FEED_LINES: 2,
+  // Finished jobs kept for the queue panel
+  HISTORY_LIMIT: 20,
+});
+
+// localStorage keys
+export const STORAGE_KEYS = /** @type {const} */ ({
+  // Bluetooth device id of the last printer, reconnected after a page reload
+  REMEMBERED_PRINTER: 'sticker-printer:remembered-printer',
+  // Printer profiles added in the profile editor or imported from JSON
+  PRINTER_PROFILES: 'sticker-printer:printer-profiles',
+  // Paper type and label size chosen in the paper settings
+  MEDIA_SETTINGS: 'sticker-printer:media-settings',
+  // Density and speed chosen in the print options, per printer model
+  PRINTER_SETTINGS: 'sticker-printer:printer-settings',
+  // Raster mode picked with the test print, per device name
+  RASTER_MODES: 'sticker-printer:raster-modes',
+  // Names given to printers in the printer pool, per device name
+  PRINTER_NAMES: 'sticker-printer:printer-names',
+});
+
+/**
+ * Ranges for the density and speed levels in the print options
+ * Only used on printers whose config has SET_DENSITY / SET_PRINT_SPEED;
+ * Phomemo takes density 0x00-0x0f, but 0 prints nothing useful
+ */
+export const PRINT_LEVELS = /** @type {const} */ ({
+  MIN_DENSITY: 1,
+  MAX_DENSITY: 15,
+  MIN_SPEED: 1,
+  MAX_SPEED: 5,
+});
+
+/**
+ * Limits for user-defined printer profiles
+ * Widths must be whole bytes; BLE writes need at least the 20-byte default MTU
+ */
+export const PROFILE_LIMITS = /** @type {const} */ ({
+  MIN_WIDTH: 8,
+  MAX_WIDTH: 832,
+  MIN_MTU: 20,
+  MAX_MTU: 512,
+  MAX_LINES_PER_CHUNK: 255,
+  // Optional FLOW_CONTROL tuning
+  MIN_BUFFER_BYTES: 64,
+  MAX_BUFFER_BYTES: 65536,
+  MIN_BYTES_PER_SEC: 100,
+  MAX_BYTES_PER_SEC: 1000000,
+  // Bumped if the export format changes
+  EXPORT_VERSION: 1,
+});
+
+/**
+ * Default canvas size, for a 384-dot (58mm) printer
+ * The canvas is resized to the connected printer's WIDTH, keeping these proportions
+ */
 export const CANVAS_CONFIG = /** @type {const} */ ({
   WIDTH: 384,
   HEIGHT: 500,
+  // Height of camera captures at the default width
+  CAPTURE_HEIGHT: 400,
+});
+
+/**
+ * Banner (long strip) layout
+ * Banners run along the paper, so their height is the print width
+ */
+export const BANNER_CONFIG = /** @type {const} */ ({
+  // Blank paper before, after and between banner parts (5mm)
+  MARGIN_DOTS: 40,
+  // Letter height as a share of the print width
+  TEXT_SCALE: 0.8,
+  FONT_FAMILY: 'Arial',
+  MAX_TEXT_LENGTH: 60,
+  // Rows rendered at a time; only this much of the banner is ever on a canvas
+  RENDER_ROWS: 256,
+  // Size of the on-screen preview relative to the print
+  PREVIEW_SCALE: 0.25,
 });
 
+/**
+ * Standard Bluetooth services many printers have next to their own
+ * Reference: https://www.bluetooth.com/specifications/assigned-numbers/
+ */
+export const STANDARD_GATT = /** @type {const} */ ({
+  BATTERY_SERVICE: '0000180f-0000-1000-8000-00805f9b34fb',
+  // One byte, 0-100 percent; most printers also notify on change
+  BATTERY_LEVEL: '00002a19-0000-1000-8000-00805f9b34fb',
+  DEVICE_INFO_SERVICE: '0000180a-0000-1000-8000-00805f9b34fb',
+  // Device Information strings, by the DeviceInfo field they fill
+  // Chrome blocks reading the serial number, so it only shows in other browsers
+  DEVICE_INFO: {
+    manufacturer: '00002a29-0000-1000-8000-00805f9b34fb',
+    model: '00002a24-0000-1000-8000-00805f9b34fb',
+    serial: '00002a25-0000-1000-8000-00805f9b34fb',
+    hardware: '00002a27-0000-1000-8000-00805f9b34fb',
+    firmware: '00002a26-0000-1000-8000-00805f9b34fb',
+  },
+});
+
+/**
+ * How the connected printer's configuration was found
+ * - KNOWN: a built-in model or saved profile matched the device
+ * - GENERIC: no match, so the first writable characteristic is used
+ * - MANUAL: picked when connecting over USB, serial or the virtual printer
+ */
+export const DETECTION_TIERS = /** @type {const} */ ({
+  KNOWN: 'known',
+  GENERIC: 'generic',
+  MANUAL: 'manual',
+});
+
+// Test patterns printed from the diagnostics screen
+export const CALIBRATION_PATTERNS = /** @type {const} */ ({
+  // Lines every millimetre, so stretching and skew are easy to measure
+  GRID: 'grid',
+  // Gray steps from white to black, to judge the density setting
+  GRADIENT: 'gradient',
+  // Lines on the first and last dots, to check nothing is cut off
+  EDGES: 'edges',
+});
+
+export const DIAGNOSTICS_CONFIG = /** @type {const} */ ({
+  // Newest traffic log entries kept
+  LOG_ENTRIES: 200,
+  // Bytes kept per log entry; longer writes are only counted
+  LOG_BYTES_PER_ENTRY: 32,
+  // Length of each calibration pattern in dots
+  PATTERN_HEIGHT: 160,
+  // Grid spacing: 8 dots is 1mm at 203 dpi, with a heavier line every 10mm
+  GRID_DOTS: 8,
+  GRID_MAJOR_DOTS: 80,
+  GRADIENT_STEPS: 8,
+  // Redraw the open diagnostics screen at most this often while bytes flow
+  RENDER_INTERVAL_MS: 250,
+});
+
+/**
+ * Printer pool settings
+ */
+export const POOL_CONFIG = /** @type {const} */ ({
+  // Longest name a printer can be given
+  MAX_NAME_LENGTH: 24,
+});
+
+// Where things sit across the paper: receipt lines, and pictures narrower than the print head
+export const ALIGNMENTS = /** @type {const} */ ({
+  LEFT: 'left',
+  CENTER: 'center',
+  RIGHT: 'right',
+});
+
+// What the cutter does after a print, on printers that have one
+export const CUT_MODES = /** @type {const} */ ({
+  NONE: 'none',
+  // Leaves a small bridge, so the sticker hangs on until torn off
+  PARTIAL: 'partial',
+  FULL: 'full',
+});
+
+/**
+ * Paper around a print, used where PrinterSettings leave it out
+ */
+export const PRINT_LAYOUT = /** @type {const} */ ({
+  // Lines fed before and after a print; ESC d takes up to 255
+  FEED_BEFORE: 0,
+  FEED_AFTER: 3,
+  MAX_FEED_LINES: 20,
+  ALIGN: ALIGNMENTS.CENTER,
+  CUT: CUT_MODES.NONE,
+  // printBitmap only trims when asked; the app asks unless it is turned off
+  TRIM_DRAWINGS: true,
+});
+
+// 1D barcodes receipts can hold
+export const BARCODE_FORMATS = /** @type {const} */ ({
+  // Any printable ASCII text
+  CODE128: 'code128',
+  // 13-digit product numbers
+  EAN13: 'ean13',
+});
+
+/**
+ * Text receipt layout
+ * Sizes match ESC/POS font A, so a receipt drawn as a picture comes out
+ * like the printer's own text
+ */
+export const RECEIPT_CONFIG = /** @type {const} */ ({
+  // Font A character cell in dots
+  CHAR_WIDTH: 12,
+  LINE_HEIGHT: 24,
+  // Largest character scale, GS ! takes up to 8
+  MAX_TEXT_SIZE: 4,
+  // Monospace font drawn so its characters are CHAR_WIDTH wide
+  FONT_SIZE: 20,
+  FONT_FAMILY: 'monospace',
+  MAX_TEXT_LENGTH: 500,
+  // QR module size in dots, GS ( k takes 1-16
+  QR_MODULE_DOTS: 6,
+  MAX_QR_MODULE_DOTS: 16,
+  // Barcode bar height and narrowest bar in dots
+  BARCODE_HEIGHT: 80,
+  BARCODE_MODULE_DOTS: 2,
+});
+
+/**
+ * Algorithms for reducing a grayscale image to the printer's 1-bit output
+ * Threshold suits line art; the others trade sharpness for recognizable photos
+ */
+export const DITHER_MODES = /** @type {const} */ ({
+  THRESHOLD: 'threshold',
+  FLOYD_STEINBERG: 'floyd-steinberg',
+  ATKINSON: 'atkinson',
+  BAYER_4X4: 'bayer-4x4',
+  BAYER_8X8: 'bayer-8x8',
+});
+
+// Brightness cutoff (0-255) below which a pixel prints black
+export const DEFAULT_THRESHOLD = 128;
+
 export const DRAWING_SIZES = /** @type {const} */ ({
   SMALL: 2,
   MEDIUM: 5,
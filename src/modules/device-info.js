@@ -0,0 +1,90 @@
+import { STANDARD_GATT } from './constants.js';
+
+/**
+ * What the printer says about itself in the Device Information service
+ * @typedef {Object} DeviceInfo
+ * @property {string | null} manufacturer
+ * @property {string | null} model - Model number, often more specific than the Bluetooth name
+ * @property {string | null} serial
+ * @property {string | null} hardware - Hardware revision
+ * @property {string | null} firmware - Firmware revision
+ */
+
+/**
+ * @typedef {keyof typeof STANDARD_GATT.DEVICE_INFO} DeviceInfoField
+ */
+
+/**
+ * Device info for a printer that hasn't said anything about itself
+ * @returns {DeviceInfo}
+ */
+export function createEmptyDeviceInfo() {
+  return {
+    manufacturer: null,
+    model: null,
+    serial: null,
+    hardware: null,
+    firmware: null,
+  };
+}
+
+/**
+ * Decode a Device Information string
+ * Some printers pad their strings with NUL bytes or spaces
+ * @param {DataView} value - Characteristic value
+ * @returns {string | null} Null if empty
+ */
+export function decodeInfoString(value) {
+  const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  const text = new TextDecoder().decode(bytes).replace(/\0+$/, '').trim();
+  return text || null;
+}
+
+/**
+ * Read a Battery Level value
+ * @param {DataView} value - Characteristic value
+ * @returns {number | null} Percent 0-100, null if the value is empty
+ */
+export function parseBatteryLevel(value) {
+  if (value.byteLength < 1) return null;
+  return Math.min(value.getUint8(0), 100);
+}
+
+/**
+ * Read every Device Information string the printer has
+ * Any that is missing or can't be read is left null
+ * @param {BluetoothRemoteGATTService[]} services - The printer's primary services
+ * @returns {Promise<DeviceInfo>}
+ */
+export async function readDeviceInfo(services) {
+  const info = createEmptyDeviceInfo();
+  const service = services.find((s) => s.uuid === STANDARD_GATT.DEVICE_INFO_SERVICE);
+  if (!service) return info;
+
+  for (const [field, uuid] of /** @type {[DeviceInfoField, string][]} */ (
+    Object.entries(STANDARD_GATT.DEVICE_INFO)
+  )) {
+    try {
+      const characteristic = await service.getCharacteristic(uuid);
+      info[field] = decodeInfoString(await characteristic.readValue());
+    } catch (e) {
+      // Not there, or blocked by the browser
+    }
+  }
+  return info;
+}
+
+/**
+ * Short description for the status bar, e.g. "M02 Pro · firmware 1.2.3 · serial A1B2"
+ * @param {DeviceInfo} info
+ * @returns {string} Empty if the printer said nothing about itself
+ */
+export function describeDeviceInfo(info) {
+  return [
+    info.model,
+    info.firmware && `firmware ${info.firmware}`,
+    info.serial && `serial ${info.serial}`,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+}
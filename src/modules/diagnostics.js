@@ -0,0 +1,241 @@
+import { CALIBRATION_PATTERNS, DIAGNOSTICS_CONFIG } from './constants.js';
+import { formatHexBytes } from './printer-profiles.js';
+
+/**
+ * @typedef {typeof CALIBRATION_PATTERNS[keyof typeof CALIBRATION_PATTERNS]} CalibrationPattern
+ * @typedef {import('./flow-control.js').FlowStats} FlowStats
+ */
+
+/**
+ * One write to the printer or notification from it
+ * @typedef {Object} TrafficEntry
+ * @property {'sent' | 'received'} direction
+ * @property {number} time - Timestamp (ms)
+ * @property {number} length - Bytes in the write or notification
+ * @property {Uint8Array} bytes - The first DIAGNOSTICS_CONFIG.LOG_BYTES_PER_ENTRY of them
+ */
+
+/**
+ * @typedef {Object} GattCharacteristicInfo
+ * @property {string} uuid
+ * @property {string[]} properties - Names of the properties it has, e.g. 'write', 'notify'
+ */
+
+/**
+ * @typedef {Object} GattServiceInfo
+ * @property {string} uuid
+ * @property {GattCharacteristicInfo[]} characteristics
+ * @property {string | null} error - Why the characteristics couldn't be listed, if they couldn't
+ */
+
+/**
+ * How fast a print went out, from the flow controller's counters
+ * @typedef {Object} ThroughputResult
+ * @property {number} bytes - Bytes sent
+ * @property {number} elapsedMs - The whole print, including setup pauses
+ * @property {number} writeMs - Time the link spent accepting writes
+ * @property {number} waitMs - Time spent waiting for room in the printer's buffer
+ * @property {number} stalls - Writes the link held back
+ * @property {number} xoffs - Pause requests from the printer
+ */
+
+// BluetoothCharacteristicProperties flags, in the order they are listed
+const GATT_PROPERTIES = /** @type {const} */ ([
+  'broadcast',
+  'read',
+  'write',
+  'writeWithoutResponse',
+  'notify',
+  'indicate',
+  'authenticatedSignedWrites',
+  'reliableWrite',
+  'writableAuxiliaries',
+]);
+
+/**
+ * Recent bytes sent to and received from the printer, for diagnostics
+ * Keeps the newest DIAGNOSTICS_CONFIG.LOG_ENTRIES entries, each cut to a
+ * few bytes, so it can stay on for every print
+ *
+ * @fires change - After each entry is added and when the log is cleared
+ */
+export class TrafficLog extends EventTarget {
+  /** @type {TrafficEntry[]} Oldest first */
+  entries;
+
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  /**
+   * @param {'sent' | 'received'} direction
+   * @param {Uint8Array} bytes - Copied, so the caller can reuse the buffer
+   * @returns {void}
+   */
+  record(direction, bytes) {
+    this.entries.push({
+      direction,
+      time: Date.now(),
+      length: bytes.length,
+      bytes: bytes.slice(0, DIAGNOSTICS_CONFIG.LOG_BYTES_PER_ENTRY),
+    });
+    if (this.entries.length > DIAGNOSTICS_CONFIG.LOG_ENTRIES) {
+      this.entries.shift();
+    }
+    this.dispatchEvent(new Event('change'));
+  }
+
+  /**
+   * @returns {void}
+   */
+  clear() {
+    this.entries = [];
+    this.dispatchEvent(new Event('change'));
+  }
+
+  /**
+   * The log as text, one entry per line
+   * @returns {string}
+   */
+  toText() {
+    return this.entries.map(formatTrafficEntry).join('\n');
+  }
+}
+
+/**
+ * One log line, e.g. "12:03:04.120 → 48 bytes: 1b 40 1b 61 01"
+ * @param {TrafficEntry} entry
+ * @returns {string}
+ */
+export function formatTrafficEntry(entry) {
+  const time = new Date(entry.time);
+  const clock = [time.getHours(), time.getMinutes(), time.getSeconds()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join(':');
+  const ms = String(time.getMilliseconds()).padStart(3, '0');
+  const arrow = entry.direction === 'sent' ? '→' : '←';
+  const more = entry.length > entry.bytes.length ? ' …' : '';
+  const unit = entry.length === 1 ? 'byte' : 'bytes';
+
+  return `${clock}.${ms} ${arrow} ${entry.length} ${unit}: ${formatHexBytes(Array.from(entry.bytes))}${more}`;
+}
+
+/**
+ * List the services and characteristics a Bluetooth printer offers
+ * The browser only shows services the app asked for when connecting.
+ * Services are read one at a time, since some printers drop the link
+ * when asked several things at once.
+ * @param {BluetoothRemoteGATTServer} server - Connected GATT server
+ * @returns {Promise<GattServiceInfo[]>}
+ */
+export async function describeGattServices(server) {
+  const services = await server.getPrimaryServices();
+  /** @type {GattServiceInfo[]} */
+  const described = [];
+
+  for (const service of services) {
+    try {
+      const characteristics = await service.getCharacteristics();
+      described.push({
+        uuid: service.uuid,
+        characteristics: characteristics.map((char) => ({
+          uuid: char.uuid,
+          properties: GATT_PROPERTIES.filter((name) => char.properties[name]),
+        })),
+        error: null,
+      });
+    } catch (error) {
+      described.push({
+        uuid: service.uuid,
+        characteristics: [],
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+
+  return described;
+}
+
+/**
+ * Throughput of a print, from the flow controller's counters before and after
+ * @param {FlowStats} before - Copy of the counters taken before the print
+ * @param {FlowStats} after - Counters after the print
+ * @param {number} elapsedMs - How long the whole print took
+ * @returns {ThroughputResult}
+ */
+export function measureThroughput(before, after, elapsedMs) {
+  return {
+    bytes: after.bytesSent - before.bytesSent,
+    elapsedMs,
+    writeMs: after.writeMs - before.writeMs,
+    waitMs: after.waitMs - before.waitMs,
+    stalls: after.stalls - before.stalls,
+    xoffs: after.xoffs - before.xoffs,
+  };
+}
+
+/**
+ * Draw a calibration pattern as wide as the print head
+ * @param {CalibrationPattern} pattern
+ * @param {number} width - Print width in dots
+ * @returns {HTMLCanvasElement}
+ * @throws {Error} If 2D context cannot be obtained from canvas
+ */
+export function createCalibrationCanvas(pattern, width) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = DIAGNOSTICS_CONFIG.PATTERN_HEIGHT;
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Could not get 2D context from canvas');
+  }
+
+  const height = canvas.height;
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = 'black';
+
+  switch (pattern) {
+    case CALIBRATION_PATTERNS.GRID: {
+      const { GRID_DOTS, GRID_MAJOR_DOTS } = DIAGNOSTICS_CONFIG;
+      for (let x = 0; x < width; x += GRID_DOTS) {
+        ctx.fillRect(x, 0, x % GRID_MAJOR_DOTS === 0 ? 3 : 1, height);
+      }
+      for (let y = 0; y < height; y += GRID_DOTS) {
+        ctx.fillRect(0, y, width, y % GRID_MAJOR_DOTS === 0 ? 3 : 1);
+      }
+      break;
+    }
+
+    case CALIBRATION_PATTERNS.GRADIENT: {
+      // Steps across the paper, white on the left to black on the right
+      const steps = DIAGNOSTICS_CONFIG.GRADIENT_STEPS;
+      for (let step = 0; step < steps; step++) {
+        const level = Math.round(255 * (1 - step / (steps - 1)));
+        const hex = level.toString(16).padStart(2, '0');
+        ctx.fillStyle = `#${hex}${hex}${hex}`;
+        const x = Math.round((step * width) / steps);
+        ctx.fillRect(x, 0, Math.round(((step + 1) * width) / steps) - x, height);
+      }
+      break;
+    }
+
+    case CALIBRATION_PATTERNS.EDGES:
+      // The outermost dot on each side, then lines 1mm and 2mm in, and the center
+      for (const inset of [0, 8, 16]) {
+        ctx.fillRect(inset, 0, 1, height);
+        ctx.fillRect(width - 1 - inset, 0, 1, height);
+      }
+      ctx.fillRect(Math.floor(width / 2), 0, 1, height);
+      ctx.fillRect(0, 0, width, 1);
+      ctx.fillRect(0, height - 1, width, 1);
+      break;
+
+    default:
+      throw new Error(`Unknown calibration pattern: ${pattern}`);
+  }
+
+  return canvas;
+}
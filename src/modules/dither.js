@@ -0,0 +1,216 @@
+import { DITHER_MODES, DEFAULT_THRESHOLD } from './constants.js';
+
+/**
+ * @typedef {typeof DITHER_MODES[keyof typeof DITHER_MODES]} DitherMode
+ */
+
+/**
+ * Ordered dithering matrices (Bayer)
+ * Each cell is the rank at which that pixel turns black as the image gets darker
+ */
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+const BAYER_8X8 = [
+  [0, 32, 8, 40, 2, 34, 10, 42],
+  [48, 16, 56, 24, 50, 18, 58, 26],
+  [12, 44, 4, 36, 14, 46, 6, 38],
+  [60, 28, 52, 20, 62, 30, 54, 22],
+  [3, 35, 11, 43, 1, 33, 9, 41],
+  [51, 19, 59, 27, 49, 17, 57, 25],
+  [15, 47, 7, 39, 13, 45, 5, 37],
+  [63, 31, 55, 23, 61, 29, 53, 21],
+];
+
+/**
+ * Error diffusion kernels as [dx, dy, weight] triples
+ * Floyd–Steinberg spreads all of the error; Atkinson only 6/8 of it,
+ * which keeps highlights clean and contrast high on thermal paper
+ */
+/** @type {ReadonlyArray<readonly [number, number, number]>} */
+const FLOYD_STEINBERG_KERNEL = [
+  [1, 0, 7 / 16],
+  [-1, 1, 3 / 16],
+  [0, 1, 5 / 16],
+  [1, 1, 1 / 16],
+];
+
+/** @type {ReadonlyArray<readonly [number, number, number]>} */
+const ATKINSON_KERNEL = [
+  [1, 0, 1 / 8],
+  [2, 0, 1 / 8],
+  [-1, 1, 1 / 8],
+  [0, 1, 1 / 8],
+  [1, 1, 1 / 8],
+  [0, 2, 1 / 8],
+];
+
+// Rows below a pixel that the kernels push error onto (Atkinson reaches two)
+const DIFFUSION_ROWS = 2;
+
+/**
+ * Room for the error that diffusion pushes past the bottom of a picture,
+ * so the picture under it can carry on without a seam
+ * @param {number} width - Picture width in pixels
+ * @returns {Float32Array} No error yet
+ */
+export function createDiffusionError(width) {
+  return new Float32Array(DIFFUSION_ROWS * width);
+}
+
+/**
+ * Convert RGBA pixel data to perceived brightness per pixel
+ * Uses the standard luminance formula - human eyes are more sensitive
+ * to green, less to blue
+ * @param {Uint8ClampedArray} data - RGBA pixel data [r, g, b, a, ...]
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Float32Array} Brightness 0-255 for each pixel, row by row
+ */
+export function toLuminance(data, width, height) {
+  const luminance = new Float32Array(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    const idx = i * 4;
+    if (idx + 3 < data.length) {
+      luminance[i] = data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114;
+    } else {
+      // Missing pixels print as paper
+      luminance[i] = 255;
+    }
+  }
+  return luminance;
+}
+
+/**
+ * Reduce a brightness map to black/white dots
+ *
+ * The threshold is the cutoff for plain threshold mode. For the other modes it
+ * acts as a brightness bias: raising it above the default darkens the output.
+ * A picture dithered in blocks comes out the same as in one pass when each
+ * block gets the carry the block above left behind.
+ *
+ * @param {Float32Array} luminance - Brightness 0-255 per pixel (from toLuminance)
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {DitherMode} [mode] - Dithering algorithm
+ * @param {number} [threshold] - Brightness cutoff 0-255
+ * @param {Float32Array} [carry] - Error from the block above (from createDiffusionError), replaced with the error for the block below; error diffusion only
+ * @returns {Uint8Array} 1 for each pixel that should print black, 0 for white
+ * @throws {Error} If the dithering mode is unknown
+ */
+export function dither(
+  luminance,
+  width,
+  height,
+  mode = DITHER_MODES.THRESHOLD,
+  threshold = DEFAULT_THRESHOLD,
+  carry
+) {
+  switch (mode) {
+    case DITHER_MODES.THRESHOLD:
+      return thresholdDither(luminance, threshold);
+    case DITHER_MODES.FLOYD_STEINBERG:
+      return errorDiffusionDither(
+        luminance,
+        width,
+        height,
+        threshold,
+        FLOYD_STEINBERG_KERNEL,
+        carry
+      );
+    case DITHER_MODES.ATKINSON:
+      return errorDiffusionDither(luminance, width, height, threshold, ATKINSON_KERNEL, carry);
+    case DITHER_MODES.BAYER_4X4:
+      return orderedDither(luminance, width, height, threshold, BAYER_4X4);
+    case DITHER_MODES.BAYER_8X8:
+      return orderedDither(luminance, width, height, threshold, BAYER_8X8);
+    default:
+      throw new Error(`Unknown dithering mode: ${mode}`);
+  }
+}
+
+/**
+ * Plain threshold: every pixel darker than the cutoff prints black
+ * @param {Float32Array} luminance
+ * @param {number} threshold
+ * @returns {Uint8Array}
+ */
+function thresholdDither(luminance, threshold) {
+  const ink = new Uint8Array(luminance.length);
+  for (let i = 0; i < luminance.length; i++) {
+    ink[i] = luminance[i] < threshold ? 1 : 0;
+  }
+  return ink;
+}
+
+/**
+ * Error diffusion: push each pixel's rounding error onto its unvisited neighbours
+ * @param {Float32Array} luminance
+ * @param {number} width
+ * @param {number} height
+ * @param {number} threshold
+ * @param {ReadonlyArray<readonly [number, number, number]>} kernel
+ * @param {Float32Array} [carry] - Error from the block above, replaced with the error for the block below
+ * @returns {Uint8Array}
+ */
+function errorDiffusionDither(luminance, width, height, threshold, kernel, carry) {
+  // Error is kept apart from the brightness, and summed in the same order
+  // whether or not the picture is split into blocks. Rows past the bottom
+  // collect what is carried on to the next block.
+  const errors = new Float32Array((height + DIFFUSION_ROWS) * width);
+  if (carry) {
+    errors.set(carry);
+  }
+  const ink = new Uint8Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const old = luminance[i] + errors[i];
+      const black = old < threshold;
+      ink[i] = black ? 1 : 0;
+
+      const error = old - (black ? 0 : 255);
+      for (const [dx, dy, weight] of kernel) {
+        const nx = x + dx;
+        if (nx >= 0 && nx < width) {
+          errors[(y + dy) * width + nx] += error * weight;
+        }
+      }
+    }
+  }
+
+  carry?.set(errors.subarray(height * width));
+  return ink;
+}
+
+/**
+ * Ordered dithering: compare each pixel against a tiled Bayer matrix
+ * @param {Float32Array} luminance
+ * @param {number} width
+ * @param {number} height
+ * @param {number} threshold
+ * @param {number[][]} matrix
+ * @returns {Uint8Array}
+ */
+function orderedDither(luminance, width, height, threshold, matrix) {
+  const size = matrix.length;
+  const levels = size * size;
+  const bias = threshold - DEFAULT_THRESHOLD;
+  const ink = new Uint8Array(luminance.length);
+
+  for (let y = 0; y < height; y++) {
+    const matrixRow = matrix[y % size];
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const cutoff = ((matrixRow[x % size] + 0.5) / levels) * 255 + bias;
+      ink[i] = luminance[i] < cutoff ? 1 : 0;
+    }
+  }
+
+  return ink;
+}
@@ -33,6 +33,9 @@ export class DrawingManager {
   /** @type {((text: string) => void) | undefined} */
   onTextEntered;
 
+  /** @type {(() => void) | undefined} Called after anything is drawn, cleared or resized */
+  onChange;
+
   /**
    * @param {HTMLCanvasElement} canvas - The canvas element to draw on
    * @throws {Error} If 2D context cannot be obtained from canvas
@@ -65,6 +68,39 @@ export class DrawingManager {
     this.clearCanvas();
   }
 
+  /**
+   * Resize the canvas to a printer's width, keeping the drawing
+   * The height keeps the default canvas proportions
+   * @param {number} width - Print width in dots
+   * @returns {void}
+   */
+  setWidth(width) {
+    this.resize(width, Math.round((width * CANVAS_CONFIG.HEIGHT) / CANVAS_CONFIG.WIDTH));
+  }
+
+  /**
+   * Resize the canvas, e.g. to a label, stretching the drawing to fit
+   * @param {number} width - Width in dots
+   * @param {number} height - Height in dots
+   * @returns {void}
+   */
+  resize(width, height) {
+    if (width === this.canvas.width && height === this.canvas.height) return;
+
+    const snapshot = document.createElement('canvas');
+    snapshot.width = this.canvas.width;
+    snapshot.height = this.canvas.height;
+    snapshot.getContext('2d')?.drawImage(this.canvas, 0, 0);
+
+    this.canvas.width = width;
+    this.canvas.height = height;
+    // Show the canvas in its new shape; the stylesheet assumes the default size
+    this.canvas.style.aspectRatio = `${width} / ${height}`;
+    this.clearCanvas();
+    this.ctx.drawImage(snapshot, 0, 0, width, height);
+    this.onChange?.();
+  }
+
   /**
    * Set up mouse and touch event listeners for drawing
    * @returns {void}
@@ -111,9 +147,9 @@ export class DrawingManager {
    */
   startDrawing(e) {
     this.isDrawing = true;
-    const rect = this.canvas.getBoundingClientRect();
-    this.lastX = e.clientX - rect.left;
-    this.lastY = e.clientY - rect.top;
+    const { x, y } = this.toCanvasPoint(e);
+    this.lastX = x;
+    this.lastY = y;
   }
 
   /**
@@ -124,9 +160,7 @@ export class DrawingManager {
   draw(e) {
     if (!this.isDrawing) return;
 
-    const rect = this.canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
+    const { x, y } = this.toCanvasPoint(e);
 
     this.ctx.strokeStyle = this.currentColor;
     this.ctx.lineWidth = this.currentSize;
@@ -139,6 +173,24 @@ export class DrawingManager {
 
     this.lastX = x;
     this.lastY = y;
+    this.onChange?.();
+  }
+
+  /**
+   * Convert a pointer position to canvas pixels
+   * The canvas is shown at a fixed size on screen, so wide printers
+   * have more canvas pixels than screen pixels
+   * @param {MouseEvent} e - The mouse event
+   * @returns {{ x: number, y: number }}
+   */
+  toCanvasPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const scaleX = rect.width ? this.canvas.width / rect.width : 1;
+    const scaleY = rect.height ? this.canvas.height / rect.height : 1;
+    return {
+      x: (e.clientX - rect.left) * scaleX,
+      y: (e.clientY - rect.top) * scaleY,
+    };
   }
 
   /**
@@ -174,6 +226,7 @@ export class DrawingManager {
   clearCanvas() {
     this.ctx.fillStyle = 'white';
     this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    this.onChange?.();
   }
 
   /**
@@ -193,6 +246,7 @@ export class DrawingManager {
     this.ctx.fillText(text, x, y);
 
     this.textCount++;
+    this.onChange?.();
   }
 
   /**
@@ -214,6 +268,7 @@ export class DrawingManager {
     const y = (this.canvas.height - scaledHeight) / 2;
 
     this.ctx.drawImage(img, x, y, scaledWidth, scaledHeight);
+    this.onChange?.();
   }
 
   /**
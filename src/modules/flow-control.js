@@ -0,0 +1,245 @@
+import { FLOW_CONFIG } from './constants.js';
+
+/**
+ * @typedef {import('./constants.js').FlowTuning} FlowTuning
+ */
+
+/**
+ * Counters for how pacing went, for diagnostics
+ * @typedef {Object} FlowStats
+ * @property {number} bytesSent - Bytes written since the controller was created
+ * @property {number} writeMs - Time the link spent accepting those bytes
+ * @property {number} waitMs - Time spent waiting for room in the printer's buffer
+ * @property {number} stalls - Acknowledged writes that took much longer than usual
+ * @property {number} xoffs - XOFF notifications or other pause requests received
+ */
+
+/**
+ * Sleep/wait for the specified number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Paces writes so the printer's buffer never overruns
+ *
+ * Keeps an estimate of how many bytes are waiting in the printer: each
+ * write adds to it and printing drains it at the estimated rate. Writes
+ * wait only when the next chunk wouldn't fit, so short prints go out in
+ * one burst and long ones settle at the speed the printer prints at.
+ *
+ * The estimated rate adapts to what the link reports:
+ * - an acknowledged write that stalls means the buffer is full, so the
+ *   estimate is corrected and the rate backs off
+ * - XOFF on the notify characteristic pauses writing until XON (printers
+ *   with their own pause packets call pause() and resume() instead)
+ * - writes that go through smoothly nudge the rate back up
+ */
+export class FlowController {
+  /** @type {FlowTuning} */
+  tuning;
+
+  /** @type {number} Estimated bytes waiting in the printer's buffer */
+  level;
+
+  /** @type {number} Estimated print rate in bytes per ms */
+  rate;
+
+  /** @type {boolean} True between an XOFF and the next XON */
+  paused;
+
+  /** @type {FlowStats} */
+  stats;
+
+  /** @type {number} Usual acknowledgement time per byte, in ms (0 until measured) */
+  _msPerByte;
+
+  /** @type {number} Timestamp (ms) the level was last drained to */
+  _drainedAt;
+
+  /** @type {(() => void)[]} Writes waiting for XON */
+  _resumeWaiters;
+
+  /**
+   * @param {FlowTuning} [tuning] - Printer buffer size and print rate
+   */
+  constructor(tuning = FLOW_CONFIG.DEFAULT_TUNING) {
+    this.tuning = tuning;
+    this.level = 0;
+    this.rate = tuning.BYTES_PER_SEC / 1000;
+    this.paused = false;
+    this.stats = { bytesSent: 0, writeMs: 0, waitMs: 0, stalls: 0, xoffs: 0 };
+    this._msPerByte = 0;
+    this._drainedAt = Date.now();
+    this._resumeWaiters = [];
+  }
+
+  /**
+   * Wait until the printer has room for a chunk
+   * @param {number} size - Bytes about to be written
+   * @returns {Promise<void>}
+   */
+  async waitForRoom(size) {
+    const startedAt = Date.now();
+
+    await this._waitForResume();
+
+    this._drain();
+    // A chunk bigger than the whole buffer only has to wait for it to empty
+    const excess = this.level + Math.min(size, this.tuning.BUFFER_BYTES) - this.tuning.BUFFER_BYTES;
+    if (excess > 0) {
+      await sleep(Math.ceil(excess / this.rate));
+      this._drain();
+    }
+
+    this.stats.waitMs += Date.now() - startedAt;
+  }
+
+  /**
+   * Hold writes while the printer carries out a command, such as a reset
+   * Scaled like the print rate: longer once the printer has pushed back,
+   * shorter while it keeps up. An XOFF holds it until XON.
+   * @param {number} ms - How long the command takes at the tuned rate
+   * @returns {Promise<void>}
+   */
+  async settle(ms) {
+    const startedAt = Date.now();
+    await this._waitForResume();
+    await sleep(Math.ceil((ms * this.tuning.BYTES_PER_SEC) / 1000 / this.rate));
+    this.stats.waitMs += Date.now() - startedAt;
+  }
+
+  /**
+   * Account for a finished write
+   * @param {number} size - Bytes written
+   * @param {number} elapsedMs - How long the transport took to accept them
+   * @returns {void}
+   */
+  recordWrite(size, elapsedMs) {
+    this._drain();
+    this.level += size;
+    this.stats.bytesSent += size;
+    this.stats.writeMs += elapsedMs;
+
+    const msPerByte = elapsedMs / size;
+    const stalled =
+      this._msPerByte > 0 &&
+      elapsedMs >= FLOW_CONFIG.MIN_STALL_MS &&
+      msPerByte > this._msPerByte * FLOW_CONFIG.STALL_FACTOR;
+
+    if (stalled) {
+      // The link held the write back until the printer had room
+      this.stats.stalls++;
+      this.level = this.tuning.BUFFER_BYTES;
+      this._backOff();
+      return;
+    }
+
+    // Running average of the acknowledgement time, ignoring stalls
+    this._msPerByte = this._msPerByte > 0 ? this._msPerByte * 0.8 + msPerByte * 0.2 : msPerByte;
+    this._setRate(this.rate + (this.tuning.BYTES_PER_SEC / 1000) * FLOW_CONFIG.SPEEDUP_STEP);
+  }
+
+  /**
+   * Look for XON/XOFF in a notification
+   * @param {DataView | Uint8Array} bytes - Notification payload
+   * @returns {boolean} True if it was a flow control byte and needs no further parsing
+   */
+  handleNotification(bytes) {
+    if (!this.tuning.XON_XOFF || bytes.byteLength !== 1) return false;
+
+    const byte = bytes instanceof DataView ? bytes.getUint8(0) : bytes[0];
+    if (byte === FLOW_CONFIG.XOFF) {
+      this.pause();
+      return true;
+    }
+    if (byte === FLOW_CONFIG.XON) {
+      this.resume();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Stop writing until resume(), because the printer's buffer is full
+   * @returns {void}
+   */
+  pause() {
+    this.stats.xoffs++;
+    this.paused = true;
+    this.level = this.tuning.BUFFER_BYTES;
+    this._backOff();
+  }
+
+  /**
+   * Print rate the controller has settled on, in bytes per second
+   * @returns {number}
+   */
+  getBytesPerSecond() {
+    return Math.round(this.rate * 1000);
+  }
+
+  /**
+   * Let writes waiting for XON carry on
+   * @returns {void}
+   */
+  resume() {
+    this.paused = false;
+    this._drain();
+    this.level = Math.min(this.level, this.tuning.BUFFER_BYTES / 2);
+    const waiters = this._resumeWaiters;
+    this._resumeWaiters = [];
+    waiters.forEach((resume) => resume());
+  }
+
+  /**
+   * Wait for XON after an XOFF
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _waitForResume() {
+    if (!this.paused) return;
+
+    // Don't hang forever if the XON gets lost
+    await Promise.race([
+      new Promise((resolve) => this._resumeWaiters.push(() => resolve(undefined))),
+      sleep(FLOW_CONFIG.XOFF_TIMEOUT_MS),
+    ]);
+    this.resume();
+  }
+
+  /**
+   * Remove what the printer has printed since the last call
+   * @returns {void}
+   * @private
+   */
+  _drain() {
+    const now = Date.now();
+    this.level = Math.max(0, this.level - (now - this._drainedAt) * this.rate);
+    this._drainedAt = now;
+  }
+
+  /**
+   * @returns {void}
+   * @private
+   */
+  _backOff() {
+    this._setRate(this.rate * FLOW_CONFIG.BACKOFF_FACTOR);
+  }
+
+  /**
+   * @param {number} rate - Bytes per ms, kept within the configured factors of the tuned rate
+   * @returns {void}
+   * @private
+   */
+  _setRate(rate) {
+    const tuned = this.tuning.BYTES_PER_SEC / 1000;
+    this.rate = Math.min(
+      Math.max(rate, tuned * FLOW_CONFIG.MIN_RATE_FACTOR),
+      tuned * FLOW_CONFIG.MAX_RATE_FACTOR
+    );
+  }
+}
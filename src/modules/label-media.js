@@ -0,0 +1,163 @@
+import {
+  MEDIA_TYPES,
+  LABEL_CONFIG,
+  CANVAS_CONFIG,
+  COMMANDS,
+  STORAGE_KEYS,
+  MEDIA_SENSOR_COMMANDS,
+} from './constants.js';
+
+/**
+ * @typedef {typeof MEDIA_TYPES[keyof typeof MEDIA_TYPES]} MediaType
+ * @typedef {import('./constants.js').PrinterConfig} PrinterConfig
+ * @typedef {import('./constants.js').MediaCommands} MediaCommands
+ */
+
+/**
+ * What is loaded in the printer
+ * @typedef {Object} MediaSettings
+ * @property {MediaType} type - Continuous roll or die-cut labels
+ * @property {number} widthMm - Label width (labels only)
+ * @property {number} heightMm - Label height, along the paper (labels only)
+ * @property {number} gapMm - Gap or black mark length between labels (labels only)
+ */
+
+/**
+ * Settings before the user has picked any: a plain roll, with a common
+ * label size ready for when they switch to labels
+ * @returns {MediaSettings}
+ */
+export function createDefaultMedia() {
+  return {
+    type: MEDIA_TYPES.CONTINUOUS,
+    widthMm: 40,
+    heightMm: 30,
+    gapMm: LABEL_CONFIG.DEFAULT_GAP_MM,
+  };
+}
+
+/**
+ * Fix up settings from a form or storage
+ * Unknown types fall back to continuous and sizes are clamped to what
+ * the printer can handle, so bad input never blocks printing
+ * @param {Partial<MediaSettings> | null | undefined} input
+ * @returns {MediaSettings}
+ */
+export function normalizeMedia(input) {
+  const defaults = createDefaultMedia();
+  const types = /** @type {unknown[]} */ (Object.values(MEDIA_TYPES));
+
+  /**
+   * @param {unknown} value
+   * @param {number} fallback
+   * @param {number} min
+   * @param {number} max
+   */
+  const clamp = (value, fallback, min, max) =>
+    typeof value === 'number' && Number.isFinite(value)
+      ? Math.min(Math.max(value, min), max)
+      : fallback;
+
+  return {
+    type: types.includes(input?.type) ? /** @type {MediaType} */ (input?.type) : defaults.type,
+    widthMm: clamp(input?.widthMm, defaults.widthMm, LABEL_CONFIG.MIN_SIZE_MM, Infinity),
+    heightMm: clamp(
+      input?.heightMm,
+      defaults.heightMm,
+      LABEL_CONFIG.MIN_SIZE_MM,
+      LABEL_CONFIG.MAX_HEIGHT_MM
+    ),
+    gapMm: clamp(input?.gapMm, defaults.gapMm, 0, LABEL_CONFIG.MAX_GAP_MM),
+  };
+}
+
+/**
+ * @param {MediaSettings} media
+ * @returns {boolean} True for die-cut labels, false for a continuous roll
+ */
+export function isLabelMedia(media) {
+  return media.type !== MEDIA_TYPES.CONTINUOUS;
+}
+
+/**
+ * Read the saved media settings
+ * @returns {MediaSettings}
+ */
+export function loadMediaSettings() {
+  try {
+    return normalizeMedia(JSON.parse(localStorage.getItem(STORAGE_KEYS.MEDIA_SETTINGS) ?? 'null'));
+  } catch (error) {
+    return createDefaultMedia();
+  }
+}
+
+/**
+ * @param {MediaSettings} media
+ * @returns {void}
+ */
+export function saveMediaSettings(media) {
+  localStorage.setItem(STORAGE_KEYS.MEDIA_SETTINGS, JSON.stringify(media));
+}
+
+/**
+ * Canvas size for the loaded paper
+ * A continuous roll gets the full print width in the default proportions;
+ * a label gets its own size, no wider than the print head
+ * @param {MediaSettings} media - What is loaded in the printer
+ * @param {number} printerWidth - Print width in dots
+ * @returns {{ width: number, height: number }} Size in dots
+ */
+export function getCanvasSize(media, printerWidth) {
+  if (!isLabelMedia(media)) {
+    return {
+      width: printerWidth,
+      height: Math.round((printerWidth * CANVAS_CONFIG.HEIGHT) / CANVAS_CONFIG.WIDTH),
+    };
+  }
+
+  // Whole bytes, so the raster row has no partial byte at the edge
+  const labelWidth = Math.floor((media.widthMm * LABEL_CONFIG.DOTS_PER_MM) / 8) * 8;
+  return {
+    width: Math.min(labelWidth, printerWidth),
+    height: Math.round(media.heightMm * LABEL_CONFIG.DOTS_PER_MM),
+  };
+}
+
+/**
+ * Command that sets the printer's paper sensor for the loaded paper
+ * @param {PrinterConfig} config - ESC/POS printer configuration
+ * @param {MediaSettings} media - What is loaded in the printer
+ * @returns {readonly number[] | null} Null if the printer needs nothing for this paper
+ */
+export function getMediaTypeCommand(config, media) {
+  /** @type {MediaCommands} */
+  const commands = config.MEDIA_COMMANDS ?? MEDIA_SENSOR_COMMANDS.ESC_POS;
+  return commands[media.type] ?? null;
+}
+
+/**
+ * Fill in a printer's label gap command for the loaded paper
+ * The printer config's SET_LABEL_GAP is used as a template whose last two
+ * bytes are the gap length in dots (high byte first); 0 means continuous.
+ * On black mark paper it is the mark length; getMediaTypeCommand() tells
+ * the printer which of the two to look for
+ * @param {readonly number[]} template - SET_LABEL_GAP from the printer config
+ * @param {MediaSettings} media - What is loaded in the printer
+ * @returns {number[]}
+ */
+export function getLabelGapCommand(template, media) {
+  const gapDots = isLabelMedia(media)
+    ? Math.round(media.gapMm * LABEL_CONFIG.DOTS_PER_MM)
+    : 0;
+  return [...template.slice(0, -2), (gapDots >> 8) & 0xff, gapDots & 0xff];
+}
+
+/**
+ * Command that feeds labels to the start of the next one
+ * GS FF - Feed label paper to the print starting position
+ * https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/gs_ff.html
+ * @returns {number[]}
+ */
+export function getLabelFeedCommand() {
+  return [COMMANDS.GS, 0x0c];
+}
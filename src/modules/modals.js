@@ -1,23 +1,345 @@
 import { html, render } from 'lit';
 import { AppModal } from '../components/app-modal.js';
+import {
+  DITHER_MODES,
+  DEFAULT_THRESHOLD,
+  QUEUE_CONFIG,
+  TRANSPORT_TYPES,
+  DEFAULT_PRINTER_CONFIG,
+  STATUS_PROTOCOLS,
+  PROFILE_LIMITS,
+  MEDIA_TYPES,
+  LABEL_CONFIG,
+  BANNER_CONFIG,
+  RASTER_MODES,
+  PRINTER_MODELS,
+  PRINTER_PROTOCOLS,
+  DETECTION_TIERS,
+  CALIBRATION_PATTERNS,
+  DIAGNOSTICS_CONFIG,
+  POOL_CONFIG,
+  RECEIPT_BLOCKS,
+  ALIGNMENTS,
+  RECEIPT_CONFIG,
+  BARCODE_FORMATS,
+  CUT_MODES,
+  PRINT_LAYOUT,
+} from './constants.js';
+import {
+  getAllPrinterConfigs,
+  loadProfiles,
+  saveProfile,
+  deleteProfile,
+  exportProfiles,
+  importProfiles,
+  createProfileModel,
+  parseHexBytes,
+  formatHexBytes,
+} from './printer-profiles.js';
+import { getDensityRange, getSpeedRange } from './print-settings.js';
+import { layoutBanner, renderBannerPreview } from './banner.js';
+import { formatTrafficEntry } from './diagnostics.js';
+import { describePoolPrinter } from './printer-pool.js';
+import { validateReceiptBlock } from './receipt.js';
+
+/**
+ * @typedef {import('./printer.js').PrintOptions} PrintOptions
+ * @typedef {import('./printer.js').PrintProgress} PrintProgress
+ * @typedef {import('./print-queue.js').PrintQueue} PrintQueue
+ * @typedef {import('./print-queue.js').PrintJob} PrintJob
+ * @typedef {import('./transports.js').TransportType} TransportType
+ * @typedef {import('./constants.js').PrinterConfig} PrinterConfig
+ * @typedef {import('./label-media.js').MediaSettings} MediaSettings
+ * @typedef {import('./banner.js').BannerContent} BannerContent
+ * @typedef {import('./constants.js').RasterMode} RasterMode
+ * @typedef {import('./printer.js').DetectionTier} DetectionTier
+ * @typedef {import('./diagnostics.js').CalibrationPattern} CalibrationPattern
+ * @typedef {import('./diagnostics.js').GattServiceInfo} GattServiceInfo
+ * @typedef {import('./diagnostics.js').ThroughputResult} ThroughputResult
+ * @typedef {import('./diagnostics.js').TrafficLog} TrafficLog
+ * @typedef {import('./printer-pool.js').PrinterPool} PrinterPool
+ * @typedef {import('./constants.js').ReceiptBlockType} ReceiptBlockType
+ * @typedef {import('./receipt.js').ReceiptBlock} ReceiptBlock
+ * @typedef {import('./receipt.js').ReceiptAlign} ReceiptAlign
+ * @typedef {import('./barcode.js').BarcodeFormat} BarcodeFormat
+ * @typedef {'save' | 'print' | 'saveAndPrint'} PrintAction
+ */
+
+/**
+ * What the diagnostics panel shows about the connected printer
+ * @typedef {Object} DiagnosticsReport
+ * @property {string} deviceName
+ * @property {PrinterConfig} config - Active printer configuration
+ * @property {DetectionTier | null} tier - How the config was chosen
+ * @property {string | null} reason - Why the config was chosen
+ * @property {GattServiceInfo[] | null | undefined} services - Undefined while loading, null if not connected over Bluetooth
+ * @property {string | null} servicesError - Why the services couldn't be listed
+ * @property {CalibrationPattern | null} printing - Pattern being printed
+ * @property {ThroughputResult | null} throughput - From the last calibration print
+ * @property {string | null} printError - Why the last calibration print failed
+ * @property {TrafficLog} log - Bytes sent and received
+ */
+
+/**
+ * What is filled in on the text receipt form
+ * @typedef {Object} ReceiptForm
+ * @property {string} text
+ * @property {number} size - Character scale, 1 to RECEIPT_CONFIG.MAX_TEXT_SIZE
+ * @property {boolean} bold
+ * @property {boolean} underline
+ * @property {ReceiptAlign} align - Applies to the text, QR code and barcode
+ * @property {string} qr - Text or link for a QR code, empty for none
+ * @property {BarcodeFormat} barcodeFormat
+ * @property {string} barcode - Barcode data, empty for none
+ */
 
 /**
  * @typedef {Object} ModalManagerOptions
- * @property {(action: 'save' | 'print' | 'saveAndPrint') => void | Promise<void>} [onPrintAction] - Callback when print action is selected
+ * @property {(action: PrintAction, options: PrintOptions) => void | Promise<void>} [onPrintAction] - Callback when print action is selected
+ * @property {(type: TransportType, model: string, showAllDevices: boolean) => void | Promise<void>} [onConnectAction] - Callback when a connection type is selected
+ * @property {(media: MediaSettings) => void} [onMediaChange] - Callback when new paper settings are applied
+ * @property {(content: BannerContent) => void} [onBannerPrint] - Callback when a banner is sent to print
+ * @property {(blocks: ReceiptBlock[]) => void} [onReceiptPrint] - Callback when a text receipt is sent to print
+ * @property {() => void | Promise<void>} [onRasterTestPrint] - Callback to print the raster mode test patterns
+ * @property {(mode: RasterMode | null) => void} [onRasterModeChosen] - Callback with the mode that printed right (null if none did)
+ * @property {(pattern: CalibrationPattern) => void | Promise<void>} [onCalibrationPrint] - Callback to print a calibration pattern
+ * @property {() => void} [onAddPrinter] - Callback to connect another printer to the pool
+ * @property {(enabled: boolean, options: PrintOptions) => void} [onLivePreviewChange] - Callback when the print preview on the drawing is turned on or off
+ */
+
+// Connection choices offered in the connect modal
+const TRANSPORT_LABELS = /** @type {const} */ ([
+  [TRANSPORT_TYPES.BLUETOOTH, '📶 Bluetooth'],
+  [TRANSPORT_TYPES.USB, '🔌 USB Cable'],
+  [TRANSPORT_TYPES.SERIAL, '🔗 Serial / Paired Bluetooth'],
+  [TRANSPORT_TYPES.VIRTUAL, '🧪 Virtual Printer (no paper)'],
+]);
+
+// Status formats offered in the profile editor
+const STATUS_PROTOCOL_LABELS = /** @type {const} */ ([
+  ['', 'None (ignore notifications)'],
+  [STATUS_PROTOCOLS.PHOMEMO, 'Phomemo'],
+  [STATUS_PROTOCOLS.ESCPOS_ASB, 'ESC/POS Automatic Status Back'],
+  [STATUS_PROTOCOLS.CAT, 'Cat printer'],
+]);
+
+// Image commands offered in the profile editor and tried by the test print
+const RASTER_MODE_LABELS = /** @type {const} */ ([
+  [RASTER_MODES.GS_V_0, 'GS v 0 (most printers)'],
+  [RASTER_MODES.ESC_STAR, 'ESC * (older printers)'],
+  [RASTER_MODES.GS_L, 'GS ( L graphics'],
+]);
+
+// Receipt blocks offered as built-in commands in the profile editor: [type, input id, label]
+const NATIVE_BLOCK_FIELDS = /** @type {const} */ ([
+  [RECEIPT_BLOCKS.TEXT, 'profileNativeText', 'Text'],
+  [RECEIPT_BLOCKS.QR, 'profileNativeQr', 'QR codes'],
+  [RECEIPT_BLOCKS.BARCODE, 'profileNativeBarcode', 'Barcodes'],
+]);
+
+// Character scales offered on the text receipt form
+const TEXT_SIZE_LABELS = /** @type {const} */ ([
+  [1, 'Normal'],
+  [2, 'Big'],
+  [3, 'Bigger'],
+  [4, 'Huge'],
+]);
+
+const ALIGNMENT_LABELS = /** @type {const} */ ([
+  [ALIGNMENTS.LEFT, '⬅️ Left'],
+  [ALIGNMENTS.CENTER, '↔️ Center'],
+  [ALIGNMENTS.RIGHT, '➡️ Right'],
+]);
+
+// What the cutter can do, offered for printers that have one
+const CUT_MODE_LABELS = /** @type {const} */ ([
+  [CUT_MODES.NONE, "Don't cut"],
+  [CUT_MODES.PARTIAL, '✂️ Almost all the way (tear off)'],
+  [CUT_MODES.FULL, '✂️ All the way'],
+]);
+
+const BARCODE_FORMAT_LABELS = /** @type {const} */ ([
+  [BARCODE_FORMATS.CODE128, 'Code 128 (letters and numbers)'],
+  [BARCODE_FORMATS.EAN13, 'EAN-13 (product number)'],
+]);
+
+/** @type {ReceiptForm} */
+const EMPTY_RECEIPT_FORM = {
+  text: '',
+  size: 1,
+  bold: false,
+  underline: false,
+  align: ALIGNMENTS.CENTER,
+  qr: '',
+  barcodeFormat: BARCODE_FORMATS.CODE128,
+  barcode: '',
+};
+
+/**
+ * Blocks for what is filled in on the text receipt form: the text, then
+ * the QR code, then the barcode, leaving out empty ones
+ * @param {ReceiptForm} form
+ * @returns {ReceiptBlock[]}
+ */
+function receiptFormToBlocks(form) {
+  /** @type {ReceiptBlock[]} */
+  const blocks = [];
+  const { align } = form;
+  if (form.text.trim()) {
+    blocks.push({
+      type: RECEIPT_BLOCKS.TEXT,
+      text: form.text.trimEnd(),
+      size: form.size,
+      bold: form.bold,
+      underline: form.underline,
+      align,
+    });
+  }
+  if (form.qr.trim()) {
+    blocks.push({ type: RECEIPT_BLOCKS.QR, data: form.qr.trim(), align });
+  }
+  if (form.barcode.trim()) {
+    blocks.push({
+      type: RECEIPT_BLOCKS.BARCODE,
+      format: form.barcodeFormat,
+      data: form.barcode.trim(),
+      align,
+    });
+  }
+  return blocks;
+}
+
+/**
+ * How far along a print is
+ * @param {PrintProgress} progress
+ * @returns {number} Whole percent, 0 until the size of the print is known
  */
+function getProgressPercent(progress) {
+  return progress.totalRows > 0 ? Math.round((progress.rowsSent / progress.totalRows) * 100) : 0;
+}
+
+// Init command fields in the profile editor: [InitCommands key, input id, label]
+const INIT_COMMAND_FIELDS = /** @type {const} */ ([
+  ['WAKE_PRINTER', 'profileWake', 'Wake printer'],
+  ['SET_DENSITY', 'profileDensity', 'Set density'],
+  ['SET_LABEL_GAP', 'profileLabelGap', 'Set label gap'],
+  ['SET_PRINT_SPEED', 'profileSpeed', 'Set print speed'],
+]);
+
+// Paper types offered in the paper settings
+const MEDIA_TYPE_LABELS = /** @type {const} */ ([
+  [MEDIA_TYPES.CONTINUOUS, '🧻 Roll (no labels)'],
+  [MEDIA_TYPES.GAP, '🏷️ Labels with gaps'],
+  [MEDIA_TYPES.BLACK_MARK, '⬛ Labels with black marks'],
+]);
+
+// Kid-friendly names for the dithering modes, in the order they are offered
+const DITHER_MODE_LABELS = /** @type {const} */ ([
+  [DITHER_MODES.THRESHOLD, '✏️ Drawing (sharp lines)'],
+  [DITHER_MODES.FLOYD_STEINBERG, '📷 Photo (smooth)'],
+  [DITHER_MODES.ATKINSON, '📷 Photo (high contrast)'],
+  [DITHER_MODES.BAYER_4X4, '🔲 Pattern (small dots)'],
+  [DITHER_MODES.BAYER_8X8, '🔳 Pattern (fine dots)'],
+]);
+
+// How each detection tier is explained in the diagnostics panel
+const DETECTION_TIER_LABELS = /** @type {const} */ ({
+  [DETECTION_TIERS.KNOWN]: '✅ Known printer, recognised by its Bluetooth service',
+  [DETECTION_TIERS.GENERIC]: '⚠️ Unknown printer, using the first writable characteristic',
+  [DETECTION_TIERS.MANUAL]: '🔧 Printer type chosen when connecting',
+});
+
+// Calibration prints offered in the diagnostics panel
+const CALIBRATION_PATTERN_LABELS = /** @type {const} */ ([
+  [CALIBRATION_PATTERNS.GRID, '▦ Grid'],
+  [CALIBRATION_PATTERNS.GRADIENT, '🌗 Gray ramp'],
+  [CALIBRATION_PATTERNS.EDGES, '📏 Edge lines'],
+]);
+
+// How each job state is shown in the queue panel
+const JOB_STATE_LABELS = /** @type {const} */ ({
+  pending: '⏳ Waiting',
+  printing: '🖨️ Printing',
+  done: '✅ Printed',
+  failed: '❌ Failed',
+  cancelled: '🚫 Cancelled',
+});
 
 /**
  * Manages modal dialogs and overlays
  */
 export class ModalManager {
-  /** @type {((action: 'save' | 'print' | 'saveAndPrint') => void | Promise<void>) | undefined} */
+  /** @type {((action: PrintAction, options: PrintOptions) => void | Promise<void>) | undefined} */
   onPrintAction;
 
+  /** @type {((type: TransportType, model: string, showAllDevices: boolean) => void | Promise<void>) | undefined} */
+  onConnectAction;
+
+  /** @type {((media: MediaSettings) => void) | undefined} */
+  onMediaChange;
+
+  /** @type {((content: BannerContent) => void) | undefined} */
+  onBannerPrint;
+
+  /** @type {((blocks: ReceiptBlock[]) => void) | undefined} */
+  onReceiptPrint;
+
+  /** @type {(() => void | Promise<void>) | undefined} */
+  onRasterTestPrint;
+
+  /** @type {((mode: RasterMode | null) => void) | undefined} */
+  onRasterModeChosen;
+
+  /** @type {((pattern: CalibrationPattern) => void | Promise<void>) | undefined} */
+  onCalibrationPrint;
+
+  /** @type {(() => void) | undefined} */
+  onAddPrinter;
+
+  /** @type {((enabled: boolean, options: PrintOptions) => void) | undefined} */
+  onLivePreviewChange;
+
+  /** @type {{ pool: PrinterPool, queue: PrintQueue } | null} Pool shown in the printers panel */
+  _shownPool;
+
+  /** @type {() => void} Change listener for the shown pool and its queue */
+  _poolListener;
+
+  /** @type {DiagnosticsReport | null} Report shown in the diagnostics panel */
+  _diagnostics;
+
+  /** @type {ReturnType<typeof setTimeout> | null} Pending re-render of the diagnostics panel */
+  _diagnosticsTimer;
+
+  /** @type {() => void} Change listener for the shown traffic log */
+  _logListener;
+
+  /** @type {PrintQueue | null} Queue shown in the queue panel, re-rendered when it changes */
+  _shownQueue;
+
+  /** @type {() => void} Change listener for the shown queue */
+  _queueListener;
+
   /**
    * @param {ModalManagerOptions} [options] - Configuration options
    */
   constructor(options = {}) {
     this.onPrintAction = options.onPrintAction;
+    this.onConnectAction = options.onConnectAction;
+    this.onMediaChange = options.onMediaChange;
+    this._shownQueue = null;
+    this._queueListener = () => this._renderPrintQueue();
+    this._shownPool = null;
+    this._poolListener = () => this._renderPrinterPool();
+    this._diagnostics = null;
+    this._diagnosticsTimer = null;
+    // The log changes with every write, so re-render at most a few times a second
+    this._logListener = () => {
+      this._diagnosticsTimer ??= setTimeout(() => {
+        this._diagnosticsTimer = null;
+        this._renderDiagnostics();
+      }, DIAGNOSTICS_CONFIG.RENDER_INTERVAL_MS);
+    };
   }
 
   /**
@@ -65,6 +387,40 @@ export class ModalManager {
     modal.open = true;
   }
 
+  /**
+   * Show status modal with a progress bar and a Cancel button
+   * Call again with new progress to update it in place
+   * @param {string} title - The modal title
+   * @param {string} message - The status message
+   * @param {PrintProgress | null} progress - Progress so far, null before anything is sent
+   * @param {() => void} onCancel - Called when Cancel is pressed
+   * @returns {void}
+   */
+  showProgress(title, message, progress, onCancel) {
+    const modal = this._getOrCreateStatusModal();
+    modal.title = title;
+    modal.message = message;
+
+    const percent = progress ? getProgressPercent(progress) : 0;
+
+    render(
+      html`
+        <progress class="print-progress" max="100" .value=${percent}></progress>
+        <div class="print-progress-label">${percent}%</div>
+        <button
+          class="danger"
+          slot="actions"
+          @click=${() => onCancel()}
+        >
+          Cancel
+        </button>
+      `,
+      modal
+    );
+
+    modal.open = true;
+  }
+
   /**
    * Close the status modal
    * @returns {void}
@@ -94,10 +450,23 @@ export class ModalManager {
 
   /**
    * Show print options modal
+   * The preview re-renders as the picture style, darkness or printer changes
    * @param {boolean} isPrinterConnected - Whether a printer is connected
+   * @param {PrintOptions} [printOptions] - Settings to preselect in the form
+   * @param {PrinterConfig | null} [printerConfig] - Connected printer, for its density and speed controls
+   * @param {PrinterPool | null} [pool] - Printers to choose from, when there are several
+   * @param {((options: PrintOptions) => HTMLCanvasElement) | null} [renderPreview] - Draws the drawing as it will print with the given settings
+   * @param {boolean} [livePreview] - Whether the drawing shows the print preview while drawing
    * @returns {void}
    */
-  showPrintOptions(isPrinterConnected) {
+  showPrintOptions(
+    isPrinterConnected,
+    printOptions = {},
+    printerConfig = null,
+    pool = null,
+    renderPreview = null,
+    livePreview = false
+  ) {
     let modal = /** @type {AppModal | null} */ (document.getElementById('printOptionsModal'));
     if (!modal) {
       modal = /** @type {AppModal} */ (document.createElement('app-modal'));
@@ -108,9 +477,188 @@ export class ModalManager {
     // Update title based on printer connection
     modal.title = isPrinterConnected ? '🖨️ What do you want to do?' : '💾 Save Image?';
 
+    const selectedDither = printOptions.dither ?? DITHER_MODES.THRESHOLD;
+    const selectedThreshold = printOptions.threshold ?? DEFAULT_THRESHOLD;
+    // Printers without vendor commands get no density/speed controls
+    const densityRange = getDensityRange(printerConfig);
+    // Printers we couldn't identify may need a different picture command
+    const canTestRaster = isPrinterConnected && printerConfig?.MODEL === PRINTER_MODELS.UNKNOWN;
+    const speedRange = getSpeedRange(printerConfig);
+
+    const update = () =>
+      this.showPrintOptions(
+        isPrinterConnected,
+        { ...printOptions, ...this._readPrintOptions() },
+        printerConfig,
+        pool,
+        renderPreview,
+        livePreview
+      );
+
+    /** @param {Event} e */
+    const toggleLivePreview = (e) => {
+      const enabled = /** @type {HTMLInputElement} */ (e.target).checked;
+      if (this.onLivePreviewChange) {
+        this.onLivePreviewChange(enabled, this._readPrintOptions());
+      }
+      livePreview = enabled;
+    };
+
     // Render content using Lit template with conditional buttons
     render(
       html`
+        ${isPrinterConnected
+          ? html`
+              <div class="print-settings">
+                ${pool
+                  ? html`
+                      <label for="printerSelect">Printer</label>
+                      <select id="printerSelect" @change=${update}>
+                        <option value="" ?selected=${printOptions.printerId == null}>
+                          🎯 Next free printer
+                        </option>
+                        ${pool.printers.map(
+                          (printer) => html`
+                            <option
+                              value=${printer.id}
+                              ?selected=${printer.id === printOptions.printerId}
+                            >
+                              ${pool.getName(printer)} (${describePoolPrinter(printer).text})
+                            </option>
+                          `
+                        )}
+                      </select>
+                    `
+                  : ''}
+                ${renderPreview
+                  ? html`
+                      <div class="print-preview">${renderPreview(printOptions)}</div>
+                      <p class="print-settings-note">
+                        This is exactly how it will print. Light colors like yellow can vanish;
+                        move Picture darkness to the right to keep them.
+                      </p>
+                      <label>
+                        <input
+                          type="checkbox"
+                          id="livePreviewInput"
+                          .checked=${livePreview}
+                          @change=${toggleLivePreview}
+                        />
+                        👀 Show the print preview while I draw
+                      </label>
+                    `
+                  : ''}
+                <label for="ditherMode">Picture style</label>
+                <select id="ditherMode" @change=${update}>
+                  ${DITHER_MODE_LABELS.map(
+                    ([mode, label]) => html`
+                      <option value=${mode} ?selected=${mode === selectedDither}>
+                        ${label}
+                      </option>
+                    `
+                  )}
+                </select>
+                <label for="thresholdInput">Picture darkness</label>
+                <input
+                  type="range"
+                  id="thresholdInput"
+                  min="1"
+                  max="254"
+                  .value=${String(selectedThreshold)}
+                  @change=${update}
+                />
+                ${densityRange
+                  ? html`
+                      <label for="densityInput">Printer heat (darker ink)</label>
+                      <input
+                        type="range"
+                        id="densityInput"
+                        min=${densityRange.min}
+                        max=${densityRange.max}
+                        .value=${String(printOptions.density ?? densityRange.default)}
+                      />
+                    `
+                  : ''}
+                ${speedRange
+                  ? html`
+                      <label for="speedInput">Print speed (slower is darker)</label>
+                      <input
+                        type="range"
+                        id="speedInput"
+                        min=${speedRange.min}
+                        max=${speedRange.max}
+                        .value=${String(printOptions.speed ?? speedRange.default)}
+                      />
+                    `
+                  : ''}
+                ${!densityRange && !speedRange
+                  ? html`<p class="print-settings-note">This printer picks its own heat and speed</p>`
+                  : ''}
+                <label for="feedBeforeInput">Blank paper before (lines)</label>
+                <input
+                  type="number"
+                  id="feedBeforeInput"
+                  min="0"
+                  max=${PRINT_LAYOUT.MAX_FEED_LINES}
+                  .value=${String(printOptions.feedBefore ?? PRINT_LAYOUT.FEED_BEFORE)}
+                />
+                <label for="feedAfterInput">Blank paper after (lines)</label>
+                <input
+                  type="number"
+                  id="feedAfterInput"
+                  min="0"
+                  max=${PRINT_LAYOUT.MAX_FEED_LINES}
+                  .value=${String(printOptions.feedAfter ?? PRINT_LAYOUT.FEED_AFTER)}
+                />
+                <label>
+                  <input
+                    type="checkbox"
+                    id="trimInput"
+                    .checked=${printOptions.trim ?? PRINT_LAYOUT.TRIM_DRAWINGS}
+                  />
+                  Skip blank paper above and below the drawing
+                </label>
+                <label for="alignSelect">Narrow pictures go</label>
+                <select id="alignSelect">
+                  ${ALIGNMENT_LABELS.map(
+                    ([align, label]) => html`
+                      <option
+                        value=${align}
+                        ?selected=${align === (printOptions.align ?? PRINT_LAYOUT.ALIGN)}
+                      >
+                        ${label}
+                      </option>
+                    `
+                  )}
+                </select>
+                ${printerConfig?.CUTTER
+                  ? html`
+                      <label for="cutSelect">Cutter</label>
+                      <select id="cutSelect">
+                        ${CUT_MODE_LABELS.map(
+                          ([cut, label]) => html`
+                            <option
+                              value=${cut}
+                              ?selected=${cut === (printOptions.cut ?? PRINT_LAYOUT.CUT)}
+                            >
+                              ${label}
+                            </option>
+                          `
+                        )}
+                      </select>
+                    `
+                  : ''}
+                <label for="copiesInput">Copies</label>
+                <input
+                  type="number"
+                  id="copiesInput"
+                  min="1"
+                  max=${QUEUE_CONFIG.MAX_COPIES}
+                  .value=${String(printOptions.copies ?? 1)}
+                />
+              </div>
+            `
+          : ''}
         <button
           class="primary"
           slot="actions"
@@ -136,6 +684,20 @@ export class ModalManager {
               </button>
             `
           : ''}
+        ${canTestRaster
+          ? html`
+              <button
+                class="primary"
+                slot="actions"
+                @click=${() => {
+                  this.closePrintOptions();
+                  this.showRasterTest('Pictures coming out garbled?');
+                }}
+              >
+                🧪 Test Print
+              </button>
+            `
+          : ''}
         <button
           class="danger"
           slot="actions"
@@ -152,15 +714,94 @@ export class ModalManager {
 
   /**
    * Handle print action selection
-   * @param {'save' | 'print' | 'saveAndPrint'} action - The action to perform
+   * @param {PrintAction} action - The action to perform
    * @returns {void}
    * @private
    */
   _handlePrintAction(action) {
     // Call the callback with the action - orchestration happens elsewhere
     if (this.onPrintAction) {
-      this.onPrintAction(action);
+      this.onPrintAction(action, this._readPrintOptions());
+    }
+  }
+
+  /**
+   * Read the per-print settings from the print options form
+   * @returns {PrintOptions}
+   * @private
+   */
+  _readPrintOptions() {
+    /** @type {PrintOptions} */
+    const options = {};
+
+    const ditherEl = document.getElementById('ditherMode');
+    if (ditherEl instanceof HTMLSelectElement) {
+      const mode = DITHER_MODE_LABELS.find(([value]) => value === ditherEl.value);
+      if (mode) {
+        options.dither = mode[0];
+      }
+    }
+
+    const thresholdEl = document.getElementById('thresholdInput');
+    if (thresholdEl instanceof HTMLInputElement) {
+      options.threshold = Number(thresholdEl.value);
+    }
+
+    // Only shown when there are several printers
+    const printerEl = document.getElementById('printerSelect');
+    if (printerEl instanceof HTMLSelectElement) {
+      options.printerId = printerEl.value ? Number(printerEl.value) : null;
+    }
+
+    const copiesEl = document.getElementById('copiesInput');
+    if (copiesEl instanceof HTMLInputElement && copiesEl.value) {
+      options.copies = Number(copiesEl.value);
+    }
+
+    // Only shown when the printer has the vendor command
+    const densityEl = document.getElementById('densityInput');
+    if (densityEl instanceof HTMLInputElement) {
+      options.density = Number(densityEl.value);
+    }
+
+    const speedEl = document.getElementById('speedInput');
+    if (speedEl instanceof HTMLInputElement) {
+      options.speed = Number(speedEl.value);
+    }
+
+    const feedBeforeEl = document.getElementById('feedBeforeInput');
+    if (feedBeforeEl instanceof HTMLInputElement && feedBeforeEl.value) {
+      options.feedBefore = Number(feedBeforeEl.value);
+    }
+
+    const feedAfterEl = document.getElementById('feedAfterInput');
+    if (feedAfterEl instanceof HTMLInputElement && feedAfterEl.value) {
+      options.feedAfter = Number(feedAfterEl.value);
+    }
+
+    const trimEl = document.getElementById('trimInput');
+    if (trimEl instanceof HTMLInputElement) {
+      options.trim = trimEl.checked;
+    }
+
+    const alignEl = document.getElementById('alignSelect');
+    if (alignEl instanceof HTMLSelectElement) {
+      const align = ALIGNMENT_LABELS.find(([value]) => value === alignEl.value);
+      if (align) {
+        options.align = align[0];
+      }
+    }
+
+    // Only shown when the printer has a cutter
+    const cutEl = document.getElementById('cutSelect');
+    if (cutEl instanceof HTMLSelectElement) {
+      const cut = CUT_MODE_LABELS.find(([value]) => value === cutEl.value);
+      if (cut) {
+        options.cut = cut[0];
+      }
     }
+
+    return options;
   }
 
   /**
@@ -174,6 +815,1407 @@ export class ModalManager {
     }
   }
 
+  /**
+   * Show the paper settings: roll or labels, and the label size
+   * @param {MediaSettings} media - Settings to preselect in the form
+   * @returns {void}
+   */
+  showPaperSettings(media) {
+    let modal = /** @type {AppModal | null} */ (document.getElementById('paperSettingsModal'));
+    if (!modal) {
+      modal = /** @type {AppModal} */ (document.createElement('app-modal'));
+      modal.id = 'paperSettingsModal';
+      modal.title = '🏷️ Paper';
+      document.body.appendChild(modal);
+    }
+
+    /** @param {Event} e */
+    const applyPreset = (e) => {
+      const [width, height] = /** @type {HTMLSelectElement} */ (e.target).value.split('x');
+      const widthEl = document.getElementById('labelWidth');
+      const heightEl = document.getElementById('labelHeight');
+      if (widthEl instanceof HTMLInputElement && heightEl instanceof HTMLInputElement && height) {
+        widthEl.value = width;
+        heightEl.value = height;
+      }
+    };
+
+    render(
+      html`
+        <div class="print-settings">
+          <label for="mediaType">What's in the printer?</label>
+          <select id="mediaType">
+            ${MEDIA_TYPE_LABELS.map(
+              ([type, label]) => html`
+                <option value=${type} ?selected=${type === media.type}>${label}</option>
+              `
+            )}
+          </select>
+          <label for="labelPreset">Label size</label>
+          <select id="labelPreset" @change=${applyPreset}>
+            <option value="">Custom</option>
+            ${LABEL_CONFIG.PRESETS.map(
+              ([width, height]) => html`
+                <option
+                  value="${width}x${height}"
+                  ?selected=${width === media.widthMm && height === media.heightMm}
+                >
+                  ${width} × ${height} mm
+                </option>
+              `
+            )}
+          </select>
+          <label for="labelWidth">Label width (mm)</label>
+          <input
+            type="number"
+            id="labelWidth"
+            min=${LABEL_CONFIG.MIN_SIZE_MM}
+            .value=${String(media.widthMm)}
+          />
+          <label for="labelHeight">Label height (mm)</label>
+          <input
+            type="number"
+            id="labelHeight"
+            min=${LABEL_CONFIG.MIN_SIZE_MM}
+            max=${LABEL_CONFIG.MAX_HEIGHT_MM}
+            .value=${String(media.heightMm)}
+          />
+          <label for="labelGap">Gap / mark between labels (mm)</label>
+          <input
+            type="number"
+            id="labelGap"
+            min="0"
+            max=${LABEL_CONFIG.MAX_GAP_MM}
+            step="0.5"
+            .value=${String(media.gapMm)}
+          />
+        </div>
+        <button class="success" slot="actions" @click=${() => this._handlePaperSettings()}>
+          ✅ Use This Paper
+        </button>
+        <button class="danger" slot="actions" @click=${() => this.closePaperSettings()}>
+          Cancel
+        </button>
+      `,
+      modal
+    );
+
+    modal.open = true;
+  }
+
+  /**
+   * Read the paper settings form and pass it on
+   * @returns {void}
+   * @private
+   */
+  _handlePaperSettings() {
+    /** @param {string} id */
+    const field = (id) => {
+      const el = document.getElementById(id);
+      return el instanceof HTMLInputElement || el instanceof HTMLSelectElement ? el.value : '';
+    };
+
+    const type = MEDIA_TYPE_LABELS.find(([value]) => value === field('mediaType'));
+
+    this.closePaperSettings();
+    if (this.onMediaChange) {
+      this.onMediaChange({
+        type: type ? type[0] : MEDIA_TYPES.CONTINUOUS,
+        widthMm: Number(field('labelWidth')),
+        heightMm: Number(field('labelHeight')),
+        gapMm: Number(field('labelGap')),
+      });
+    }
+  }
+
+  /**
+   * Close the paper settings modal
+   * @returns {void}
+   */
+  closePaperSettings() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('paperSettingsModal'));
+    if (modal) {
+      modal.open = false;
+    }
+  }
+
+  /**
+   * Show the banner maker with a preview of the strip
+   * Re-renders itself as the text or drawing choice changes
+   * @param {HTMLCanvasElement} drawing - The canvas that can be added to the banner
+   * @param {number} printWidth - Print width in dots, the height of the banner
+   * @param {boolean} isPrinterConnected - Whether a printer is connected
+   * @param {string} [text] - Banner text
+   * @param {boolean} [includeDrawing] - Whether the drawing goes before the text
+   * @returns {void}
+   */
+  showBanner(drawing, printWidth, isPrinterConnected, text = '', includeDrawing = false) {
+    let modal = /** @type {AppModal | null} */ (document.getElementById('bannerModal'));
+    if (!modal) {
+      modal = /** @type {AppModal} */ (document.createElement('app-modal'));
+      modal.id = 'bannerModal';
+      modal.title = '🎏 Banner';
+      document.body.appendChild(modal);
+    }
+
+    /** @type {BannerContent} */
+    const content = { text, image: includeDrawing ? drawing : null };
+    const layout = layoutBanner(content, printWidth);
+
+    const update = () => {
+      const textEl = document.getElementById('bannerText');
+      const drawingEl = document.getElementById('bannerDrawing');
+      this.showBanner(
+        drawing,
+        printWidth,
+        isPrinterConnected,
+        textEl instanceof HTMLInputElement ? textEl.value : text,
+        drawingEl instanceof HTMLInputElement ? drawingEl.checked : includeDrawing
+      );
+    };
+
+    const print = () => {
+      this.closeBanner();
+      if (this.onBannerPrint) {
+        this.onBannerPrint(content);
+      }
+    };
+
+    render(
+      html`
+        <div class="print-settings">
+          <label for="bannerText">Banner words</label>
+          <input
+            type="text"
+            id="bannerText"
+            maxlength=${BANNER_CONFIG.MAX_TEXT_LENGTH}
+            placeholder="Happy Birthday!"
+            .value=${text}
+            @input=${update}
+          />
+          <label>
+            <input
+              type="checkbox"
+              id="bannerDrawing"
+              .checked=${includeDrawing}
+              @change=${update}
+            />
+            Add my drawing at the start
+          </label>
+        </div>
+        <div class="banner-preview">
+          ${layout.length
+            ? renderBannerPreview(layout)
+            : html`<p>Type some words to see your banner</p>`}
+        </div>
+        ${layout.length
+          ? html`<p class="print-settings-note">
+              About ${Math.round(layout.length / LABEL_CONFIG.DOTS_PER_MM / 10)} cm long
+            </p>`
+          : ''}
+        <button
+          class="success"
+          slot="actions"
+          ?disabled=${!isPrinterConnected || !layout.length}
+          @click=${print}
+        >
+          🖨️ Print Banner
+        </button>
+        <button class="danger" slot="actions" @click=${() => this.closeBanner()}>
+          Close
+        </button>
+      `,
+      modal
+    );
+
+    modal.open = true;
+  }
+
+  /**
+   * Close the banner maker
+   * @returns {void}
+   */
+  closeBanner() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('bannerModal'));
+    if (modal) {
+      modal.open = false;
+    }
+  }
+
+  /**
+   * Show the text receipt form: words in the printer's own font, with an
+   * optional QR code and barcode
+   * @param {number} printWidth - Print width in dots, to check QR codes and barcodes fit
+   * @param {boolean} isPrinterConnected - Enables the print button
+   * @param {readonly ReceiptBlockType[]} nativeBlocks - Blocks the printer has its own commands for
+   * @param {ReceiptForm} [form] - What to fill the form in with
+   * @param {string | null} [error] - Why the last print was rejected
+   * @returns {void}
+   */
+  showReceipt(printWidth, isPrinterConnected, nativeBlocks, form = EMPTY_RECEIPT_FORM, error = null) {
+    let modal = /** @type {AppModal | null} */ (document.getElementById('receiptModal'));
+    if (!modal) {
+      modal = /** @type {AppModal} */ (document.createElement('app-modal'));
+      modal.id = 'receiptModal';
+      modal.title = '🔤 Text';
+      document.body.appendChild(modal);
+    }
+
+    /** @returns {ReceiptForm} */
+    const readForm = () => {
+      /** @param {string} id */
+      const field = (id) => {
+        const el = document.getElementById(id);
+        return el instanceof HTMLInputElement ||
+          el instanceof HTMLSelectElement ||
+          el instanceof HTMLTextAreaElement
+          ? el.value
+          : '';
+      };
+      /** @param {string} id */
+      const checked = (id) => {
+        const el = document.getElementById(id);
+        return el instanceof HTMLInputElement && el.checked;
+      };
+      return {
+        text: field('receiptText'),
+        size: Number(field('receiptSize')) || 1,
+        bold: checked('receiptBold'),
+        underline: checked('receiptUnderline'),
+        align: /** @type {ReceiptAlign} */ (field('receiptAlign') || form.align),
+        qr: field('receiptQr'),
+        barcodeFormat: /** @type {BarcodeFormat} */ (field('receiptBarcodeFormat') || form.barcodeFormat),
+        barcode: field('receiptBarcode'),
+      };
+    };
+
+    const print = () => {
+      const current = readForm();
+      const blocks = receiptFormToBlocks(current);
+      try {
+        if (!blocks.length) {
+          throw new Error('Type some words, a QR code or a barcode first');
+        }
+        for (const block of blocks) {
+          validateReceiptBlock(block, printWidth);
+        }
+      } catch (problem) {
+        const message = problem instanceof Error ? problem.message : String(problem);
+        this.showReceipt(printWidth, isPrinterConnected, nativeBlocks, current, message);
+        return;
+      }
+      this.closeReceipt();
+      this.onReceiptPrint?.(blocks);
+    };
+
+    const allNative = Object.values(RECEIPT_BLOCKS).every((type) => nativeBlocks.includes(type));
+    const note = allNative
+      ? "Prints with the printer's own letters, fast and sharp."
+      : nativeBlocks.length
+        ? "Uses the printer's own letters where it can; the rest is drawn."
+        : 'This printer gets it drawn as a picture.';
+
+    render(
+      html`
+        <div class="print-settings">
+          ${error ? html`<p class="profile-error">${error}</p>` : ''}
+          <label for="receiptText">Words</label>
+          <textarea
+            id="receiptText"
+            rows="4"
+            maxlength=${RECEIPT_CONFIG.MAX_TEXT_LENGTH}
+            placeholder="Lemonade $1"
+            .value=${form.text}
+          ></textarea>
+          <label for="receiptSize">Letter size</label>
+          <select id="receiptSize">
+            ${TEXT_SIZE_LABELS.map(
+              ([size, label]) => html`
+                <option value=${size} ?selected=${size === form.size}>${label}</option>
+              `
+            )}
+          </select>
+          <label>
+            <input type="checkbox" id="receiptBold" .checked=${form.bold} />
+            Bold
+          </label>
+          <label>
+            <input type="checkbox" id="receiptUnderline" .checked=${form.underline} />
+            Underline
+          </label>
+          <label for="receiptAlign">Line up</label>
+          <select id="receiptAlign">
+            ${ALIGNMENT_LABELS.map(
+              ([align, label]) => html`
+                <option value=${align} ?selected=${align === form.align}>${label}</option>
+              `
+            )}
+          </select>
+          <label for="receiptQr">QR code (optional)</label>
+          <input
+            type="text"
+            id="receiptQr"
+            placeholder="https://example.com"
+            .value=${form.qr}
+          />
+          <label for="receiptBarcode">Barcode (optional)</label>
+          <select id="receiptBarcodeFormat">
+            ${BARCODE_FORMAT_LABELS.map(
+              ([format, label]) => html`
+                <option value=${format} ?selected=${format === form.barcodeFormat}>${label}</option>
+              `
+            )}
+          </select>
+          <input type="text" id="receiptBarcode" .value=${form.barcode} />
+          <p class="print-settings-note">${note}</p>
+        </div>
+        <button class="success" slot="actions" ?disabled=${!isPrinterConnected} @click=${print}>
+          🖨️ Print Text
+        </button>
+        <button class="danger" slot="actions" @click=${() => this.closeReceipt()}>
+          Close
+        </button>
+      `,
+      modal
+    );
+
+    modal.open = true;
+  }
+
+  /**
+   * Close the text receipt form
+   * @returns {void}
+   */
+  closeReceipt() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('receiptModal'));
+    if (modal) {
+      modal.open = false;
+    }
+  }
+
+  /**
+   * First step of the test print: explain it and offer to print the patterns
+   * @param {string} message - What to say above the explanation
+   * @returns {void}
+   */
+  showRasterTest(message) {
+    const modal = this._getOrCreateRasterTestModal();
+    modal.title = '🧪 Test Print';
+    const count = Object.values(RASTER_MODES).length;
+    modal.message = `${message} We'll print ${count} small patterns, numbered 1 to ${count}, to find out how this printer likes its pictures.`;
+
+    render(
+      html`
+        <button class="success" slot="actions" @click=${() => this.onRasterTestPrint?.()}>
+          🖨️ Print Test Patterns
+        </button>
+        <button class="danger" slot="actions" @click=${() => this.closeRasterTest()}>
+          Skip
+        </button>
+      `,
+      modal
+    );
+
+    modal.open = true;
+  }
+
+  /**
+   * Second step of the test print: ask which pattern came out right
+   * @returns {void}
+   */
+  showRasterTestChoice() {
+    const modal = this._getOrCreateRasterTestModal();
+    modal.title = '🧪 Which one looks right?';
+    modal.message =
+      'Pick the number that printed as a neat box with a line across it. Ignore any that came out as noise, squashed, or not at all.';
+
+    /** @param {RasterMode | null} mode */
+    const choose = (mode) => {
+      this.closeRasterTest();
+      this.onRasterModeChosen?.(mode);
+    };
+
+    render(
+      html`
+        ${Object.values(RASTER_MODES).map(
+          (mode, index) => html`
+            <button class="success" slot="actions" @click=${() => choose(mode)}>
+              ${index + 1}
+            </button>
+          `
+        )}
+        <button class="primary" slot="actions" @click=${() => this.onRasterTestPrint?.()}>
+          🔁 Print Again
+        </button>
+        <button class="danger" slot="actions" @click=${() => choose(null)}>
+          None of them
+        </button>
+      `,
+      modal
+    );
+
+    modal.open = true;
+  }
+
+  /**
+   * @returns {AppModal}
+   * @private
+   */
+  _getOrCreateRasterTestModal() {
+    let modal = /** @type {AppModal | null} */ (document.getElementById('rasterTestModal'));
+    if (!modal) {
+      modal = /** @type {AppModal} */ (document.createElement('app-modal'));
+      modal.id = 'rasterTestModal';
+      document.body.appendChild(modal);
+    }
+    return modal;
+  }
+
+  /**
+   * Close the test print modal
+   * @returns {void}
+   */
+  closeRasterTest() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('rasterTestModal'));
+    if (modal) {
+      modal.open = false;
+    }
+  }
+
+  /**
+   * Show the connect modal with a button per supported connection type
+   * USB and serial links can't identify the printer, so the user picks its type;
+   * the Bluetooth chooser lists known printers unless all devices are asked for
+   * @param {TransportType[]} availableTypes - Connection types this browser supports
+   * @returns {void}
+   */
+  showConnectOptions(availableTypes) {
+    let modal = /** @type {AppModal | null} */ (document.getElementById('connectModal'));
+    if (!modal) {
+      modal = /** @type {AppModal} */ (document.createElement('app-modal'));
+      modal.id = 'connectModal';
+      modal.title = '🔌 More Ways to Connect';
+      document.body.appendChild(modal);
+    }
+
+    const models = [...getAllPrinterConfigs(), DEFAULT_PRINTER_CONFIG];
+    const needsModel = availableTypes.some((type) => type !== TRANSPORT_TYPES.BLUETOOTH);
+
+    render(
+      html`
+        ${needsModel
+          ? html`
+              <div class="print-settings">
+                <label for="connectModel">Printer type (USB, Serial &amp; Virtual)</label>
+                <select id="connectModel">
+                  ${models.map(
+                    (config) => html`<option value=${config.MODEL}>${config.NAME}</option>`
+                  )}
+                </select>
+              </div>
+            `
+          : ''}
+        ${availableTypes.includes(TRANSPORT_TYPES.BLUETOOTH)
+          ? html`
+              <div class="print-settings">
+                <label>
+                  <input type="checkbox" id="connectShowAll" />
+                  Show all Bluetooth devices, for printers not in the list
+                </label>
+              </div>
+            `
+          : ''}
+        ${TRANSPORT_LABELS.filter(([type]) => availableTypes.includes(type)).map(
+          ([type, label]) => html`
+            <button
+              class="primary"
+              slot="actions"
+              @click=${() => this._handleConnectAction(type)}
+            >
+              ${label}
+            </button>
+          `
+        )}
+        <button
+          class="primary"
+          slot="actions"
+          @click=${() => {
+            this.closeConnectOptions();
+            this.showPrinterProfiles();
+          }}
+        >
+          🛠️ Printer Profiles
+        </button>
+        <button
+          class="danger"
+          slot="actions"
+          @click=${() => this.closeConnectOptions()}
+        >
+          Cancel
+        </button>
+      `,
+      modal
+    );
+
+    modal.open = true;
+  }
+
+  /**
+   * Handle connection type selection
+   * @param {TransportType} type - The chosen connection type
+   * @returns {void}
+   * @private
+   */
+  _handleConnectAction(type) {
+    const modelEl = document.getElementById('connectModel');
+    const model = modelEl instanceof HTMLSelectElement ? modelEl.value : DEFAULT_PRINTER_CONFIG.MODEL;
+    const showAllEl = document.getElementById('connectShowAll');
+    const showAllDevices = showAllEl instanceof HTMLInputElement && showAllEl.checked;
+
+    this.closeConnectOptions();
+    if (this.onConnectAction) {
+      this.onConnectAction(type, model, showAllDevices);
+    }
+  }
+
+  /**
+   * Close the connect modal
+   * @returns {void}
+   */
+  closeConnectOptions() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('connectModal'));
+    if (modal) {
+      modal.open = false;
+    }
+  }
+
+  /**
+   * Show the saved printer profiles with buttons to add, edit, import and export
+   * @param {string | null} [error] - Problem from the last import, shown above the list
+   * @returns {void}
+   */
+  showPrinterProfiles(error = null) {
+    const modal = this._getOrCreateProfilesModal();
+    const profiles = loadProfiles();
+
+    modal.title = '🛠️ Printer Profiles';
+    modal.message = '';
+    render(
+      html`
+        <div class="print-queue">
+          ${error ? html`<p class="profile-error">${error}</p>` : ''}
+          ${profiles.length
+            ? html`
+                <ul>
+                  ${profiles.map(
+                    (profile) => html`
+                      <li class="queue-job">
+                        <span class="queue-job-label">${profile.NAME}</span>
+                        <span class="queue-job-state">${profile.WIDTH} dots</span>
+                        <button
+                          class="profile-edit"
+                          @click=${() => this.showProfileEditor(profile)}
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          class="queue-job-cancel"
+                          @click=${() => {
+                            deleteProfile(profile.MODEL);
+                            this.showPrinterProfiles();
+                          }}
+                        >
+                          ✖
+                        </button>
+                      </li>
+                    `
+                  )}
+                </ul>
+              `
+            : html`<p class="queue-empty">No custom printers yet</p>`}
+          <input
+            type="file"
+            id="profileImportInput"
+            accept="application/json,.json"
+            style="display: none"
+            @change=${(/** @type {Event} */ e) => this._handleProfileImport(e)}
+          />
+        </div>
+        <button class="success" slot="actions" @click=${() => this.showProfileEditor(null)}>
+          ➕ New
+        </button>
+        <button
+          class="primary"
+          slot="actions"
+          @click=${() => document.getElementById('profileImportInput')?.click()}
+        >
+          📥 Import
+        </button>
+        ${profiles.length
+          ? html`
+              <button class="primary" slot="actions" @click=${() => this._exportProfiles()}>
+                📤 Export
+              </button>
+            `
+          : ''}
+        <button class="danger" slot="actions" @click=${() => this.closePrinterProfiles()}>
+          Close
+        </button>
+      `,
+      modal
+    );
+
+    modal.open = true;
+  }
+
+  /**
+   * Show the form for adding or editing a printer profile
+   * @param {PrinterConfig | null} profile - Profile to edit, or null for a new one
+   * @param {string | null} [error] - Why the last save was rejected
+   * @returns {void}
+   */
+  showProfileEditor(profile, error = null) {
+    const modal = this._getOrCreateProfilesModal();
+    /** @type {PrinterConfig} */
+    const values = profile ?? DEFAULT_PRINTER_CONFIG;
+    // Init commands are ESC/POS; other protocols' drivers build their own packets
+    const escPos = (values.PROTOCOL ?? PRINTER_PROTOCOLS.ESC_POS) === PRINTER_PROTOCOLS.ESC_POS;
+
+    modal.title = profile ? `✏️ ${profile.NAME}` : '➕ New Printer';
+    modal.message = '';
+    render(
+      html`
+        <div class="print-settings profile-editor">
+          ${error ? html`<p class="profile-error">${error}</p>` : ''}
+          <label for="profileName">Name</label>
+          <input type="text" id="profileName" .value=${profile?.NAME ?? ''} />
+          <label for="profileServiceUuid">Service UUID</label>
+          <input type="text" id="profileServiceUuid" .value=${values.SERVICE_UUID ?? ''} />
+          <label for="profileWriteUuid">Write characteristic UUID</label>
+          <input type="text" id="profileWriteUuid" .value=${values.WRITE_CHAR_UUID ?? ''} />
+          <label for="profileNotifyUuid">Notify characteristic UUID (optional)</label>
+          <input type="text" id="profileNotifyUuid" .value=${values.NOTIFY_CHAR_UUID ?? ''} />
+          <label for="profileWidth">Print width (dots)</label>
+          <input
+            type="number"
+            id="profileWidth"
+            min=${PROFILE_LIMITS.MIN_WIDTH}
+            max=${PROFILE_LIMITS.MAX_WIDTH}
+            step="8"
+            .value=${String(values.WIDTH)}
+          />
+          <label for="profileMtu">Bytes per write (MTU)</label>
+          <input
+            type="number"
+            id="profileMtu"
+            min=${PROFILE_LIMITS.MIN_MTU}
+            max=${PROFILE_LIMITS.MAX_MTU}
+            .value=${String(values.MTU_SIZE)}
+          />
+          <label for="profileLinesPerChunk">Lines per block</label>
+          <input
+            type="number"
+            id="profileLinesPerChunk"
+            min="1"
+            max=${PROFILE_LIMITS.MAX_LINES_PER_CHUNK}
+            .value=${String(values.LINES_PER_CHUNK)}
+          />
+          <label for="profileStatusProtocol">Status messages</label>
+          <select id="profileStatusProtocol">
+            ${STATUS_PROTOCOL_LABELS.map(
+              ([protocol, label]) => html`
+                <option value=${protocol} ?selected=${protocol === (values.STATUS_PROTOCOL ?? '')}>
+                  ${label}
+                </option>
+              `
+            )}
+          </select>
+          <label for="profileRasterMode">Picture command</label>
+          <select id="profileRasterMode">
+            ${RASTER_MODE_LABELS.map(
+              ([mode, label]) => html`
+                <option
+                  value=${mode}
+                  ?selected=${mode === (values.RASTER_MODE ?? RASTER_MODES.GS_V_0)}
+                >
+                  ${label}
+                </option>
+              `
+            )}
+          </select>
+          <p class="print-settings-note">Built-in ESC/POS commands (others are printed as pictures)</p>
+          ${NATIVE_BLOCK_FIELDS.map(
+            ([type, id, label]) => html`
+              <label>
+                <input
+                  type="checkbox"
+                  id=${id}
+                  .checked=${(values.NATIVE_BLOCKS ?? []).includes(type)}
+                />
+                ${label}
+              </label>
+            `
+          )}
+          <label>
+            <input type="checkbox" id="profileCutter" .checked=${values.CUTTER === true} />
+            Has a paper cutter
+          </label>
+          ${escPos
+            ? INIT_COMMAND_FIELDS.map(
+                ([key, id, label]) => html`
+                  <label for=${id}>${label} (hex bytes, optional)</label>
+                  <input
+                    type="text"
+                    id=${id}
+                    placeholder="e.g. 1a 04 5a"
+                    .value=${formatHexBytes(values.INIT_COMMANDS?.[key])}
+                  />
+                `
+              )
+            : ''}
+        </div>
+        <button class="success" slot="actions" @click=${() => this._saveProfileForm(profile)}>
+          💾 Save
+        </button>
+        <button class="danger" slot="actions" @click=${() => this.showPrinterProfiles()}>
+          Cancel
+        </button>
+      `,
+      modal
+    );
+
+    modal.open = true;
+  }
+
+  /**
+   * Save the profile editor form, or show why it can't be saved
+   * @param {PrinterConfig | null} profile - Profile being edited, or null for a new one
+   * @returns {void}
+   * @private
+   */
+  _saveProfileForm(profile) {
+    /** @param {string} id */
+    const field = (id) => {
+      const el = document.getElementById(id);
+      return el instanceof HTMLInputElement || el instanceof HTMLSelectElement ? el.value : '';
+    };
+
+    try {
+      const name = field('profileName').trim();
+      /** @type {Record<string, number[]>} */
+      const initCommands = {};
+      // Not shown for printers that don't speak ESC/POS
+      for (const [key, id, label] of profile?.PROTOCOL ? [] : INIT_COMMAND_FIELDS) {
+        try {
+          initCommands[key] = parseHexBytes(field(id));
+        } catch (error) {
+          throw new Error(`${label}: ${error instanceof Error ? error.message : error}`);
+        }
+      }
+
+      saveProfile({
+        MODEL: profile?.MODEL ?? createProfileModel(name),
+        NAME: name,
+        SERVICE_UUID: field('profileServiceUuid'),
+        WRITE_CHAR_UUID: field('profileWriteUuid'),
+        NOTIFY_CHAR_UUID: field('profileNotifyUuid'),
+        WIDTH: Number(field('profileWidth')),
+        MTU_SIZE: Number(field('profileMtu')),
+        LINES_PER_CHUNK: Number(field('profileLinesPerChunk')),
+        STATUS_PROTOCOL: field('profileStatusProtocol') || null,
+        RASTER_MODE: field('profileRasterMode'),
+        NATIVE_BLOCKS: NATIVE_BLOCK_FIELDS.filter(([, id]) => {
+          const el = document.getElementById(id);
+          return el instanceof HTMLInputElement && el.checked;
+        }).map(([type]) => type),
+        CUTTER: (() => {
+          const el = document.getElementById('profileCutter');
+          return el instanceof HTMLInputElement && el.checked;
+        })(),
+        INIT_COMMANDS: initCommands,
+        // Not in the form; kept from an imported profile
+        PROTOCOL: profile?.PROTOCOL,
+        DEFAULT_LEVELS: profile?.DEFAULT_LEVELS,
+        FLOW_CONTROL: profile?.FLOW_CONTROL,
+      });
+      this.showPrinterProfiles();
+    } catch (error) {
+      this.showProfileEditor(profile, error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  /**
+   * Import profiles from the file chosen in the hidden file input
+   * @param {Event} event - change event from the file input
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _handleProfileImport(event) {
+    const input = /** @type {HTMLInputElement} */ (event.target);
+    const file = input.files?.[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+      importProfiles(await file.text());
+      this.showPrinterProfiles();
+    } catch (error) {
+      this.showPrinterProfiles(error instanceof Error ? error.message : String(error));
+    }
+  }
+
+  /**
+   * Download all saved profiles as a JSON file
+   * @returns {void}
+   * @private
+   */
+  _exportProfiles() {
+    const blob = new Blob([exportProfiles()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'printer-profiles.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * @returns {AppModal}
+   * @private
+   */
+  _getOrCreateProfilesModal() {
+    let modal = /** @type {AppModal | null} */ (document.getElementById('printerProfilesModal'));
+    if (!modal) {
+      modal = /** @type {AppModal} */ (document.createElement('app-modal'));
+      modal.id = 'printerProfilesModal';
+      document.body.appendChild(modal);
+    }
+    return modal;
+  }
+
+  /**
+   * Close the printer profiles modal
+   * @returns {void}
+   */
+  closePrinterProfiles() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('printerProfilesModal'));
+    if (modal) {
+      modal.open = false;
+    }
+  }
+
+  /**
+   * Show the print queue panel
+   * Stays up to date while open as jobs progress
+   * @param {PrintQueue} queue - The queue to show
+   * @returns {void}
+   */
+  showPrintQueue(queue) {
+    let modal = /** @type {AppModal | null} */ (document.getElementById('printQueueModal'));
+    if (!modal) {
+      modal = /** @type {AppModal} */ (document.createElement('app-modal'));
+      modal.id = 'printQueueModal';
+      modal.title = '🧾 Print Queue';
+      document.body.appendChild(modal);
+      modal.addEventListener('close', () => this._unwatchQueue());
+    }
+
+    this._unwatchQueue();
+    this._shownQueue = queue;
+    queue.addEventListener('change', this._queueListener);
+    this._renderPrintQueue();
+
+    modal.open = true;
+  }
+
+  /**
+   * Render the queue panel contents for the currently shown queue
+   * @returns {void}
+   * @private
+   */
+  _renderPrintQueue() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('printQueueModal'));
+    const queue = this._shownQueue;
+    if (!modal || !queue) return;
+
+    const pending = queue.getPendingJobs();
+    const finished = queue.getFinishedJobs();
+
+    /** @param {PrintJob} job */
+    const jobRow = (job) => html`
+      <li class="queue-job ${job.state}">
+        <span class="queue-job-label">
+          ${job.label}${job.copies > 1 ? ` ×${job.copies}` : ''}
+        </span>
+        <span class="queue-job-state">
+          ${JOB_STATE_LABELS[job.state]}
+          ${job.state === 'printing' && job.copies > 1
+            ? ` (${job.copiesPrinted + 1}/${job.copies})`
+            : ''}
+          ${job.progress ? ` ${getProgressPercent(job.progress)}%` : ''}
+          ${job.error ? html`<br /><small>${job.error}</small>` : ''}
+        </span>
+        ${job.state === 'pending' || job.state === 'printing'
+          ? html`
+              <button class="queue-job-cancel" @click=${() => queue.cancel(job.id)}>
+                ✖
+              </button>
+            `
+          : ''}
+        ${job.state === 'failed'
+          ? html`
+              <button
+                class="queue-job-retry"
+                title=${job.resumeRow > 0 ? 'Carry on where it stopped' : 'Try again'}
+                @click=${() => queue.retry(job.id)}
+              >
+                🔁
+              </button>
+            `
+          : ''}
+      </li>
+    `;
+
+    modal.message = queue.isPaused ? '⏸️ Paused' : '';
+
+    render(
+      html`
+        <div class="print-queue">
+          <h3>Up next</h3>
+          ${pending.length
+            ? html`<ul>${pending.map(jobRow)}</ul>`
+            : html`<p class="queue-empty">Nothing waiting to print</p>`}
+          ${finished.length
+            ? html`
+                <h3>Finished</h3>
+                <ul>${finished.map(jobRow)}</ul>
+              `
+            : ''}
+        </div>
+        ${queue.isPaused
+          ? html`
+              <button class="success" slot="actions" @click=${() => queue.resume()}>
+                ▶️ Resume
+              </button>
+            `
+          : html`
+              <button class="primary" slot="actions" @click=${() => queue.pause()}>
+                ⏸️ Pause
+              </button>
+            `}
+        ${finished.length
+          ? html`
+              <button class="primary" slot="actions" @click=${() => queue.clearFinished()}>
+                🧹 Clear Finished
+              </button>
+            `
+          : ''}
+        <button class="danger" slot="actions" @click=${() => this.closePrintQueue()}>
+          Close
+        </button>
+      `,
+      modal
+    );
+  }
+
+  /**
+   * Stop re-rendering the queue panel
+   * @returns {void}
+   * @private
+   */
+  _unwatchQueue() {
+    this._shownQueue?.removeEventListener('change', this._queueListener);
+    this._shownQueue = null;
+  }
+
+  /**
+   * Close the print queue panel
+   * @returns {void}
+   */
+  closePrintQueue() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('printQueueModal'));
+    if (modal) {
+      modal.open = false;
+    }
+    this._unwatchQueue();
+  }
+
+  /**
+   * Show what the virtual printer printed
+   * @param {HTMLCanvasElement} paper - The rendered paper strip
+   * @param {string} message - Message shown above the strip
+   * @returns {void}
+   */
+  showVirtualPrint(paper, message) {
+    let modal = /** @type {AppModal | null} */ (document.getElementById('virtualPrintModal'));
+    if (!modal) {
+      modal = /** @type {AppModal} */ (document.createElement('app-modal'));
+      modal.id = 'virtualPrintModal';
+      modal.title = '🧪 Virtual Print';
+      document.body.appendChild(modal);
+    }
+
+    modal.message = message;
+    render(
+      html`
+        <div class="virtual-paper">${paper}</div>
+        <button
+          class="success"
+          slot="actions"
+          @click=${() => this._downloadVirtualPrint(paper)}
+        >
+          💾 Save PNG
+        </button>
+        <button
+          class="primary"
+          slot="actions"
+          @click=${() => this.closeVirtualPrint()}
+        >
+          OK
+        </button>
+      `,
+      modal
+    );
+
+    modal.open = true;
+  }
+
+  /**
+   * Save a virtual print as a PNG file
+   * @param {HTMLCanvasElement} paper - The rendered paper strip
+   * @returns {void}
+   * @private
+   */
+  _downloadVirtualPrint(paper) {
+    const link = document.createElement('a');
+    link.href = paper.toDataURL('image/png');
+    link.download = `virtual-print-${Date.now()}.png`;
+    link.click();
+  }
+
+  /**
+   * Close the virtual print modal
+   * @returns {void}
+   */
+  closeVirtualPrint() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('virtualPrintModal'));
+    if (modal) {
+      modal.open = false;
+    }
+  }
+
+  /**
+   * Show the printers panel: every printer in the pool, to name, remove
+   * or make primary, and a button to connect another
+   * Stays up to date while open as printers connect, drop and print
+   * @param {PrinterPool} pool - The connected printers
+   * @param {PrintQueue} queue - Shows which printers are busy
+   * @returns {void}
+   */
+  showPrinterPool(pool, queue) {
+    let modal = /** @type {AppModal | null} */ (document.getElementById('printerPoolModal'));
+    if (!modal) {
+      modal = /** @type {AppModal} */ (document.createElement('app-modal'));
+      modal.id = 'printerPoolModal';
+      modal.title = '🖨️ Printers';
+      document.body.appendChild(modal);
+      modal.addEventListener('close', () => this._unwatchPrinterPool());
+    }
+
+    this._unwatchPrinterPool();
+    this._shownPool = { pool, queue };
+    pool.addEventListener('change', this._poolListener);
+    queue.addEventListener('change', this._poolListener);
+    this._renderPrinterPool();
+
+    modal.open = true;
+  }
+
+  /**
+   * Render the printers panel contents for the shown pool
+   * @returns {void}
+   * @private
+   */
+  _renderPrinterPool() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('printerPoolModal'));
+    if (!modal || !this._shownPool) return;
+    const { pool, queue } = this._shownPool;
+    const primary = pool.getPrimary();
+
+    modal.message = pool.printers.length
+      ? 'Jobs go to the printer you pick when printing, or to the next free one. The drawing is sized for the ⭐ main printer.'
+      : 'No printers connected';
+
+    render(
+      html`
+        <ul class="printer-pool">
+          ${pool.printers.map((printer) => {
+            const job = queue.getPrinterJob(printer.id);
+            const state = describePoolPrinter(printer, job !== null);
+            return html`
+              <li class="pool-printer ${state.problem ? 'problem' : ''}">
+                <input
+                  type="text"
+                  aria-label="Printer name"
+                  maxlength=${POOL_CONFIG.MAX_NAME_LENGTH}
+                  placeholder=${printer.manager.getDeviceName()}
+                  .value=${pool.getName(printer)}
+                  @change=${(/** @type {Event} */ e) =>
+                    pool.rename(printer.id, /** @type {HTMLInputElement} */ (e.target).value)}
+                />
+                <span class="pool-printer-state">
+                  ${state.text}${job ? html`<br /><small>${job.label}</small>` : ''}
+                </span>
+                ${printer === primary
+                  ? html`<span class="pool-printer-primary" title="Main printer">⭐</span>`
+                  : html`
+                      <button
+                        class="pool-printer-action"
+                        title="Make this the main printer"
+                        @click=${() => pool.setPrimary(printer.id)}
+                      >
+                        ☆
+                      </button>
+                    `}
+                <button
+                  class="pool-printer-action danger"
+                  title="Disconnect"
+                  @click=${() => pool.remove(printer.id)}
+                >
+                  ✖
+                </button>
+              </li>
+            `;
+          })}
+        </ul>
+        <button class="success" slot="actions" @click=${() => this.onAddPrinter?.()}>
+          ➕ Add Printer
+        </button>
+        <button class="danger" slot="actions" @click=${() => this.closePrinterPool()}>
+          Close
+        </button>
+      `,
+      modal
+    );
+  }
+
+  /**
+   * Stop re-rendering the printers panel
+   * @returns {void}
+   * @private
+   */
+  _unwatchPrinterPool() {
+    if (!this._shownPool) return;
+    this._shownPool.pool.removeEventListener('change', this._poolListener);
+    this._shownPool.queue.removeEventListener('change', this._poolListener);
+    this._shownPool = null;
+  }
+
+  /**
+   * Close the printers panel
+   * @returns {void}
+   */
+  closePrinterPool() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('printerPoolModal'));
+    if (modal) {
+      modal.open = false;
+    }
+    this._unwatchPrinterPool();
+  }
+
+  /**
+   * Show the diagnostics panel
+   * Stays up to date with the traffic log while open
+   * @param {DiagnosticsReport} report - What to show
+   * @returns {void}
+   */
+  showDiagnostics(report) {
+    let modal = /** @type {AppModal | null} */ (document.getElementById('diagnosticsModal'));
+    if (!modal) {
+      modal = /** @type {AppModal} */ (document.createElement('app-modal'));
+      modal.id = 'diagnosticsModal';
+      modal.title = '🩺 Printer Diagnostics';
+      document.body.appendChild(modal);
+      modal.addEventListener('close', () => this._unwatchDiagnostics());
+    }
+
+    this._unwatchDiagnostics();
+    this._diagnostics = report;
+    report.log.addEventListener('change', this._logListener);
+    this._renderDiagnostics();
+
+    modal.open = true;
+  }
+
+  /**
+   * Change what the open diagnostics panel shows
+   * @param {Partial<DiagnosticsReport>} changes
+   * @returns {void}
+   */
+  updateDiagnostics(changes) {
+    if (!this._diagnostics) return;
+    this._diagnostics = { ...this._diagnostics, ...changes };
+    this._renderDiagnostics();
+  }
+
+  /**
+   * Render the diagnostics panel contents for the current report
+   * @returns {void}
+   * @private
+   */
+  _renderDiagnostics() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('diagnosticsModal'));
+    const report = this._diagnostics;
+    if (!modal || !report) return;
+
+    const { config, services, throughput, log } = report;
+    modal.message = report.deviceName;
+
+    const servicesSection = () => {
+      if (services === undefined) {
+        return html`<p>Reading services…</p>`;
+      }
+      if (report.servicesError) {
+        return html`<p class="diagnostics-error">${report.servicesError}</p>`;
+      }
+      if (services === null) {
+        return html`<p>Only Bluetooth printers list their services.</p>`;
+      }
+      return html`
+        <ul class="diagnostics-services">
+          ${services.map(
+            (service) => html`
+              <li>
+                <code>${service.uuid}</code>
+                ${service.error ? html`<small class="diagnostics-error">${service.error}</small>` : ''}
+                <ul>
+                  ${service.characteristics.map(
+                    (char) => html`
+                      <li class=${char.uuid === config.WRITE_CHAR_UUID ? 'diagnostics-active' : ''}>
+                        <code>${char.uuid}</code>
+                        <small>${char.properties.join(', ')}</small>
+                      </li>
+                    `
+                  )}
+                </ul>
+              </li>
+            `
+          )}
+        </ul>
+      `;
+    };
+
+    const throughputSection = () => {
+      if (report.printing) {
+        return html`<p>Printing…</p>`;
+      }
+      if (report.printError) {
+        return html`<p class="diagnostics-error">${report.printError}</p>`;
+      }
+      if (!throughput) {
+        return html`<p>Print a pattern to measure the speed.</p>`;
+      }
+      const seconds = throughput.elapsedMs / 1000;
+      return html`
+        <p>
+          ${throughput.bytes} bytes in ${seconds.toFixed(1)} s
+          (${Math.round(throughput.bytes / Math.max(seconds, 0.001))} bytes/s)
+        </p>
+        <p>
+          <small>
+            Writing ${throughput.writeMs} ms · waiting for the printer ${throughput.waitMs} ms ·
+            ${throughput.stalls} slow writes · ${throughput.xoffs} pause requests
+          </small>
+        </p>
+      `;
+    };
+
+    render(
+      html`
+        <div class="diagnostics">
+          <h3>Detection</h3>
+          <p>${report.tier ? DETECTION_TIER_LABELS[report.tier] : 'Not connected'}</p>
+          ${report.reason ? html`<p><small>${report.reason}</small></p>` : ''}
+          <p><small>Using the ${config.NAME} settings (${config.PROTOCOL ?? PRINTER_PROTOCOLS.ESC_POS})</small></p>
+
+          <h3>Services</h3>
+          ${servicesSection()}
+
+          <h3>Calibration</h3>
+          <div class="diagnostics-patterns">
+            ${CALIBRATION_PATTERN_LABELS.map(
+              ([pattern, label]) => html`
+                <button
+                  class="primary"
+                  ?disabled=${report.printing !== null}
+                  @click=${() => this.onCalibrationPrint?.(pattern)}
+                >
+                  ${label}
+                </button>
+              `
+            )}
+          </div>
+          ${throughputSection()}
+
+          <h3>Traffic</h3>
+          ${log.entries.length
+            ? html`<pre class="diagnostics-log">${log.entries.map(formatTrafficEntry).join('\n')}</pre>`
+            : html`<p class="queue-empty">Nothing sent or received yet</p>`}
+        </div>
+        <button class="primary" slot="actions" @click=${() => log.clear()}>🧹 Clear Log</button>
+        <button class="success" slot="actions" @click=${() => this._exportTrafficLog(log)}>
+          💾 Save Log
+        </button>
+        <button class="danger" slot="actions" @click=${() => this.closeDiagnostics()}>
+          Close
+        </button>
+      `,
+      modal
+    );
+  }
+
+  /**
+   * Download the traffic log as a text file
+   * @param {TrafficLog} log
+   * @returns {void}
+   * @private
+   */
+  _exportTrafficLog(log) {
+    const blob = new Blob([log.toText()], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `printer-traffic-${Date.now()}.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Stop re-rendering the diagnostics panel
+   * @returns {void}
+   * @private
+   */
+  _unwatchDiagnostics() {
+    this._diagnostics?.log.removeEventListener('change', this._logListener);
+    this._diagnostics = null;
+    if (this._diagnosticsTimer !== null) {
+      clearTimeout(this._diagnosticsTimer);
+      this._diagnosticsTimer = null;
+    }
+  }
+
+  /**
+   * Close the diagnostics panel
+   * @returns {void}
+   */
+  closeDiagnostics() {
+    const modal = /** @type {AppModal | null} */ (document.getElementById('diagnosticsModal'));
+    if (modal) {
+      modal.open = false;
+    }
+    this._unwatchDiagnostics();
+  }
+
   /**
    * Close all modals
    * @returns {void}
@@ -181,5 +2223,15 @@ export class ModalManager {
   closeAll() {
     this.closeStatus();
     this.closePrintOptions();
+    this.closePrintQueue();
+    this.closeConnectOptions();
+    this.closeVirtualPrint();
+    this.closePrinterProfiles();
+    this.closePaperSettings();
+    this.closeBanner();
+    this.closeReceipt();
+    this.closeRasterTest();
+    this.closeDiagnostics();
+    this.closePrinterPool();
   }
 }
@@ -0,0 +1,287 @@
+import { NIIMBOT, MEDIA_TYPES, PRINTER_ERRORS } from './constants.js';
+import { getPrintLevels } from './print-settings.js';
+import { PrinterError } from './printer-errors.js';
+
+/**
+ * @typedef {import('./constants.js').PrinterConfig} PrinterConfig
+ * @typedef {import('./print-settings.js').PrinterSettings} PrinterSettings
+ * @typedef {import('./label-media.js').MediaSettings} MediaSettings
+ */
+
+/**
+ * One packet found in a Niimbot byte stream
+ * @typedef {Object} NiimbotPacket
+ * @property {number} offset - Position of the packet in the stream
+ * @property {number} command - NIIMBOT.COMMANDS value, or a reply code
+ * @property {Uint8Array} data - Payload between the length and the checksum
+ */
+
+/**
+ * A request waiting for its reply
+ * @typedef {Object} ReplyWaiter
+ * @property {number} code - Reply code expected
+ * @property {(data: Uint8Array) => void} resolve
+ * @property {(error: Error) => void} reject
+ */
+
+const { COMMANDS } = NIIMBOT;
+
+// Header (2), command, length before the data; checksum and trailer (2) after
+const HEADER_BYTES = 4;
+const PACKET_OVERHEAD = HEADER_BYTES + 3;
+
+/**
+ * Checksum: command XOR length XOR every data byte
+ * @param {number} command
+ * @param {ArrayLike<number>} data
+ * @returns {number}
+ */
+function checksum(command, data) {
+  let sum = command ^ data.length;
+  for (let i = 0; i < data.length; i++) {
+    sum ^= data[i];
+  }
+  return sum;
+}
+
+/**
+ * Frame a command as a packet
+ * @param {number} command - NIIMBOT.COMMANDS value
+ * @param {readonly number[]} data - Payload (at most 255 bytes)
+ * @returns {number[]}
+ */
+export function niimbotPacket(command, data) {
+  return [
+    ...NIIMBOT.HEADER,
+    command,
+    data.length,
+    ...data,
+    checksum(command, data),
+    ...NIIMBOT.TRAILER,
+  ];
+}
+
+/**
+ * Code of the packet the printer answers a request with
+ * @param {number} command - Request code
+ * @returns {number}
+ */
+export function getNiimbotReplyCode(command) {
+  const offsets = /** @type {Record<number, number>} */ (NIIMBOT.REPLY_OFFSETS);
+  return command + (offsets[command] ?? 1);
+}
+
+/**
+ * Packet for one image row
+ * Rows narrower than the print head are centered; blank rows use the
+ * short empty-row packet
+ * @param {Uint8Array | readonly number[]} row - Row bytes, leftmost dot in the MSB
+ * @param {number} y - Row number on the label
+ * @param {number} bytesPerLine - Print head width in bytes
+ * @returns {number[]}
+ */
+export function encodeNiimbotRow(row, y, bytesPerLine) {
+  if (row.every((byte) => byte === 0)) {
+    return niimbotPacket(COMMANDS.EMPTY_ROWS, [(y >> 8) & 0xff, y & 0xff, 1]);
+  }
+
+  const data = new Array(bytesPerLine).fill(0);
+  const left = Math.max(0, Math.floor((bytesPerLine - row.length) / 2));
+  for (let x = 0; x < row.length && left + x < bytesPerLine; x++) {
+    data[left + x] = row[x];
+  }
+  // The three dot counts can be left at 0; the row is printed once
+  return niimbotPacket(COMMANDS.BITMAP_ROW, [(y >> 8) & 0xff, y & 0xff, 0, 0, 0, 1, ...data]);
+}
+
+/**
+ * Most bytes an image row can take on the wire, for progress
+ * @param {number} bytesPerLine - Print head width in bytes
+ * @returns {number}
+ */
+export function getNiimbotRowSize(bytesPerLine) {
+  return PACKET_OVERHEAD + 6 + bytesPerLine;
+}
+
+/**
+ * SET_LABEL_TYPE value for the loaded paper
+ * @param {MediaSettings} media
+ * @returns {number}
+ */
+export function getNiimbotLabelType(media) {
+  switch (media.type) {
+    case MEDIA_TYPES.BLACK_MARK:
+      return NIIMBOT.LABEL_TYPES.BLACK_MARK;
+    case MEDIA_TYPES.CONTINUOUS:
+      return NIIMBOT.LABEL_TYPES.CONTINUOUS;
+    default:
+      return NIIMBOT.LABEL_TYPES.GAP;
+  }
+}
+
+/**
+ * Density level for a print, starting from the config's DEFAULT_LEVELS
+ * @param {PrinterConfig} config
+ * @param {PrinterSettings} [settings] - Density chosen for this print
+ * @returns {number | null} Null if the config has no default density
+ */
+export function getNiimbotDensity(config, settings = {}) {
+  return getPrintLevels(config, settings).density;
+}
+
+/**
+ * Find the packets in a byte stream
+ * @param {Uint8Array} bytes - The raw stream
+ * @param {boolean} strict - Throw on bytes that aren't a valid packet, instead of skipping them
+ * @returns {NiimbotPacket[]}
+ * @throws {Error} In strict mode, if the stream has bytes outside a packet or a bad packet
+ */
+function findPackets(bytes, strict) {
+  /** @type {NiimbotPacket[]} */
+  const packets = [];
+  let i = 0;
+
+  while (i < bytes.length) {
+    const offset = i;
+    const isHeader = bytes[i] === NIIMBOT.HEADER[0] && bytes[i + 1] === NIIMBOT.HEADER[1];
+    const length = bytes[i + 3];
+    const end = i + HEADER_BYTES + length;
+
+    if (!isHeader || length === undefined || end + 3 > bytes.length) {
+      if (strict) {
+        throw new Error(
+          isHeader
+            ? `Stream ends inside a packet at byte ${offset}`
+            : `Expected a packet at byte ${offset}`
+        );
+      }
+      i++;
+      continue;
+    }
+
+    const command = bytes[i + 2];
+    const data = bytes.slice(i + HEADER_BYTES, end);
+    const valid =
+      bytes[end] === checksum(command, data) &&
+      bytes[end + 1] === NIIMBOT.TRAILER[0] &&
+      bytes[end + 2] === NIIMBOT.TRAILER[1];
+    if (!valid) {
+      if (strict) throw new Error(`Bad checksum in packet at byte ${offset}`);
+      i++;
+      continue;
+    }
+
+    packets.push({ offset, command, data });
+    i = end + 3;
+  }
+
+  return packets;
+}
+
+/**
+ * Split a Niimbot byte stream into packets
+ * @param {Uint8Array} bytes - The raw stream
+ * @returns {NiimbotPacket[]}
+ * @throws {Error} If the stream has bytes outside a packet, a bad checksum or ends inside a packet
+ */
+export function decodeNiimbotPackets(bytes) {
+  return findPackets(bytes, true);
+}
+
+/**
+ * Matches replies from the notify characteristic to the requests waiting for them
+ *
+ * Niimbot printers answer each setup command, and report when a label
+ * has been accepted and printed, so the print waits for each answer
+ * instead of guessing with fixed delays.
+ */
+export class NiimbotReplies {
+  /** @type {ReplyWaiter[]} Oldest first */
+  _waiters;
+
+  constructor() {
+    this._waiters = [];
+  }
+
+  /**
+   * Wait for the reply to a request
+   * Call before sending the request, so a fast reply isn't missed
+   * @param {number} command - Request code
+   * @param {number} [timeoutMs] - Give up after this long
+   * @returns {Promise<Uint8Array>} The reply's data
+   * @throws {PrinterError} TIMEOUT if the printer doesn't answer in time
+   * @throws {Error} If the printer rejects the request
+   */
+  wait(command, timeoutMs = NIIMBOT.REPLY_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+      /** @type {ReplyWaiter} */
+      const waiter = {
+        code: getNiimbotReplyCode(command),
+        resolve: (data) => {
+          clearTimeout(timer);
+          resolve(data);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        },
+      };
+      const timer = setTimeout(() => {
+        this._remove(waiter);
+        reject(new PrinterError(PRINTER_ERRORS.TIMEOUT, 'The label printer stopped answering'));
+      }, timeoutMs);
+      this._waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Hand a notification to the requests waiting for it
+   * @param {Uint8Array} bytes - Raw notification value
+   * @returns {boolean} True if it held any Niimbot packets
+   */
+  handle(bytes) {
+    const packets = findPackets(bytes, false);
+
+    for (const { command, data } of packets) {
+      if (command === COMMANDS.ERROR) {
+        // The printer doesn't say which request failed; it's the oldest one
+        const waiter = this._waiters[0];
+        if (waiter) {
+          this._remove(waiter);
+          waiter.reject(
+            new Error('The label printer refused the print. Check the labels are loaded.')
+          );
+        }
+        continue;
+      }
+
+      const waiter = this._waiters.find((w) => w.code === command);
+      if (waiter) {
+        this._remove(waiter);
+        waiter.resolve(data);
+      }
+    }
+
+    return packets.length > 0;
+  }
+
+  /**
+   * Fail every request still waiting, e.g. when the printer disconnects
+   * @param {Error} error
+   * @returns {void}
+   */
+  cancelAll(error) {
+    const waiters = this._waiters;
+    this._waiters = [];
+    waiters.forEach((waiter) => waiter.reject(error));
+  }
+
+  /**
+   * @param {ReplyWaiter} waiter
+   * @returns {void}
+   * @private
+   */
+  _remove(waiter) {
+    this._waiters = this._waiters.filter((w) => w !== waiter);
+  }
+}
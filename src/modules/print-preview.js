@@ -0,0 +1,67 @@
+import { imageDataToBitmap, getBitmapRow } from './bitmap.js';
+
+/**
+ * @typedef {import('./bitmap.js').Bitmap} Bitmap
+ * @typedef {import('./bitmap.js').ConversionOptions} ConversionOptions
+ */
+
+/**
+ * Draw a bitmap the way it comes out of the printer: black dots on white paper
+ * Dots past the end of the bitmap's rows, where the canvas is wider than
+ * the print head, stay white because they never print
+ * @param {Bitmap} bitmap
+ * @param {number} width - Canvas width in dots
+ * @param {HTMLCanvasElement} [target] - Canvas to draw on, resized to fit (default: a new one)
+ * @returns {HTMLCanvasElement} The target
+ * @throws {Error} If 2D context cannot be obtained from canvas
+ */
+export function bitmapToCanvas(bitmap, width, target = document.createElement('canvas')) {
+  target.width = width;
+  target.height = Math.max(bitmap.height, 1);
+
+  const ctx = target.getContext('2d');
+  if (!ctx) {
+    throw new Error('Could not get 2D context from canvas');
+  }
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, target.width, target.height);
+
+  // One rectangle for each run of black dots
+  ctx.fillStyle = 'black';
+  const dots = Math.min(width, bitmap.bytesPerLine * 8);
+  for (let y = 0; y < bitmap.height; y++) {
+    const row = getBitmapRow(bitmap, y);
+    let runStart = -1;
+    for (let x = 0; x <= dots; x++) {
+      const black = x < dots && (row[x >> 3] & (0x80 >> (x & 7))) !== 0;
+      if (black && runStart < 0) {
+        runStart = x;
+      } else if (!black && runStart >= 0) {
+        ctx.fillRect(runStart, y, x - runStart, 1);
+        runStart = -1;
+      }
+    }
+  }
+
+  return target;
+}
+
+/**
+ * Show a canvas exactly as it will print
+ * Goes through the same conversion as printing, so colors too light for
+ * the threshold vanish here just as they do on paper
+ * @param {HTMLCanvasElement} canvas - The drawing
+ * @param {number} bytesPerLine - Row width of the printer it is going to
+ * @param {ConversionOptions} [options] - Dithering mode and threshold
+ * @param {HTMLCanvasElement} [target] - Canvas to draw the preview on (default: a new one)
+ * @returns {HTMLCanvasElement} The target
+ * @throws {Error} If 2D context cannot be obtained from canvas
+ */
+export function renderPrintPreview(canvas, bytesPerLine, options = {}, target) {
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Could not get 2D context from canvas');
+  }
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  return bitmapToCanvas(imageDataToBitmap(imageData, bytesPerLine, options), canvas.width, target);
+}
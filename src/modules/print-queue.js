@@ -0,0 +1,553 @@
+import { QUEUE_CONFIG, PRINTER_ERRORS } from './constants.js';
+import { isLabelMedia } from './label-media.js';
+import { PrinterPool } from './printer-pool.js';
+import { validateReceiptBlock } from './receipt.js';
+import { layoutBanner, createBannerSource } from './banner.js';
+import { normalizePrinterSettings } from './print-settings.js';
+import { PrinterError, describePrinterError } from './printer-errors.js';
+
+/**
+ * @typedef {import('./printer.js').PrinterManager} PrinterManager
+ * @typedef {import('./printer-pool.js').PoolPrinter} PoolPrinter
+ * @typedef {import('./printer.js').PrintOptions} PrintOptions
+ * @typedef {import('./printer.js').PrintProgress} PrintProgress
+ * @typedef {import('./printer.js').PrintControl} PrintControl
+ * @typedef {import('./printer.js').RowSource} RowSource
+ * @typedef {import('./bitmap.js').Bitmap} Bitmap
+ * @typedef {import('./print-settings.js').PrinterSettings} PrinterSettings
+ * @typedef {import('./receipt.js').ReceiptBlock} ReceiptBlock
+ * @typedef {import('./banner.js').BannerContent} BannerContent
+ * @typedef {import('./constants.js').PrinterConfig} PrinterConfig
+ */
+
+/**
+ * @typedef {'pending' | 'printing' | 'done' | 'failed' | 'cancelled'} PrintJobState
+ */
+
+/**
+ * Converts a picture for the printer that prints it
+ * @typedef {(manager: PrinterManager) => Bitmap | RowSource} PictureConverter
+ */
+
+/**
+ * @typedef {Object} PrintJob
+ * @property {number} id - Unique job number, also used in the label
+ * @property {string} label - Name shown in the queue panel
+ * @property {Bitmap | RowSource | null} bitmap - Rows already converted for the printer; null for receipts and pictures
+ * @property {PictureConverter | null} picture - Converts a snapshot of the canvas taken when the job was queued, or renders rows while printing, for whichever printer takes the job; null for rows and receipts
+ * @property {ReceiptBlock[] | null} receipt - Text, QR codes and barcodes, laid out for whichever printer prints them; null for pictures
+ * @property {number} copies - Number of copies requested
+ * @property {PrinterSettings} settings - Density, speed and paper layout chosen when the job was queued, over the printing printer's own
+ * @property {number | null} printerId - Pool printer the job was sent to, null for the next idle one
+ * @property {number | null} assignedTo - Pool printer printing the job, or that last printed it
+ * @property {number} copiesPrinted - Copies finished so far
+ * @property {number} resumeRow - Rows of the current copy on paper before it failed, where retry() carries on; 0 to start the copy over
+ * @property {PrintJobState} state
+ * @property {PrintProgress | null} progress - Progress of the copy being printed
+ * @property {string | null} error - Failure message for the user when state is 'failed'
+ * @property {number} createdAt - Timestamp (ms) when the job was queued
+ */
+
+/**
+ * Serializes print jobs in front of a pool of printers
+ *
+ * Only one job talks to each printer at a time, so a second tap on Print
+ * queues a job instead of interleaving bytes with the first. With several
+ * printers, each job goes to the printer it was sent to, or to the first
+ * one that is free.
+ *
+ * @fires change - Whenever a job is added, progresses or finishes, or the queue is paused/resumed
+ * @fires jobdone - CustomEvent<PrintJob> when every copy of a job has printed
+ * @fires jobfailed - CustomEvent<{job: PrintJob, error: unknown}> when printing a job fails
+ * @fires jobcancelled - CustomEvent<PrintJob> when a job that had started printing is cancelled
+ * @fires progress - CustomEvent<PrintJob> after each block of the active job is sent
+ */
+export class PrintQueue extends EventTarget {
+  /** @type {PrinterPool} */
+  printers;
+
+  /** @type {PrintJob[]} Pending, active and recently finished jobs, oldest first */
+  jobs;
+
+  /** @type {Map<number, PrintJob>} Job printing on each busy printer, by printer id */
+  _activeJobs;
+
+  /** @type {Map<PrintJob, AbortController>} Aborts the copy each active job is printing */
+  _aborts;
+
+  /** @type {boolean} */
+  isPaused;
+
+  /** @type {(manager: PrinterManager) => PrinterSettings} */
+  getPrinterSettings;
+
+  /** @type {number} */
+  _nextId;
+
+  /**
+   * @param {PrinterPool | PrinterManager} printers - The printers that jobs are sent to; a single printer is a pool of one
+   * @param {(manager: PrinterManager) => PrinterSettings} [getPrinterSettings] - Settings a printer prints with where the job picks none, looked up when the job starts on it
+   */
+  constructor(printers, getPrinterSettings = () => ({})) {
+    super();
+    this.getPrinterSettings = getPrinterSettings;
+    if (printers instanceof PrinterPool) {
+      this.printers = printers;
+    } else {
+      this.printers = new PrinterPool();
+      this.printers.add(printers);
+    }
+    this.jobs = [];
+    this._activeJobs = new Map();
+    this._aborts = new Map();
+    this.isPaused = false;
+    this._nextId = 1;
+    // A printer connecting can take waiting jobs; one leaving fails those sent to it
+    this.printers.addEventListener('change', () => this._processNext());
+  }
+
+  /**
+   * Printer a job has to fit when it is queued
+   * Jobs for any printer are checked against the narrowest one, so they
+   * fit whichever printer takes them
+   * @param {PrintOptions} options
+   * @returns {PrinterManager}
+   * @throws {Error} If the chosen printer isn't in the pool, or the pool is empty
+   */
+  getTargetPrinter(options = {}) {
+    const printer =
+      options.printerId != null
+        ? this.printers.get(options.printerId)
+        : this.printers.getNarrowest();
+    if (!printer) {
+      throw new PrinterError(PRINTER_ERRORS.NOT_CONNECTED, 'Printer not connected');
+    }
+    return printer.manager;
+  }
+
+  /**
+   * Queue a canvas for printing
+   * The canvas is copied immediately, so drawing on afterwards doesn't
+   * change what prints; the copy is converted in the background for the
+   * printer that takes the job
+   * @param {HTMLCanvasElement} canvas - The canvas to print
+   * @param {PrintOptions} [options] - Dithering, number of copies, density, speed and printer
+   * @returns {PrintJob} The queued job
+   * @throws {Error} If the printer is not configured
+   */
+  add(canvas, options = {}) {
+    const snapshot = copyCanvas(canvas);
+    return this.addPicture((manager) => manager.canvasToRows(snapshot, options), options);
+  }
+
+  /**
+   * Queue a picture that is converted once a printer takes the job
+   * Each printer gets rows at its own width, whichever one it is; a
+   * RowSource from the converter can render a long banner while it prints
+   * @param {PictureConverter} picture - Converts the picture for a printer
+   * @param {PrintOptions} [options] - Number of copies, density, speed and printer
+   * @param {string} [name] - Shown in the job label, before the job number
+   * @returns {PrintJob} The queued job
+   * @throws {Error} If the printer is not configured
+   */
+  addPicture(picture, options = {}, name = 'Sticker') {
+    if (!this.getTargetPrinter(options).config) {
+      throw new PrinterError(PRINTER_ERRORS.NOT_CONNECTED, 'Printer not configured');
+    }
+    return this._addJob({ picture }, options, name);
+  }
+
+  /**
+   * Queue a banner along the paper
+   * It is laid out for the print width of whichever printer takes the job,
+   * and its rows are rendered while it prints, so it can be any length
+   * @param {BannerContent} content - Text and drawing for the banner
+   * @param {PrintOptions} [options] - Dithering, number of copies, density, speed and printer
+   * @param {string} [name] - Shown in the job label, before the job number
+   * @returns {PrintJob} The queued job
+   * @throws {Error} If the printer is not configured
+   */
+  addBanner(content, options = {}, name = 'Banner') {
+    return this.addPicture(
+      (manager) => {
+        const { WIDTH } = /** @type {PrinterConfig} */ (manager.config);
+        return createBannerSource(layoutBanner(content, WIDTH), (block, carry) =>
+          manager.canvasToRows(block, { ...options, carry })
+        );
+      },
+      // Trimming would read the whole banner first, and cut off its margins
+      { ...options, trim: false },
+      name
+    );
+  }
+
+  /**
+   * Queue rows that are already converted for the printer
+   * A RowSource is only read while the job prints, so it never has to be
+   * held in memory whole
+   * @param {Bitmap | RowSource} bitmap - Printer rows, or a source of them
+   * @param {PrintOptions} [options] - Number of copies, density, speed and printer
+   * @param {string} [name] - Shown in the job label, before the job number
+   * @returns {PrintJob} The queued job
+   */
+  addBitmap(bitmap, options = {}, name = 'Sticker') {
+    return this._addJob({ bitmap }, options, name);
+  }
+
+  /**
+   * Queue a text receipt
+   * Each printer lays it out for itself, using its own text, QR code and
+   * barcode commands where it has them
+   * @param {ReceiptBlock[]} blocks - What to print, top to bottom
+   * @param {PrintOptions} [options] - Number of copies, density, speed and printer
+   * @param {string} [name] - Shown in the job label, before the job number
+   * @returns {PrintJob} The queued job
+   * @throws {Error} If a block won't fit on the printer's paper, e.g. a long barcode
+   */
+  addReceipt(blocks, options = {}, name = 'Text') {
+    const { config } = this.getTargetPrinter(options);
+    if (config) {
+      for (const block of blocks) {
+        validateReceiptBlock(block, config.WIDTH);
+      }
+    }
+    return this._addJob({ receipt: blocks }, options, name);
+  }
+
+  /**
+   * @param {{ bitmap?: Bitmap | RowSource, picture?: PictureConverter, receipt?: ReceiptBlock[] }} content - What the job prints
+   * @param {PrintOptions} options
+   * @param {string} name
+   * @returns {PrintJob}
+   * @private
+   */
+  _addJob(content, options, name) {
+    const id = this._nextId++;
+    const copies = Math.max(1, Math.min(Math.floor(options.copies ?? 1), QUEUE_CONFIG.MAX_COPIES));
+
+    /** @type {PrintJob} */
+    const job = {
+      id,
+      label: `${name} #${id}`,
+      bitmap: content.bitmap ?? null,
+      picture: content.picture ?? null,
+      receipt: content.receipt ?? null,
+      copies,
+      settings: normalizePrinterSettings(options),
+      printerId: options.printerId ?? null,
+      assignedTo: null,
+      copiesPrinted: 0,
+      resumeRow: 0,
+      state: 'pending',
+      progress: null,
+      error: null,
+      createdAt: Date.now(),
+    };
+
+    this.jobs.push(job);
+    this._emitChange();
+    this._processNext();
+    return job;
+  }
+
+  /**
+   * Stop starting new copies; the copy being printed finishes first
+   * @returns {void}
+   */
+  pause() {
+    if (this.isPaused) return;
+    this.isPaused = true;
+    this._emitChange();
+  }
+
+  /**
+   * Continue printing queued jobs
+   * @returns {void}
+   */
+  resume() {
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    this._emitChange();
+    this._processNext();
+  }
+
+  /**
+   * Cancel a job
+   * A pending job is dropped right away; an active job stops after the
+   * current block and feeds its paper out
+   * @param {number} id - The job to cancel
+   * @returns {boolean} True if the job was found and could still be cancelled
+   */
+  cancel(id) {
+    const job = this.jobs.find((j) => j.id === id);
+    if (!job || (job.state !== 'pending' && job.state !== 'printing')) {
+      return false;
+    }
+    job.state = 'cancelled';
+    this._aborts.get(job)?.abort();
+    this._emitChange();
+    return true;
+  }
+
+  /**
+   * Queue a failed job again, and resume the queue
+   * A picture on a roll carries on from the last block the printer took,
+   * on that same printer, so nothing prints twice; labels and receipts
+   * start the copy over.
+   * Copies already printed are not repeated.
+   * @param {number} id - The job to retry
+   * @returns {boolean} True if the job had failed and is queued again
+   */
+  retry(id) {
+    const job = this.jobs.find((j) => j.id === id);
+    if (!job || job.state !== 'failed') {
+      return false;
+    }
+    job.state = 'pending';
+    job.error = null;
+    this.isPaused = false;
+    this._emitChange();
+    this._processNext();
+    return true;
+  }
+
+  /**
+   * Remove finished, failed and cancelled jobs from the list
+   * @returns {void}
+   */
+  clearFinished() {
+    this.jobs = this.jobs.filter((job) => !isFinished(job));
+    this._emitChange();
+  }
+
+  /**
+   * Jobs waiting or printing, in print order
+   * @returns {PrintJob[]}
+   */
+  getPendingJobs() {
+    return this.jobs.filter((job) => !isFinished(job));
+  }
+
+  /**
+   * Jobs being printed, one per busy printer
+   * @returns {PrintJob[]}
+   */
+  getActiveJobs() {
+    return [...this._activeJobs.values()];
+  }
+
+  /**
+   * Job a printer is printing
+   * @param {number} printerId
+   * @returns {PrintJob | null} Null if the printer is free
+   */
+  getPrinterJob(printerId) {
+    return this._activeJobs.get(printerId) ?? null;
+  }
+
+  /**
+   * Jobs that have finished, failed or been cancelled, most recent first
+   * @returns {PrintJob[]}
+   */
+  getFinishedJobs() {
+    return this.jobs.filter(isFinished).reverse();
+  }
+
+  /**
+   * Start pending jobs on the printers that are free
+   * Jobs start in queue order; one waiting for a busy printer doesn't hold
+   * up jobs that can go to another
+   * @returns {void}
+   * @private
+   */
+  _processNext() {
+    if (this.isPaused) return;
+
+    for (const job of this.jobs) {
+      if (job.state !== 'pending') continue;
+
+      if (job.printerId !== null && !this.printers.get(job.printerId)) {
+        job.state = 'failed';
+        job.error = 'The printer for this job was removed';
+        this.dispatchEvent(new CustomEvent('jobfailed', { detail: { job, error: job.error } }));
+        this._emitChange();
+        continue;
+      }
+
+      const printer = this._findPrinter(job);
+      if (printer) {
+        this._printJob(job, printer);
+      }
+    }
+  }
+
+  /**
+   * Printer to start a job on now
+   * A job for any printer goes to the first connected one that is free.
+   * If none is connected it goes to the first printer anyway once all are
+   * free, so it fails with the reason instead of waiting forever.
+   * A copy carrying on from where it stopped waits for the printer with
+   * the rest of it on its paper, or starts over if that printer has left.
+   * @param {PrintJob} job
+   * @returns {PoolPrinter | null} Null if the job has to wait
+   * @private
+   */
+  _findPrinter(job) {
+    const isFree = (/** @type {PoolPrinter} */ printer) => !this._activeJobs.has(printer.id);
+
+    if (job.resumeRow > 0 && job.assignedTo !== null) {
+      const previous = this.printers.get(job.assignedTo);
+      if (previous) {
+        return isFree(previous) ? previous : null;
+      }
+      job.resumeRow = 0;
+    }
+
+    if (job.printerId !== null) {
+      const printer = this.printers.get(job.printerId);
+      return printer && isFree(printer) ? printer : null;
+    }
+
+    const free = this.printers.printers.filter(isFree);
+    const connected = free.find((printer) => printer.manager.getConnectionStatus());
+    if (connected) return connected;
+    if (this._activeJobs.size === 0 && this.printers.getConnected().length === 0) {
+      return free[0] ?? null;
+    }
+    return null;
+  }
+
+  /**
+   * Print every copy of a job on one printer
+   * @param {PrintJob} job
+   * @param {PoolPrinter} printer
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _printJob(job, printer) {
+    const { manager } = printer;
+    this._activeJobs.set(printer.id, job);
+    job.assignedTo = printer.id;
+    job.state = 'printing';
+    this._emitChange();
+
+    try {
+      const settings = { ...this.getPrinterSettings(manager), ...job.settings };
+      // Pictures are converted for this printer; every copy reuses the rows
+      const rows = job.picture ? job.picture(manager) : job.bitmap;
+
+      while (job.copiesPrinted < job.copies && job.state === 'printing') {
+        if (this.isPaused) {
+          // Put the rest of the job back; it continues on resume
+          job.state = 'pending';
+          break;
+        }
+        // Labels already stop at the next label; a roll needs room to tear,
+        // unless the copy is carrying on from where it stopped
+        if (job.copiesPrinted > 0 && job.resumeRow === 0 && !isLabelMedia(manager.getMedia())) {
+          await manager.feed(QUEUE_CONFIG.SEPARATOR_FEED_LINES);
+        }
+
+        const abort = new AbortController();
+        this._aborts.set(job, abort);
+        /** @type {PrintControl} */
+        const control = {
+          signal: abort.signal,
+          startRow: job.resumeRow,
+          onProgress: (progress) => {
+            job.progress = progress;
+            this.dispatchEvent(new CustomEvent('progress', { detail: job }));
+          },
+        };
+        if (job.receipt) {
+          await manager.printReceipt(job.receipt, control, settings);
+        } else {
+          await manager.printBitmap(/** @type {Bitmap | RowSource} */ (rows), control, settings);
+        }
+        job.copiesPrinted++;
+        job.resumeRow = 0;
+        job.progress = null;
+        this._emitChange();
+      }
+
+      // cancel() may have changed the state while the printer was busy
+      const state = /** @type {PrintJobState} */ (job.state);
+      if (state === 'printing') {
+        job.state = 'done';
+        this.dispatchEvent(new CustomEvent('jobdone', { detail: job }));
+      } else if (state === 'cancelled') {
+        this.dispatchEvent(new CustomEvent('jobcancelled', { detail: job }));
+      }
+    } catch (error) {
+      const state = /** @type {PrintJobState} */ (job.state);
+      if (state === 'cancelled') {
+        // Aborted on purpose, the printer has already fed the paper out
+        this.dispatchEvent(new CustomEvent('jobcancelled', { detail: job }));
+        return;
+      }
+      job.state = 'failed';
+      job.error = describePrinterError(error);
+      // The rows already on a roll stay there; a label or receipt can't be continued
+      job.resumeRow =
+        !job.receipt && !isLabelMedia(manager.getMedia())
+          ? (job.progress?.rowsSent ?? job.resumeRow)
+          : 0;
+      // Hold the rest of the queue so it isn't lost to the same problem
+      this.isPaused = true;
+      this.dispatchEvent(new CustomEvent('jobfailed', { detail: { job, error } }));
+    } finally {
+      this._activeJobs.delete(printer.id);
+      this._aborts.delete(job);
+      job.progress = null;
+      this._trimHistory();
+      this._emitChange();
+      this._processNext();
+    }
+  }
+
+  /**
+   * Keep only the most recent finished jobs
+   * @returns {void}
+   * @private
+   */
+  _trimHistory() {
+    const finished = this.jobs.filter(isFinished);
+    const excess = finished.length - QUEUE_CONFIG.HISTORY_LIMIT;
+    if (excess > 0) {
+      const dropped = new Set(finished.slice(0, excess));
+      this.jobs = this.jobs.filter((job) => !dropped.has(job));
+    }
+  }
+
+  /**
+   * @returns {void}
+   * @private
+   */
+  _emitChange() {
+    this.dispatchEvent(new CustomEvent('change'));
+  }
+}
+
+/**
+ * Copy a canvas, so it can be drawn on while the copy waits to print
+ * @param {HTMLCanvasElement} canvas
+ * @returns {HTMLCanvasElement}
+ */
+function copyCanvas(canvas) {
+  const copy = document.createElement('canvas');
+  copy.width = canvas.width;
+  copy.height = canvas.height;
+  // Drawing an empty canvas throws
+  if (canvas.width > 0 && canvas.height > 0) {
+    copy.getContext('2d')?.drawImage(canvas, 0, 0);
+  }
+  return copy;
+}
+
+/**
+ * @param {PrintJob} job
+ * @returns {boolean} True if the job will not print any more
+ */
+function isFinished(job) {
+  return job.state === 'done' || job.state === 'failed' || job.state === 'cancelled';
+}
@@ -0,0 +1,228 @@
+import {
+  PRINT_LEVELS,
+  PRINT_LAYOUT,
+  ALIGNMENTS,
+  CUT_MODES,
+  STORAGE_KEYS,
+  PRINTER_PROTOCOLS,
+} from './constants.js';
+
+/**
+ * @typedef {import('./constants.js').PrinterConfig} PrinterConfig
+ * @typedef {import('./constants.js').InitCommands} InitCommands
+ * @typedef {typeof ALIGNMENTS[keyof typeof ALIGNMENTS]} Alignment
+ * @typedef {typeof CUT_MODES[keyof typeof CUT_MODES]} CutMode
+ */
+
+/**
+ * How dark and how fast a printer prints, and the paper around each print
+ * Left out means the printer config's own value, or PRINT_LAYOUT's
+ * @typedef {Object} PrinterSettings
+ * @property {number} [density] - Darker at higher levels
+ * @property {number} [speed] - Faster at higher levels; slower prints come out darker
+ * @property {number} [feedBefore] - Lines of blank paper before the print
+ * @property {number} [feedAfter] - Lines of blank paper after the print, on a roll (labels feed to the next label)
+ * @property {Alignment} [align] - Where pictures narrower than the print head sit, on ESC/POS printers
+ * @property {boolean} [trim] - Leave out blank rows at the top and bottom of pictures on a roll (default: PRINT_LAYOUT.TRIM_DRAWINGS; printBitmap alone keeps them)
+ * @property {CutMode} [cut] - What the cutter does after the print, on printers with one
+ */
+
+/**
+ * @typedef {Object} LevelRange
+ * @property {number} min
+ * @property {number} max
+ * @property {number} default - Level in the printer config's command
+ */
+
+/**
+ * Chosen density and speed, for drivers that build their own packets
+ * Null means the printer has no such setting
+ * @typedef {Object} PrintLevels
+ * @property {number | null} density
+ * @property {number | null} speed
+ */
+
+/**
+ * Level a printer prints at unless the print options pick another
+ * ESC/POS printers have it as the last byte of their init command; other
+ * protocols list it in DEFAULT_LEVELS for their driver to send
+ * @param {PrinterConfig | null | undefined} config
+ * @param {'DENSITY' | 'SPEED'} setting
+ * @returns {number | undefined}
+ */
+function getDefaultLevel(config, setting) {
+  if (!config) return undefined;
+  if ((config.PROTOCOL ?? PRINTER_PROTOCOLS.ESC_POS) !== PRINTER_PROTOCOLS.ESC_POS) {
+    return config.DEFAULT_LEVELS?.[setting];
+  }
+  const init = config.INIT_COMMANDS;
+  return (setting === 'DENSITY' ? init?.SET_DENSITY : init?.SET_PRINT_SPEED)?.at(-1);
+}
+
+/**
+ * @param {number | undefined} level - Default level, or undefined if the printer has none
+ * @param {number} min
+ * @param {number} max
+ * @returns {LevelRange | null}
+ */
+function getLevelRange(level, min, max) {
+  if (level === undefined) return null;
+  return { min, max, default: Math.min(Math.max(level, min), max) };
+}
+
+/**
+ * Density levels the printer takes, or null if it has no density command
+ * Printers with fewer levels than usual set MAX_DENSITY
+ * @param {PrinterConfig | null | undefined} config
+ * @returns {LevelRange | null}
+ */
+export function getDensityRange(config) {
+  return getLevelRange(
+    getDefaultLevel(config, 'DENSITY'),
+    PRINT_LEVELS.MIN_DENSITY,
+    config?.MAX_DENSITY ?? PRINT_LEVELS.MAX_DENSITY
+  );
+}
+
+/**
+ * Speed levels the printer takes, or null if it has no speed command
+ * @param {PrinterConfig | null | undefined} config
+ * @returns {LevelRange | null}
+ */
+export function getSpeedRange(config) {
+  return getLevelRange(
+    getDefaultLevel(config, 'SPEED'),
+    PRINT_LEVELS.MIN_SPEED,
+    PRINT_LEVELS.MAX_SPEED
+  );
+}
+
+/**
+ * @param {LevelRange} range
+ * @param {number | undefined} level - Out-of-range levels are clamped
+ * @returns {number} The level, or the range's default if none was chosen
+ */
+function clampLevel(range, level) {
+  return typeof level === 'number' && Number.isFinite(level)
+    ? Math.min(Math.max(Math.round(level), range.min), range.max)
+    : range.default;
+}
+
+/**
+ * Replace the level byte at the end of a command
+ * @param {readonly number[]} template
+ * @param {LevelRange} range
+ * @param {number | undefined} level - Out-of-range levels are clamped
+ * @returns {number[]}
+ */
+function withLevel(template, range, level) {
+  return [...template.slice(0, -1), clampLevel(range, level)];
+}
+
+/**
+ * Density and speed for a print on a printer that doesn't speak ESC/POS
+ * Starts from the config's DEFAULT_LEVELS, with the chosen levels clamped
+ * to what the printer takes
+ * @param {PrinterConfig} config
+ * @param {PrinterSettings} [settings]
+ * @returns {PrintLevels}
+ */
+export function getPrintLevels(config, settings = {}) {
+  const densityRange = getDensityRange(config);
+  const speedRange = getSpeedRange(config);
+  return {
+    density: densityRange ? clampLevel(densityRange, settings.density) : null,
+    speed: speedRange ? clampLevel(speedRange, settings.speed) : null,
+  };
+}
+
+/**
+ * Build an ESC/POS printer's init commands with the chosen density and speed
+ * The config's SET_DENSITY and SET_PRINT_SPEED are templates whose last byte
+ * is the level; printers without them are sent their commands unchanged
+ * @param {PrinterConfig} config
+ * @param {PrinterSettings} [settings]
+ * @returns {InitCommands | null}
+ */
+export function getInitCommands(config, settings = {}) {
+  const init = config.INIT_COMMANDS;
+  if (!init || (config.PROTOCOL ?? PRINTER_PROTOCOLS.ESC_POS) !== PRINTER_PROTOCOLS.ESC_POS) {
+    return null;
+  }
+
+  const densityRange = getDensityRange(config);
+  const speedRange = getSpeedRange(config);
+
+  return {
+    ...init,
+    ...(init.SET_DENSITY && densityRange
+      ? { SET_DENSITY: withLevel(init.SET_DENSITY, densityRange, settings.density) }
+      : {}),
+    ...(init.SET_PRINT_SPEED && speedRange
+      ? { SET_PRINT_SPEED: withLevel(init.SET_PRINT_SPEED, speedRange, settings.speed) }
+      : {}),
+  };
+}
+
+/**
+ * Keep only valid printer settings
+ * Levels are checked against the printer when its commands are built;
+ * feeds are clamped to PRINT_LAYOUT.MAX_FEED_LINES
+ * @param {unknown} value - Settings from storage or the print options
+ * @returns {PrinterSettings}
+ */
+export function normalizePrinterSettings(value) {
+  /** @type {PrinterSettings} */
+  const settings = {};
+  if (!value || typeof value !== 'object') return settings;
+  const input = /** @type {Record<string, unknown>} */ (value);
+
+  if (typeof input.density === 'number') settings.density = input.density;
+  if (typeof input.speed === 'number') settings.speed = input.speed;
+  for (const key of /** @type {const} */ (['feedBefore', 'feedAfter'])) {
+    const lines = input[key];
+    if (typeof lines === 'number' && Number.isFinite(lines)) {
+      settings[key] = Math.min(Math.max(Math.round(lines), 0), PRINT_LAYOUT.MAX_FEED_LINES);
+    }
+  }
+  const alignments = /** @type {unknown[]} */ (Object.values(ALIGNMENTS));
+  if (alignments.includes(input.align)) settings.align = /** @type {Alignment} */ (input.align);
+  if (typeof input.trim === 'boolean') settings.trim = input.trim;
+  const cutModes = /** @type {unknown[]} */ (Object.values(CUT_MODES));
+  if (cutModes.includes(input.cut)) settings.cut = /** @type {CutMode} */ (input.cut);
+  return settings;
+}
+
+/**
+ * @returns {Record<string, PrinterSettings>} Saved settings by printer model
+ */
+function loadAllSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.PRINTER_SETTINGS) ?? '{}');
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Read the settings last used with a printer model
+ * @param {string | undefined} model - PrinterConfig.MODEL
+ * @returns {PrinterSettings}
+ */
+export function loadPrinterSettings(model) {
+  if (!model) return {};
+  return normalizePrinterSettings(loadAllSettings()[model]);
+}
+
+/**
+ * Remember settings for a printer model
+ * @param {string} model - PrinterConfig.MODEL
+ * @param {PrinterSettings} settings
+ * @returns {void}
+ */
+export function savePrinterSettings(model, settings) {
+  const all = loadAllSettings();
+  all[model] = { ...all[model], ...settings };
+  localStorage.setItem(STORAGE_KEYS.PRINTER_SETTINGS, JSON.stringify(all));
+}
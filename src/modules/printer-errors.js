@@ -0,0 +1,63 @@
+import { PRINTER_ERRORS } from './constants.js';
+
+/**
+ * @typedef {typeof PRINTER_ERRORS[keyof typeof PRINTER_ERRORS]} PrinterErrorCode
+ */
+
+/**
+ * What to tell the user for each kind of failure, in words a kid can act on
+ */
+const PRINTER_ERROR_MESSAGES = /** @type {const} */ ({
+  [PRINTER_ERRORS.NOT_CONNECTED]: "The printer isn't connected. Press 📱 Connect and pick your printer.",
+  [PRINTER_ERRORS.WRITE_FAILED]:
+    'The printer stopped listening. Check it is switched on and close by.',
+  [PRINTER_ERRORS.PAPER_OUT]: 'The printer ran out of paper. Put in a new roll.',
+  [PRINTER_ERRORS.TIMEOUT]:
+    'The printer is taking too long to answer. Turn it off and on again, and connect again.',
+  [PRINTER_ERRORS.UNSUPPORTED_DEVICE]:
+    "That doesn't look like a printer we can use. Try connecting again and pick a different device.",
+});
+
+/**
+ * A printing failure with a code saying what went wrong
+ * The message is for logs and diagnostics; describePrinterError() gives
+ * the one to show the user
+ */
+export class PrinterError extends Error {
+  /** @type {PrinterErrorCode} */
+  code;
+
+  /**
+   * @param {PrinterErrorCode} code - What went wrong
+   * @param {string} message - Technical details
+   * @param {{ cause?: unknown }} [options] - The error that caused this one
+   */
+  constructor(code, message, options) {
+    super(message, options);
+    this.name = 'PrinterError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check whether an error is a PrinterError, optionally of one kind
+ * @param {unknown} error
+ * @param {PrinterErrorCode} [code]
+ * @returns {error is PrinterError}
+ */
+export function isPrinterError(error, code) {
+  return error instanceof PrinterError && (code === undefined || error.code === code);
+}
+
+/**
+ * Plain-language message for a failure
+ * Other errors keep their own message, which is already written for the user
+ * @param {unknown} error
+ * @returns {string}
+ */
+export function describePrinterError(error) {
+  if (error instanceof PrinterError) {
+    return PRINTER_ERROR_MESSAGES[error.code];
+  }
+  return error instanceof Error ? error.message : String(error);
+}
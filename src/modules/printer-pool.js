@@ -0,0 +1,274 @@
+import { STORAGE_KEYS, POOL_CONFIG } from './constants.js';
+import { describeStatusProblem } from './printer-status.js';
+
+/**
+ * @typedef {import('./printer.js').PrinterManager} PrinterManager
+ */
+
+/**
+ * A printer in the pool
+ * @typedef {Object} PoolPrinter
+ * @property {number} id - Unique within the pool, used to route jobs
+ * @property {PrinterManager} manager
+ */
+
+/**
+ * How a pool printer is doing, for the status bar and panels
+ * @typedef {Object} PoolPrinterState
+ * @property {string} text - Short description, e.g. "✅ Ready"
+ * @property {boolean} ready - True if it can take a job now
+ * @property {boolean} problem - True if it needs attention
+ */
+
+// Printer events that change what the pool shows
+const PRINTER_EVENTS = /** @type {const} */ ([
+  'statuschange',
+  'disconnected',
+  'reconnecting',
+  'connected',
+  'reconnectfailed',
+]);
+
+/**
+ * @returns {Record<string, string>} Printer names by device
+ */
+function loadAllPrinterNames() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.PRINTER_NAMES) ?? '{}');
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * What a printer's name is remembered under
+ * Bluetooth devices by id, so two printers of the same model keep their
+ * own names; other links by name
+ * @param {PrinterManager} manager
+ * @returns {string}
+ */
+function getNameKey(manager) {
+  return manager.device?.id ?? manager.getDeviceName();
+}
+
+/**
+ * Name given to a printer
+ * @param {PrinterManager} manager
+ * @returns {string | null} Null if it was never named
+ */
+export function loadPrinterName(manager) {
+  const name = loadAllPrinterNames()[getNameKey(manager)];
+  return typeof name === 'string' && name ? name : null;
+}
+
+/**
+ * Remember the name given to a printer, or forget it
+ * @param {PrinterManager} manager
+ * @param {string | null} name - Null to go back to the device name
+ * @returns {void}
+ */
+export function savePrinterName(manager, name) {
+  const all = loadAllPrinterNames();
+  const key = getNameKey(manager);
+  if (name) {
+    all[key] = name;
+  } else {
+    delete all[key];
+  }
+  localStorage.setItem(STORAGE_KEYS.PRINTER_NAMES, JSON.stringify(all));
+}
+
+/**
+ * Describe how a pool printer is doing
+ * @param {PoolPrinter} printer
+ * @param {boolean} [isPrinting] - Whether the queue is printing a job on it
+ * @returns {PoolPrinterState}
+ */
+export function describePoolPrinter(printer, isPrinting = false) {
+  const { manager } = printer;
+
+  if (manager.getConnectionStatus()) {
+    const status = manager.getStatus();
+    const problem = describeStatusProblem(status);
+    if (problem) {
+      return { text: `⚠️ ${problem}`, ready: false, problem: true };
+    }
+    const battery = status.batteryLevel !== null ? ` · 🔋 ${status.batteryLevel}%` : '';
+    return {
+      text: `${isPrinting ? '🖨️ Printing' : '✅ Ready'}${battery}`,
+      ready: true,
+      problem: false,
+    };
+  }
+  if (manager.isReconnecting) {
+    return { text: '🔄 Reconnecting...', ready: false, problem: false };
+  }
+  return { text: '❌ Not connected', ready: false, problem: true };
+}
+
+/**
+ * The printers connected at once, e.g. two or three at a party
+ *
+ * Each printer keeps its own PrinterManager; the pool lists them, names
+ * them and passes on their status changes. The print queue routes jobs to
+ * them. The first printer is the primary one, which the drawing is sized for.
+ *
+ * @fires change - When a printer is added, removed or renamed, or its connection or status changes
+ */
+export class PrinterPool extends EventTarget {
+  /** @type {PoolPrinter[]} In the order they were added */
+  printers;
+
+  /** @type {number} */
+  _nextId;
+
+  /** @type {(event: Event) => void} Listener passing printer events on as change */
+  _printerListener;
+
+  constructor() {
+    super();
+    this.printers = [];
+    this._nextId = 1;
+    this._printerListener = (event) => {
+      // A printer that couldn't be reconnected leaves the pool; it can be connected again,
+      // and stays remembered so the next visit tries it again
+      if (event.type === 'reconnectfailed') {
+        const printer = this.printers.find((p) => p.manager === event.target);
+        if (printer) {
+          this.remove(printer.id, false);
+          return;
+        }
+      }
+      this._emitChange();
+    };
+  }
+
+  /**
+   * Add a printer
+   * A device that was named before keeps its name
+   * @param {PrinterManager} manager - Connected, or connecting, printer
+   * @returns {PoolPrinter}
+   */
+  add(manager) {
+    /** @type {PoolPrinter} */
+    const printer = { id: this._nextId++, manager };
+
+    for (const type of PRINTER_EVENTS) {
+      manager.addEventListener(type, this._printerListener);
+    }
+    this.printers.push(printer);
+    this._emitChange();
+    return printer;
+  }
+
+  /**
+   * Remove a printer, disconnecting it
+   * @param {number} id
+   * @param {boolean} [forget] - Disconnect it, which also forgets it as the remembered printer; false for one that is already gone
+   * @returns {boolean} True if the printer was in the pool
+   */
+  remove(id, forget = true) {
+    const printer = this.get(id);
+    if (!printer) return false;
+
+    for (const type of PRINTER_EVENTS) {
+      printer.manager.removeEventListener(type, this._printerListener);
+    }
+    // A printer that never connected has nothing to close, and nothing to forget
+    if (forget && (printer.manager.getConnectionStatus() || printer.manager.isReconnecting)) {
+      printer.manager.disconnect();
+    }
+    this.printers = this.printers.filter((p) => p !== printer);
+    this._emitChange();
+    return true;
+  }
+
+  /**
+   * Give a printer a name, remembered for its device
+   * @param {number} id
+   * @param {string} name - Empty to go back to the device name
+   * @returns {void}
+   */
+  rename(id, name) {
+    const printer = this.get(id);
+    if (!printer) return;
+
+    const trimmed = name.trim().slice(0, POOL_CONFIG.MAX_NAME_LENGTH);
+    savePrinterName(printer.manager, trimmed || null);
+    this._emitChange();
+  }
+
+  /**
+   * @param {number} id
+   * @returns {PoolPrinter | null}
+   */
+  get(id) {
+    return this.printers.find((p) => p.id === id) ?? null;
+  }
+
+  /**
+   * Name to show for a printer
+   * @param {PoolPrinter} printer
+   * @returns {string} The given name, or the device name
+   */
+  getName(printer) {
+    return loadPrinterName(printer.manager) ?? printer.manager.getDeviceName();
+  }
+
+  /**
+   * The printer the drawing is sized for, and that settings and tests apply to
+   * @returns {PoolPrinter | null} The first printer, null if the pool is empty
+   */
+  getPrimary() {
+    return this.printers[0] ?? null;
+  }
+
+  /**
+   * Make a printer the primary one
+   * @param {number} id
+   * @returns {void}
+   */
+  setPrimary(id) {
+    const printer = this.get(id);
+    if (!printer || printer === this.printers[0]) return;
+
+    this.printers = [printer, ...this.printers.filter((p) => p !== printer)];
+    this._emitChange();
+  }
+
+  /**
+   * Printers that are connected now
+   * @returns {PoolPrinter[]}
+   */
+  getConnected() {
+    return this.printers.filter((p) => p.manager.getConnectionStatus());
+  }
+
+  /**
+   * The printer with the narrowest print head
+   * Jobs for "any printer" are checked and previewed against it, so they
+   * fit whichever printer takes them
+   * @returns {PoolPrinter | null} Null if the pool is empty
+   */
+  getNarrowest() {
+    /** @type {PoolPrinter | null} */
+    let narrowest = null;
+    for (const printer of this.printers) {
+      const width = printer.manager.config?.BYTES_PER_LINE;
+      const current = narrowest?.manager.config?.BYTES_PER_LINE;
+      if (!narrowest || (width !== undefined && (current === undefined || width < current))) {
+        narrowest = printer;
+      }
+    }
+    return narrowest;
+  }
+
+  /**
+   * @returns {void}
+   * @private
+   */
+  _emitChange() {
+    this.dispatchEvent(new CustomEvent('change'));
+  }
+}
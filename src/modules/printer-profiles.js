@@ -0,0 +1,516 @@
+import {
+  PRINTER_CONFIGS,
+  DEFAULT_PRINTER_CONFIG,
+  STATUS_PROTOCOLS,
+  STORAGE_KEYS,
+  PROFILE_LIMITS,
+  RASTER_MODES,
+  PRINTER_PROTOCOLS,
+  RECEIPT_BLOCKS,
+  PRINT_LEVELS,
+} from './constants.js';
+
+/**
+ * @typedef {import('./constants.js').PrinterConfig} PrinterConfig
+ * @typedef {import('./constants.js').InitCommands} InitCommands
+ * @typedef {import('./constants.js').FlowTuning} FlowTuning
+ * @typedef {import('./constants.js').RasterMode} RasterMode
+ * @typedef {import('./constants.js').PrinterProtocol} PrinterProtocol
+ * @typedef {import('./constants.js').ReceiptBlockType} ReceiptBlockType
+ * @typedef {import('./constants.js').DefaultLevels} DefaultLevels
+ */
+
+/**
+ * Exported profiles file
+ * @typedef {Object} ProfileExport
+ * @property {number} version - Format version, PROFILE_LIMITS.EXPORT_VERSION
+ * @property {PrinterConfig[]} profiles
+ */
+
+const INIT_COMMAND_KEYS = /** @type {const} */ ([
+  'WAKE_PRINTER',
+  'SET_DENSITY',
+  'SET_LABEL_GAP',
+  'SET_PRINT_SPEED',
+]);
+
+// Base of the Bluetooth SIG UUID range, for expanding 16/32-bit short UUIDs
+const BLUETOOTH_BASE_UUID_SUFFIX = '-0000-1000-8000-00805f9b34fb';
+
+/**
+ * Turn a UUID typed by a person into the form Web Bluetooth uses
+ * Accepts full 128-bit UUIDs and 16/32-bit short forms like "ff00"
+ * @param {string} value - The UUID as entered
+ * @returns {string} Lower-case 128-bit UUID, or '' if value is blank
+ * @throws {Error} If value is not a UUID
+ */
+export function normalizeUuid(value) {
+  const uuid = value.trim().toLowerCase().replace(/^0x/, '');
+  if (uuid === '') {
+    return '';
+  }
+  if (/^[0-9a-f]{4}$/.test(uuid)) {
+    return `0000${uuid}${BLUETOOTH_BASE_UUID_SUFFIX}`;
+  }
+  if (/^[0-9a-f]{8}$/.test(uuid)) {
+    return `${uuid}${BLUETOOTH_BASE_UUID_SUFFIX}`;
+  }
+  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/.test(uuid)) {
+    return uuid;
+  }
+  throw new Error(`"${value}" is not a Bluetooth UUID`);
+}
+
+/**
+ * Parse command bytes typed as hex, e.g. "1a 04 5a" or "0x1a,0x04,0x5a"
+ * @param {string} text - Hex bytes separated by spaces or commas
+ * @returns {number[]}
+ * @throws {Error} If a token is not a hex byte
+ */
+export function parseHexBytes(text) {
+  return text
+    .split(/[\s,]+/)
+    .filter((token) => token !== '')
+    .map((token) => {
+      const hex = token.toLowerCase().replace(/^0x/, '');
+      if (!/^[0-9a-f]{1,2}$/.test(hex)) {
+        throw new Error(`"${token}" is not a hex byte`);
+      }
+      return parseInt(hex, 16);
+    });
+}
+
+/**
+ * Format command bytes for editing, the inverse of parseHexBytes
+ * @param {readonly number[] | undefined} bytes
+ * @returns {string} e.g. "1a 04 5a"
+ */
+export function formatHexBytes(bytes) {
+  return (bytes ?? []).map((byte) => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+/**
+ * Check a profile from the editor, storage or an imported file and
+ * fill in the derived fields
+ * @param {unknown} input - Profile-shaped object
+ * @returns {PrinterConfig} A complete config, safe to print with
+ * @throws {Error} Naming the first field that is wrong
+ */
+export function validateProfile(input) {
+  if (typeof input !== 'object' || input === null) {
+    throw new Error('Profile must be an object');
+  }
+  const profile = /** @type {Record<string, unknown>} */ (input);
+
+  const model = typeof profile.MODEL === 'string' ? profile.MODEL.trim() : '';
+  if (!model) {
+    throw new Error('Profile needs a MODEL id');
+  }
+  if (isBuiltInModel(model)) {
+    throw new Error(`"${model}" is a built-in printer, pick another MODEL id`);
+  }
+
+  const name = typeof profile.NAME === 'string' ? profile.NAME.trim() : '';
+  if (!name) {
+    throw new Error(`Profile "${model}" needs a NAME`);
+  }
+
+  const width = readInteger(profile, 'WIDTH', PROFILE_LIMITS.MIN_WIDTH, PROFILE_LIMITS.MAX_WIDTH);
+  if (width % 8 !== 0) {
+    throw new Error(`WIDTH must be a multiple of 8 dots, got ${width}`);
+  }
+
+  const statusProtocol = profile.STATUS_PROTOCOL ?? null;
+  const protocols = /** @type {unknown[]} */ (Object.values(STATUS_PROTOCOLS));
+  if (statusProtocol !== null && !protocols.includes(statusProtocol)) {
+    throw new Error(`Unknown STATUS_PROTOCOL "${statusProtocol}"`);
+  }
+
+  const protocol = readProtocol(profile.PROTOCOL);
+  const initCommands = readInitCommands(profile.INIT_COMMANDS);
+  if (protocol.PROTOCOL && initCommands) {
+    throw new Error(
+      `INIT_COMMANDS are ESC/POS commands; ${protocol.PROTOCOL} printers take DEFAULT_LEVELS`
+    );
+  }
+
+  return {
+    MODEL: model,
+    NAME: name,
+    SERVICE_UUID: readUuid(profile, 'SERVICE_UUID'),
+    WRITE_CHAR_UUID: readUuid(profile, 'WRITE_CHAR_UUID'),
+    NOTIFY_CHAR_UUID: readUuid(profile, 'NOTIFY_CHAR_UUID'),
+    WIDTH: width,
+    BYTES_PER_LINE: width / 8,
+    MTU_SIZE: readInteger(profile, 'MTU_SIZE', PROFILE_LIMITS.MIN_MTU, PROFILE_LIMITS.MAX_MTU),
+    LINES_PER_CHUNK: readInteger(profile, 'LINES_PER_CHUNK', 1, PROFILE_LIMITS.MAX_LINES_PER_CHUNK),
+    INIT_COMMANDS: initCommands,
+    STATUS_PROTOCOL: /** @type {PrinterConfig['STATUS_PROTOCOL']} */ (statusProtocol),
+    ...protocol,
+    ...readDefaultLevels(profile.DEFAULT_LEVELS),
+    ...readRasterMode(profile.RASTER_MODE),
+    ...readFlowControl(profile.FLOW_CONTROL),
+    ...readNativeBlocks(profile.NATIVE_BLOCKS),
+    ...(profile.CUTTER === true ? { CUTTER: true } : {}),
+  };
+}
+
+/**
+ * @param {unknown} value - PROTOCOL from a profile
+ * @returns {{ PROTOCOL?: PrinterProtocol }} Empty for the default (ESC/POS)
+ * @throws {Error} If the protocol is unknown
+ */
+function readProtocol(value) {
+  if (value === undefined || value === null || value === PRINTER_PROTOCOLS.ESC_POS) return {};
+  const protocols = /** @type {unknown[]} */ (Object.values(PRINTER_PROTOCOLS));
+  if (!protocols.includes(value)) {
+    throw new Error(`Unknown PROTOCOL "${value}"`);
+  }
+  return { PROTOCOL: /** @type {PrinterProtocol} */ (value) };
+}
+
+/**
+ * @param {unknown} value - RASTER_MODE from a profile
+ * @returns {{ RASTER_MODE?: RasterMode }} Empty for the default (GS v 0)
+ * @throws {Error} If the mode is unknown
+ */
+function readRasterMode(value) {
+  if (value === undefined || value === null || value === RASTER_MODES.GS_V_0) return {};
+  const modes = /** @type {unknown[]} */ (Object.values(RASTER_MODES));
+  if (!modes.includes(value)) {
+    throw new Error(`Unknown RASTER_MODE "${value}"`);
+  }
+  return { RASTER_MODE: /** @type {RasterMode} */ (value) };
+}
+
+/**
+ * @param {unknown} value - NATIVE_BLOCKS from a profile
+ * @returns {{ NATIVE_BLOCKS?: ReceiptBlockType[] }} Empty when every receipt block is drawn as a picture
+ * @throws {Error} If it isn't a list of receipt block types
+ */
+function readNativeBlocks(value) {
+  if (value === undefined || value === null) return {};
+  if (!Array.isArray(value)) {
+    throw new Error('NATIVE_BLOCKS must be a list');
+  }
+  const types = /** @type {unknown[]} */ (Object.values(RECEIPT_BLOCKS));
+  for (const type of value) {
+    if (!types.includes(type)) {
+      throw new Error(`Unknown NATIVE_BLOCKS entry "${type}"`);
+    }
+  }
+  // Listed in a fixed order, without repeats
+  const blocks = Object.values(RECEIPT_BLOCKS).filter((type) => value.includes(type));
+  return blocks.length ? { NATIVE_BLOCKS: blocks } : {};
+}
+
+/**
+ * @param {Record<string, unknown>} profile
+ * @param {string} key
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ * @throws {Error} If the field is missing, fractional or out of range
+ */
+function readInteger(profile, key, min, max) {
+  const value = profile[key];
+  if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${key} must be a whole number from ${min} to ${max}`);
+  }
+  return value;
+}
+
+/**
+ * @param {Record<string, unknown>} profile
+ * @param {string} key
+ * @returns {string}
+ * @throws {Error} If the field is not a UUID
+ */
+function readUuid(profile, key) {
+  const value = profile[key] ?? '';
+  if (typeof value !== 'string') {
+    throw new Error(`${key} must be a string`);
+  }
+  try {
+    return normalizeUuid(value);
+  } catch (error) {
+    throw new Error(`${key}: ${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {unknown} value - FLOW_CONTROL from a profile
+ * @returns {{ FLOW_CONTROL?: FlowTuning }} Empty when the profile uses the default pacing
+ * @throws {Error} If the tuning is out of range
+ */
+function readFlowControl(value) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object') {
+    throw new Error('FLOW_CONTROL must be an object');
+  }
+  const tuning = /** @type {Record<string, unknown>} */ (value);
+
+  try {
+    return {
+      FLOW_CONTROL: {
+        BUFFER_BYTES: readInteger(
+          tuning,
+          'BUFFER_BYTES',
+          PROFILE_LIMITS.MIN_BUFFER_BYTES,
+          PROFILE_LIMITS.MAX_BUFFER_BYTES
+        ),
+        BYTES_PER_SEC: readInteger(
+          tuning,
+          'BYTES_PER_SEC',
+          PROFILE_LIMITS.MIN_BYTES_PER_SEC,
+          PROFILE_LIMITS.MAX_BYTES_PER_SEC
+        ),
+        XON_XOFF: tuning.XON_XOFF === true,
+      },
+    };
+  } catch (error) {
+    throw new Error(`FLOW_CONTROL.${error instanceof Error ? error.message : error}`);
+  }
+}
+
+/**
+ * @param {unknown} value - DEFAULT_LEVELS from a profile
+ * @returns {{ DEFAULT_LEVELS?: DefaultLevels }} Empty when the profile sets no levels
+ * @throws {Error} If a level is out of range
+ */
+function readDefaultLevels(value) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object') {
+    throw new Error('DEFAULT_LEVELS must be an object');
+  }
+  const source = /** @type {Record<string, unknown>} */ (value);
+
+  /** @type {DefaultLevels} */
+  const levels = {};
+  try {
+    if (source.DENSITY !== undefined) {
+      levels.DENSITY = readInteger(
+        source,
+        'DENSITY',
+        PRINT_LEVELS.MIN_DENSITY,
+        PRINT_LEVELS.MAX_DENSITY
+      );
+    }
+    if (source.SPEED !== undefined) {
+      levels.SPEED = readInteger(source, 'SPEED', PRINT_LEVELS.MIN_SPEED, PRINT_LEVELS.MAX_SPEED);
+    }
+  } catch (error) {
+    throw new Error(`DEFAULT_LEVELS.${error instanceof Error ? error.message : error}`);
+  }
+  return Object.keys(levels).length > 0 ? { DEFAULT_LEVELS: levels } : {};
+}
+
+/**
+ * @param {unknown} value - INIT_COMMANDS from a profile
+ * @returns {InitCommands | null} Null when there are no commands to send
+ * @throws {Error} If a command is not a list of bytes
+ */
+function readInitCommands(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value !== 'object') {
+    throw new Error('INIT_COMMANDS must be an object');
+  }
+  const source = /** @type {Record<string, unknown>} */ (value);
+
+  /** @type {Record<string, number[]>} */
+  const commands = {};
+  for (const key of INIT_COMMAND_KEYS) {
+    const bytes = source[key];
+    if (bytes === undefined || bytes === null) continue;
+    if (
+      !Array.isArray(bytes) ||
+      !bytes.every((byte) => Number.isInteger(byte) && byte >= 0 && byte <= 0xff)
+    ) {
+      throw new Error(`INIT_COMMANDS.${key} must be a list of bytes (0-255)`);
+    }
+    if (bytes.length > 0) {
+      commands[key] = bytes;
+    }
+  }
+  return Object.keys(commands).length > 0 ? commands : null;
+}
+
+/**
+ * @param {string} model
+ * @returns {boolean} True if model is one of the configs shipped with the app
+ */
+function isBuiltInModel(model) {
+  return model in PRINTER_CONFIGS || model === DEFAULT_PRINTER_CONFIG.MODEL;
+}
+
+/**
+ * Make a MODEL id for a new profile that doesn't clash with existing ones
+ * @param {string} name - The profile's display name
+ * @returns {string} e.g. "custom-my-printer"
+ */
+export function createProfileModel(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'printer';
+  const taken = new Set(loadProfiles().map((profile) => profile.MODEL));
+  let model = `custom-${slug}`;
+  for (let n = 2; taken.has(model); n++) {
+    model = `custom-${slug}-${n}`;
+  }
+  return model;
+}
+
+/**
+ * Read the saved profiles
+ * Entries that no longer validate are skipped rather than breaking the app
+ * @returns {PrinterConfig[]}
+ */
+export function loadProfiles() {
+  /** @type {unknown} */
+  let stored;
+  try {
+    stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.PRINTER_PROFILES) ?? '[]');
+  } catch (error) {
+    return [];
+  }
+  if (!Array.isArray(stored)) {
+    return [];
+  }
+
+  /** @type {PrinterConfig[]} */
+  const profiles = [];
+  for (const entry of stored) {
+    try {
+      profiles.push(validateProfile(entry));
+    } catch (error) {
+      // Skipped; the rest still load
+    }
+  }
+  return profiles;
+}
+
+/**
+ * @param {PrinterConfig[]} profiles
+ * @returns {void}
+ */
+function storeProfiles(profiles) {
+  localStorage.setItem(STORAGE_KEYS.PRINTER_PROFILES, JSON.stringify(profiles));
+}
+
+/**
+ * Add a profile, or replace the saved profile with the same MODEL
+ * @param {unknown} profile - Profile from the editor
+ * @returns {PrinterConfig} The saved profile
+ * @throws {Error} If the profile is invalid
+ */
+export function saveProfile(profile) {
+  const saved = validateProfile(profile);
+  const profiles = loadProfiles().filter((p) => p.MODEL !== saved.MODEL);
+  storeProfiles([...profiles, saved]);
+  return saved;
+}
+
+/**
+ * @param {string} model - MODEL of the profile to delete
+ * @returns {void}
+ */
+export function deleteProfile(model) {
+  storeProfiles(loadProfiles().filter((profile) => profile.MODEL !== model));
+}
+
+/**
+ * Serialize every saved profile for sharing
+ * @returns {string} JSON text of a ProfileExport
+ */
+export function exportProfiles() {
+  /** @type {ProfileExport} */
+  const data = { version: PROFILE_LIMITS.EXPORT_VERSION, profiles: loadProfiles() };
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Add profiles from an exported file
+ * Profiles with a MODEL that is already saved replace the saved one.
+ * Nothing is saved unless every profile in the file is valid.
+ * @param {string} json - Text of a ProfileExport, or a plain array of profiles
+ * @returns {PrinterConfig[]} The imported profiles
+ * @throws {Error} If the file is not valid JSON or any profile is invalid
+ */
+export function importProfiles(json) {
+  /** @type {unknown} */
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error('This file is not valid JSON');
+  }
+
+  /** @type {unknown} */
+  let entries = data;
+  if (!Array.isArray(data)) {
+    const file = /** @type {Partial<ProfileExport> | null} */ (data);
+    if ((file?.version ?? 0) > PROFILE_LIMITS.EXPORT_VERSION) {
+      throw new Error('These profiles were made by a newer version of the app');
+    }
+    entries = file?.profiles;
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error('No printer profiles found in this file');
+  }
+
+  const imported = entries.map((entry, index) => {
+    try {
+      return validateProfile(entry);
+    } catch (error) {
+      throw new Error(`Profile ${index + 1}: ${error instanceof Error ? error.message : error}`);
+    }
+  });
+
+  const models = new Set(imported.map((profile) => profile.MODEL));
+  storeProfiles([...loadProfiles().filter((p) => !models.has(p.MODEL)), ...imported]);
+  return imported;
+}
+
+/**
+ * Every printer config the app knows, for detection and model pickers
+ * Saved profiles come first so a profile can claim a printer before
+ * the generic fallback does
+ * @returns {PrinterConfig[]}
+ */
+export function getAllPrinterConfigs() {
+  return [...loadProfiles(), ...Object.values(PRINTER_CONFIGS)];
+}
+
+/**
+ * Filters for the Bluetooth chooser, so it lists printers rather than every
+ * headphone and TV nearby
+ * A device is listed if it advertises a known service or its name starts
+ * with a known prefix; many printers only advertise their name
+ * @param {PrinterConfig[]} [configs] - Printers to look for (default: every config the app knows)
+ * @returns {BluetoothLEScanFilter[]}
+ */
+export function getBluetoothFilters(configs = getAllPrinterConfigs()) {
+  /** @type {Set<string>} */
+  const services = new Set();
+  /** @type {Set<string>} */
+  const prefixes = new Set();
+  for (const config of configs) {
+    if (config.SERVICE_UUID) services.add(config.SERVICE_UUID);
+    for (const prefix of [...(config.DEVICE_NAMES ?? []), ...(config.NAME_PREFIXES ?? [])]) {
+      prefixes.add(prefix);
+    }
+  }
+  return [
+    ...[...services].map((uuid) => ({ services: [uuid] })),
+    ...[...prefixes].map((namePrefix) => ({ namePrefix })),
+  ];
+}
+
+/**
+ * Look up a printer configuration by model, built-in or saved profile
+ * @param {string} [model] - Model identifier from PRINTER_MODELS or a profile
+ * @returns {PrinterConfig} The matching config, or the generic ESC/POS config
+ */
+export function findPrinterConfig(model) {
+  return getAllPrinterConfigs().find((config) => config.MODEL === model) ?? DEFAULT_PRINTER_CONFIG;
+}
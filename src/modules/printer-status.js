@@ -0,0 +1,193 @@
+import { STATUS_PROTOCOLS, PHOMEMO_STATUS, COMMANDS, CAT_PRINTER } from './constants.js';
+import { getCatStateRequest } from './cat-printer.js';
+
+/**
+ * @typedef {import('./constants.js').StatusProtocol} StatusProtocol
+ */
+
+/**
+ * Last known state of the printer, built up from notify packets
+ * @typedef {Object} PrinterStatus
+ * @property {boolean} paperOut - No paper loaded
+ * @property {boolean} coverOpen - Paper cover/lid is open
+ * @property {boolean} overheated - Print head too hot, printer is pausing
+ * @property {number | null} batteryLevel - Battery percent 0-100, null if not reported
+ */
+
+/**
+ * What a single notification told us
+ * @typedef {Object} StatusUpdate
+ * @property {Partial<PrinterStatus>} changes - Fields reported by this notification
+ * @property {boolean} printFinished - Whether the printer reported the end of a print
+ */
+
+/**
+ * Status before the printer has reported anything: assume it is ready
+ * @returns {PrinterStatus}
+ */
+export function createInitialStatus() {
+  return {
+    paperOut: false,
+    coverOpen: false,
+    overheated: false,
+    batteryLevel: null,
+  };
+}
+
+/**
+ * Command that asks the printer to start sending status notifications
+ * Phomemo printers report on their own; ESC/POS printers need Automatic
+ * Status Back switched on, and cat printers are asked for their state once
+ * @param {StatusProtocol | null} protocol - The printer's status protocol
+ * @returns {number[] | null} Bytes to send after connecting, or null if none needed
+ */
+export function getStatusEnableCommand(protocol) {
+  if (protocol === STATUS_PROTOCOLS.ESCPOS_ASB) {
+    // GS a n - Enable Automatic Status Back
+    // n = 0x0e: report online/offline (bit 1), errors (bit 2) and paper sensor (bit 3)
+    // https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/gs_la.html
+    return [COMMANDS.GS, 0x61, 0x0e];
+  }
+  if (protocol === STATUS_PROTOCOLS.CAT) {
+    return getCatStateRequest();
+  }
+  return null;
+}
+
+/**
+ * Parse a notification from the printer into a status update
+ * Unrecognized bytes are ignored so unexpected packets never break printing
+ * @param {StatusProtocol | null} protocol - The printer's status protocol
+ * @param {Uint8Array} bytes - Raw notification value
+ * @returns {StatusUpdate}
+ */
+export function parseStatusPacket(protocol, bytes) {
+  switch (protocol) {
+    case STATUS_PROTOCOLS.PHOMEMO:
+      return parsePhomemoStatus(bytes);
+    case STATUS_PROTOCOLS.ESCPOS_ASB:
+      return parseEscPosStatus(bytes);
+    case STATUS_PROTOCOLS.CAT:
+      return parseCatStatus(bytes);
+    default:
+      return { changes: {}, printFinished: false };
+  }
+}
+
+/**
+ * Parse Phomemo [0x1a, type, value] packets
+ * @param {Uint8Array} bytes
+ * @returns {StatusUpdate}
+ */
+function parsePhomemoStatus(bytes) {
+  /** @type {Partial<PrinterStatus>} */
+  const changes = {};
+  let printFinished = false;
+
+  for (let i = 0; i + 2 < bytes.length; i++) {
+    if (bytes[i] !== PHOMEMO_STATUS.PREFIX) continue;
+
+    const type = bytes[i + 1];
+    const value = bytes[i + 2];
+
+    switch (type) {
+      case PHOMEMO_STATUS.COVER:
+        changes.coverOpen = value === PHOMEMO_STATUS.COVER_OPEN;
+        break;
+      case PHOMEMO_STATUS.BATTERY:
+        changes.batteryLevel = Math.min(value, 100);
+        break;
+      case PHOMEMO_STATUS.PAPER:
+        changes.paperOut = value === PHOMEMO_STATUS.PAPER_OUT;
+        break;
+      case PHOMEMO_STATUS.TEMPERATURE:
+        changes.overheated = value === PHOMEMO_STATUS.OVERHEATED;
+        break;
+      case PHOMEMO_STATUS.PRINT_FINISHED:
+        printFinished = true;
+        break;
+      default:
+        // Unknown packet type, skip just the prefix and keep scanning
+        continue;
+    }
+    i += 2;
+  }
+
+  return { changes, printFinished };
+}
+
+/**
+ * Parse 4-byte ESC/POS Automatic Status Back packets
+ *
+ * Byte 1: bit 5 = cover open
+ * Byte 2: bit 6 = auto-recoverable error (print head overheated)
+ * Byte 3: bits 2-3 = paper roll end
+ * https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/gs_la.html
+ *
+ * @param {Uint8Array} bytes
+ * @returns {StatusUpdate}
+ */
+function parseEscPosStatus(bytes) {
+  /** @type {Partial<PrinterStatus>} */
+  const changes = {};
+
+  for (let i = 0; i + 3 < bytes.length; i++) {
+    // First ASB byte always matches 0xx1xx00
+    if ((bytes[i] & 0x93) !== 0x10) continue;
+
+    changes.coverOpen = (bytes[i] & 0x20) !== 0;
+    changes.overheated = (bytes[i + 1] & 0x40) !== 0;
+    changes.paperOut = (bytes[i + 2] & 0x0c) !== 0;
+    i += 3;
+  }
+
+  return { changes, printFinished: false };
+}
+
+/**
+ * Parse cat printer device state packets
+ * 0x51 0x78 GET_STATE 0x01 lenL lenH [state ...] crc 0xff, where the state
+ * byte has bit 0 = out of paper, bit 1 = cover open, bit 2 = overheated
+ * @param {Uint8Array} bytes
+ * @returns {StatusUpdate}
+ */
+function parseCatStatus(bytes) {
+  /** @type {Partial<PrinterStatus>} */
+  const changes = {};
+
+  for (let i = 0; i + 6 < bytes.length; i++) {
+    if (
+      bytes[i] !== CAT_PRINTER.MAGIC[0] ||
+      bytes[i + 1] !== CAT_PRINTER.MAGIC[1] ||
+      bytes[i + 2] !== CAT_PRINTER.COMMANDS.GET_STATE
+    ) {
+      continue;
+    }
+
+    const state = bytes[i + 6];
+    changes.paperOut = (state & CAT_PRINTER.STATE_PAPER_OUT) !== 0;
+    changes.coverOpen = (state & CAT_PRINTER.STATE_COVER_OPEN) !== 0;
+    changes.overheated = (state & CAT_PRINTER.STATE_OVERHEATED) !== 0;
+    i += 6;
+  }
+
+  return { changes, printFinished: false };
+}
+
+/**
+ * Describe anything that would stop a print, in words a kid can act on
+ * @param {PrinterStatus} status - Current printer status
+ * @returns {string | null} What to fix, or null if the printer is ready
+ */
+export function describeStatusProblem(status) {
+  if (status.coverOpen) {
+    return 'The printer lid is open. Close it and try again!';
+  }
+  if (status.paperOut) {
+    return 'The printer is out of paper. Put in a new roll!';
+  }
+  if (status.overheated) {
+    return 'The printer is too hot. Wait a minute for it to cool down!';
+  }
+  return null;
+}
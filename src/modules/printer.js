@@ -1,9 +1,169 @@
-import { PRINTER_CONFIGS, DEFAULT_PRINTER_CONFIG, PRINTER_MODELS, COMMANDS } from './constants.js';
+import {
+  DEFAULT_PRINTER_CONFIG,
+  PRINTER_MODELS,
+  COMMANDS,
+  RECONNECT_CONFIG,
+  STORAGE_KEYS,
+  FLOW_CONFIG,
+  PRINTER_PROTOCOLS,
+  CAT_PRINTER,
+  NIIMBOT,
+  MEDIA_TYPES,
+  DETECTION_TIERS,
+  CALIBRATION_PATTERNS,
+  DITHER_MODES,
+  TRANSPORT_TYPES,
+  PRINT_LAYOUT,
+  CUT_MODES,
+  PRINTER_ERRORS,
+  WRITE_RETRY_CONFIG,
+  STANDARD_GATT,
+} from './constants.js';
+import { imageDataToBitmap, convertCanvas, getBitmapRow, trimBitmap } from './bitmap.js';
+import { BluetoothTransport } from './transports.js';
+import { PrinterError, isPrinterError } from './printer-errors.js';
+import { createEmptyDeviceInfo, readDeviceInfo, parseBatteryLevel } from './device-info.js';
+import { getAllPrinterConfigs, getBluetoothFilters } from './printer-profiles.js';
+import {
+  createDefaultMedia,
+  isLabelMedia,
+  getLabelGapCommand,
+  getMediaTypeCommand,
+  getLabelFeedCommand,
+} from './label-media.js';
+import { getInitCommands, normalizePrinterSettings } from './print-settings.js';
+import { FlowController } from './flow-control.js';
+import {
+  getRasterEncoder,
+  createRasterTestCanvas,
+  loadRasterMode,
+  saveRasterMode,
+} from './raster.js';
+import {
+  encodeCatRow,
+  getCatRowSize,
+  getCatHeader,
+  getCatFooter,
+  getCatFeed,
+  readCatFlowControl,
+} from './cat-printer.js';
+import {
+  NiimbotReplies,
+  niimbotPacket,
+  encodeNiimbotRow,
+  getNiimbotRowSize,
+  getNiimbotLabelType,
+  getNiimbotDensity,
+} from './niimbot.js';
+import {
+  createInitialStatus,
+  getStatusEnableCommand,
+  parseStatusPacket,
+} from './printer-status.js';
+import {
+  TrafficLog,
+  describeGattServices,
+  measureThroughput,
+  createCalibrationCanvas,
+} from './diagnostics.js';
+import {
+  getAlignCommand,
+  splitReceipt,
+  encodeReceiptBlock,
+  getReceiptBlockHeight,
+  renderReceipt,
+} from './receipt.js';
 
 /**
  * @typedef {import('./constants.js').PrinterConfig} PrinterConfig
+ * @typedef {import('./constants.js').RasterMode} RasterMode
+ * @typedef {import('./dither.js').DitherMode} DitherMode
+ * @typedef {import('./printer-status.js').PrinterStatus} PrinterStatus
+ * @typedef {import('./transports.js').PrinterTransport} PrinterTransport
+ * @typedef {import('./label-media.js').MediaSettings} MediaSettings
+ * @typedef {import('./print-settings.js').PrinterSettings} PrinterSettings
+ * @typedef {import('./print-settings.js').Alignment} Alignment
+ * @typedef {import('./print-settings.js').CutMode} CutMode
+ * @typedef {import('./bitmap.js').Bitmap} Bitmap
+ * @typedef {import('./bitmap.js').DitherCarry} DitherCarry
+ * @typedef {import('./device-info.js').DeviceInfo} DeviceInfo
+ * @typedef {import('./diagnostics.js').CalibrationPattern} CalibrationPattern
+ * @typedef {import('./diagnostics.js').GattServiceInfo} GattServiceInfo
+ * @typedef {import('./diagnostics.js').ThroughputResult} ThroughputResult
+ * @typedef {import('./constants.js').ReceiptBlockType} ReceiptBlockType
+ * @typedef {import('./receipt.js').ReceiptBlock} ReceiptBlock
+ * @typedef {typeof DETECTION_TIERS[keyof typeof DETECTION_TIERS]} DetectionTier
  */
 
+/**
+ * @typedef {Object} PrintOptions
+ * @property {DitherMode} [dither] - How grayscale is reduced to black/white (default: threshold)
+ * @property {number} [threshold] - Brightness cutoff 0-255 (default: 128)
+ * @property {number} [copies] - Number of copies, handled by the print queue (default: 1)
+ * @property {number} [density] - Printer density level, on printers with a density command
+ * @property {number} [speed] - Printer speed level, on printers with a speed command
+ * @property {number} [feedBefore] - Lines of blank paper before the print
+ * @property {number} [feedAfter] - Lines of blank paper after the print
+ * @property {Alignment} [align] - Where pictures narrower than the print head sit
+ * @property {boolean} [trim] - Leave out blank rows at the top and bottom
+ * @property {CutMode} [cut] - What the cutter does after the print
+ * @property {number | null} [printerId] - Pool printer to print on, handled by the print queue (default: the next idle one)
+ * @property {DitherCarry} [carry] - Carry on dithering from the block above, for pictures converted in blocks
+ */
+
+/**
+ * Image rows produced on demand, so long prints such as banners don't
+ * have to be held in memory as one bitmap, and pictures can still be
+ * converting in the background when the print starts
+ * @typedef {Object} RowSource
+ * @property {number} height - Total rows
+ * @property {number} bytesPerLine - Bytes in every row
+ * @property {(start: number, end: number) => Uint8Array | Promise<Uint8Array>} getRows - Rows start (inclusive) to end (exclusive), packed one after another
+ */
+
+/**
+ * @typedef {Object} PrintProgress
+ * @property {number} rowsSent - Image rows sent so far
+ * @property {number} totalRows - Image rows in the whole print
+ * @property {number} bytesSent - Image bytes sent so far, including block headers
+ * @property {number} totalBytes - Image bytes in the whole print, including block headers
+ */
+
+/**
+ * @typedef {Object} PrintControl
+ * @property {AbortSignal} [signal] - Abort to stop after the current block and feed the paper out
+ * @property {(progress: PrintProgress) => void} [onProgress] - Called after each block is sent
+ * @property {number} [startRow] - Row to carry on from, to finish a print that stopped part way (default: 0); Niimbot labels always print whole
+ */
+
+/**
+ * Read a bitmap, or one still being converted, through the RowSource interface
+ * Rows are handed out without copying
+ * @param {Bitmap | Promise<Bitmap>} bitmap
+ * @param {number} height - Rows in the bitmap
+ * @param {number} bytesPerLine - Bytes in every row
+ * @returns {RowSource}
+ */
+function bitmapRowSource(bitmap, height, bytesPerLine) {
+  return {
+    height,
+    bytesPerLine,
+    getRows: async (start, end) =>
+      (await bitmap).data.subarray(start * bytesPerLine, end * bytesPerLine),
+  };
+}
+
+/**
+ * Apply the raster mode picked with the test print for this device, if any
+ * @param {PrinterConfig} config
+ * @param {string} deviceName
+ * @returns {PrinterConfig}
+ */
+function withRememberedRasterMode(config, deviceName) {
+  const mode = loadRasterMode(deviceName);
+  return mode && mode !== config.RASTER_MODE ? { ...config, RASTER_MODE: mode } : config;
+}
+
 /**
  * Sleep/wait for the specified number of milliseconds
  * @param {number} ms - Milliseconds to wait
@@ -14,14 +174,80 @@ function sleep(ms) {
 }
 
 /**
- * Manages Bluetooth printer connections and printing operations
+ * Find which of a config's NAME_PREFIXES a device matches
+ * @param {PrinterConfig} config
+ * @param {string} deviceName - Bluetooth name
+ * @param {string | null} modelNumber - From the Device Information service
+ * @returns {{ prefix: string, source: string } | null} Null if the config has no prefixes or none match
  */
-export class PrinterManager {
-  /** @type {BluetoothDevice | null} */
+function matchNamePrefix(config, deviceName, modelNumber) {
+  for (const [source, name] of [
+    ['name', deviceName],
+    ['model number', modelNumber ?? ''],
+  ]) {
+    const prefix = config.NAME_PREFIXES?.find((p) => name.startsWith(p));
+    if (prefix) return { prefix, source };
+  }
+  return null;
+}
+
+/**
+ * Wait for a promise, but give up if it takes too long
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<T>}
+ * @throws {PrinterError} TIMEOUT if the promise hasn't settled in time
+ */
+function withTimeout(promise, ms) {
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timer;
+  /** @type {Promise<never>} */
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      reject(new PrinterError(PRINTER_ERRORS.TIMEOUT, `No answer from the printer in ${ms} ms`));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Manages printer connections and printing operations
+ *
+ * Bytes go out through a PrinterTransport, so the same ESC/POS pipeline
+ * drives Web Bluetooth, Web Serial, WebUSB or an in-memory loopback.
+ *
+ * @fires statuschange - CustomEvent<PrinterStatus> when the printer reports a new status
+ * @fires printfinished - When the printer reports that a print has come out
+ * @fires disconnected - When the link to the printer drops unexpectedly
+ * @fires reconnecting - CustomEvent<{attempt: number, delayMs: number}> before each reconnect attempt
+ * @fires connected - CustomEvent<string> with the device name after an automatic reconnect
+ * @fires reconnectfailed - When automatic reconnect gives up
+ */
+export class PrinterManager extends EventTarget {
+  /** @type {BluetoothDevice | null} Bluetooth device, null for other transports */
   device;
 
+  /** @type {PrinterTransport | null} Link that print data is written to */
+  transport;
+
   /** @type {BluetoothRemoteGATTCharacteristic | null} */
-  writeCharacteristic;
+  notifyCharacteristic;
+
+  /** @type {BluetoothRemoteGATTCharacteristic | null} Standard Battery Level, when the printer notifies on it */
+  batteryCharacteristic;
+
+  /** @type {DeviceInfo} What the printer says about itself, from the Device Information service */
+  deviceInfo;
+
+  /** @type {PrinterStatus} Last status reported by the printer */
+  status;
+
+  /** @type {(event: Event) => void} Notify listener, kept so it can be removed on disconnect */
+  _notificationListener;
+
+  /** @type {(event: Event) => void} Battery Level listener, kept so it can be removed on disconnect */
+  _batteryListener;
 
   /** @type {string} */
   detectedModel;
@@ -29,48 +255,169 @@ export class PrinterManager {
   /** @type {PrinterConfig | null} Active printer configuration */
   config;
 
+  /** @type {DetectionTier | null} How the config was chosen, null when not connected */
+  detectionTier;
+
+  /** @type {string | null} Why the config was chosen, shown before the first print */
+  detectionReason;
+
+  /** @type {TrafficLog} Recent bytes sent to and received from the printer */
+  trafficLog;
+
+  /** @type {MediaSettings} Paper loaded in the printer */
+  media;
+
+  /** @type {FlowController | null} Paces writes for the current link, created on first write */
+  flow;
+
+  /** @type {NiimbotReplies} Requests to a Niimbot printer waiting for its answer */
+  niimbotReplies;
+
   /** @type {boolean} */
   isConnected;
 
+  /** @type {boolean} True while automatically reconnecting after a dropped link */
+  isReconnecting;
+
+  /** @type {number} Incremented to cancel any reconnect loop in progress */
+  _reconnectGeneration;
+
+  /** @type {(event: Event) => void} gattserverdisconnected listener */
+  _disconnectListener;
+
   constructor() {
+    super();
     this.device = null;
-    this.writeCharacteristic = null;
+    this.transport = null;
+    this.notifyCharacteristic = null;
+    this.batteryCharacteristic = null;
+    this.deviceInfo = createEmptyDeviceInfo();
     this.isConnected = false;
+    this.isReconnecting = false;
+    this._reconnectGeneration = 0;
     this.detectedModel = PRINTER_MODELS.UNKNOWN;
     this.config = null;
+    this.detectionTier = null;
+    this.detectionReason = null;
+    this.trafficLog = new TrafficLog();
+    this.media = createDefaultMedia();
+    this.flow = null;
+    this.niimbotReplies = new NiimbotReplies();
+    this.status = createInitialStatus();
+    this._disconnectListener = () => this.handleUnexpectedDisconnect();
+    this._notificationListener = (event) => {
+      const characteristic = /** @type {BluetoothRemoteGATTCharacteristic} */ (event.target);
+      const value = characteristic.value;
+      if (value) {
+        this.handleNotification(
+          new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+        );
+      }
+    };
+    this._batteryListener = (event) => {
+      const characteristic = /** @type {BluetoothRemoteGATTCharacteristic} */ (event.target);
+      if (characteristic.value) {
+        this.updateBatteryLevel(parseBatteryLevel(characteristic.value));
+      }
+    };
   }
 
   /**
-   * Connect to a Bluetooth printer device
-   * Two-tier detection: First tries known printers, then falls back to generic detection
+   * Connect to a Bluetooth printer device chosen by the user
+   * Opens the browser's device chooser, then connects to the selected device
+   * The chooser only lists devices that look like known printers, unless
+   * showAllDevices is set for printers the app doesn't know yet
+   * @param {boolean} [showAllDevices] - List every nearby device (default: false)
    * @returns {Promise<string>} The name of the connected device
    * @throws {Error} If connection fails or no suitable characteristics found
    */
-  async connect() {
+  async connect(showAllDevices = false) {
     try {
-      // Collect all service UUIDs from known printer configs
-      const optionalServices = Object.values(PRINTER_CONFIGS).map(
-        (config) => config.SERVICE_UUID
-      );
-
-      this.device = await navigator.bluetooth.requestDevice({
-        acceptAllDevices: true,
-        optionalServices,
+      // Collect all service UUIDs from known printer configs and saved profiles,
+      // and the standard ones with the battery level and device information
+      /** @type {Set<string>} */
+      const optionalServices = new Set([
+        STANDARD_GATT.BATTERY_SERVICE,
+        STANDARD_GATT.DEVICE_INFO_SERVICE,
+      ]);
+      for (const config of getAllPrinterConfigs()) {
+        if (config.SERVICE_UUID) optionalServices.add(config.SERVICE_UUID);
+      }
+
+      const device = await navigator.bluetooth.requestDevice({
+        ...(showAllDevices ? { acceptAllDevices: true } : { filters: getBluetoothFilters() }),
+        optionalServices: [...optionalServices],
       });
 
+      return await this.connectDevice(device);
+    } catch (error) {
+      this.isConnected = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Reconnect to the printer used last time, without opening the chooser
+   * Only works for devices the browser still has permission for
+   * (navigator.bluetooth.getDevices())
+   * @returns {Promise<string | null>} The device name, or null if no remembered printer is available
+   */
+  async reconnectRemembered() {
+    const rememberedId = localStorage.getItem(STORAGE_KEYS.REMEMBERED_PRINTER);
+    if (!rememberedId || typeof navigator.bluetooth?.getDevices !== 'function') {
+      return null;
+    }
+
+    const devices = await navigator.bluetooth.getDevices();
+    const device = devices.find((d) => d.id === rememberedId);
+    if (!device) {
+      return null;
+    }
+
+    try {
+      return await this.connectDevice(device);
+    } catch (e) {
+      // The printer may still be waking up, keep trying in the background
+      return this._reconnectWithBackoff();
+    }
+  }
+
+  /**
+   * Connect to a specific Bluetooth device and detect its printer configuration
+   * Two-tier detection: First tries known printers, then falls back to generic detection
+   * Models told apart by name are also matched on the model number from the
+   * Device Information service, since many printers advertise a generic name
+   * @param {BluetoothDevice} device - The device to connect to
+   * @returns {Promise<string>} The name of the connected device
+   * @throws {Error} If connection fails or no suitable characteristics found
+   */
+  async connectDevice(device) {
+    try {
+      this.device = device;
+
       if (!this.device.gatt) {
-        throw new Error('GATT server not available');
+        throw new PrinterError(PRINTER_ERRORS.UNSUPPORTED_DEVICE, 'GATT server not available');
       }
 
       const server = await this.device.gatt.connect();
       const services = await server.getPrimaryServices();
+      const deviceInfo = await readDeviceInfo(services);
 
       let writeChar = null;
       let foundService = null;
       let detectedConfig = null;
+      let tier = null;
+      let reason = '';
+
+      // TIER 1: Try to detect known printer models, including saved profiles
+      for (const config of getAllPrinterConfigs()) {
+        if (!config.WRITE_CHAR_UUID) continue;
+        // Models sharing a service are told apart by name or model number
+        const nameMatch = matchNamePrefix(config, this.device.name ?? '', deviceInfo.model);
+        if (config.NAME_PREFIXES && !nameMatch) {
+          continue;
+        }
 
-      // TIER 1: Try to detect known printer models
-      for (const config of Object.values(PRINTER_CONFIGS)) {
         for (const service of services) {
           try {
             const char = await service.getCharacteristic(config.WRITE_CHAR_UUID);
@@ -78,6 +425,11 @@ export class PrinterManager {
               writeChar = char;
               foundService = service;
               detectedConfig = config;
+              tier = DETECTION_TIERS.KNOWN;
+              reason = nameMatch
+                ? `Its ${nameMatch.source} starts with "${nameMatch.prefix}" ` +
+                  `and it has the ${config.NAME} print service`
+                : `It has the ${config.NAME} print service (${service.uuid})`;
               this.detectedModel = config.MODEL;
               console.log(`✓ Detected known printer: ${config.NAME}`);
               break;
@@ -107,6 +459,10 @@ export class PrinterManager {
                   SERVICE_UUID: service.uuid,
                   WRITE_CHAR_UUID: char.uuid,
                 };
+                tier = DETECTION_TIERS.GENERIC;
+                reason =
+                  `No known printer has service ${service.uuid}, ` +
+                  `so characteristic ${char.uuid} is used`;
                 this.detectedModel = PRINTER_MODELS.UNKNOWN;
                 console.log(`⚠ Using generic printer config with service ${service.uuid}`);
                 console.log(`  Write characteristic: ${char.uuid}`);
@@ -124,12 +480,20 @@ export class PrinterManager {
         }
       }
 
-      if (!writeChar || !detectedConfig) {
-        throw new Error('Could not find any writable characteristics. This device may not be a compatible printer.');
+      if (!writeChar || !detectedConfig || !tier) {
+        throw new PrinterError(
+          PRINTER_ERRORS.UNSUPPORTED_DEVICE,
+          'Could not find any writable characteristics. This device may not be a compatible printer.'
+        );
       }
 
-      this.config = detectedConfig;
-      this.writeCharacteristic = writeChar;
+      this.transport = new BluetoothTransport(writeChar, this.device.name || detectedConfig.NAME);
+      this.config = withRememberedRasterMode(detectedConfig, this.transport.name);
+      this.detectionTier = tier;
+      this.detectionReason = reason;
+      this.deviceInfo = deviceInfo;
+      this.flow = null;
+      this.status = createInitialStatus();
 
       // Try to find and enable notifications (optional)
       if (detectedConfig.NOTIFY_CHAR_UUID) {
@@ -138,12 +502,26 @@ export class PrinterManager {
             detectedConfig.NOTIFY_CHAR_UUID
           );
           if (notifyChar) {
+            // Only listen once notifications are on, so a failure leaves no listener behind
             await notifyChar.startNotifications();
+            notifyChar.addEventListener('characteristicvaluechanged', this._notificationListener);
+            this.notifyCharacteristic = notifyChar;
+
+            const enableStatus = getStatusEnableCommand(detectedConfig.STATUS_PROTOCOL);
+            if (enableStatus) {
+              await this.sendData(enableStatus);
+            }
           }
         } catch (e) {
           // Notifications not available (optional feature)
         }
       }
+      await this._watchBatteryLevel(services);
+
+      // Watch for the printer sleeping or dropping the link
+      this.device.removeEventListener('gattserverdisconnected', this._disconnectListener);
+      this.device.addEventListener('gattserverdisconnected', this._disconnectListener);
+      localStorage.setItem(STORAGE_KEYS.REMEMBERED_PRINTER, this.device.id);
 
       this.isConnected = true;
       return this.device.name || detectedConfig.NAME;
@@ -153,46 +531,324 @@ export class PrinterManager {
     }
   }
 
+  /**
+   * Use an already-open transport (Web Serial, WebUSB, loopback) as the printer link
+   * These links can't identify the printer, so the configuration is chosen by the caller
+   * @param {PrinterTransport} transport - The open transport to print through
+   * @param {PrinterConfig} [config] - Printer configuration (defaults to generic ESC/POS)
+   * @returns {string} The name of the connected printer
+   */
+  connectTransport(transport, config = DEFAULT_PRINTER_CONFIG) {
+    if (this.isConnected) {
+      this.disconnect();
+    }
+    this.device = null;
+    this.transport = transport;
+    this.config = withRememberedRasterMode(config, transport.name);
+    this.detectedModel = config.MODEL;
+    this.detectionTier = DETECTION_TIERS.MANUAL;
+    this.detectionReason = `${config.NAME} was picked when connecting`;
+    this.deviceInfo = createEmptyDeviceInfo();
+    this.flow = null;
+    this.status = createInitialStatus();
+    this.isConnected = true;
+    return transport.name;
+  }
+
+  /**
+   * Read the standard Battery Level and follow its changes
+   * Optional: most printers without it report their battery in their own
+   * status packets, or not at all
+   * @param {BluetoothRemoteGATTService[]} services - The printer's primary services
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _watchBatteryLevel(services) {
+    const service = services.find((s) => s.uuid === STANDARD_GATT.BATTERY_SERVICE);
+    if (!service) return;
+
+    try {
+      const characteristic = await service.getCharacteristic(STANDARD_GATT.BATTERY_LEVEL);
+      this.updateBatteryLevel(parseBatteryLevel(await characteristic.readValue()));
+      if (characteristic.properties.notify) {
+        // Only listen once notifications are on, so a failure leaves no listener behind
+        await characteristic.startNotifications();
+        characteristic.addEventListener('characteristicvaluechanged', this._batteryListener);
+        this.batteryCharacteristic = characteristic;
+      }
+    } catch (e) {
+      // Battery level not readable (optional feature)
+    }
+  }
+
+  /**
+   * Record a battery level reported by the printer
+   * @param {number | null} level - Percent 0-100
+   * @returns {void}
+   * @fires statuschange - If the level changed
+   */
+  updateBatteryLevel(level) {
+    if (level === null || level === this.status.batteryLevel) return;
+    this.status = { ...this.status, batteryLevel: level };
+    this.dispatchEvent(new CustomEvent('statuschange', { detail: this.status }));
+  }
+
+  /**
+   * Handle the GATT server disconnecting without disconnect() being called
+   * Marks the printer as disconnected and starts reconnecting in the background
+   * @returns {void}
+   */
+  handleUnexpectedDisconnect() {
+    if (!this.isConnected) return;
+
+    this.isConnected = false;
+    this.transport = null;
+    this._stopListening();
+    this.niimbotReplies.cancelAll(new Error('Printer disconnected'));
+    this.dispatchEvent(new CustomEvent('disconnected'));
+
+    this._reconnectWithBackoff().catch(() => {
+      // Failures are reported through the reconnectfailed event
+    });
+  }
+
+  /**
+   * Try to reconnect to this.device, doubling the delay after each failure
+   * Stops early if disconnect() is called while waiting
+   * @returns {Promise<string | null>} The device name, or null if cancelled or out of attempts
+   * @private
+   */
+  async _reconnectWithBackoff() {
+    const device = this.device;
+    if (!device) return null;
+
+    const generation = ++this._reconnectGeneration;
+    this.isReconnecting = true;
+    /** @type {number} */
+    let delayMs = RECONNECT_CONFIG.INITIAL_DELAY_MS;
+
+    try {
+      for (let attempt = 1; attempt <= RECONNECT_CONFIG.MAX_ATTEMPTS; attempt++) {
+        this.dispatchEvent(new CustomEvent('reconnecting', { detail: { attempt, delayMs } }));
+        await sleep(delayMs);
+        if (generation !== this._reconnectGeneration) return null;
+
+        try {
+          const name = await this.connectDevice(device);
+          this.dispatchEvent(new CustomEvent('connected', { detail: name }));
+          return name;
+        } catch (e) {
+          if (generation !== this._reconnectGeneration) return null;
+          delayMs = Math.min(delayMs * 2, RECONNECT_CONFIG.MAX_DELAY_MS);
+        }
+      }
+
+      this.dispatchEvent(new CustomEvent('reconnectfailed'));
+      return null;
+    } finally {
+      if (generation === this._reconnectGeneration) {
+        this.isReconnecting = false;
+      }
+    }
+  }
+
   /**
    * Disconnect from the printer
+   * A deliberate disconnect also forgets the printer, so it is not
+   * reconnected automatically on the next page load
    * @returns {void}
    */
   disconnect() {
+    // Cancel any automatic reconnect in progress
+    this._reconnectGeneration++;
+    this.isReconnecting = false;
+    this.device?.removeEventListener?.('gattserverdisconnected', this._disconnectListener);
+    // Another printer in the pool may be the remembered one
+    if (this.device && localStorage.getItem(STORAGE_KEYS.REMEMBERED_PRINTER) === this.device.id) {
+      localStorage.removeItem(STORAGE_KEYS.REMEMBERED_PRINTER);
+    }
+
+    this._stopListening();
     if (this.device?.gatt?.connected) {
       this.device.gatt.disconnect();
     }
+    this.transport?.close().catch(() => {
+      // Already closed or unplugged, nothing left to release
+    });
     this.isConnected = false;
     this.device = null;
-    this.writeCharacteristic = null;
+    this.transport = null;
+    this.deviceInfo = createEmptyDeviceInfo();
+    this.detectionTier = null;
+    this.detectionReason = null;
+    this.flow = null;
+    this.niimbotReplies.cancelAll(new Error('Printer disconnected'));
+    this.status = createInitialStatus();
+  }
+
+  /**
+   * Stop listening to the printer's notify and battery characteristics
+   * Nothing is reported while the link is down; a reconnect listens afresh
+   * @returns {void}
+   * @private
+   */
+  _stopListening() {
+    this.notifyCharacteristic?.removeEventListener(
+      'characteristicvaluechanged',
+      this._notificationListener
+    );
+    this.batteryCharacteristic?.removeEventListener(
+      'characteristicvaluechanged',
+      this._batteryListener
+    );
+    this.notifyCharacteristic = null;
+    this.batteryCharacteristic = null;
+  }
+
+  /**
+   * Handle a notification from the printer's notify characteristic
+   * Merges reported fields into the status and emits events for listeners
+   * @param {Uint8Array} bytes - Raw notification value
+   * @returns {void}
+   */
+  handleNotification(bytes) {
+    this.trafficLog.record('received', bytes);
+    if (this.flow?.handleNotification(bytes)) return;
+
+    // Niimbot printers answer requests; printing waits for the answers
+    if (this.config?.PROTOCOL === PRINTER_PROTOCOLS.NIIMBOT && this.niimbotReplies.handle(bytes)) {
+      return;
+    }
+
+    // Cat printers ask for pauses with their own packets
+    if (this.config?.PROTOCOL === PRINTER_PROTOCOLS.CAT) {
+      const pause = readCatFlowControl(bytes);
+      if (pause !== null) {
+        if (pause) {
+          this._getFlowControl(this.config).pause();
+        } else {
+          this.flow?.resume();
+        }
+        return;
+      }
+    }
+
+    const { changes, printFinished } = parseStatusPacket(
+      this.config?.STATUS_PROTOCOL ?? null,
+      bytes
+    );
+
+    if (Object.keys(changes).length > 0) {
+      this.status = { ...this.status, ...changes };
+      this.dispatchEvent(new CustomEvent('statuschange', { detail: this.status }));
+    }
+    if (printFinished) {
+      this.dispatchEvent(new CustomEvent('printfinished'));
+    }
   }
 
   /**
    * Send raw data to the printer in chunks
-   * @param {number[] | readonly number[]} data - Array of bytes to send
+   * A Uint8Array is split into views on it rather than copied
+   * A chunk that fails to send is tried again a few times, see WRITE_RETRY_CONFIG
+   * @param {Uint8Array | readonly number[]} data - Bytes to send
    * @returns {Promise<void>}
-   * @throws {Error} If printer is not connected or any chunk write fails
+   * @throws {PrinterError} NOT_CONNECTED, or WRITE_FAILED or TIMEOUT if a chunk still fails after retrying
    */
   async sendData(data) {
-    if (!this.writeCharacteristic || !this.config) {
-      throw new Error('Printer not connected');
+    const transport = this.transport;
+    if (!transport || !this.config) {
+      throw new PrinterError(PRINTER_ERRORS.NOT_CONNECTED, 'Printer not connected');
     }
 
+    // Print data is never in shared memory, which the transports can't send
+    const bytes = /** @type {Uint8Array<ArrayBuffer>} */ (
+      data instanceof Uint8Array ? data : Uint8Array.from(data)
+    );
     const mtuSize = this.config.MTU_SIZE;
+    const flow = this._getFlowControl(this.config);
+
+    for (let i = 0; i < bytes.length; i += mtuSize) {
+      const chunk = bytes.subarray(i, i + mtuSize);
+      // Wait for room in the printer's buffer, then time the write so
+      // a link that holds it back slows the pacing down
+      await flow.waitForRoom(chunk.length);
+      this.trafficLog.record('sent', chunk);
+      // Retries count towards the time, so a struggling link slows the pacing too
+      const startedAt = Date.now();
+      await this._writeChunk(transport, chunk);
+      flow.recordWrite(chunk.length, Date.now() - startedAt);
+    }
+  }
 
-    for (let i = 0; i < data.length; i += mtuSize) {
-      const chunk = data.slice(i, i + mtuSize);
-      if (this.writeCharacteristic.properties.writeWithoutResponse) {
-        await this.writeCharacteristic.writeValueWithoutResponse(new Uint8Array(chunk));
-      } else {
-        await this.writeCharacteristic.writeValue(new Uint8Array(chunk));
+  /**
+   * Write one chunk, trying again with a doubling delay if it fails
+   * Gives up early if the link is closed or replaced in the meantime.
+   * A write that timed out may still reach the printer, so it is not sent
+   * again; the print can carry on from the last block that went through.
+   * @param {PrinterTransport} transport - The link the print started on
+   * @param {Uint8Array<ArrayBuffer>} chunk
+   * @returns {Promise<void>}
+   * @throws {PrinterError} TIMEOUT if a write hung, otherwise WRITE_FAILED
+   * @private
+   */
+  async _writeChunk(transport, chunk) {
+    let delayMs = WRITE_RETRY_CONFIG.INITIAL_DELAY_MS;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await withTimeout(transport.write(chunk), WRITE_RETRY_CONFIG.TIMEOUT_MS);
+        return;
+      } catch (error) {
+        const timedOut = isPrinterError(error, PRINTER_ERRORS.TIMEOUT);
+        if (
+          timedOut ||
+          attempt >= WRITE_RETRY_CONFIG.MAX_ATTEMPTS ||
+          this.transport !== transport
+        ) {
+          if (isPrinterError(error)) throw error;
+          const reason = error instanceof Error ? error.message : String(error);
+          throw new PrinterError(
+            PRINTER_ERRORS.WRITE_FAILED,
+            `Could not send data to the printer: ${reason}`,
+            { cause: error }
+          );
+        }
+        await sleep(delayMs);
+        delayMs *= 2;
       }
-      // Small delay between writes to ensure printer processes each chunk
-      await sleep(5);
     }
   }
 
   /**
-   * Convert a canvas to a 1-bit bitmap array for thermal printing
+   * Stop a print if the printer has said it is out of paper
+   * Rows sent before this are on the paper, so the print can carry on from there
+   * @returns {void}
+   * @throws {PrinterError} PAPER_OUT
+   * @private
+   */
+  _throwIfPaperOut() {
+    if (this.status.paperOut) {
+      throw new PrinterError(PRINTER_ERRORS.PAPER_OUT, 'The printer reported it is out of paper');
+    }
+  }
+
+  /**
+   * Flow controller for the current link, tuned for the printer
+   * Replaced when the config changes, since the tuning comes with it
+   * @param {PrinterConfig} config
+   * @returns {FlowController}
+   * @private
+   */
+  _getFlowControl(config) {
+    const tuning = config.FLOW_CONTROL ?? FLOW_CONFIG.DEFAULT_TUNING;
+    if (!this.flow || this.flow.tuning !== tuning) {
+      this.flow = new FlowController(tuning);
+    }
+    return this.flow;
+  }
+
+  /**
+   * Convert a canvas to a 1-bit bitmap for thermal printing
    *
    * Thermal printers need images in a specific format:
    * - 1 bit per pixel (black or white only, no grayscale)
@@ -200,65 +856,61 @@ export class PrinterManager {
    * - MSB (Most Significant Bit) first: leftmost pixel = bit 7, rightmost = bit 0
    * - Organized as rows of bytes
    *
+   * Grayscale is reduced to black/white with the selected dithering mode
+   * (plain threshold at 128 by default).
+   *
+   * Runs on the main thread; prefer canvasToRows for anything big.
+   *
    * @param {HTMLCanvasElement} canvas - The canvas to convert
-   * @returns {number[][]} 2D array where each inner array is a row of bytes
+   * @param {PrintOptions} [options] - Dithering mode and threshold
+   * @returns {Bitmap}
    * @throws {Error} If 2D context cannot be obtained from canvas or printer not configured
    */
-  canvasToBitmap(canvas) {
-    if (!this.config) {
-      throw new Error('Printer not configured');
-    }
+  canvasToBitmap(canvas, options = {}) {
+    const bytesPerLine = this._getBytesPerLine(canvas);
 
     const ctx = canvas.getContext('2d');
     if (!ctx) {
       throw new Error('Could not get 2D context from canvas');
     }
-    // Get raw RGBA pixel data from canvas
     const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const data = imageData.data; // [r, g, b, a, r, g, b, a, ...]
-
-    const bitmap = [];
-
-    // Loop 1: Process each horizontal line of pixels (y-axis)
-    for (let y = 0; y < canvas.height; y++) {
-      const row = [];
-
-      // Loop 2: Process each byte in this row
-      // e.g., 384 pixels wide ÷ 8 pixels per byte = 48 bytes per row
-      for (let x = 0; x < this.config.BYTES_PER_LINE; x++) {
-        let byte = 0;
-
-        // Loop 3: Pack 8 pixels into 1 byte
-        // Each bit represents one pixel: 1 = black, 0 = white
-        for (let bit = 0; bit < 8; bit++) {
-          const px = x * 8 + bit; // Calculate actual pixel x-coordinate
-
-          if (px < canvas.width) {
-            // Calculate index into RGBA array: (row * width + column) * 4 channels
-            const idx = (y * canvas.width + px) * 4;
-
-            if (idx + 3 < data.length) {
-              const r = data[idx];
-              const g = data[idx + 1];
-              const b = data[idx + 2];
+    return imageDataToBitmap(imageData, bytesPerLine, options);
+  }
 
-              // Convert RGB to perceived brightness using standard luminance formula
-              // Human eyes are more sensitive to green, less to blue
-              const brightness = r * 0.299 + g * 0.587 + b * 0.114;
+  /**
+   * Convert a canvas to printer rows in the background
+   *
+   * The canvas is copied before this returns, so drawing on afterwards
+   * doesn't change what prints. Conversion and dithering run in a worker
+   * where the browser allows, and reading the rows waits for them.
+   *
+   * @param {HTMLCanvasElement} canvas - The canvas to convert
+   * @param {PrintOptions} [options] - Dithering mode and threshold
+   * @returns {RowSource}
+   * @throws {Error} If 2D context cannot be obtained from canvas or printer not configured
+   */
+  canvasToRows(canvas, options = {}) {
+    const bytesPerLine = this._getBytesPerLine(canvas);
+    const bitmap = convertCanvas(canvas, bytesPerLine, options);
+    // Failures are reported when the rows are read
+    bitmap.catch(() => {});
+    return bitmapRowSource(bitmap, canvas.height, bytesPerLine);
+  }
 
-              // If pixel is dark (< 128 on 0-255 scale), set bit to 1 (print black)
-              if (brightness < 128) {
-                byte |= 1 << (7 - bit); // Set bit from left to right (MSB first)
-              }
-            }
-          }
-        }
-        row.push(byte);
-      }
-      bitmap.push(row);
+  /**
+   * Row width for a canvas
+   * A canvas narrower than the print head (e.g. a label) gets narrower rows,
+   * which the printer centers
+   * @param {HTMLCanvasElement} canvas
+   * @returns {number}
+   * @throws {Error} If printer not configured
+   * @private
+   */
+  _getBytesPerLine(canvas) {
+    if (!this.config) {
+      throw new PrinterError(PRINTER_ERRORS.NOT_CONNECTED, 'Printer not configured');
     }
-
-    return bitmap;
+    return Math.min(Math.ceil(canvas.width / 8), this.config.BYTES_PER_LINE);
   }
 
   /**
@@ -269,118 +921,612 @@ export class PrinterManager {
    *
    * Sequence:
    * 1. Header - Initialize printer and set parameters
-   * 2. Block Marker + Image Data - Send bitmap in chunks
-   * 3. Footer - Feed paper and finalize
+   * 2. Block Marker + Image Data - Send bitmap in chunks, with the config's raster command
+   * 3. Footer - Feed paper (or on to the next label), cut it if asked and finalize
+   *
+   * Aborting stops between blocks, so the printer never receives half a
+   * block, and still feeds the paper out before rejecting.
+   *
+   * A RowSource is read one block at a time, so it can be longer than
+   * would fit in memory as a bitmap.
+   *
+   * Cat and Niimbot printers don't speak ESC/POS and are sent their own
+   * packets instead.
+   *
+   * Trimming reads the whole image before anything is sent, so leave it
+   * off for sources too long to hold in memory.
+   *
+   * Stops with a PAPER_OUT error if the printer runs out of paper; the
+   * rows sent until then are in the last progress report, and starting
+   * again from control.startRow prints the rest without repeating them.
    *
-   * @param {number[][]} bitmap - 2D array of bytes representing the image
+   * @param {Bitmap | RowSource} bitmap - The image, or a source of its rows
+   * @param {PrintControl} [control] - Abort signal and progress callback
+   * @param {PrinterSettings} [settings] - Density, speed, feeds, alignment, trimming and cut for this print
    * @returns {Promise<void>}
    * @throws {Error} If printer is not configured
+   * @throws {DOMException} AbortError if the signal is aborted
    */
-  async printBitmap(bitmap) {
+  async printBitmap(bitmap, control = {}, settings = {}) {
     if (!this.config) {
-      throw new Error('Printer not configured');
+      throw new PrinterError(PRINTER_ERRORS.NOT_CONNECTED, 'Printer not configured');
+    }
+
+    const { signal, onProgress } = control;
+    signal?.throwIfAborted();
+
+    let rows =
+      'data' in bitmap ? bitmapRowSource(bitmap, bitmap.height, bitmap.bytesPerLine) : bitmap;
+
+    // Blank paper above and below a drawing is wasted; on labels it
+    // places the drawing, so it stays
+    if (settings.trim && !isLabelMedia(this.getMedia())) {
+      const image = 'data' in bitmap ? bitmap : await this._readBlock(rows, 0, rows.height);
+      const trimmed = trimBitmap(image);
+      rows = bitmapRowSource(trimmed, trimmed.height, trimmed.bytesPerLine);
+    }
+
+    if (this.config.PROTOCOL === PRINTER_PROTOCOLS.CAT) {
+      await this._printCatRows(rows, control, settings);
+      return;
+    }
+    if (this.config.PROTOCOL === PRINTER_PROTOCOLS.NIIMBOT) {
+      await this._printNiimbotRows(rows, control, settings);
+      return;
     }
 
-    const { ESC, GS } = COMMANDS;
+    const height = rows.height;
+    const bytesPerLine = rows.bytesPerLine;
+    const startRow = Math.min(control.startRow ?? 0, height);
 
     // === HEADER: Initialize Printer ===
+    // Carrying on part way through, the paper is already in place
+    await this._sendEscPosHeader(startRow > 0 ? { ...settings, feedBefore: 0 } : settings);
+
+    // === BLOCK MARKER + IMAGE DATA ===
+    // The printer config picks the image command; see raster.js
+    const encoder = getRasterEncoder(this.config.RASTER_MODE);
+    const linesPerBlock = encoder.bandHeight ?? this.config.LINES_PER_CHUNK;
+    let totalBytes = 0;
+    let bytesSent = 0;
+    for (let startLine = 0; startLine < height; startLine += linesPerBlock) {
+      const size = encoder.blockSize(Math.min(linesPerBlock, height - startLine), bytesPerLine);
+      totalBytes += size;
+      if (startLine < startRow) bytesSent += size;
+    }
+
+    if (encoder.prefix.length) {
+      await this.sendData(encoder.prefix);
+    }
+
+    for (let startLine = startRow; startLine < height; startLine += linesPerBlock) {
+      if (signal?.aborted) break;
+      this._throwIfPaperOut();
+
+      const endLine = Math.min(startLine + linesPerBlock, height);
+      const block = encoder.encodeBlock(await rows.getRows(startLine, endLine), bytesPerLine);
+
+      // Paced by sendData's flow control, so no fixed wait between blocks
+      await this.sendData(block);
+      bytesSent += block.length;
+      onProgress?.({ rowsSent: endLine, totalRows: height, bytesSent, totalBytes });
+    }
+
+    if (encoder.suffix.length) {
+      await this.sendData(encoder.suffix);
+    }
+
+    // === FOOTER: Feed Paper ===
+    // Also runs after a cancel, so the partial print can be torn off
+    await this._feedOut(settings);
+    signal?.throwIfAborted();
+  }
+
+  /**
+   * Receipt blocks this printer prints with its own commands
+   * Cat and Niimbot printers only take pictures, and the virtual printer
+   * only draws pictures, so every block is drawn for them
+   * @returns {readonly ReceiptBlockType[]}
+   */
+  getNativeBlocks() {
+    const config = this.config;
+    if (!config || (config.PROTOCOL ?? PRINTER_PROTOCOLS.ESC_POS) !== PRINTER_PROTOCOLS.ESC_POS) {
+      return [];
+    }
+    if (this.transport?.type === TRANSPORT_TYPES.VIRTUAL) {
+      return [];
+    }
+    return config.NATIVE_BLOCKS ?? [];
+  }
+
+  /**
+   * Print a text receipt
+   *
+   * Blocks the printer has commands for go out as ESC/POS text, QR code
+   * and barcode commands, which print sharper and take far fewer bytes
+   * than a picture. The others are drawn and sent as pictures in between.
+   * A printer without any of the commands gets the receipt as one picture.
+   *
+   * Everything is encoded before the header goes out, so a barcode that
+   * can't be printed fails before any paper moves. Progress counts dot
+   * rows of paper.
+   *
+   * @param {ReceiptBlock[]} blocks - What to print, top to bottom
+   * @param {PrintControl} [control] - Abort signal and progress callback
+   * @param {PrinterSettings} [settings] - Density, speed, feeds and cut for this print; receipts are never trimmed
+   * @returns {Promise<void>}
+   * @throws {Error} If printer is not configured, or a block can't be encoded
+   * @throws {DOMException} AbortError if the signal is aborted
+   */
+  async printReceipt(blocks, control = {}, settings = {}) {
+    if (!this.config) {
+      throw new PrinterError(PRINTER_ERRORS.NOT_CONNECTED, 'Printer not configured');
+    }
+
+    const { signal, onProgress } = control;
+    signal?.throwIfAborted();
+
+    const width = this.config.WIDTH;
+    const runs = splitReceipt(blocks, this.getNativeBlocks());
+    if (!runs.some((run) => run.native)) {
+      const bitmap = this.canvasToBitmap(renderReceipt(blocks, width));
+      await this.printBitmap(bitmap, control, { ...settings, trim: false });
+      return;
+    }
+
+    // Commands for each block, and pictures cut into raster blocks
+    /** @type {{ bytes: Uint8Array | readonly number[], rows: number }[]} */
+    const parts = [];
+    const encoder = getRasterEncoder(this.config.RASTER_MODE);
+    const linesPerBlock = encoder.bandHeight ?? this.config.LINES_PER_CHUNK;
+    for (const run of runs) {
+      if (run.native) {
+        for (const block of run.blocks) {
+          parts.push({
+            bytes: encodeReceiptBlock(block, width),
+            rows: getReceiptBlockHeight(block, width),
+          });
+        }
+        continue;
+      }
+
+      const bitmap = this.canvasToBitmap(renderReceipt(run.blocks, width));
+      parts.push({ bytes: encoder.prefix, rows: 0 });
+      for (let start = 0; start < bitmap.height; start += linesPerBlock) {
+        const end = Math.min(start + linesPerBlock, bitmap.height);
+        const rows = bitmap.data.subarray(start * bitmap.bytesPerLine, end * bitmap.bytesPerLine);
+        parts.push({ bytes: encoder.encodeBlock(rows, bitmap.bytesPerLine), rows: end - start });
+      }
+      parts.push({ bytes: encoder.suffix, rows: 0 });
+    }
+
+    const totalRows = parts.reduce((sum, part) => sum + part.rows, 0);
+    const totalBytes = parts.reduce((sum, part) => sum + part.bytes.length, 0);
+    let rowsSent = 0;
+    let bytesSent = 0;
+
+    await this._sendEscPosHeader(settings);
+
+    for (const part of parts) {
+      if (signal?.aborted) break;
+      if (part.bytes.length === 0) continue;
+
+      await this.sendData(part.bytes);
+      rowsSent += part.rows;
+      bytesSent += part.bytes.length;
+      onProgress?.({ rowsSent, totalRows, bytesSent, totalBytes });
+    }
+
+    // Also runs after a cancel, so the partial receipt can be torn off
+    await this._feedOut(settings);
+    signal?.throwIfAborted();
+  }
+
+  /**
+   * Reset the printer and send its init commands, before ESC/POS print data
+   * Ends with the alignment and any feed before the print
+   * @param {PrinterSettings} settings - Density, speed, alignment and feed for this print
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sendEscPosHeader(settings) {
+    const config = /** @type {PrinterConfig} */ (this.config);
+    const { ESC } = COMMANDS;
+    const align = getAlignCommand(settings.align ?? PRINT_LAYOUT.ALIGN);
+
     // ESC @ - Initialize/reset printer to default state
     // https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/esc_atsign.html
-    await this.sendData([ESC, 0x40]);
-    await sleep(200);
+    await this._sendCommand([ESC, 0x40], FLOW_CONFIG.RESET_SETTLE_MS);
+
+    // Tell the sensor whether to look for gaps or black marks
+    const mediaCommand = getMediaTypeCommand(config, this.getMedia());
+    if (mediaCommand) {
+      await this._sendCommand(mediaCommand);
+    }
 
     // Run printer-specific initialization commands if available
-    if (this.config.INIT_COMMANDS) {
-      const { WAKE_PRINTER, SET_DENSITY, SET_LABEL_GAP, SET_PRINT_SPEED } = this.config.INIT_COMMANDS;
+    const initCommands = getInitCommands(config, settings);
+    if (initCommands) {
+      const { WAKE_PRINTER, SET_DENSITY, SET_LABEL_GAP, SET_PRINT_SPEED } = initCommands;
 
       if (WAKE_PRINTER) {
-        await this.sendData(WAKE_PRINTER);
-        await sleep(100);
+        await this._sendCommand(WAKE_PRINTER);
       }
       if (SET_DENSITY) {
-        await this.sendData(SET_DENSITY);
-        await sleep(100);
+        await this._sendCommand(SET_DENSITY);
       }
       if (SET_LABEL_GAP) {
-        await this.sendData(SET_LABEL_GAP);
-        await sleep(100);
+        await this._sendCommand(getLabelGapCommand(SET_LABEL_GAP, this.getMedia()));
       }
 
-      // ESC a n - Set justification: n = 0 (left), 1 (center), 2 (right)
-      // https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/esc_la.html
-      await this.sendData([ESC, 0x61, 0x01]);
-      await sleep(100);
+      // ESC a n - Where pictures narrower than the print head sit
+      await this._sendCommand(align);
 
       if (SET_PRINT_SPEED) {
-        await this.sendData(SET_PRINT_SPEED);
-        await sleep(100);
+        await this._sendCommand(SET_PRINT_SPEED);
       }
     } else {
-      // Generic printer: just use standard ESC/POS center alignment
-      await this.sendData([ESC, 0x61, 0x01]);
-      await sleep(100);
+      // Generic printer: just the standard ESC/POS alignment
+      await this._sendCommand(align);
     }
 
-    const height = bitmap.length;
+    const feedBefore = settings.feedBefore ?? PRINT_LAYOUT.FEED_BEFORE;
+    if (feedBefore > 0) {
+      await this.feed(feedBefore);
+    }
+  }
 
-    // === BLOCK MARKER + IMAGE DATA ===
-    // https://github.com/vivier/phomemo-tools?tab=readme-ov-file#32-block-marker
-    // GS v 0 m xL xH yL yH [data]
-    // - GS v 0: Raster image print command
-    // - m: Mode (0x00 = normal)
-    // - xL xH: Width in bytes (e.g., 48 = 384 pixels ÷ 8)
-    // - yL yH: Height in dots (little-endian 16-bit)
-    // - [data]: Bitmap data (1 bit per pixel, MSB first)
-    // https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/gs_lv_0.html
-
-    for (
-      let startLine = 0;
-      startLine < height;
-      startLine += this.config.LINES_PER_CHUNK
-    ) {
-      const endLine = Math.min(
-        startLine + this.config.LINES_PER_CHUNK,
-        height
-      );
-      const chunkHeight = endLine - startLine;
-
-      // Build block marker header
-      const header = [
-        GS,                              // 0x1d - GS prefix
-        0x76,                            // v - Raster image command
-        0x30,                            // 0 - Normal mode
-        0x00,                            // m - Mode byte
-        this.config.BYTES_PER_LINE,      // xL - Width low byte
-        0x00,                            // xH - Width high byte
-        chunkHeight & 0xff,              // yL - Height low byte
-        (chunkHeight >> 8) & 0xff,       // yH - Height high byte
-      ];
-
-      // Collect bitmap rows for this chunk
-      const chunkData = [];
-      for (let i = startLine; i < endLine; i++) {
-        chunkData.push(...bitmap[i]);
+  /**
+   * Send a command, then give the printer time to carry it out before
+   * more data follows
+   * @param {Uint8Array | readonly number[]} command - Command bytes
+   * @param {number} [settleMs] - How long it takes at the printer's tuned rate
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _sendCommand(command, settleMs = FLOW_CONFIG.COMMAND_SETTLE_MS) {
+    await this.sendData(command);
+    await this.flow?.settle(settleMs);
+  }
+
+  /**
+   * Feed the paper out after an ESC/POS print, on to the next label if
+   * labels are loaded, then cut it on printers with a cutter
+   * @param {PrinterSettings} settings - Feed and cut for this print
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _feedOut(settings) {
+    if (isLabelMedia(this.getMedia())) {
+      await this.feedToNextLabel();
+    } else {
+      await this.feed(settings.feedAfter ?? PRINT_LAYOUT.FEED_AFTER);
+    }
+
+    const cut = settings.cut ?? PRINT_LAYOUT.CUT;
+    if (this.config?.CUTTER && cut !== CUT_MODES.NONE) {
+      // GS V m - Cut the paper: m = 0 (full), 1 (partial)
+      // https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/gs_cv.html
+      await this._sendCommand([COMMANDS.GS, 0x56, cut === CUT_MODES.PARTIAL ? 0x01 : 0x00]);
+    }
+  }
+
+  /**
+   * Print rows on a cat printer
+   * Same sequence as printBitmap, in cat printer packets: header with
+   * quality, energy and speed, one packet per row, then feed and lattice end
+   * Cat printers have no label sensor or cutter, so the paper is always
+   * fed the chosen amount
+   * @param {RowSource} rows
+   * @param {PrintControl} control
+   * @param {PrinterSettings} settings
+   * @returns {Promise<void>}
+   * @throws {DOMException} AbortError if the signal is aborted
+   * @private
+   */
+  async _printCatRows(rows, control, settings) {
+    const config = /** @type {PrinterConfig} */ (this.config);
+    const { signal, onProgress } = control;
+    const height = rows.height;
+    const startRow = Math.min(control.startRow ?? 0, height);
+    const linesPerBlock = config.LINES_PER_CHUNK;
+    const rowSize = getCatRowSize(config.BYTES_PER_LINE);
+    const totalBytes = height * rowSize;
+    let bytesSent = startRow * rowSize;
+
+    await this.sendData(getCatHeader(config, settings));
+    const feedBefore = startRow > 0 ? 0 : (settings.feedBefore ?? PRINT_LAYOUT.FEED_BEFORE);
+    if (feedBefore > 0) {
+      await this.sendData(getCatFeed(feedBefore * CAT_PRINTER.LINE_DOTS));
+    }
+
+    for (let startLine = startRow; startLine < height; startLine += linesPerBlock) {
+      if (signal?.aborted) break;
+      this._throwIfPaperOut();
+
+      const endLine = Math.min(startLine + linesPerBlock, height);
+      const image = await this._readBlock(rows, startLine, endLine);
+      const block = new Uint8Array(image.height * rowSize);
+      for (let i = 0; i < image.height; i++) {
+        block.set(encodeCatRow(getBitmapRow(image, i), config.BYTES_PER_LINE), i * rowSize);
       }
 
-      await this.sendData([...header, ...chunkData]);
-      await sleep(150);
+      await this.sendData(block);
+      bytesSent += block.length;
+      onProgress?.({ rowsSent: endLine, totalRows: height, bytesSent, totalBytes });
+    }
+
+    // Also runs after a cancel, so the partial print can be torn off
+    const feedAfter = settings.feedAfter ?? PRINT_LAYOUT.FEED_AFTER;
+    await this.sendData(getCatFooter(feedAfter * CAT_PRINTER.LINE_DOTS));
+    signal?.throwIfAborted();
+  }
+
+  /**
+   * Print rows on a Niimbot label printer, as one label
+   *
+   * Each setup command waits for the printer's answer; after the last row
+   * the printer is asked to finish the page and polled until the label has
+   * printed. Links without a notify characteristic (USB, serial, virtual)
+   * can't hear answers, so the commands are just sent in order.
+   *
+   * Rows go out one packet per write, since the printer reads packets whole.
+   *
+   * @param {RowSource} rows
+   * @param {PrintControl} control
+   * @param {PrinterSettings} settings
+   * @returns {Promise<void>}
+   * @throws {Error} If the printer stops answering or rejects the label
+   * @throws {DOMException} AbortError if the signal is aborted
+   * @private
+   */
+  async _printNiimbotRows(rows, control, settings) {
+    const config = /** @type {PrinterConfig} */ (this.config);
+    const { signal, onProgress } = control;
+    const { COMMANDS } = NIIMBOT;
+    const height = rows.height;
+    const width = config.WIDTH;
+    const linesPerBlock = config.LINES_PER_CHUNK;
+    const totalBytes = height * getNiimbotRowSize(config.BYTES_PER_LINE);
+    let bytesSent = 0;
+
+    const density = getNiimbotDensity(config, settings);
+    if (density !== null) {
+      await this._niimbotRequest(COMMANDS.SET_LABEL_DENSITY, [density]);
+    }
+    await this._niimbotRequest(COMMANDS.SET_LABEL_TYPE, [getNiimbotLabelType(this.getMedia())]);
+    await this._niimbotRequest(COMMANDS.START_PRINT, [0x01]);
+    await this._niimbotRequest(COMMANDS.START_PAGE, [0x01]);
+    await this._niimbotRequest(COMMANDS.SET_DIMENSION, [
+      (height >> 8) & 0xff,
+      height & 0xff,
+      (width >> 8) & 0xff,
+      width & 0xff,
+    ]);
+
+    for (let startLine = 0; startLine < height; startLine += linesPerBlock) {
+      if (signal?.aborted) break;
+
+      const endLine = Math.min(startLine + linesPerBlock, height);
+      const image = await this._readBlock(rows, startLine, endLine);
+      for (let i = 0; i < image.height; i++) {
+        const row = getBitmapRow(image, i);
+        const packet = encodeNiimbotRow(row, startLine + i, config.BYTES_PER_LINE);
+        await this.sendData(packet);
+        bytesSent += packet.length;
+      }
+      onProgress?.({ rowsSent: endLine, totalRows: height, bytesSent, totalBytes });
+    }
+
+    // Also runs after a cancel, so the label comes out and the printer is free
+    if (signal?.aborted) {
+      await this._niimbotRequest(COMMANDS.END_PAGE, [0x01]);
+      await this._niimbotRequest(COMMANDS.END_PRINT, [0x01]);
+      signal.throwIfAborted();
+    }
+
+    // The printer answers 0 while it is still taking the page in
+    await this._niimbotPoll(COMMANDS.END_PAGE, (reply) => reply[0] === 1);
+    // Then reports the pages printed so far
+    await this._niimbotPoll(
+      COMMANDS.GET_PRINT_STATUS,
+      (reply) => ((reply[0] << 8) | reply[1]) >= 1
+    );
+    await this._niimbotRequest(COMMANDS.END_PRINT, [0x01]);
+  }
+
+  /**
+   * Read a block of rows as a bitmap, for printers that take one row at a time
+   * @param {RowSource} rows
+   * @param {number} start - First row (inclusive)
+   * @param {number} end - Last row (exclusive)
+   * @returns {Promise<Bitmap>}
+   * @private
+   */
+  async _readBlock(rows, start, end) {
+    return {
+      height: end - start,
+      bytesPerLine: rows.bytesPerLine,
+      data: await rows.getRows(start, end),
+    };
+  }
+
+  /**
+   * Send a Niimbot command and wait for its answer
+   * @param {number} command - NIIMBOT.COMMANDS value
+   * @param {readonly number[]} data
+   * @returns {Promise<Uint8Array | null>} The answer, or null on links that can't hear one
+   * @throws {Error} If the printer stops answering or rejects the command
+   * @private
+   */
+  async _niimbotRequest(command, data) {
+    if (!this.notifyCharacteristic) {
+      await this.sendData(niimbotPacket(command, data));
+      return null;
+    }
+
+    const reply = this.niimbotReplies.wait(command);
+    try {
+      await this.sendData(niimbotPacket(command, data));
+    } catch (error) {
+      // Nobody will answer a request that didn't go out
+      reply.catch(() => {});
+      throw error;
+    }
+    return reply;
+  }
+
+  /**
+   * Repeat a Niimbot command until its answer says the printer is done
+   * @param {number} command - NIIMBOT.COMMANDS value, sent with [0x01]
+   * @param {(reply: Uint8Array) => boolean} isDone
+   * @returns {Promise<void>}
+   * @throws {Error} If the printer stops answering or takes too long
+   * @private
+   */
+  async _niimbotPoll(command, isDone) {
+    for (let poll = 0; poll < NIIMBOT.MAX_STATUS_POLLS; poll++) {
+      const reply = await this._niimbotRequest(command, [0x01]);
+      if (!reply || isDone(reply)) return;
+      await sleep(NIIMBOT.STATUS_POLL_MS);
+    }
+    throw new PrinterError(
+      PRINTER_ERRORS.TIMEOUT,
+      'The label printer is taking too long. Check the labels are loaded.'
+    );
+  }
+
+  /**
+   * Print one step of the raster mode test print
+   * Prints a numbered pattern with the given mode, whatever the config says,
+   * so the user can see which mode their printer understands
+   * @param {RasterMode} mode - Raster command to try
+   * @param {number} number - Shown on the pattern, for the user to pick
+   * @returns {Promise<void>}
+   * @throws {Error} If printer is not configured
+   */
+  async printRasterTest(mode, number) {
+    if (!this.config) {
+      throw new PrinterError(PRINTER_ERRORS.NOT_CONNECTED, 'Printer not configured');
+    }
+    const config = this.config;
+    const bitmap = this.canvasToBitmap(createRasterTestCanvas(number, config.WIDTH));
+
+    this.config = { ...config, RASTER_MODE: mode };
+    try {
+      await this.printBitmap(bitmap);
+    } finally {
+      this.config = config;
+    }
+  }
+
+  /**
+   * Print a calibration pattern and measure how fast it went out
+   * The gradient is dithered so its gray steps show how dark the head prints
+   * @param {CalibrationPattern} pattern - Which pattern to print
+   * @returns {Promise<ThroughputResult>}
+   * @throws {Error} If printer is not configured
+   */
+  async printCalibration(pattern) {
+    if (!this.config) {
+      throw new PrinterError(PRINTER_ERRORS.NOT_CONNECTED, 'Printer not configured');
+    }
+    const canvas = createCalibrationCanvas(pattern, this.config.WIDTH);
+    const options =
+      pattern === CALIBRATION_PATTERNS.GRADIENT ? { dither: DITHER_MODES.BAYER_8X8 } : {};
+    const bitmap = this.canvasToBitmap(canvas, options);
+
+    const before = { ...this._getFlowControl(this.config).stats };
+    const startedAt = Date.now();
+    await this.printBitmap(bitmap);
+    return measureThroughput(before, this._getFlowControl(this.config).stats, Date.now() - startedAt);
+  }
+
+  /**
+   * List the Bluetooth services and characteristics of the connected printer
+   * @returns {Promise<GattServiceInfo[] | null>} Null if not connected over Bluetooth
+   */
+  async getGattServices() {
+    const server = this.device?.gatt;
+    if (!this.isConnected || !server?.connected) {
+      return null;
+    }
+    return describeGattServices(server);
+  }
+
+  /**
+   * Use a raster mode from now on, and for this device next time
+   * @param {RasterMode} mode - Raster command that printed correctly
+   * @returns {void}
+   * @throws {Error} If printer is not configured
+   */
+  setRasterMode(mode) {
+    if (!this.config) {
+      throw new PrinterError(PRINTER_ERRORS.NOT_CONNECTED, 'Printer not configured');
+    }
+    this.config = { ...this.config, RASTER_MODE: mode };
+    saveRasterMode(this.getDeviceName(), mode);
+  }
+
+  /**
+   * Feed die-cut labels forward to the start of the next label
+   * @returns {Promise<void>}
+   */
+  async feedToNextLabel() {
+    await this._sendCommand(getLabelFeedCommand());
+  }
+
+  /**
+   * Set what paper is loaded, used from the next print on
+   * @param {MediaSettings} media - Paper type and label size
+   * @returns {void}
+   */
+  setMedia(media) {
+    this.media = media;
+  }
+
+  /**
+   * Paper the next print goes on
+   * Printers that only take labels print on labels of the chosen size
+   * even when a roll is selected
+   * @returns {MediaSettings}
+   */
+  getMedia() {
+    if (this.config?.LABELS_ONLY && !isLabelMedia(this.media)) {
+      return { ...this.media, type: MEDIA_TYPES.GAP };
+    }
+    return this.media;
+  }
+
+  /**
+   * Feed blank paper through the printer
+   * @param {number} lines - Number of lines to feed (0-255)
+   * @returns {Promise<void>}
+   */
+  async feed(lines) {
+    // Niimbot printers only ever print whole labels, so there is nothing to feed
+    if (this.config?.PROTOCOL === PRINTER_PROTOCOLS.NIIMBOT) return;
+
+    if (this.config?.PROTOCOL === PRINTER_PROTOCOLS.CAT) {
+      await this._sendCommand(getCatFeed((lines & 0xff) * CAT_PRINTER.LINE_DOTS));
+      return;
     }
 
-    // === FOOTER: Feed Paper ===
     // ESC d n - Print and feed n lines
     // https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/esc_ld.html
-    await this.sendData([ESC, 0x64, 0x03]);
-    await sleep(100);
+    await this._sendCommand([COMMANDS.ESC, 0x64, lines & 0xff]);
   }
 
   /**
    * Print the contents of a canvas
    * @param {HTMLCanvasElement} canvas - The canvas to print
+   * @param {PrintOptions} [options] - Dithering, levels and paper layout for this print
+   * @param {PrintControl} [control] - Abort signal and progress callback
    * @returns {Promise<void>}
    */
-  async print(canvas) {
-    const bitmap = this.canvasToBitmap(canvas);
-    await this.printBitmap(bitmap);
+  async print(canvas, options = {}, control = {}) {
+    const rows = this.canvasToRows(canvas, options);
+    await this.printBitmap(rows, control, normalizePrinterSettings(options));
   }
 
   /**
@@ -388,7 +1534,15 @@ export class PrinterManager {
    * @returns {string} The device name or 'Unknown' if not connected
    */
   getDeviceName() {
-    return this.device?.name || 'Unknown';
+    return this.device?.name || this.transport?.name || 'Unknown';
+  }
+
+  /**
+   * Get the last status reported by the printer
+   * @returns {PrinterStatus}
+   */
+  getStatus() {
+    return this.status;
   }
 
   /**
@@ -0,0 +1,517 @@
+/**
+ * QR code encoder, for printers that can't draw QR codes themselves
+ *
+ * Encodes text as UTF-8 bytes at error correction level M, the level
+ * receipt printers use, in versions 1 to 10 (up to 213 bytes).
+ * Reference: ISO/IEC 18004:2015
+ */
+
+/**
+ * A QR code as a square of modules
+ * @typedef {Object} QrMatrix
+ * @property {number} size - Modules per side, without the quiet zone
+ * @property {Uint8Array} modules - size * size modules, row by row, 1 = dark
+ */
+
+/**
+ * Level M block structure of each version, index = version
+ * ec: error correction codewords per block; groups: [blocks, data codewords per block]
+ * @type {readonly { ec: number, groups: readonly (readonly [number, number])[] }[]}
+ */
+const VERSIONS = [
+  { ec: 0, groups: [] },
+  { ec: 10, groups: [[1, 16]] },
+  { ec: 16, groups: [[1, 28]] },
+  { ec: 26, groups: [[1, 44]] },
+  { ec: 18, groups: [[2, 32]] },
+  { ec: 24, groups: [[2, 43]] },
+  { ec: 16, groups: [[4, 27]] },
+  { ec: 18, groups: [[4, 31]] },
+  { ec: 22, groups: [[2, 38], [2, 39]] },
+  { ec: 22, groups: [[3, 36], [2, 37]] },
+  { ec: 26, groups: [[4, 43], [1, 44]] },
+];
+
+/** Centers of the alignment patterns on each axis, index = version */
+const ALIGNMENT_POSITIONS = [
+  [],
+  [],
+  [6, 18],
+  [6, 22],
+  [6, 26],
+  [6, 30],
+  [6, 34],
+  [6, 22, 38],
+  [6, 24, 42],
+  [6, 26, 46],
+  [6, 28, 50],
+];
+
+const MAX_VERSION = VERSIONS.length - 1;
+
+// Format information: level M is 00, masked with 101010000010010
+const FORMAT_LEVEL_M = 0b00;
+const FORMAT_GENERATOR = 0x537;
+const FORMAT_MASK = 0x5412;
+const VERSION_GENERATOR = 0x1f25;
+
+// Byte mode indicator and the padding codewords that fill unused capacity
+const MODE_BYTE = 0b0100;
+const PAD_CODEWORDS = [0xec, 0x11];
+
+// Penalty weights used to pick the mask (ISO/IEC 18004 section 7.8.3)
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER_LIKE = 40;
+const PENALTY_BALANCE = 10;
+
+// GF(256) arithmetic with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+  GF_EXP[i] = value;
+  GF_LOG[value] = i;
+  value <<= 1;
+  if (value & 0x100) value ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) {
+  GF_EXP[i] = GF_EXP[i - 255];
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @returns {number} a * b in GF(256)
+ */
+function gfMultiply(a, b) {
+  return a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+/**
+ * Reed-Solomon error correction codewords for one block
+ * @param {Uint8Array} data - Data codewords
+ * @param {number} ecLength - Error correction codewords wanted
+ * @returns {Uint8Array}
+ */
+export function reedSolomon(data, ecLength) {
+  // Generator polynomial (x - a^0)(x - a^1)...(x - a^(ecLength-1)), highest power dropped
+  const generator = new Uint8Array(ecLength);
+  generator[ecLength - 1] = 1;
+  for (let i = 0, root = 1; i < ecLength; i++) {
+    for (let j = 0; j < ecLength; j++) {
+      generator[j] = gfMultiply(generator[j], root) ^ (j + 1 < ecLength ? generator[j + 1] : 0);
+    }
+    root = gfMultiply(root, 2);
+  }
+
+  const remainder = new Uint8Array(ecLength);
+  for (const byte of data) {
+    const factor = byte ^ remainder[0];
+    remainder.copyWithin(0, 1);
+    remainder[ecLength - 1] = 0;
+    for (let j = 0; j < ecLength; j++) {
+      remainder[j] ^= gfMultiply(generator[j], factor);
+    }
+  }
+  return remainder;
+}
+
+/**
+ * @param {number} version
+ * @returns {number} Data codewords the version holds at level M
+ */
+function getDataCapacity(version) {
+  return VERSIONS[version].groups.reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+}
+
+/**
+ * @param {number} version
+ * @returns {number} Bits in the byte-mode character count
+ */
+function getCountBits(version) {
+  return version < 10 ? 8 : 16;
+}
+
+/**
+ * Smallest version that holds the bytes
+ * @param {number} length - Bytes to encode
+ * @returns {number}
+ * @throws {Error} If the bytes don't fit in the largest supported version
+ */
+function chooseVersion(length) {
+  for (let version = 1; version <= MAX_VERSION; version++) {
+    if (4 + getCountBits(version) + length * 8 <= getDataCapacity(version) * 8) {
+      return version;
+    }
+  }
+  throw new Error(`QR code text is too long (${length} bytes, at most ${getMaxQrBytes()})`);
+}
+
+/**
+ * Most bytes a QR code can hold
+ * @returns {number}
+ */
+export function getMaxQrBytes() {
+  return Math.floor((getDataCapacity(MAX_VERSION) * 8 - 4 - getCountBits(MAX_VERSION)) / 8);
+}
+
+/**
+ * Data codewords: mode, count, bytes, terminator and padding
+ * @param {Uint8Array} bytes
+ * @param {number} version
+ * @returns {Uint8Array}
+ */
+function encodeData(bytes, version) {
+  const capacity = getDataCapacity(version);
+  /** @type {number[]} */
+  const bits = [];
+  /**
+   * @param {number} value
+   * @param {number} length
+   */
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(MODE_BYTE, 4);
+  append(bytes.length, getCountBits(version));
+  for (const byte of bytes) append(byte, 8);
+  append(0, Math.min(4, capacity * 8 - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+
+  const codewords = new Uint8Array(capacity);
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords[i / 8] = bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0);
+  }
+  for (let i = bits.length / 8, pad = 0; i < capacity; i++, pad++) {
+    codewords[i] = PAD_CODEWORDS[pad % 2];
+  }
+  return codewords;
+}
+
+/**
+ * Split data into blocks, add error correction and interleave them
+ * @param {Uint8Array} data - Data codewords
+ * @param {number} version
+ * @returns {Uint8Array} Codewords in the order they are placed
+ */
+function addErrorCorrection(data, version) {
+  const { ec, groups } = VERSIONS[version];
+  /** @type {Uint8Array[]} */
+  const blocks = [];
+  let offset = 0;
+  for (const [count, size] of groups) {
+    for (let i = 0; i < count; i++) {
+      blocks.push(data.subarray(offset, offset + size));
+      offset += size;
+    }
+  }
+
+  const ecBlocks = blocks.map((block) => reedSolomon(block, ec));
+  const longest = Math.max(...blocks.map((block) => block.length));
+  /** @type {number[]} */
+  const result = [];
+  for (let i = 0; i < longest; i++) {
+    for (const block of blocks) {
+      if (i < block.length) result.push(block[i]);
+    }
+  }
+  for (let i = 0; i < ec; i++) {
+    for (const block of ecBlocks) result.push(block[i]);
+  }
+  return Uint8Array.from(result);
+}
+
+/**
+ * Module grid being built, with a note of which modules are patterns
+ * rather than data
+ */
+class Grid {
+  /** @param {number} size */
+  constructor(size) {
+    this.size = size;
+    this.modules = new Uint8Array(size * size);
+    this.isFunction = new Uint8Array(size * size);
+  }
+
+  /**
+   * Set a pattern module
+   * @param {number} x - Column
+   * @param {number} y - Row
+   * @param {boolean} dark
+   */
+  setFunction(x, y, dark) {
+    this.modules[y * this.size + x] = dark ? 1 : 0;
+    this.isFunction[y * this.size + x] = 1;
+  }
+}
+
+/**
+ * @param {number} mask - Mask pattern 0-7
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {boolean} True if the mask flips this module
+ */
+function maskApplies(mask, x, y) {
+  switch (mask) {
+    case 0:
+      return (x + y) % 2 === 0;
+    case 1:
+      return y % 2 === 0;
+    case 2:
+      return x % 3 === 0;
+    case 3:
+      return (x + y) % 3 === 0;
+    case 4:
+      return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5:
+      return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6:
+      return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default:
+      return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+}
+
+/**
+ * Remainder of a BCH code, for the format and version information
+ * @param {number} value - Data bits, already shifted up
+ * @param {number} generator
+ * @returns {number}
+ */
+function bchRemainder(value, generator) {
+  const degree = Math.floor(Math.log2(generator));
+  let remainder = value;
+  while (remainder > 0 && Math.floor(Math.log2(remainder)) >= degree) {
+    remainder ^= generator << (Math.floor(Math.log2(remainder)) - degree);
+  }
+  return remainder;
+}
+
+/**
+ * Format information bits for level M and a mask
+ * @param {number} mask - Mask pattern 0-7
+ * @returns {number} 15 bits, most significant first
+ */
+export function getQrFormatBits(mask) {
+  const data = (FORMAT_LEVEL_M << 3) | mask;
+  return ((data << 10) | bchRemainder(data << 10, FORMAT_GENERATOR)) ^ FORMAT_MASK;
+}
+
+/**
+ * Draw finder, timing and alignment patterns, and reserve the format and
+ * version areas
+ * @param {Grid} grid
+ * @param {number} version
+ */
+function drawPatterns(grid, version) {
+  const { size } = grid;
+
+  for (let i = 0; i < size; i++) {
+    grid.setFunction(6, i, i % 2 === 0);
+    grid.setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finders with their white separators, in three corners
+  for (const [cx, cy] of [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const ring = Math.max(Math.abs(dx), Math.abs(dy));
+        grid.setFunction(x, y, ring !== 2 && ring !== 4);
+      }
+    }
+  }
+
+  const positions = ALIGNMENT_POSITIONS[version];
+  const last = positions.length - 1;
+  for (let i = 0; i <= last; i++) {
+    for (let j = 0; j <= last; j++) {
+      // The corners with finders have no alignment pattern
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          grid.setFunction(positions[i] + dx, positions[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }
+  }
+
+  drawFormat(grid, 0);
+
+  if (version >= 7) {
+    const bits = (version << 12) | bchRemainder(version << 12, VERSION_GENERATOR);
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      grid.setFunction(a, b, dark);
+      grid.setFunction(b, a, dark);
+    }
+  }
+}
+
+/**
+ * Write both copies of the format information, and the dark module
+ * @param {Grid} grid
+ * @param {number} mask
+ */
+function drawFormat(grid, mask) {
+  const { size } = grid;
+  const bits = getQrFormatBits(mask);
+  /** @param {number} i */
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) grid.setFunction(8, i, bit(i));
+  grid.setFunction(8, 7, bit(6));
+  grid.setFunction(8, 8, bit(7));
+  grid.setFunction(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) grid.setFunction(14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) grid.setFunction(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) grid.setFunction(8, size - 15 + i, bit(i));
+  grid.setFunction(8, size - 8, true);
+}
+
+/**
+ * Place codewords in the zigzag pattern, two columns at a time from the
+ * bottom right, skipping pattern modules
+ * @param {Grid} grid
+ * @param {Uint8Array} codewords
+ */
+function placeData(grid, codewords) {
+  const { size } = grid;
+  let bit = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    // The vertical timing pattern takes up a whole column
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let vert = 0; vert < size; vert++) {
+      const y = upward ? size - 1 - vert : vert;
+      for (let j = 0; j < 2; j++) {
+        const index = y * size + right - j;
+        if (grid.isFunction[index] || bit >= codewords.length * 8) continue;
+        grid.modules[index] = (codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1;
+        bit++;
+      }
+    }
+  }
+}
+
+/**
+ * Flip the data modules a mask applies to; applying it twice undoes it
+ * @param {Grid} grid
+ * @param {number} mask
+ */
+function applyMask(grid, mask) {
+  const { size } = grid;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const index = y * size + x;
+      if (!grid.isFunction[index] && maskApplies(mask, x, y)) {
+        grid.modules[index] ^= 1;
+      }
+    }
+  }
+}
+
+/**
+ * How hard the code is to scan: long runs, solid blocks, patterns that
+ * look like finders and an uneven dark/light balance all count against it
+ * @param {Grid} grid
+ * @returns {number}
+ */
+function getPenalty(grid) {
+  const { size, modules } = grid;
+  /** @type {(x: number, y: number) => number} */
+  const at = (x, y) => modules[y * size + x];
+  const finderLike = [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0];
+  let penalty = 0;
+
+  for (const horizontal of [true, false]) {
+    /** @type {(line: number, i: number) => number} */
+    const get = horizontal ? (line, i) => at(i, line) : (line, i) => at(line, i);
+    for (let line = 0; line < size; line++) {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && get(line, i) === get(line, i - 1)) {
+          run++;
+          continue;
+        }
+        if (run >= 5) penalty += PENALTY_RUN + run - 5;
+        run = 1;
+      }
+      for (let i = 0; i + finderLike.length <= size; i++) {
+        let forward = true;
+        let backward = true;
+        for (let k = 0; k < finderLike.length; k++) {
+          const module = get(line, i + k);
+          forward &&= module === finderLike[k];
+          backward &&= module === finderLike[finderLike.length - 1 - k];
+        }
+        if (forward) penalty += PENALTY_FINDER_LIKE;
+        if (backward) penalty += PENALTY_FINDER_LIKE;
+      }
+    }
+  }
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      dark += at(x, y);
+      if (
+        x + 1 < size &&
+        y + 1 < size &&
+        at(x, y) === at(x + 1, y) &&
+        at(x, y) === at(x, y + 1) &&
+        at(x, y) === at(x + 1, y + 1)
+      ) {
+        penalty += PENALTY_BLOCK;
+      }
+    }
+  }
+  const darkPercent = (dark * 100) / (size * size);
+  penalty += Math.floor(Math.abs(darkPercent - 50) / 5) * PENALTY_BALANCE;
+
+  return penalty;
+}
+
+/**
+ * Encode text as a QR code
+ * Tries every mask and keeps the one that scans most easily
+ * @param {string} text - Sent as UTF-8
+ * @returns {QrMatrix}
+ * @throws {Error} If the text is too long
+ */
+export function encodeQrCode(text) {
+  const bytes = new TextEncoder().encode(text);
+  const version = chooseVersion(bytes.length);
+  const codewords = addErrorCorrection(encodeData(bytes, version), version);
+
+  const grid = new Grid(version * 4 + 17);
+  drawPatterns(grid, version);
+  placeData(grid, codewords);
+
+  let bestMask = 0;
+  let bestPenalty = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    applyMask(grid, mask);
+    drawFormat(grid, mask);
+    const penalty = getPenalty(grid);
+    if (penalty < bestPenalty) {
+      bestMask = mask;
+      bestPenalty = penalty;
+    }
+    applyMask(grid, mask);
+  }
+
+  applyMask(grid, bestMask);
+  drawFormat(grid, bestMask);
+  return { size: grid.size, modules: grid.modules };
+}
@@ -0,0 +1,232 @@
+import { COMMANDS, RASTER_MODES, STORAGE_KEYS } from './constants.js';
+
+/**
+ * @typedef {import('./constants.js').RasterMode} RasterMode
+ */
+
+/**
+ * Turns image rows into one of the ESC/POS image commands
+ * @typedef {Object} RasterEncoder
+ * @property {RasterMode} mode
+ * @property {number | null} bandHeight - Rows every block must have (padded with white), or null for any
+ * @property {number[]} prefix - Sent once before the first block
+ * @property {number[]} suffix - Sent once after the last block
+ * @property {(rows: Uint8Array, bytesPerLine: number) => Uint8Array} encodeBlock - Command for a block of rows, packed one after another
+ * @property {(rowCount: number, bytesPerLine: number) => number} blockSize - Bytes encodeBlock produces
+ */
+
+const { ESC, GS } = COMMANDS;
+
+// ESC * m: 24-dot double density, 3 bytes per column
+const ESC_STAR_24_DOT = 33;
+const ESC_STAR_BAND = 24;
+const LF = 0x0a;
+
+// GS ( L / GS 8 L parameter bytes before the image data: m fn a bx by c xL xH yL yH
+const GS_L_PARAMS = 10;
+
+/**
+ * GS v 0 m xL xH yL yH [data]
+ * - m: Mode (0x00 = normal)
+ * - xL xH: Width in bytes, little-endian (e.g., 48 = 384 pixels ÷ 8, 72 = 576 ÷ 8)
+ * - yL yH: Height in dots (little-endian 16-bit)
+ * - [data]: Bitmap data (1 bit per pixel, MSB first)
+ * https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/gs_lv_0.html
+ * https://github.com/vivier/phomemo-tools?tab=readme-ov-file#32-block-marker
+ * @type {RasterEncoder}
+ */
+const GS_V_0_ENCODER = {
+  mode: RASTER_MODES.GS_V_0,
+  bandHeight: null,
+  prefix: [],
+  suffix: [],
+  encodeBlock(rows, bytesPerLine) {
+    const height = rows.length / bytesPerLine;
+    const header = [
+      GS,                                       // 0x1d - GS prefix
+      0x76,                                     // v - Raster image command
+      0x30,                                     // 0 - Normal mode
+      0x00,                                     // m - Mode byte
+      bytesPerLine & 0xff,                      // xL - Width low byte
+      (bytesPerLine >> 8) & 0xff,               // xH - Width high byte
+      height & 0xff,                            // yL - Height low byte
+      (height >> 8) & 0xff,                     // yH - Height high byte
+    ];
+    const block = new Uint8Array(header.length + rows.length);
+    block.set(header);
+    block.set(rows, header.length);
+    return block;
+  },
+  blockSize: (rowCount, bytesPerLine) => 8 + rowCount * bytesPerLine,
+};
+
+/**
+ * ESC * m nL nH [data] LF, in 24-dot bands
+ * - m = 33: 24-dot double density; each column is 3 bytes, top dot in the MSB
+ * - nL nH: Width in dots
+ * The line spacing is set to the band height first (ESC 3 24), so bands
+ * print without gaps, and reset afterwards (ESC 2)
+ * https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/esc_asterisk.html
+ * @type {RasterEncoder}
+ */
+const ESC_STAR_ENCODER = {
+  mode: RASTER_MODES.ESC_STAR,
+  bandHeight: ESC_STAR_BAND,
+  prefix: [ESC, 0x33, ESC_STAR_BAND],
+  suffix: [ESC, 0x32],
+  encodeBlock(rows, bytesPerLine) {
+    const width = bytesPerLine * 8;
+    const height = Math.min(rows.length / bytesPerLine, ESC_STAR_BAND);
+    const block = new Uint8Array(5 + width * 3 + 1);
+    block.set([ESC, 0x2a, ESC_STAR_24_DOT, width & 0xff, (width >> 8) & 0xff]);
+
+    for (let y = 0; y < height; y++) {
+      const bit = 0x80 >> (y & 7);
+      const byteInColumn = 5 + (y >> 3);
+      const row = y * bytesPerLine;
+      for (let x = 0; x < width; x++) {
+        if ((rows[row + (x >> 3)] >> (7 - (x & 7))) & 1) {
+          block[x * 3 + byteInColumn] |= bit;
+        }
+      }
+    }
+
+    block[block.length - 1] = LF;
+    return block;
+  },
+  blockSize: (_rowCount, bytesPerLine) => 5 + bytesPerLine * 8 * 3 + 1,
+};
+
+/**
+ * GS ( L fn 112 (store raster graphics) then GS ( L fn 50 (print them)
+ * - a = 0x30: monochrome; bx by = 1: normal size; c = 0x31: first colour
+ * - xL xH yL yH: Width and height in dots
+ * Blocks too big for GS ( L's 2-byte length use GS 8 L's 4-byte length
+ * https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/gs_lparen_cl_fn112.html
+ * https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/gs_8l_fn112.html
+ * @type {RasterEncoder}
+ */
+const GS_L_ENCODER = {
+  mode: RASTER_MODES.GS_L,
+  bandHeight: null,
+  prefix: [],
+  suffix: [],
+  encodeBlock(rows, bytesPerLine) {
+    const width = bytesPerLine * 8;
+    const height = rows.length / bytesPerLine;
+    const size = GS_L_PARAMS + rows.length;
+    const length =
+      size <= 0xffff
+        ? [GS, 0x28, 0x4c, size & 0xff, size >> 8]
+        : [GS, 0x38, 0x4c, size & 0xff, (size >> 8) & 0xff, (size >> 16) & 0xff, size >>> 24];
+    const header = [
+      ...length,
+      0x30, 0x70, 0x30, 0x01, 0x01, 0x31,
+      width & 0xff, (width >> 8) & 0xff,
+      height & 0xff, (height >> 8) & 0xff,
+    ];
+    // GS ( L pL pH m fn - Print the stored graphics
+    const print = [GS, 0x28, 0x4c, 0x02, 0x00, 0x30, 0x32];
+
+    const block = new Uint8Array(header.length + rows.length + print.length);
+    block.set(header);
+    block.set(rows, header.length);
+    block.set(print, header.length + rows.length);
+    return block;
+  },
+  blockSize(rowCount, bytesPerLine) {
+    const size = GS_L_PARAMS + rowCount * bytesPerLine;
+    return (size <= 0xffff ? 5 : 7) + size + 7;
+  },
+};
+
+const ENCODERS = {
+  [RASTER_MODES.GS_V_0]: GS_V_0_ENCODER,
+  [RASTER_MODES.ESC_STAR]: ESC_STAR_ENCODER,
+  [RASTER_MODES.GS_L]: GS_L_ENCODER,
+};
+
+/**
+ * @param {RasterMode | undefined} mode - From the printer config
+ * @returns {RasterEncoder} Encoder for the mode, GS v 0 if none is set
+ */
+export function getRasterEncoder(mode) {
+  return ENCODERS[mode ?? RASTER_MODES.GS_V_0] ?? GS_V_0_ENCODER;
+}
+
+/**
+ * Draw the pattern for one step of the test print
+ * A frame, a diagonal and a big number, so garbled output is easy to tell
+ * apart from the right one and the user can say which number looked right
+ * @param {number} number - Shown on the pattern
+ * @param {number} width - Print width in dots
+ * @returns {HTMLCanvasElement}
+ * @throws {Error} If 2D context cannot be obtained from canvas
+ */
+export function createRasterTestCanvas(number, width) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = 96;
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Could not get 2D context from canvas');
+  }
+
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = 'black';
+  ctx.fillRect(0, 0, canvas.width, 4);
+  ctx.fillRect(0, canvas.height - 4, canvas.width, 4);
+  ctx.fillRect(0, 0, 4, canvas.height);
+  ctx.fillRect(canvas.width - 4, 0, 4, canvas.height);
+
+  ctx.strokeStyle = 'black';
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.moveTo(0, 0);
+  ctx.lineTo(canvas.width, canvas.height);
+  ctx.stroke();
+
+  ctx.font = 'bold 64px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(String(number), canvas.width / 2, canvas.height / 2);
+
+  return canvas;
+}
+
+/**
+ * @returns {Record<string, RasterMode>} Saved modes by device name
+ */
+function loadAllRasterModes() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.RASTER_MODES) ?? '{}');
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Raster mode picked with the test print for a device
+ * @param {string} deviceName
+ * @returns {RasterMode | null} Null if the device hasn't been tested
+ */
+export function loadRasterMode(deviceName) {
+  const mode = loadAllRasterModes()[deviceName];
+  const modes = /** @type {unknown[]} */ (Object.values(RASTER_MODES));
+  return modes.includes(mode) ? mode : null;
+}
+
+/**
+ * Remember the raster mode that worked for a device
+ * @param {string} deviceName
+ * @param {RasterMode} mode
+ * @returns {void}
+ */
+export function saveRasterMode(deviceName, mode) {
+  const all = loadAllRasterModes();
+  all[deviceName] = mode;
+  localStorage.setItem(STORAGE_KEYS.RASTER_MODES, JSON.stringify(all));
+}
@@ -0,0 +1,398 @@
+import { COMMANDS, RECEIPT_BLOCKS, ALIGNMENTS, RECEIPT_CONFIG, BARCODE_FORMATS } from './constants.js';
+import { encodeQrCode } from './qr-code.js';
+import { encodeBarcode } from './barcode.js';
+
+/**
+ * @typedef {typeof RECEIPT_BLOCKS[keyof typeof RECEIPT_BLOCKS]} ReceiptBlockType
+ * @typedef {typeof ALIGNMENTS[keyof typeof ALIGNMENTS]} ReceiptAlign
+ * @typedef {import('./barcode.js').BarcodeFormat} BarcodeFormat
+ */
+
+/**
+ * Lines of text in one style
+ * @typedef {Object} TextBlock
+ * @property {typeof RECEIPT_BLOCKS.TEXT} type
+ * @property {string} text - Wrapped at word boundaries to fit the paper
+ * @property {number} [size] - Character scale, 1 to RECEIPT_CONFIG.MAX_TEXT_SIZE (default: 1)
+ * @property {boolean} [bold]
+ * @property {boolean} [underline]
+ * @property {ReceiptAlign} [align] - (default: left)
+ */
+
+/**
+ * @typedef {Object} QrBlock
+ * @property {typeof RECEIPT_BLOCKS.QR} type
+ * @property {string} data - Text or link the code holds
+ * @property {number} [moduleDots] - Size of each square in dots (default: RECEIPT_CONFIG.QR_MODULE_DOTS)
+ * @property {ReceiptAlign} [align] - (default: left)
+ */
+
+/**
+ * @typedef {Object} BarcodeBlock
+ * @property {typeof RECEIPT_BLOCKS.BARCODE} type
+ * @property {BarcodeFormat} format
+ * @property {string} data
+ * @property {ReceiptAlign} [align] - (default: left)
+ */
+
+/**
+ * One piece of a text receipt
+ * @typedef {TextBlock | QrBlock | BarcodeBlock} ReceiptBlock
+ */
+
+/**
+ * Consecutive blocks printed the same way
+ * @typedef {Object} ReceiptRun
+ * @property {boolean} native - True for the printer's own commands, false to draw them as a picture
+ * @property {ReceiptBlock[]} blocks
+ */
+
+const ALIGN_CODES = {
+  [ALIGNMENTS.LEFT]: 0,
+  [ALIGNMENTS.CENTER]: 1,
+  [ALIGNMENTS.RIGHT]: 2,
+};
+
+// GS k barcode systems, in the form that gives the data length as a byte
+const BARCODE_SYSTEMS = {
+  [BARCODE_FORMATS.CODE128]: 73,
+  [BARCODE_FORMATS.EAN13]: 67,
+};
+
+// Printable ASCII, the only text every printer code page agrees on
+const PRINTABLE_TEXT = /^[\x20-\x7e\n]*$/;
+
+/**
+ * @param {TextBlock} block
+ * @returns {number} Character scale, clamped to what the printer takes
+ */
+function getTextSize(block) {
+  return Math.max(1, Math.min(Math.floor(block.size ?? 1), RECEIPT_CONFIG.MAX_TEXT_SIZE));
+}
+
+/**
+ * Break text into lines of at most charsPerLine characters
+ * Breaks at spaces where it can and splits words too long for a line
+ * @param {string} text - Line breaks in the text are kept
+ * @param {number} charsPerLine
+ * @returns {string[]}
+ */
+export function wrapReceiptText(text, charsPerLine) {
+  const perLine = Math.max(1, charsPerLine);
+  /** @type {string[]} */
+  const lines = [];
+
+  for (const paragraph of text.split('\n')) {
+    let line = /** @type {string[]} */ ([]);
+    for (const word of paragraph.split(' ')) {
+      let chars = Array.from(word);
+      if (line.length > 0 && line.length + 1 + chars.length <= perLine) {
+        line.push(' ', ...chars);
+        continue;
+      }
+      if (line.length > 0) {
+        lines.push(line.join(''));
+      }
+      while (chars.length > perLine) {
+        lines.push(chars.slice(0, perLine).join(''));
+        chars = chars.slice(perLine);
+      }
+      line = chars;
+    }
+    lines.push(line.join(''));
+  }
+  return lines;
+}
+
+/**
+ * Lines a text block takes on paper of the given width
+ * @param {TextBlock} block
+ * @param {number} width - Print width in dots
+ * @returns {string[]}
+ */
+function getTextLines(block, width) {
+  const size = getTextSize(block);
+  return wrapReceiptText(block.text, Math.floor(width / (RECEIPT_CONFIG.CHAR_WIDTH * size)));
+}
+
+/**
+ * A QR code and the dot size it prints at, shrunk if it would be wider than the paper
+ * @param {QrBlock} block
+ * @param {number} width - Print width in dots
+ * @returns {{ matrix: import('./qr-code.js').QrMatrix, moduleDots: number }}
+ * @throws {Error} If the data is too long
+ */
+function layoutQr(block, width) {
+  const matrix = encodeQrCode(block.data);
+  const wanted = Math.max(
+    1,
+    Math.min(
+      Math.floor(block.moduleDots ?? RECEIPT_CONFIG.QR_MODULE_DOTS),
+      RECEIPT_CONFIG.MAX_QR_MODULE_DOTS
+    )
+  );
+  return { matrix, moduleDots: Math.max(1, Math.min(wanted, Math.floor(width / matrix.size))) };
+}
+
+/**
+ * A barcode's modules, checked against the paper width
+ * @param {BarcodeBlock} block
+ * @param {number} width - Print width in dots
+ * @returns {import('./barcode.js').BarcodeModules}
+ * @throws {Error} If the data is wrong or the barcode is wider than the paper
+ */
+function layoutBarcode(block, width) {
+  const barcode = encodeBarcode(block.format, block.data);
+  if (barcode.modules.length * RECEIPT_CONFIG.BARCODE_MODULE_DOTS > width) {
+    throw new Error('This barcode is too long for the paper, try fewer characters');
+  }
+  return barcode;
+}
+
+/**
+ * Check that a block can be printed on paper of the given width
+ * @param {ReceiptBlock} block
+ * @param {number} width - Print width in dots
+ * @returns {void}
+ * @throws {Error} Saying what is wrong, e.g. a barcode that is too long
+ */
+export function validateReceiptBlock(block, width) {
+  if (block.type === RECEIPT_BLOCKS.QR) {
+    layoutQr(block, width);
+  } else if (block.type === RECEIPT_BLOCKS.BARCODE) {
+    layoutBarcode(block, width);
+  }
+}
+
+/**
+ * Height of a block on paper, in dots
+ * @param {ReceiptBlock} block
+ * @param {number} width - Print width in dots
+ * @returns {number}
+ * @throws {Error} If a QR code or barcode can't be encoded
+ */
+export function getReceiptBlockHeight(block, width) {
+  switch (block.type) {
+    case RECEIPT_BLOCKS.TEXT:
+      return getTextLines(block, width).length * RECEIPT_CONFIG.LINE_HEIGHT * getTextSize(block);
+    case RECEIPT_BLOCKS.QR: {
+      const { matrix, moduleDots } = layoutQr(block, width);
+      return matrix.size * moduleDots;
+    }
+    default:
+      layoutBarcode(block, width);
+      // The human-readable line goes under the bars
+      return RECEIPT_CONFIG.BARCODE_HEIGHT + RECEIPT_CONFIG.LINE_HEIGHT;
+  }
+}
+
+/**
+ * Whether a printer can print a block with its own commands
+ * Text outside printable ASCII is drawn instead, since code pages differ
+ * from printer to printer
+ * @param {ReceiptBlock} block
+ * @param {readonly ReceiptBlockType[]} nativeBlocks - Blocks the printer has commands for
+ * @returns {boolean}
+ */
+export function isNativeBlock(block, nativeBlocks) {
+  if (!nativeBlocks.includes(block.type)) return false;
+  return block.type !== RECEIPT_BLOCKS.TEXT || PRINTABLE_TEXT.test(block.text);
+}
+
+/**
+ * Group blocks into runs printed natively or drawn as pictures
+ * @param {ReceiptBlock[]} blocks
+ * @param {readonly ReceiptBlockType[]} nativeBlocks - Blocks the printer has commands for
+ * @returns {ReceiptRun[]}
+ */
+export function splitReceipt(blocks, nativeBlocks) {
+  /** @type {ReceiptRun[]} */
+  const runs = [];
+  for (const block of blocks) {
+    const native = isNativeBlock(block, nativeBlocks);
+    const last = runs[runs.length - 1];
+    if (last && last.native === native) {
+      last.blocks.push(block);
+    } else {
+      runs.push({ native, blocks: [block] });
+    }
+  }
+  return runs;
+}
+
+/**
+ * ESC a n - Justification, for text and for pictures narrower than the paper
+ * https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/esc_la.html
+ * @param {ReceiptAlign} align
+ * @returns {number[]}
+ */
+export function getAlignCommand(align) {
+  return [COMMANDS.ESC, 0x61, ALIGN_CODES[align]];
+}
+
+/**
+ * ESC/POS commands that print a block
+ * Each block sets its own alignment and style and puts them back after,
+ * so blocks don't depend on each other
+ * @param {ReceiptBlock} block
+ * @param {number} width - Print width in dots
+ * @returns {Uint8Array}
+ * @throws {Error} If a QR code or barcode can't be encoded
+ */
+export function encodeReceiptBlock(block, width) {
+  const { ESC, GS } = COMMANDS;
+  const bytes = getAlignCommand(block.align ?? ALIGNMENTS.LEFT);
+
+  switch (block.type) {
+    case RECEIPT_BLOCKS.TEXT: {
+      const scale = getTextSize(block) - 1;
+      const text = getTextLines(block, width).join('\n') + '\n';
+      bytes.push(
+        // GS ! n - Character size: width in the high nibble, height in the low one
+        // https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/gs_exclamation.html
+        GS, 0x21, (scale << 4) | scale,
+        // ESC E n - Emphasized (bold)
+        ESC, 0x45, block.bold ? 1 : 0,
+        // ESC - n - Underline, 1 dot thick
+        ESC, 0x2d, block.underline ? 1 : 0,
+        ...Array.from(text, (char) => char.charCodeAt(0)),
+        GS, 0x21, 0,
+        ESC, 0x45, 0,
+        ESC, 0x2d, 0
+      );
+      break;
+    }
+
+    case RECEIPT_BLOCKS.QR: {
+      // GS ( k - QR code: pick model 2, set the module size and level M,
+      // store the data, then print it
+      // https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/gs_lparen_lk.html
+      const { moduleDots } = layoutQr(block, width);
+      const data = new TextEncoder().encode(block.data);
+      const length = data.length + 3;
+      bytes.push(
+        GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0,
+        GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleDots,
+        GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31,
+        GS, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, 0x50, 0x30,
+        ...data,
+        GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30
+      );
+      break;
+    }
+
+    default: {
+      const { text } = layoutBarcode(block, width);
+      // Code 128 data starts with the code set; a literal "{" is doubled
+      const data =
+        block.format === BARCODE_FORMATS.CODE128 ? `{B${text.replace(/\{/g, '{{')}` : text;
+      bytes.push(
+        // GS h n - Bar height; GS w n - Narrowest bar; GS H 2 - Text under the bars; GS f 0 - Font A
+        GS, 0x68, RECEIPT_CONFIG.BARCODE_HEIGHT,
+        GS, 0x77, RECEIPT_CONFIG.BARCODE_MODULE_DOTS,
+        GS, 0x48, 2,
+        GS, 0x66, 0,
+        // GS k m n d1...dn - Print the barcode
+        // https://download4.epson.biz/sec_pubs/pos/reference_en/escpos/gs_lk.html
+        GS, 0x6b, BARCODE_SYSTEMS[block.format], data.length,
+        ...Array.from(data, (char) => char.charCodeAt(0))
+      );
+    }
+  }
+
+  bytes.push(...getAlignCommand(ALIGNMENTS.LEFT));
+  return Uint8Array.from(bytes);
+}
+
+/**
+ * Left edge of something drawn with the block's alignment
+ * @param {ReceiptBlock} block
+ * @param {number} itemWidth - Width of what is drawn
+ * @param {number} width - Print width in dots
+ * @returns {number}
+ */
+function alignX(block, itemWidth, width) {
+  switch (block.align) {
+    case ALIGNMENTS.CENTER:
+      return Math.floor((width - itemWidth) / 2);
+    case ALIGNMENTS.RIGHT:
+      return width - itemWidth;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Draw blocks as a picture, for printers without the commands
+ * Text, QR codes and barcodes are laid out as the printer would lay them out
+ * @param {ReceiptBlock[]} blocks
+ * @param {number} width - Print width in dots
+ * @returns {HTMLCanvasElement}
+ * @throws {Error} If 2D context cannot be obtained from canvas, or a QR code or barcode can't be encoded
+ */
+export function renderReceipt(blocks, width) {
+  const heights = blocks.map((block) => getReceiptBlockHeight(block, width));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = Math.max(1, heights.reduce((sum, height) => sum + height, 0));
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Could not get 2D context from canvas');
+  }
+
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = 'black';
+  ctx.textBaseline = 'top';
+
+  const { CHAR_WIDTH, LINE_HEIGHT, FONT_SIZE, FONT_FAMILY } = RECEIPT_CONFIG;
+  let y = 0;
+  blocks.forEach((block, index) => {
+    switch (block.type) {
+      case RECEIPT_BLOCKS.TEXT: {
+        const size = getTextSize(block);
+        ctx.font = `${block.bold ? 'bold ' : ''}${FONT_SIZE * size}px ${FONT_FAMILY}`;
+        for (const [i, line] of getTextLines(block, width).entries()) {
+          const lineWidth = Array.from(line).length * CHAR_WIDTH * size;
+          const x = alignX(block, lineWidth, width);
+          const top = y + i * LINE_HEIGHT * size;
+          ctx.fillText(line, x, top + ((LINE_HEIGHT - FONT_SIZE) * size) / 2);
+          if (block.underline && lineWidth > 0) {
+            ctx.fillRect(x, top + (LINE_HEIGHT - 1) * size, lineWidth, size);
+          }
+        }
+        break;
+      }
+
+      case RECEIPT_BLOCKS.QR: {
+        const { matrix, moduleDots } = layoutQr(block, width);
+        const x = alignX(block, matrix.size * moduleDots, width);
+        for (let row = 0; row < matrix.size; row++) {
+          for (let col = 0; col < matrix.size; col++) {
+            if (matrix.modules[row * matrix.size + col]) {
+              ctx.fillRect(x + col * moduleDots, y + row * moduleDots, moduleDots, moduleDots);
+            }
+          }
+        }
+        break;
+      }
+
+      default: {
+        const { modules, text } = layoutBarcode(block, width);
+        const dots = RECEIPT_CONFIG.BARCODE_MODULE_DOTS;
+        const barsWidth = modules.length * dots;
+        const x = alignX(block, barsWidth, width);
+        modules.forEach((bar, i) => {
+          if (bar) ctx.fillRect(x + i * dots, y, dots, RECEIPT_CONFIG.BARCODE_HEIGHT);
+        });
+        ctx.font = `${FONT_SIZE}px ${FONT_FAMILY}`;
+        const textX = x + Math.floor((barsWidth - text.length * CHAR_WIDTH) / 2);
+        ctx.fillText(text, textX, y + RECEIPT_CONFIG.BARCODE_HEIGHT + (LINE_HEIGHT - FONT_SIZE) / 2);
+      }
+    }
+    y += heights[index];
+  });
+
+  return canvas;
+}
@@ -0,0 +1,308 @@
+import { TRANSPORT_TYPES, SERIAL_CONFIG, USB_CONFIG } from './constants.js';
+
+/**
+ * @typedef {typeof TRANSPORT_TYPES[keyof typeof TRANSPORT_TYPES]} TransportType
+ */
+
+/**
+ * A byte pipe to a printer
+ *
+ * PrinterManager builds the ESC/POS stream and splits it into chunks;
+ * a transport only has to deliver each chunk in order.
+ *
+ * @typedef {Object} PrinterTransport
+ * @property {TransportType} type - Which kind of link this is
+ * @property {string} name - Name to show for the connected printer
+ * @property {(chunk: Uint8Array<ArrayBuffer>) => Promise<void>} write - Send one chunk; resolves when the link accepted it
+ * @property {() => Promise<void>} close - Release the link
+ */
+
+/**
+ * Web Bluetooth transport writing to a GATT characteristic
+ * @implements {PrinterTransport}
+ */
+export class BluetoothTransport {
+  /** @type {TransportType} */
+  type;
+
+  /** @type {BluetoothRemoteGATTCharacteristic} */
+  characteristic;
+
+  /** @type {string} */
+  name;
+
+  /**
+   * @param {BluetoothRemoteGATTCharacteristic} characteristic - Writable printer characteristic
+   * @param {string} [name] - Device name
+   */
+  constructor(characteristic, name = 'Bluetooth Printer') {
+    this.type = TRANSPORT_TYPES.BLUETOOTH;
+    this.characteristic = characteristic;
+    this.name = name;
+  }
+
+  /**
+   * @param {Uint8Array<ArrayBuffer>} chunk
+   * @returns {Promise<void>}
+   */
+  async write(chunk) {
+    if (this.characteristic.properties.writeWithoutResponse) {
+      await this.characteristic.writeValueWithoutResponse(chunk);
+    } else {
+      await this.characteristic.writeValue(chunk);
+    }
+  }
+
+  /**
+   * The GATT connection belongs to the device, which PrinterManager disconnects
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Web Serial transport, for printers paired over classic Bluetooth (SPP)
+ * or connected with a USB-serial cable
+ * @implements {PrinterTransport}
+ */
+export class SerialTransport {
+  /** @type {TransportType} */
+  type;
+
+  /** @type {SerialPort} */
+  port;
+
+  /** @type {string} */
+  name;
+
+  /** @type {WritableStreamDefaultWriter<Uint8Array<ArrayBuffer>> | null} */
+  writer;
+
+  /**
+   * @param {SerialPort} port - An opened serial port
+   * @param {string} [name] - Name to show for the printer
+   * @throws {Error} If the port is not open for writing
+   */
+  constructor(port, name = 'Serial Printer') {
+    if (!port.writable) {
+      throw new Error('Serial port is not open');
+    }
+    this.type = TRANSPORT_TYPES.SERIAL;
+    this.port = port;
+    this.name = name;
+    this.writer = port.writable.getWriter();
+  }
+
+  /**
+   * Ask the user to pick a serial port and open it
+   * @returns {Promise<SerialTransport>}
+   * @throws {Error} If Web Serial is not supported or the user cancels
+   */
+  static async request() {
+    if (!('serial' in navigator)) {
+      throw new Error('This browser does not support Web Serial');
+    }
+    const port = await navigator.serial.requestPort();
+    await port.open({ baudRate: SERIAL_CONFIG.BAUD_RATE });
+    return new SerialTransport(port);
+  }
+
+  /**
+   * @param {Uint8Array<ArrayBuffer>} chunk
+   * @returns {Promise<void>}
+   * @throws {Error} If the port has been closed
+   */
+  async write(chunk) {
+    if (!this.writer) {
+      throw new Error('Serial port is closed');
+    }
+    await this.writer.ready;
+    await this.writer.write(chunk);
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.writer) {
+      this.writer.releaseLock();
+      this.writer = null;
+    }
+    await this.port.close();
+  }
+}
+
+/**
+ * WebUSB transport writing to the printer's bulk OUT endpoint
+ * @implements {PrinterTransport}
+ */
+export class UsbTransport {
+  /** @type {TransportType} */
+  type;
+
+  /** @type {USBDevice} */
+  device;
+
+  /** @type {string} */
+  name;
+
+  /** @type {number} */
+  interfaceNumber;
+
+  /** @type {number} */
+  endpointNumber;
+
+  /**
+   * @param {USBDevice} device - An opened USB device with its interface claimed
+   * @param {number} interfaceNumber - The claimed printer interface
+   * @param {number} endpointNumber - Bulk OUT endpoint to write to
+   */
+  constructor(device, interfaceNumber, endpointNumber) {
+    this.type = TRANSPORT_TYPES.USB;
+    this.device = device;
+    this.name = device.productName || 'USB Printer';
+    this.interfaceNumber = interfaceNumber;
+    this.endpointNumber = endpointNumber;
+  }
+
+  /**
+   * Ask the user to pick a USB printer, open it and claim its printer interface
+   * @returns {Promise<UsbTransport>}
+   * @throws {Error} If WebUSB is not supported, the user cancels, or no printer interface is found
+   */
+  static async request() {
+    if (!('usb' in navigator)) {
+      throw new Error('This browser does not support WebUSB');
+    }
+    const device = await navigator.usb.requestDevice({
+      filters: [{ classCode: USB_CONFIG.PRINTER_CLASS }],
+    });
+
+    await device.open();
+    if (device.configuration === null) {
+      await device.selectConfiguration(1);
+    }
+
+    const { interfaceNumber, endpointNumber } = findPrinterEndpoint(device);
+    await device.claimInterface(interfaceNumber);
+    return new UsbTransport(device, interfaceNumber, endpointNumber);
+  }
+
+  /**
+   * @param {Uint8Array<ArrayBuffer>} chunk
+   * @returns {Promise<void>}
+   * @throws {Error} If the transfer does not complete
+   */
+  async write(chunk) {
+    const result = await this.device.transferOut(this.endpointNumber, chunk);
+    if (result.status !== 'ok') {
+      throw new Error(`USB transfer failed: ${result.status}`);
+    }
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.device.opened) {
+      await this.device.releaseInterface(this.interfaceNumber);
+      await this.device.close();
+    }
+  }
+}
+
+/**
+ * Find the printer-class interface and its bulk OUT endpoint
+ * @param {USBDevice} device - An opened USB device
+ * @returns {{ interfaceNumber: number, endpointNumber: number }}
+ * @throws {Error} If the device has no printer interface with a bulk OUT endpoint
+ */
+function findPrinterEndpoint(device) {
+  for (const usbInterface of device.configuration?.interfaces ?? []) {
+    const alternate = usbInterface.alternate;
+    if (alternate.interfaceClass !== USB_CONFIG.PRINTER_CLASS) continue;
+
+    const endpoint = alternate.endpoints.find(
+      (e) => e.direction === 'out' && e.type === 'bulk'
+    );
+    if (endpoint) {
+      return {
+        interfaceNumber: usbInterface.interfaceNumber,
+        endpointNumber: endpoint.endpointNumber,
+      };
+    }
+  }
+  throw new Error('Could not find a printer interface on this USB device');
+}
+
+/**
+ * In-memory transport that records every chunk instead of sending it
+ * Lets tests (and the virtual printer) see the exact bytes a print produces
+ * @implements {PrinterTransport}
+ */
+export class LoopbackTransport {
+  /** @type {TransportType} */
+  type;
+
+  /** @type {string} */
+  name;
+
+  /** @type {Uint8Array[]} Every chunk written, in order */
+  chunks;
+
+  /** @type {boolean} */
+  isOpen;
+
+  /**
+   * @param {string} [name] - Name to show for the printer
+   */
+  constructor(name = 'Loopback') {
+    this.type = TRANSPORT_TYPES.LOOPBACK;
+    this.name = name;
+    this.chunks = [];
+    this.isOpen = true;
+  }
+
+  /**
+   * @param {Uint8Array<ArrayBuffer>} chunk
+   * @returns {Promise<void>}
+   * @throws {Error} If the transport has been closed
+   */
+  async write(chunk) {
+    if (!this.isOpen) {
+      throw new Error('Loopback transport is closed');
+    }
+    // Copy, so callers reusing their buffer don't change what was recorded
+    this.chunks.push(Uint8Array.from(chunk));
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.isOpen = false;
+  }
+
+  /**
+   * All bytes written so far as one array
+   * @returns {Uint8Array}
+   */
+  getBytes() {
+    const total = this.chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return bytes;
+  }
+
+  /**
+   * Forget everything written so far
+   * @returns {void}
+   */
+  clear() {
+    this.chunks = [];
+  }
+}
@@ -0,0 +1,485 @@
+import {
+  COMMANDS,
+  TRANSPORT_TYPES,
+  DEFAULT_PRINTER_CONFIG,
+  LABEL_CONFIG,
+  PRINTER_PROTOCOLS,
+  CAT_PRINTER,
+  NIIMBOT,
+} from './constants.js';
+import { LoopbackTransport } from './transports.js';
+import { createDefaultMedia, isLabelMedia } from './label-media.js';
+import { decodeCatPackets, decodeCatRow } from './cat-printer.js';
+import { decodeNiimbotPackets } from './niimbot.js';
+
+/**
+ * @typedef {import('./constants.js').PrinterConfig} PrinterConfig
+ * @typedef {import('./label-media.js').MediaSettings} MediaSettings
+ */
+
+/**
+ * One command found in an ESC/POS byte stream
+ * @typedef {(
+ *   | { type: 'init', offset: number }
+ *   | { type: 'align', offset: number, value: number }
+ *   | { type: 'feed', offset: number, lines: number }
+ *   | { type: 'feed-dots', offset: number, dots: number }
+ *   | { type: 'label-feed', offset: number }
+ *   | { type: 'cut', offset: number, partial: boolean }
+ *   | { type: 'raster', offset: number, widthBytes: number, height: number, data: Uint8Array }
+ *   | { type: 'bit-image', offset: number, width: number, bandHeight: number, data: Uint8Array }
+ *   | { type: 'graphics', offset: number, width: number, height: number, data: Uint8Array }
+ *   | { type: 'graphics-print', offset: number }
+ *   | { type: 'line-spacing', offset: number, dots: number | null }
+ *   | { type: 'line-feed', offset: number }
+ *   | { type: 'status-back', offset: number, value: number }
+ *   | { type: 'vendor', offset: number, bytes: Uint8Array }
+ *   | { type: 'unknown', offset: number, byte: number }
+ * )} EscPosCommand
+ */
+
+/**
+ * The printed result: a strip of paper as black/white dots
+ * @typedef {Object} PaperStrip
+ * @property {number} width - Paper width in dots
+ * @property {number} height - Strip length in dots
+ * @property {Uint8Array} dots - 1 for black, 0 for white, row by row
+ */
+
+// Dots fed per line by ESC d n (default line spacing is about 1/6 inch at 203 dpi)
+const FEED_LINE_DOTS = 30;
+
+// Line feed, which prints an ESC * band and moves down one line
+const LF = 0x0a;
+
+// FS, which starts the FS ( L paper layout commands
+const FS = 0x1c;
+
+/**
+ * Lengths of the Phomemo vendor commands, keyed by [prefix, command]
+ * Reference: https://github.com/vivier/phomemo-tools?tab=readme-ov-file#31-header
+ */
+const PHOMEMO_COMMAND_LENGTHS = /** @type {Record<string, number>} */ ({
+  '1a:04': 3, // Wake printer / paper type
+  '1a:07': 5, // Label gap
+  '1a:09': 3, // Density
+  '1f:11': 4, // Print speed; [0x1f, 0x11, type] sets the paper type unless type is 0x02
+});
+
+/**
+ * Split an ESC/POS byte stream into commands
+ *
+ * Understands what printBitmap sends: init (ESC 0x40), ESC a, ESC d, GS a, GS FF, GS V,
+ * FS ( L, the Phomemo 0x1a/0x1f header commands and images in every raster mode
+ * (GS v 0; ESC * with LF, ESC 3 and ESC 2; GS ( L and GS 8 L). Anything else
+ * is reported byte by byte as 'unknown' so protocol mistakes stand out.
+ *
+ * @param {Uint8Array} bytes - The raw stream
+ * @returns {EscPosCommand[]}
+ * @throws {Error} If the stream ends in the middle of a command
+ */
+export function decodeEscPos(bytes) {
+  const { ESC, GS } = COMMANDS;
+  /** @type {EscPosCommand[]} */
+  const commands = [];
+  let i = 0;
+
+  /**
+   * @param {number} length - Bytes the command at i needs
+   */
+  const need = (length) => {
+    if (i + length > bytes.length) {
+      throw new Error(`Stream ends inside a command at byte ${i}`);
+    }
+  };
+
+  while (i < bytes.length) {
+    const offset = i;
+    const byte = bytes[i];
+
+    if (byte === ESC && bytes[i + 1] === 0x40) {
+      commands.push({ type: 'init', offset });
+      i += 2;
+    } else if (byte === ESC && bytes[i + 1] === 0x61) {
+      need(3);
+      commands.push({ type: 'align', offset, value: bytes[i + 2] });
+      i += 3;
+    } else if (byte === ESC && bytes[i + 1] === 0x64) {
+      need(3);
+      commands.push({ type: 'feed', offset, lines: bytes[i + 2] });
+      i += 3;
+    } else if (byte === GS && bytes[i + 1] === 0x0c) {
+      commands.push({ type: 'label-feed', offset });
+      i += 2;
+    } else if (byte === GS && bytes[i + 1] === 0x56) {
+      // GS V m: 0 cuts all the way, 1 leaves a bit attached
+      need(3);
+      commands.push({ type: 'cut', offset, partial: bytes[i + 2] === 1 });
+      i += 3;
+    } else if (byte === GS && bytes[i + 1] === 0x61) {
+      need(3);
+      commands.push({ type: 'status-back', offset, value: bytes[i + 2] });
+      i += 3;
+    } else if (byte === GS && bytes[i + 1] === 0x76 && bytes[i + 2] === 0x30) {
+      // GS v 0 m xL xH yL yH [data]
+      need(8);
+      const widthBytes = bytes[i + 4] | (bytes[i + 5] << 8);
+      const height = bytes[i + 6] | (bytes[i + 7] << 8);
+      const size = widthBytes * height;
+      need(8 + size);
+      commands.push({
+        type: 'raster',
+        offset,
+        widthBytes,
+        height,
+        data: bytes.slice(i + 8, i + 8 + size),
+      });
+      i += 8 + size;
+    } else if (byte === LF) {
+      commands.push({ type: 'line-feed', offset });
+      i += 1;
+    } else if (byte === ESC && bytes[i + 1] === 0x33) {
+      need(3);
+      commands.push({ type: 'line-spacing', offset, dots: bytes[i + 2] });
+      i += 3;
+    } else if (byte === ESC && bytes[i + 1] === 0x32) {
+      commands.push({ type: 'line-spacing', offset, dots: null });
+      i += 2;
+    } else if (byte === ESC && bytes[i + 1] === 0x2a) {
+      // ESC * m nL nH [data] - m 0/1 are 8-dot bands, 32/33 are 24-dot
+      need(5);
+      const bandHeight = bytes[i + 2] >= 32 ? 24 : 8;
+      const width = bytes[i + 3] | (bytes[i + 4] << 8);
+      const size = width * (bandHeight / 8);
+      need(5 + size);
+      commands.push({
+        type: 'bit-image',
+        offset,
+        width,
+        bandHeight,
+        data: bytes.slice(i + 5, i + 5 + size),
+      });
+      i += 5 + size;
+    } else if (
+      byte === GS &&
+      (bytes[i + 1] === 0x28 || bytes[i + 1] === 0x38) &&
+      bytes[i + 2] === 0x4c
+    ) {
+      // GS ( L pL pH m fn [params] or GS 8 L p1 p2 p3 p4 m fn [params]
+      const lengthBytes = bytes[i + 1] === 0x28 ? 2 : 4;
+      need(3 + lengthBytes);
+      let size = 0;
+      for (let n = lengthBytes - 1; n >= 0; n--) {
+        size = size * 256 + bytes[i + 3 + n];
+      }
+      const start = i + 3 + lengthBytes;
+      need(3 + lengthBytes + size);
+      const fn = bytes[start + 1];
+
+      if (fn === 0x70) {
+        // fn 112: m fn a bx by c xL xH yL yH [data]
+        commands.push({
+          type: 'graphics',
+          offset,
+          width: bytes[start + 6] | (bytes[start + 7] << 8),
+          height: bytes[start + 8] | (bytes[start + 9] << 8),
+          data: bytes.slice(start + 10, start + size),
+        });
+      } else if (fn === 0x32) {
+        commands.push({ type: 'graphics-print', offset });
+      } else {
+        commands.push({ type: 'vendor', offset, bytes: bytes.slice(i, start + size) });
+      }
+      i = start + size;
+    } else if (byte === FS && bytes[i + 1] === 0x28 && bytes[i + 2] === 0x4c) {
+      // FS ( L pL pH fn [params] - Label paper layout and sensor
+      need(5);
+      const size = 5 + (bytes[i + 3] | (bytes[i + 4] << 8));
+      need(size);
+      commands.push({ type: 'vendor', offset, bytes: bytes.slice(i, i + size) });
+      i += size;
+    } else if (byte === 0x1f && bytes[i + 1] === 0x11 && bytes[i + 2] !== 0x02) {
+      // Phomemo paper type, shorter than the print speed command that shares its prefix
+      need(3);
+      commands.push({ type: 'vendor', offset, bytes: bytes.slice(i, i + 3) });
+      i += 3;
+    } else if (PHOMEMO_COMMAND_LENGTHS[vendorKey(byte, bytes[i + 1])]) {
+      const length = PHOMEMO_COMMAND_LENGTHS[vendorKey(byte, bytes[i + 1])];
+      need(length);
+      commands.push({ type: 'vendor', offset, bytes: bytes.slice(i, i + length) });
+      i += length;
+    } else {
+      commands.push({ type: 'unknown', offset, byte });
+      i += 1;
+    }
+  }
+
+  return commands;
+}
+
+/**
+ * @param {number} prefix
+ * @param {number | undefined} command
+ * @returns {string} Lookup key for PHOMEMO_COMMAND_LENGTHS
+ */
+function vendorKey(prefix, command) {
+  const hex = (/** @type {number} */ n) => n.toString(16).padStart(2, '0');
+  return `${hex(prefix)}:${hex(command ?? 0)}`;
+}
+
+/**
+ * Decode a cat printer byte stream into the same commands as ESC/POS,
+ * so it renders the same way
+ * Rows become one-row rasters and feeds become dot feeds; the rest set
+ * the printer up and are reported as 'vendor'
+ * @param {Uint8Array} bytes - The raw stream
+ * @returns {EscPosCommand[]}
+ * @throws {Error} If a packet is malformed
+ */
+export function decodeCatStream(bytes) {
+  return decodeCatPackets(bytes).map(({ offset, command, data }) => {
+    switch (command) {
+      case CAT_PRINTER.COMMANDS.PRINT_ROW:
+        return {
+          type: 'raster',
+          offset,
+          widthBytes: data.length,
+          height: 1,
+          data: decodeCatRow(data),
+        };
+      case CAT_PRINTER.COMMANDS.FEED:
+        return { type: 'feed-dots', offset, dots: data[0] | (data[1] << 8) };
+      default:
+        return { type: 'vendor', offset, bytes: bytes.slice(offset, offset + data.length + 8) };
+    }
+  });
+}
+
+/**
+ * Decode a Niimbot byte stream into the same commands as ESC/POS
+ * Rows become one-row rasters, runs of empty rows become dot feeds and the
+ * end of a page moves on to the next label
+ * @param {Uint8Array} bytes - The raw stream
+ * @returns {EscPosCommand[]}
+ * @throws {Error} If a packet is malformed
+ */
+export function decodeNiimbotStream(bytes) {
+  return decodeNiimbotPackets(bytes).map(({ offset, command, data }) => {
+    switch (command) {
+      case NIIMBOT.COMMANDS.BITMAP_ROW:
+        // [yH, yL, count, count, count, repeat, ...row]
+        return {
+          type: 'raster',
+          offset,
+          widthBytes: data.length - 6,
+          height: 1,
+          data: data.slice(6),
+        };
+      case NIIMBOT.COMMANDS.EMPTY_ROWS:
+        return { type: 'feed-dots', offset, dots: data[2] };
+      case NIIMBOT.COMMANDS.END_PAGE:
+        return { type: 'label-feed', offset };
+      default:
+        return { type: 'vendor', offset, bytes: bytes.slice(offset, offset + data.length + 7) };
+    }
+  });
+}
+
+/**
+ * Lay decoded commands out on a strip of paper, the way a printer would
+ * @param {EscPosCommand[]} commands - Decoded stream
+ * @param {number} paperWidth - Printable width in dots
+ * @param {number} [labelPitch] - Label height plus gap in dots; 0 for a continuous roll
+ * @returns {PaperStrip}
+ */
+export function renderPaper(commands, paperWidth, labelPitch = 0) {
+  /** @type {Uint8Array[]} */
+  const rows = [];
+  let align = 0;
+  let lineSpacing = FEED_LINE_DOTS;
+  // Height of the ESC * band on the current line, already counted towards the next LF
+  let bandOnLine = 0;
+  /** @type {Extract<EscPosCommand, { type: 'graphics' }> | null} */
+  let storedGraphics = null;
+
+  /** @param {number} count */
+  const feedDots = (count) => {
+    for (let n = 0; n < count; n++) {
+      rows.push(new Uint8Array(paperWidth));
+    }
+  };
+
+  /**
+   * Place an image row by row, following the alignment
+   * @param {number} imageWidth - Width in dots
+   * @param {number} height - Rows in the image
+   * @param {(x: number, y: number) => number} dotAt - 1 for black
+   */
+  const placeImage = (imageWidth, height, dotAt) => {
+    const spare = Math.max(0, paperWidth - imageWidth);
+    const left = align === 1 ? Math.floor(spare / 2) : align === 2 ? spare : 0;
+
+    for (let y = 0; y < height; y++) {
+      const row = new Uint8Array(paperWidth);
+      for (let x = 0; x < imageWidth && left + x < paperWidth; x++) {
+        row[left + x] = dotAt(x, y);
+      }
+      rows.push(row);
+    }
+  };
+
+  for (const command of commands) {
+    switch (command.type) {
+      case 'init':
+        align = 0;
+        lineSpacing = FEED_LINE_DOTS;
+        storedGraphics = null;
+        break;
+      case 'align':
+        align = command.value;
+        break;
+      case 'line-spacing':
+        lineSpacing = command.dots ?? FEED_LINE_DOTS;
+        break;
+      case 'feed':
+        feedDots(command.lines * lineSpacing);
+        break;
+      case 'feed-dots':
+        feedDots(command.dots);
+        break;
+      case 'line-feed':
+        // The band on this line already took up its height
+        feedDots(Math.max(0, lineSpacing - bandOnLine));
+        bandOnLine = 0;
+        break;
+      case 'label-feed': {
+        // Continue to the start of the next label; a roll ignores it
+        feedDots(labelPitch > 0 ? (labelPitch - (rows.length % labelPitch)) % labelPitch : 0);
+        break;
+      }
+      case 'raster': {
+        const { widthBytes, data } = command;
+        placeImage(widthBytes * 8, command.height, (x, y) =>
+          (data[y * widthBytes + (x >> 3)] >> (7 - (x & 7))) & 1
+        );
+        break;
+      }
+      case 'bit-image': {
+        // Column by column, top dot in the MSB of each column's first byte
+        const { bandHeight, data } = command;
+        const columnBytes = bandHeight / 8;
+        placeImage(command.width, bandHeight, (x, y) =>
+          (data[x * columnBytes + (y >> 3)] >> (7 - (y & 7))) & 1
+        );
+        bandOnLine += bandHeight;
+        break;
+      }
+      case 'graphics':
+        storedGraphics = command;
+        break;
+      case 'graphics-print': {
+        if (!storedGraphics) break;
+        const { width, height, data } = storedGraphics;
+        const widthBytes = Math.ceil(width / 8);
+        placeImage(width, height, (x, y) =>
+          (data[y * widthBytes + (x >> 3)] >> (7 - (x & 7))) & 1
+        );
+        break;
+      }
+      default:
+        // Setup commands don't put anything on paper
+        break;
+    }
+  }
+
+  const dots = new Uint8Array(paperWidth * rows.length);
+  rows.forEach((row, y) => dots.set(row, y * paperWidth));
+  return { width: paperWidth, height: rows.length, dots };
+}
+
+/**
+ * Draw a paper strip onto a new canvas, black dots on white paper
+ * @param {PaperStrip} paper - The strip to draw
+ * @returns {HTMLCanvasElement}
+ * @throws {Error} If 2D context cannot be obtained from canvas
+ */
+export function paperToCanvas(paper) {
+  const canvas = document.createElement('canvas');
+  canvas.width = paper.width;
+  canvas.height = Math.max(paper.height, 1);
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) {
+    throw new Error('Could not get 2D context from canvas');
+  }
+
+  const imageData = ctx.createImageData(canvas.width, canvas.height);
+  for (let i = 0; i < paper.dots.length; i++) {
+    const shade = paper.dots[i] ? 0 : 255;
+    imageData.data[i * 4] = shade;
+    imageData.data[i * 4 + 1] = shade;
+    imageData.data[i * 4 + 2] = shade;
+    imageData.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(imageData, 0, 0);
+
+  return canvas;
+}
+
+/**
+ * A printer that lives in the browser
+ *
+ * Connect it like any other transport; it records the byte stream and
+ * renders what a real printer of the given config would have printed.
+ */
+export class VirtualPrinter extends LoopbackTransport {
+  /** @type {PrinterConfig} Printer being emulated */
+  config;
+
+  /** @type {MediaSettings} Paper loaded in the emulated printer */
+  media;
+
+  /**
+   * @param {PrinterConfig} [config] - Printer to emulate (defaults to generic ESC/POS)
+   */
+  constructor(config = DEFAULT_PRINTER_CONFIG) {
+    super(`Virtual ${config.NAME}`);
+    this.type = TRANSPORT_TYPES.VIRTUAL;
+    this.config = config;
+    this.media = createDefaultMedia();
+  }
+
+  /**
+   * Decode everything received so far, in the emulated printer's protocol
+   * @returns {EscPosCommand[]}
+   */
+  decode() {
+    switch (this.config.PROTOCOL) {
+      case PRINTER_PROTOCOLS.CAT:
+        return decodeCatStream(this.getBytes());
+      case PRINTER_PROTOCOLS.NIIMBOT:
+        return decodeNiimbotStream(this.getBytes());
+      default:
+        return decodeEscPos(this.getBytes());
+    }
+  }
+
+  /**
+   * Paper printed from everything received so far
+   * @returns {PaperStrip}
+   */
+  getPaper() {
+    const labelPitch = isLabelMedia(this.media)
+      ? Math.round((this.media.heightMm + this.media.gapMm) * LABEL_CONFIG.DOTS_PER_MM)
+      : 0;
+    return renderPaper(this.decode(), this.config.WIDTH, labelPitch);
+  }
+
+  /**
+   * Render the printed paper as a PNG data URL
+   * @returns {string}
+   */
+  toDataURL() {
+    return paperToCanvas(this.getPaper()).toDataURL('image/png');
+  }
+}
@@ -18,6 +18,7 @@ describe('Sticker Printer App - Browser Tests', () => {
       expect(document.getElementById('sizeM')).toBeTruthy();
       expect(document.getElementById('sizeL')).toBeTruthy();
       expect(document.getElementById('connectPrinterBtn')).toBeTruthy();
+      expect(document.getElementById('connectOtherBtn')).toBeTruthy();
       expect(document.getElementById('printOptionsBtn')).toBeTruthy();
     });
 
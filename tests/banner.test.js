@@ -0,0 +1,214 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  layoutBanner,
+  drawBanner,
+  renderBannerPreview,
+  createBannerSource,
+} from '../src/modules/banner.js';
+import { convertCanvas } from '../src/modules/bitmap.js';
+import { BANNER_CONFIG, DITHER_MODES } from '../src/modules/constants.js';
+
+/**
+ * @typedef {import('../src/modules/printer.js').RowSource} RowSource
+ */
+
+const margin = BANNER_CONFIG.MARGIN_DOTS;
+
+/** Pretend every letter is 100 dots wide */
+const measure = vi.fn((/** @type {string} */ text) => text.length * 100);
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement}
+ */
+function drawingOfSize(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+describe('layoutBanner', () => {
+  it('should lay text along the paper with margins at both ends', () => {
+    const layout = layoutBanner({ text: '  Hi  ' }, 384, measure);
+
+    expect(layout.height).toBe(384);
+    expect(layout.length).toBe(margin + 200 + margin);
+    expect(layout.items).toEqual([
+      expect.objectContaining({ type: 'text', x: margin, width: 200, text: 'Hi' }),
+    ]);
+  });
+
+  it('should size the letters to the print width', () => {
+    const [item] = layoutBanner({ text: 'A' }, 576, measure).items;
+    expect(item.type === 'text' && item.font).toBe(`bold 461px ${BANNER_CONFIG.FONT_FAMILY}`);
+  });
+
+  it('should scale the drawing to the print width and put it first', () => {
+    const image = drawingOfSize(100, 50);
+    const layout = layoutBanner({ text: 'Hi', image }, 384, measure);
+
+    expect(layout.items.map((item) => [item.type, item.x, item.width])).toEqual([
+      ['image', margin, 768],
+      ['text', margin + 768 + margin, 200],
+    ]);
+    expect(layout.length).toBe(margin + 768 + margin + 200 + margin);
+  });
+
+  it('should be empty with nothing to print', () => {
+    expect(layoutBanner({ text: ' ', image: drawingOfSize(0, 0) }, 384, measure)).toEqual({
+      length: 0,
+      height: 384,
+      items: [],
+    });
+  });
+});
+
+describe('drawBanner', () => {
+  it('should only draw the items inside the range', () => {
+    const layout = layoutBanner({ text: 'Hi', image: drawingOfSize(100, 50) }, 384, measure);
+    const ctx = /** @type {CanvasRenderingContext2D} */ (
+      /** @type {unknown} */ ({ drawImage: vi.fn(), fillText: vi.fn() })
+    );
+
+    drawBanner(ctx, layout, 0, margin + 100);
+    expect(ctx.drawImage).toHaveBeenCalledTimes(1);
+    expect(ctx.fillText).not.toHaveBeenCalled();
+
+    drawBanner(ctx, layout, layout.length - margin - 10, layout.length);
+    expect(ctx.fillText).toHaveBeenCalledWith('Hi', margin + 768 + margin, 192);
+    expect(ctx.drawImage).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('renderBannerPreview', () => {
+  it('should draw the banner unrotated at preview scale', () => {
+    const layout = layoutBanner({ text: 'Hello' }, 384, measure);
+    const preview = renderBannerPreview(layout);
+
+    expect(preview.width).toBe(Math.ceil(layout.length * BANNER_CONFIG.PREVIEW_SCALE));
+    expect(preview.height).toBe(384 * BANNER_CONFIG.PREVIEW_SCALE);
+  });
+});
+
+describe('createBannerSource', () => {
+  /** A banner long enough to need several render blocks */
+  const layout = layoutBanner({ text: 'Happy Birthday' }, 384, measure);
+
+  /**
+   * Fake converter that numbers each row by its block and position
+   * (first two bytes), as the converter would have seen the canvas
+   * @returns {import('vitest').Mock<(canvas: HTMLCanvasElement) => RowSource>}
+   */
+  const numberedRows = () => {
+    let blocks = 0;
+    return vi.fn((canvas) => {
+      blocks++;
+      const height = canvas.height;
+      const data = new Uint8Array(height * 48);
+      for (let y = 0; y < height; y++) {
+        data[y * 48] = blocks;
+        data[y * 48 + 1] = y;
+      }
+      return {
+        height,
+        bytesPerLine: 48,
+        getRows: async (start, end) => data.subarray(start * 48, end * 48),
+      };
+    });
+  };
+
+  it('should describe the printed strip', () => {
+    const source = createBannerSource(layout, numberedRows());
+
+    expect(source.height).toBe(layout.length);
+    expect(source.bytesPerLine).toBe(48);
+  });
+
+  it('should render on one small canvas as the rows are read', async () => {
+    const toRows = numberedRows();
+    const source = createBannerSource(layout, toRows);
+
+    const rows = [];
+    for (let start = 0; start < source.height; start += 100) {
+      const block = await source.getRows(start, Math.min(start + 100, source.height));
+      for (let i = 0; i < block.length; i += 48) {
+        rows.push([block[i], block[i + 1]]);
+      }
+    }
+
+    const blocks = Math.ceil(layout.length / BANNER_CONFIG.RENDER_ROWS);
+    expect(toRows).toHaveBeenCalledTimes(blocks);
+    expect(rows).toHaveLength(layout.length);
+    expect(rows[BANNER_CONFIG.RENDER_ROWS - 1]).toEqual([1, BANNER_CONFIG.RENDER_ROWS - 1]);
+    expect(rows[BANNER_CONFIG.RENDER_ROWS]).toEqual([2, 0]);
+
+    const canvases = new Set(toRows.mock.calls.map(([canvas]) => canvas));
+    expect(canvases.size).toBe(1);
+    const [canvas] = canvases;
+    expect(canvas.width).toBe(384);
+    expect(canvas.height).toBeLessThanOrEqual(BANNER_CONFIG.RENDER_ROWS);
+  });
+
+  it('should render the next block before it is needed', async () => {
+    const toRows = numberedRows();
+    const source = createBannerSource(layout, toRows);
+
+    await source.getRows(0, 8);
+
+    expect(toRows).toHaveBeenCalledTimes(2);
+  });
+
+  it('should dither a long banner the same as in one pass', async () => {
+    const options = { dither: DITHER_MODES.FLOYD_STEINBERG };
+
+    /**
+     * Rows of gray that change all along the banner, standing in for its drawing
+     * @param {number} start - Banner row at the top of the canvas
+     * @param {number} rows
+     */
+    const shadedCanvas = (start, rows) => {
+      const canvas = drawingOfSize(384, rows);
+      const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+      for (let y = 0; y < rows; y++) {
+        const level = (((start + y) * 37) % 256).toString(16).padStart(2, '0');
+        ctx.fillStyle = `#${level}${level}${level}`;
+        ctx.fillRect(0, y, 384, 1);
+      }
+      return canvas;
+    };
+
+    let rendered = 0;
+    const source = createBannerSource(layout, (canvas, carry) => {
+      const block = shadedCanvas(rendered, canvas.height);
+      rendered += canvas.height;
+      const bitmap = convertCanvas(block, 48, { ...options, carry });
+      return {
+        height: canvas.height,
+        bytesPerLine: 48,
+        getRows: async (start, end) => (await bitmap).data.subarray(start * 48, end * 48),
+      };
+    });
+
+    const whole = await convertCanvas(shadedCanvas(0, layout.length), 48, options);
+
+    expect(layout.length).toBeGreaterThan(2 * BANNER_CONFIG.RENDER_ROWS);
+    expect([...(await source.getRows(0, layout.length))]).toEqual([...whole.data]);
+  });
+
+  it('should rotate the banner so it runs down the paper', async () => {
+    const canvas = document.createElement('canvas');
+    const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+    const rotate = vi.spyOn(ctx, 'rotate');
+    const translate = vi.spyOn(ctx, 'translate');
+    vi.spyOn(document, 'createElement').mockReturnValueOnce(canvas);
+
+    await createBannerSource(layout, numberedRows()).getRows(300, 301);
+
+    expect(rotate).toHaveBeenCalledWith(Math.PI / 2);
+    expect(translate).toHaveBeenCalledWith(384, 0);
+    expect(translate).toHaveBeenCalledWith(-300, 0);
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import {
+  encodeBarcode,
+  normalizeBarcodeData,
+  getEanCheckDigit,
+} from '../src/modules/barcode.js';
+import { BARCODE_FORMATS } from '../src/modules/constants.js';
+
+/**
+ * @param {Uint8Array} modules
+ * @returns {string}
+ */
+const bits = (modules) => Array.from(modules).join('');
+
+describe('normalizeBarcodeData', () => {
+  it('should add the EAN-13 check digit, or check the one given', () => {
+    expect(getEanCheckDigit('400638133393')).toBe(1);
+    expect(normalizeBarcodeData(BARCODE_FORMATS.EAN13, '400638133393')).toBe('4006381333931');
+    expect(normalizeBarcodeData(BARCODE_FORMATS.EAN13, '4006381 333931')).toBe('4006381333931');
+    expect(() => normalizeBarcodeData(BARCODE_FORMATS.EAN13, '4006381333932')).toThrow(
+      'should be 1'
+    );
+    expect(() => normalizeBarcodeData(BARCODE_FORMATS.EAN13, '12345')).toThrow('12 or 13 digits');
+  });
+
+  it('should only take printable ASCII in Code 128', () => {
+    expect(normalizeBarcodeData(BARCODE_FORMATS.CODE128, 'Table 4')).toBe('Table 4');
+    expect(() => normalizeBarcodeData(BARCODE_FORMATS.CODE128, 'café')).toThrow('plain letters');
+    expect(() => normalizeBarcodeData(BARCODE_FORMATS.CODE128, '')).toThrow();
+  });
+});
+
+describe('encodeBarcode', () => {
+  it('should encode Code 128 with start B, check symbol and stop', () => {
+    const { modules, text } = encodeBarcode(BARCODE_FORMATS.CODE128, 'Wikipedia');
+    const all = bits(modules);
+
+    expect(text).toBe('Wikipedia');
+    // Start, 9 characters and the check symbol are 11 modules each; stop is 13
+    expect(modules).toHaveLength(11 * 11 + 13);
+    expect(all.slice(0, 11)).toBe('11010010000');
+    // Check symbol 88
+    expect(all.slice(-24, -13)).toBe('11110010010');
+    expect(all.slice(-13)).toBe('1100011101011');
+  });
+
+  it('should encode EAN-13 with guards and the first digit in the parity', () => {
+    const { modules, text } = encodeBarcode(BARCODE_FORMATS.EAN13, '400638133393');
+    const all = bits(modules);
+
+    expect(text).toBe('4006381333931');
+    expect(modules).toHaveLength(95);
+    expect(all.slice(0, 3)).toBe('101');
+    expect(all.slice(45, 50)).toBe('01010');
+    expect(all.slice(-3)).toBe('101');
+    // First digit 4 makes the left half L G L L G G: 0 as L, then 0 as G
+    expect(all.slice(3, 10)).toBe('0001101');
+    expect(all.slice(10, 17)).toBe('0100111');
+    // Right half: the check digit 1 as R
+    expect(all.slice(85, 92)).toBe('1100110');
+  });
+});
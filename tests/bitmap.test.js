@@ -0,0 +1,258 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  createBitmap,
+  bitmapFromRows,
+  getBitmapRow,
+  trimBitmap,
+  packBitmap,
+  imageDataToBitmap,
+  handleConversionRequest,
+  convertCanvas,
+  createDitherCarry,
+} from '../src/modules/bitmap.js';
+import { DITHER_MODES } from '../src/modules/constants.js';
+
+/**
+ * A canvas with a black square in the top left corner
+ * @param {number} width
+ * @param {number} height
+ * @param {number} square - Side of the black square
+ * @returns {HTMLCanvasElement}
+ */
+function canvasWithSquare(width, height, square) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, width, height);
+  ctx.fillStyle = 'black';
+  ctx.fillRect(0, 0, square, square);
+  return canvas;
+}
+
+/**
+ * A mid-gray canvas, which error diffusion turns into a checkerboard-like pattern
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement}
+ */
+function grayCanvas(width, height) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+  ctx.fillStyle = '#707070';
+  ctx.fillRect(0, 0, width, height);
+  return canvas;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {ImageData}
+ */
+function pixelsOf(canvas) {
+  const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+describe('bitmap helpers', () => {
+  it('should create a white bitmap', () => {
+    const bitmap = createBitmap(3, 2);
+    expect(bitmap.height).toBe(3);
+    expect(bitmap.bytesPerLine).toBe(2);
+    expect([...bitmap.data]).toEqual([0, 0, 0, 0, 0, 0]);
+  });
+
+  it('should pack rows, padding short ones and cutting long ones', () => {
+    const bitmap = bitmapFromRows([[0xaa, 0xbb], [0xcc], [0xdd, 0xee, 0xff]]);
+
+    expect(bitmap.bytesPerLine).toBe(2);
+    expect([...bitmap.data]).toEqual([0xaa, 0xbb, 0xcc, 0x00, 0xdd, 0xee]);
+  });
+
+  it('should read a row without copying it', () => {
+    const bitmap = bitmapFromRows([[1, 2], [3, 4]]);
+    const row = getBitmapRow(bitmap, 1);
+
+    expect([...row]).toEqual([3, 4]);
+    expect(row.buffer).toBe(bitmap.data.buffer);
+  });
+
+  it('should trim blank rows at the top and bottom only', () => {
+    const bitmap = bitmapFromRows([[0], [0x80], [0], [0x01], [0], [0]], 1);
+
+    const trimmed = trimBitmap(bitmap);
+
+    expect(trimmed.height).toBe(3);
+    expect([...trimmed.data]).toEqual([0x80, 0, 0x01]);
+    expect(trimmed.data.buffer).toBe(bitmap.data.buffer);
+    expect(trimBitmap(createBitmap(4, 2)).height).toBe(0);
+  });
+
+  it('should pack dots leftmost first and drop those past the row width', () => {
+    // 10 dots wide: dots 0, 7 and 9 are black; only 1 byte per row is kept
+    const ink = new Uint8Array(10);
+    ink[0] = 1;
+    ink[7] = 1;
+    ink[9] = 1;
+
+    expect([...packBitmap(ink, 10, 1, 1).data]).toEqual([0x81]);
+    expect([...packBitmap(ink, 10, 1, 2).data]).toEqual([0x81, 0x40]);
+  });
+
+  it('should dither before packing', () => {
+    const gray = { data: new Uint8ClampedArray(16 * 4 * 4).fill(160), width: 16, height: 4 };
+    const imageData = /** @type {ImageData} */ (/** @type {unknown} */ (gray));
+
+    expect(imageDataToBitmap(imageData, 2).data.every((byte) => byte === 0)).toBe(true);
+    const dithered = imageDataToBitmap(imageData, 2, { dither: DITHER_MODES.BAYER_4X4 });
+    expect(dithered.data.some((byte) => byte !== 0)).toBe(true);
+  });
+
+  it('should answer a conversion request with the bitmap or the error', () => {
+    const image = pixelsOf(canvasWithSquare(16, 2, 8));
+
+    expect(handleConversionRequest({ id: 7, image, bytesPerLine: 2, options: {} })).toEqual({
+      id: 7,
+      bitmap: { height: 2, bytesPerLine: 2, data: Uint8Array.of(0xff, 0x00, 0xff, 0x00) },
+    });
+
+    const reply = handleConversionRequest({
+      id: 8,
+      image,
+      bytesPerLine: 2,
+      options: { dither: /** @type {any} */ ('sparkles') },
+    });
+    expect(reply).toEqual({ id: 8, error: 'Unknown dithering mode: sparkles' });
+  });
+});
+
+describe('convertCanvas', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.resetModules();
+  });
+
+  /**
+   * Stand-ins for the browser APIs the worker path needs
+   * The fake ImageBitmap carries the canvas pixels; the fake worker runs
+   * the real request handler
+   * @param {{ failing?: boolean }} [options] - Make the worker fail to load
+   */
+  const stubWorkerApis = async ({ failing = false } = {}) => {
+    vi.resetModules();
+    const bitmapModule = await import('../src/modules/bitmap.js');
+    /** @type {FakeWorker[]} */
+    const workers = [];
+
+    class FakeWorker extends EventTarget {
+      /** @type {unknown[]} */
+      messages = [];
+
+      constructor() {
+        super();
+        workers.push(this);
+      }
+
+      /** @param {import('../src/modules/bitmap.js').ConversionRequest} request */
+      postMessage(request) {
+        this.messages.push(request);
+        queueMicrotask(() => {
+          if (failing) {
+            this.dispatchEvent(new Event('error'));
+          } else {
+            const reply = bitmapModule.handleConversionRequest(request);
+            this.dispatchEvent(new MessageEvent('message', { data: reply }));
+          }
+        });
+      }
+
+      terminate() {}
+    }
+
+    class FakeOffscreenCanvas {
+      /** @type {{ pixels: ImageData } | null} */
+      image = null;
+
+      getContext() {
+        return {
+          drawImage: (/** @type {{ pixels: ImageData }} */ image) => {
+            this.image = image;
+          },
+          getImageData: () => this.image?.pixels,
+        };
+      }
+    }
+
+    vi.stubGlobal('Worker', FakeWorker);
+    vi.stubGlobal('OffscreenCanvas', FakeOffscreenCanvas);
+    vi.stubGlobal(
+      'createImageBitmap',
+      vi.fn(async (/** @type {HTMLCanvasElement} */ canvas) => ({
+        width: canvas.width,
+        height: canvas.height,
+        pixels: pixelsOf(canvas),
+        close: vi.fn(),
+      }))
+    );
+
+    return { convert: bitmapModule.convertCanvas, workers };
+  };
+
+  it('should convert on the main thread where workers are not available', async () => {
+    const bitmap = await convertCanvas(canvasWithSquare(16, 2, 8), 2);
+    expect([...bitmap.data]).toEqual([0xff, 0x00, 0xff, 0x00]);
+  });
+
+  it('should send the picture to a worker and use its bitmap', async () => {
+    const { convert, workers } = await stubWorkerApis();
+
+    const first = await convert(canvasWithSquare(16, 2, 8), 2);
+    const second = await convert(canvasWithSquare(16, 1, 16), 2);
+
+    expect(workers).toHaveLength(1);
+    expect(workers[0].messages).toHaveLength(2);
+    expect([...first.data]).toEqual([0xff, 0x00, 0xff, 0x00]);
+    expect([...second.data]).toEqual([0xff, 0xff]);
+  });
+
+  it('should carry dithering on from block to block, in the order they were handed over', async () => {
+    const { convert, workers } = await stubWorkerApis();
+    const options = { dither: DITHER_MODES.FLOYD_STEINBERG };
+    const carry = createDitherCarry(16);
+
+    // Both blocks are handed over before either is converted
+    const blocks = await Promise.all([
+      convert(grayCanvas(16, 5), 2, { ...options, carry }),
+      convert(grayCanvas(16, 5), 2, { ...options, carry }),
+    ]);
+    const whole = await convert(grayCanvas(16, 10), 2, options);
+
+    expect([...blocks[0].data, ...blocks[1].data]).toEqual([...whole.data]);
+    expect(workers[0].messages).toHaveLength(3);
+  });
+
+  it('should carry dithering on without a worker', async () => {
+    const options = { dither: DITHER_MODES.ATKINSON };
+    const carry = createDitherCarry(16);
+
+    const first = await convertCanvas(grayCanvas(16, 5), 2, { ...options, carry });
+    const second = await convertCanvas(grayCanvas(16, 5), 2, { ...options, carry });
+    const whole = await convertCanvas(grayCanvas(16, 10), 2, options);
+
+    expect([...first.data, ...second.data]).toEqual([...whole.data]);
+  });
+
+  it('should convert here if the worker fails, and stop using it', async () => {
+    const { convert, workers } = await stubWorkerApis({ failing: true });
+
+    const first = await convert(canvasWithSquare(16, 2, 8), 2);
+    const second = await convert(canvasWithSquare(16, 2, 8), 2);
+
+    expect([...first.data]).toEqual([0xff, 0x00, 0xff, 0x00]);
+    expect(second).toEqual(first);
+    expect(workers).toHaveLength(1);
+    expect(workers[0].messages).toHaveLength(1);
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  crc8,
+  catPacket,
+  encodeCatRow,
+  decodeCatRow,
+  getCatRowSize,
+  getCatHeader,
+  getCatFooter,
+  decodeCatPackets,
+  readCatFlowControl,
+} from '../src/modules/cat-printer.js';
+import { PRINTER_CONFIGS, PRINTER_MODELS, CAT_PRINTER } from '../src/modules/constants.js';
+
+const CAT = PRINTER_CONFIGS[PRINTER_MODELS.CAT];
+
+describe('crc8', () => {
+  it('should match the checksums cat printers send', () => {
+    expect(crc8([0x10])).toBe(0x70);
+    expect(crc8([0x00])).toBe(0x00);
+    expect(crc8([])).toBe(0x00);
+  });
+});
+
+describe('catPacket', () => {
+  it('should frame the data with magic, length, checksum and end byte', () => {
+    expect(catPacket(0xa1, [0x64, 0x00])).toEqual([
+      0x51, 0x78, 0xa1, 0x00, 0x02, 0x00, 0x64, 0x00, crc8([0x64, 0x00]), 0xff,
+    ]);
+  });
+});
+
+describe('encodeCatRow', () => {
+  it('should put the leftmost dot in the least significant bit', () => {
+    const packet = encodeCatRow([0x80, 0x03], 2);
+    expect(packet.slice(6, 8)).toEqual([0x01, 0xc0]);
+  });
+
+  it('should center narrow rows on the print head', () => {
+    const packet = encodeCatRow([0xff], 4);
+    expect(packet.slice(6, 10)).toEqual([0x00, 0xff, 0x00, 0x00]);
+    expect(packet).toHaveLength(getCatRowSize(4));
+  });
+
+  it('should decode back to the original row', () => {
+    const packet = encodeCatRow([0x12, 0x34], 2);
+    expect(Array.from(decodeCatRow(new Uint8Array(packet.slice(6, 8))))).toEqual([0x12, 0x34]);
+  });
+});
+
+describe('getCatHeader', () => {
+  it('should set quality, start the lattice, then energy and speed', () => {
+    const packets = decodeCatPackets(new Uint8Array(getCatHeader(CAT, { density: 2, speed: 5 })));
+    const { COMMANDS } = CAT_PRINTER;
+
+    expect(packets.map((p) => p.command)).toEqual([
+      COMMANDS.SET_QUALITY,
+      COMMANDS.LATTICE,
+      COMMANDS.SET_ENERGY,
+      COMMANDS.APPLY_ENERGY,
+      COMMANDS.SET_SPEED,
+    ]);
+    expect(Array.from(packets[2].data)).toEqual([0x00, 0x20]);
+    expect(Array.from(packets[4].data)).toEqual([5 * CAT_PRINTER.SPEED_PER_LEVEL]);
+  });
+
+  it('should use the config levels when none are chosen', () => {
+    const packets = decodeCatPackets(new Uint8Array(getCatHeader(CAT)));
+    expect(Array.from(packets[2].data)).toEqual([0x00, 0x40]);
+  });
+});
+
+describe('decodeCatPackets', () => {
+  it('should split a stream into packets', () => {
+    const packets = decodeCatPackets(new Uint8Array(getCatFooter(90)));
+
+    expect(packets.map((p) => [p.offset, p.command])).toEqual([
+      [0, CAT_PRINTER.COMMANDS.FEED],
+      [10, CAT_PRINTER.COMMANDS.LATTICE],
+    ]);
+    expect(Array.from(packets[0].data)).toEqual([90, 0]);
+  });
+
+  it('should reject a bad checksum', () => {
+    const bytes = catPacket(0xa1, [0x64, 0x00]);
+    bytes[8] ^= 0xff;
+    expect(() => decodeCatPackets(new Uint8Array(bytes))).toThrow('Bad checksum in packet at byte 0');
+  });
+
+  it('should reject a stream cut short', () => {
+    const bytes = catPacket(0xa1, [0x64, 0x00]).slice(0, 7);
+    expect(() => decodeCatPackets(new Uint8Array(bytes))).toThrow(
+      'Stream ends inside a packet at byte 0'
+    );
+  });
+
+  it('should reject bytes outside a packet', () => {
+    expect(() => decodeCatPackets(new Uint8Array([0x1b, 0x40]))).toThrow(
+      'Expected a packet at byte 0'
+    );
+  });
+});
+
+describe('readCatFlowControl', () => {
+  it('should read pause and resume requests', () => {
+    expect(readCatFlowControl(new Uint8Array(catPacket(0xae, [0x10])))).toBe(true);
+    expect(readCatFlowControl(new Uint8Array(catPacket(0xae, [0x00])))).toBe(false);
+  });
+
+  it('should ignore other notifications', () => {
+    expect(readCatFlowControl(new Uint8Array(catPacket(0xa3, [0x00])))).toBeNull();
+    expect(readCatFlowControl(new Uint8Array([0x13]))).toBeNull();
+  });
+});
@@ -67,6 +67,13 @@ describe('PRINTER_CONFIGS', () => {
   it('should have all printer models configured', () => {
     expect(PRINTER_CONFIGS[PRINTER_MODELS.T02]).toBeDefined();
     expect(PRINTER_CONFIGS[PRINTER_MODELS.HB4057]).toBeDefined();
+    expect(PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_80MM]).toBeDefined();
+    expect(PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_104MM]).toBeDefined();
+  });
+
+  it('should have 80mm and 104mm printer widths', () => {
+    expect(PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_80MM].WIDTH).toBe(576);
+    expect(PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_104MM].WIDTH).toBe(832);
   });
 });
 
@@ -99,10 +106,14 @@ describe('CANVAS_CONFIG', () => {
     expect(CANVAS_CONFIG.HEIGHT).toBe(500);
   });
 
-  it('should match printer widths', () => {
-    // All printers should have the same width as canvas
+  it('should match the default printer width', () => {
+    // The canvas is resized to the connected printer, starting from the default
+    expect(CANVAS_CONFIG.WIDTH).toBe(DEFAULT_PRINTER_CONFIG.WIDTH);
+  });
+
+  it('should only have printer widths that fill whole bytes', () => {
     Object.values(PRINTER_CONFIGS).forEach((config) => {
-      expect(CANVAS_CONFIG.WIDTH).toBe(config.WIDTH);
+      expect(config.WIDTH / 8).toBe(config.BYTES_PER_LINE);
     });
   });
 });
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createEmptyDeviceInfo,
+  decodeInfoString,
+  parseBatteryLevel,
+  readDeviceInfo,
+  describeDeviceInfo,
+} from '../src/modules/device-info.js';
+import { STANDARD_GATT } from '../src/modules/constants.js';
+
+/** @param {string} text */
+const view = (text) => new DataView(new TextEncoder().encode(text).buffer);
+
+describe('device-info', () => {
+  describe('decodeInfoString', () => {
+    it('should strip NUL padding and spaces', () => {
+      expect(decodeInfoString(view(' M02 Pro \0\0\0'))).toBe('M02 Pro');
+    });
+
+    it('should return null for an empty value', () => {
+      expect(decodeInfoString(view('\0\0'))).toBeNull();
+      expect(decodeInfoString(new DataView(new ArrayBuffer(0)))).toBeNull();
+    });
+  });
+
+  describe('parseBatteryLevel', () => {
+    it('should read the percent from the first byte', () => {
+      expect(parseBatteryLevel(new DataView(Uint8Array.of(64).buffer))).toBe(64);
+    });
+
+    it('should cap values over 100', () => {
+      expect(parseBatteryLevel(new DataView(Uint8Array.of(255).buffer))).toBe(100);
+    });
+
+    it('should return null for an empty value', () => {
+      expect(parseBatteryLevel(new DataView(new ArrayBuffer(0)))).toBeNull();
+    });
+  });
+
+  describe('readDeviceInfo', () => {
+    const { DEVICE_INFO } = STANDARD_GATT;
+
+    /** @param {Record<string, string>} fields - Strings by characteristic UUID */
+    const createService = (fields) =>
+      /** @type {BluetoothRemoteGATTService} */ (
+        /** @type {unknown} */ ({
+          uuid: STANDARD_GATT.DEVICE_INFO_SERVICE,
+          getCharacteristic: async (/** @type {string} */ uuid) => {
+            if (uuid === DEVICE_INFO.serial) throw new DOMException('Blocked', 'SecurityError');
+            if (!(uuid in fields)) throw new DOMException('Not found', 'NotFoundError');
+            return { readValue: async () => view(fields[uuid]) };
+          },
+        })
+      );
+
+    it('should read every field it can and leave the rest null', async () => {
+      const info = await readDeviceInfo([
+        createService({
+          [DEVICE_INFO.manufacturer]: 'Phomemo',
+          [DEVICE_INFO.model]: 'M02',
+          [DEVICE_INFO.firmware]: 'V1.0.4',
+          [DEVICE_INFO.serial]: 'never read',
+        }),
+      ]);
+
+      expect(info).toEqual({
+        manufacturer: 'Phomemo',
+        model: 'M02',
+        serial: null,
+        hardware: null,
+        firmware: 'V1.0.4',
+      });
+    });
+
+    it('should return empty info without a Device Information service', async () => {
+      expect(await readDeviceInfo([])).toEqual(createEmptyDeviceInfo());
+    });
+  });
+
+  describe('describeDeviceInfo', () => {
+    it('should list model, firmware and serial', () => {
+      expect(
+        describeDeviceInfo({
+          ...createEmptyDeviceInfo(),
+          model: 'M02 Pro',
+          firmware: '1.2.3',
+          serial: 'A1B2',
+        })
+      ).toBe('M02 Pro · firmware 1.2.3 · serial A1B2');
+    });
+
+    it('should skip what the printer did not say', () => {
+      expect(describeDeviceInfo({ ...createEmptyDeviceInfo(), firmware: '2.0' })).toBe(
+        'firmware 2.0'
+      );
+      expect(describeDeviceInfo(createEmptyDeviceInfo())).toBe('');
+    });
+  });
+});
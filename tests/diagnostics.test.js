@@ -0,0 +1,165 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  TrafficLog,
+  formatTrafficEntry,
+  describeGattServices,
+  measureThroughput,
+  createCalibrationCanvas,
+} from '../src/modules/diagnostics.js';
+import { CALIBRATION_PATTERNS, DIAGNOSTICS_CONFIG } from '../src/modules/constants.js';
+
+/**
+ * Brightness of one pixel (red channel) of a canvas
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function pixelAt(canvas, x, y) {
+  const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+  return ctx.getImageData(0, 0, canvas.width, canvas.height).data[(y * canvas.width + x) * 4];
+}
+
+describe('TrafficLog', () => {
+  it('should keep a short copy of each write and notification', () => {
+    const log = new TrafficLog();
+    const bytes = new Uint8Array(DIAGNOSTICS_CONFIG.LOG_BYTES_PER_ENTRY + 10).fill(7);
+
+    log.record('sent', bytes);
+    bytes.fill(0);
+    log.record('received', Uint8Array.of(1, 2));
+
+    expect(log.entries).toHaveLength(2);
+    expect(log.entries[0].direction).toBe('sent');
+    expect(log.entries[0].length).toBe(DIAGNOSTICS_CONFIG.LOG_BYTES_PER_ENTRY + 10);
+    expect(log.entries[0].bytes).toHaveLength(DIAGNOSTICS_CONFIG.LOG_BYTES_PER_ENTRY);
+    expect(log.entries[0].bytes.every((byte) => byte === 7)).toBe(true);
+    expect([...log.entries[1].bytes]).toEqual([1, 2]);
+  });
+
+  it('should drop the oldest entries once full', () => {
+    const log = new TrafficLog();
+
+    for (let i = 0; i < DIAGNOSTICS_CONFIG.LOG_ENTRIES + 5; i++) {
+      log.record('sent', Uint8Array.of(i & 0xff));
+    }
+
+    expect(log.entries).toHaveLength(DIAGNOSTICS_CONFIG.LOG_ENTRIES);
+    expect(log.entries[0].bytes[0]).toBe(5);
+  });
+
+  it('should announce changes and clear', () => {
+    const log = new TrafficLog();
+    const listener = vi.fn();
+    log.addEventListener('change', listener);
+
+    log.record('sent', Uint8Array.of(1));
+    log.clear();
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(log.entries).toEqual([]);
+  });
+
+  it('should format entries as hex, marking cut ones', () => {
+    const time = new Date(2024, 0, 1, 9, 5, 3, 42).getTime();
+
+    expect(
+      formatTrafficEntry({ direction: 'sent', time, length: 3, bytes: Uint8Array.of(0x1b, 0x40, 0x0a) })
+    ).toBe('09:05:03.042 → 3 bytes: 1b 40 0a');
+    expect(
+      formatTrafficEntry({ direction: 'received', time, length: 40, bytes: Uint8Array.of(0xff) })
+    ).toBe('09:05:03.042 ← 40 bytes: ff …');
+  });
+});
+
+describe('describeGattServices', () => {
+  it('should list each service with its characteristics and their properties', async () => {
+    const server = {
+      getPrimaryServices: async () => [
+        {
+          uuid: 'service-a',
+          getCharacteristics: async () => [
+            { uuid: 'write-char', properties: { write: true, writeWithoutResponse: true } },
+            { uuid: 'notify-char', properties: { notify: true, read: true } },
+          ],
+        },
+        {
+          uuid: 'service-b',
+          getCharacteristics: async () => {
+            throw new Error('Not allowed');
+          },
+        },
+      ],
+    };
+
+    const services = await describeGattServices(
+      /** @type {BluetoothRemoteGATTServer} */ (/** @type {unknown} */ (server))
+    );
+
+    expect(services).toEqual([
+      {
+        uuid: 'service-a',
+        characteristics: [
+          { uuid: 'write-char', properties: ['write', 'writeWithoutResponse'] },
+          { uuid: 'notify-char', properties: ['read', 'notify'] },
+        ],
+        error: null,
+      },
+      { uuid: 'service-b', characteristics: [], error: 'Not allowed' },
+    ]);
+  });
+});
+
+describe('measureThroughput', () => {
+  it('should count what happened between the two snapshots', () => {
+    const before = { bytesSent: 100, writeMs: 10, waitMs: 5, stalls: 1, xoffs: 0 };
+    const after = { bytesSent: 1100, writeMs: 60, waitMs: 25, stalls: 3, xoffs: 1 };
+
+    expect(measureThroughput(before, after, 500)).toEqual({
+      bytes: 1000,
+      elapsedMs: 500,
+      writeMs: 50,
+      waitMs: 20,
+      stalls: 2,
+      xoffs: 1,
+    });
+  });
+});
+
+describe('createCalibrationCanvas', () => {
+  it('should draw grid lines every few dots', () => {
+    const canvas = createCalibrationCanvas(CALIBRATION_PATTERNS.GRID, 96);
+    const { GRID_DOTS } = DIAGNOSTICS_CONFIG;
+
+    expect(canvas.width).toBe(96);
+    expect(canvas.height).toBe(DIAGNOSTICS_CONFIG.PATTERN_HEIGHT);
+    expect(pixelAt(canvas, GRID_DOTS, 5)).toBe(0);
+    expect(pixelAt(canvas, 5, GRID_DOTS)).toBe(0);
+    expect(pixelAt(canvas, GRID_DOTS + 3, GRID_DOTS + 3)).toBe(255);
+  });
+
+  it('should ramp from white to black across the paper', () => {
+    const canvas = createCalibrationCanvas(CALIBRATION_PATTERNS.GRADIENT, 80);
+    const levels = [0, 20, 40, 79].map((x) => pixelAt(canvas, x, 10));
+
+    expect(levels[0]).toBe(255);
+    expect(levels[3]).toBe(0);
+    expect(levels[1]).toBeLessThan(levels[0]);
+    expect(levels[2]).toBeLessThan(levels[1]);
+  });
+
+  it('should mark the outermost dots and the center', () => {
+    const canvas = createCalibrationCanvas(CALIBRATION_PATTERNS.EDGES, 64);
+
+    expect(pixelAt(canvas, 0, 50)).toBe(0);
+    expect(pixelAt(canvas, 63, 50)).toBe(0);
+    expect(pixelAt(canvas, 32, 50)).toBe(0);
+    expect(pixelAt(canvas, 4, 50)).toBe(255);
+  });
+
+  it('should reject unknown patterns', () => {
+    expect(() => createCalibrationCanvas(/** @type {any} */ ('stripes'), 64)).toThrow(
+      'Unknown calibration pattern: stripes'
+    );
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import { toLuminance, dither, createDiffusionError } from '../src/modules/dither.js';
+import { DITHER_MODES, DEFAULT_THRESHOLD } from '../src/modules/constants.js';
+
+/**
+ * Build a flat brightness map filled with one value
+ * @param {number} width
+ * @param {number} height
+ * @param {number} value
+ * @returns {Float32Array}
+ */
+function flatLuminance(width, height, value) {
+  return new Float32Array(width * height).fill(value);
+}
+
+/**
+ * Count the pixels that would print black
+ * @param {Uint8Array} ink
+ * @returns {number}
+ */
+function countInk(ink) {
+  return ink.reduce((sum, bit) => sum + bit, 0);
+}
+
+describe('toLuminance', () => {
+  it('should convert white and black pixels', () => {
+    const data = new Uint8ClampedArray([255, 255, 255, 255, 0, 0, 0, 255]);
+    const luminance = toLuminance(data, 2, 1);
+
+    expect(luminance[0]).toBeCloseTo(255);
+    expect(luminance[1]).toBe(0);
+  });
+
+  it('should weight green more than blue', () => {
+    const data = new Uint8ClampedArray([0, 255, 0, 255, 0, 0, 255, 255]);
+    const luminance = toLuminance(data, 2, 1);
+
+    expect(luminance[0]).toBeGreaterThan(luminance[1]);
+  });
+
+  it('should treat missing pixels as white', () => {
+    const luminance = toLuminance(new Uint8ClampedArray(0), 2, 1);
+    expect(Array.from(luminance)).toEqual([255, 255]);
+  });
+});
+
+describe('dither', () => {
+  describe('threshold', () => {
+    it('should default to a threshold at 128', () => {
+      const luminance = new Float32Array([127, 128, 0, 255]);
+      expect(Array.from(dither(luminance, 4, 1))).toEqual([1, 0, 1, 0]);
+    });
+
+    it('should honour a custom cutoff', () => {
+      const luminance = new Float32Array([150, 210]);
+      const ink = dither(luminance, 2, 1, DITHER_MODES.THRESHOLD, 200);
+      expect(Array.from(ink)).toEqual([1, 0]);
+    });
+
+    it('should turn mid gray into a solid block', () => {
+      const ink = dither(flatLuminance(16, 16, 100), 16, 16, DITHER_MODES.THRESHOLD);
+      expect(countInk(ink)).toBe(256);
+    });
+  });
+
+  describe.each([
+    DITHER_MODES.FLOYD_STEINBERG,
+    DITHER_MODES.ATKINSON,
+    DITHER_MODES.BAYER_4X4,
+    DITHER_MODES.BAYER_8X8,
+  ])('%s', (mode) => {
+    it('should keep white paper white', () => {
+      const ink = dither(flatLuminance(16, 16, 255), 16, 16, mode);
+      expect(countInk(ink)).toBe(0);
+    });
+
+    it('should print black as solid black', () => {
+      const ink = dither(flatLuminance(16, 16, 0), 16, 16, mode);
+      expect(countInk(ink)).toBe(256);
+    });
+
+    it('should render mid gray as a mix of dots', () => {
+      const ink = dither(flatLuminance(16, 16, 128), 16, 16, mode);
+      const coverage = countInk(ink) / 256;
+
+      expect(coverage).toBeGreaterThan(0.3);
+      expect(coverage).toBeLessThan(0.7);
+    });
+
+    it('should print darker grays with more ink', () => {
+      const light = countInk(dither(flatLuminance(16, 16, 192), 16, 16, mode));
+      const dark = countInk(dither(flatLuminance(16, 16, 64), 16, 16, mode));
+
+      expect(dark).toBeGreaterThan(light);
+    });
+
+    it('should print more ink when the threshold is raised', () => {
+      const luminance = flatLuminance(16, 16, 160);
+      const normal = countInk(dither(luminance, 16, 16, mode, DEFAULT_THRESHOLD));
+      const darker = countInk(dither(luminance, 16, 16, mode, 200));
+
+      expect(darker).toBeGreaterThan(normal);
+    });
+  });
+
+  it('should not modify the input brightness map', () => {
+    const luminance = flatLuminance(4, 4, 100);
+    dither(luminance, 4, 4, DITHER_MODES.FLOYD_STEINBERG);
+    expect(Array.from(luminance).every((value) => value === 100)).toBe(true);
+  });
+
+  it('should tile the Bayer matrix', () => {
+    const ink = dither(flatLuminance(8, 8, 128), 8, 8, DITHER_MODES.BAYER_4X4);
+    for (let y = 0; y < 4; y++) {
+      for (let x = 0; x < 4; x++) {
+        expect(ink[y * 8 + x]).toBe(ink[(y + 4) * 8 + x + 4]);
+      }
+    }
+  });
+
+  describe.each([DITHER_MODES.FLOYD_STEINBERG, DITHER_MODES.ATKINSON])('%s in blocks', (mode) => {
+    // A gradient down the picture, so every row dithers differently
+    const width = 12;
+    const height = 30;
+    const luminance = new Float32Array(width * height).map((_, i) => (i / (width * height)) * 255);
+
+    /**
+     * Dither the picture a few rows at a time
+     * @param {number} rows - Rows per block
+     * @param {Float32Array} [carry]
+     */
+    const inBlocks = (rows, carry) => {
+      const ink = new Uint8Array(width * height);
+      for (let start = 0; start < height; start += rows) {
+        const end = Math.min(start + rows, height);
+        const block = luminance.subarray(start * width, end * width);
+        ink.set(dither(block, width, end - start, mode, DEFAULT_THRESHOLD, carry), start * width);
+      }
+      return ink;
+    };
+
+    it('should match one pass when the error is carried on', () => {
+      const whole = dither(luminance, width, height, mode);
+
+      expect(inBlocks(7, createDiffusionError(width))).toEqual(whole);
+      expect(inBlocks(1, createDiffusionError(width))).toEqual(whole);
+      expect(inBlocks(7)).not.toEqual(whole);
+    });
+  });
+
+  it('should throw on an unknown mode', () => {
+    const mode = /** @type {any} */ ('sparkle');
+    expect(() => dither(flatLuminance(1, 1, 0), 1, 1, mode)).toThrow(
+      'Unknown dithering mode: sparkle'
+    );
+  });
+});
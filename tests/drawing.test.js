@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { DrawingManager } from '../src/modules/drawing.js';
 import { CANVAS_CONFIG, DRAWING_SIZES } from '../src/modules/constants.js';
 
@@ -105,6 +105,44 @@ describe('DrawingManager', () => {
     });
   });
 
+  describe('setWidth', () => {
+    it.each([576, 832])('should resize to %i dots keeping the proportions', (width) => {
+      drawingManager.setWidth(width);
+
+      expect(canvas.width).toBe(width);
+      expect(canvas.height).toBe(Math.round((width * CANVAS_CONFIG.HEIGHT) / CANVAS_CONFIG.WIDTH));
+    });
+
+    it('should leave the canvas alone at the same size', () => {
+      drawingManager.setWidth(CANVAS_CONFIG.WIDTH);
+      expect(canvas.style.aspectRatio).toBe('');
+    });
+  });
+
+  describe('resize', () => {
+    it('should reshape the canvas to a label', () => {
+      drawingManager.resize(320, 240);
+
+      expect(canvas.width).toBe(320);
+      expect(canvas.height).toBe(240);
+      expect(canvas.style.aspectRatio).toBe('320 / 240');
+    });
+  });
+
+  describe('toCanvasPoint', () => {
+    it('should scale screen positions to canvas pixels', () => {
+      drawingManager.setWidth(576);
+      canvas.getBoundingClientRect = () =>
+        /** @type {DOMRect} */ ({ left: 10, top: 20, width: 288, height: 375 });
+
+      const point = drawingManager.toCanvasPoint(
+        new MouseEvent('mousedown', { clientX: 110, clientY: 120 })
+      );
+
+      expect(point).toEqual({ x: 200, y: 200 });
+    });
+  });
+
   describe('stopDrawing', () => {
     it('should set isDrawing to false', () => {
       drawingManager.isDrawing = true;
@@ -160,6 +198,38 @@ describe('DrawingManager', () => {
     });
   });
 
+  describe('onChange', () => {
+    it('should be called when the drawing changes', () => {
+      const onChange = vi.fn();
+      drawingManager.onChange = onChange;
+
+      const changes = [
+        () => {
+          drawingManager.startDrawing(new MouseEvent('mousedown', { clientX: 1, clientY: 1 }));
+          drawingManager.draw(new MouseEvent('mousemove', { clientX: 5, clientY: 5 }));
+        },
+        () => drawingManager.addText('Hi', '#000000', DRAWING_SIZES.SMALL),
+        () => drawingManager.clearCanvas(),
+        () => drawingManager.resize(200, 100),
+      ];
+
+      for (const change of changes) {
+        onChange.mockClear();
+        change();
+        expect(onChange).toHaveBeenCalled();
+      }
+    });
+
+    it('should not be called for pointer moves without drawing', () => {
+      const onChange = vi.fn();
+      drawingManager.onChange = onChange;
+
+      drawingManager.draw(new MouseEvent('mousemove', { clientX: 5, clientY: 5 }));
+
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getCanvas', () => {
     it('should return the canvas element', () => {
       expect(drawingManager.getCanvas()).toBe(canvas);
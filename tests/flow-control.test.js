@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FlowController } from '../src/modules/flow-control.js';
+import { FLOW_CONFIG } from '../src/modules/constants.js';
+
+/** 1000 bytes of buffer, printed at 1 byte per ms */
+const tuning = { BUFFER_BYTES: 1000, BYTES_PER_SEC: 1000, XON_XOFF: true };
+
+describe('FlowController', () => {
+  /** @type {FlowController} */
+  let flow;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    flow = new FlowController(tuning);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  /**
+   * Resolve once waitForRoom does, reporting how long it took
+   * @param {number} size
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  const timeWait = async (size) => {
+    const startedAt = Date.now();
+    const waiting = flow.waitForRoom(size);
+    await vi.runAllTimersAsync();
+    await waiting;
+    return Date.now() - startedAt;
+  };
+
+  it('should not wait while the buffer has room', async () => {
+    flow.recordWrite(600, 0);
+    expect(await timeWait(400)).toBe(0);
+  });
+
+  it('should wait for the printer to print enough to fit the next chunk', async () => {
+    flow.recordWrite(1000, 0);
+    expect(await timeWait(250)).toBe(Math.ceil(250 / flow.rate));
+  });
+
+  it('should drain the buffer as time passes', async () => {
+    flow.recordWrite(1000, 0);
+    vi.advanceTimersByTime(600);
+    const printed = 600 * flow.rate;
+    expect(await timeWait(800)).toBe(Math.ceil((800 - printed) / flow.rate));
+  });
+
+  it('should only wait for an empty buffer for chunks bigger than it', async () => {
+    flow.recordWrite(300, 0);
+    expect(await timeWait(5000)).toBe(Math.ceil(300 / flow.rate));
+  });
+
+  it('should speed up while writes go through smoothly', () => {
+    for (let i = 0; i < 20; i++) flow.recordWrite(100, 10);
+    expect(flow.getBytesPerSecond()).toBeGreaterThan(1000);
+    expect(flow.stats.stalls).toBe(0);
+
+    for (let i = 0; i < 1000; i++) flow.recordWrite(100, 10);
+    expect(flow.getBytesPerSecond()).toBe(1000 * FLOW_CONFIG.MAX_RATE_FACTOR);
+  });
+
+  it('should treat a held-back acknowledgement as a full buffer and back off', () => {
+    flow.recordWrite(100, 10);
+    const before = flow.rate;
+
+    flow.recordWrite(100, 200);
+
+    expect(flow.stats.stalls).toBe(1);
+    expect(flow.level).toBe(tuning.BUFFER_BYTES);
+    expect(flow.rate).toBeCloseTo(before * FLOW_CONFIG.BACKOFF_FACTOR);
+  });
+
+  it('should not count short writes as stalls', () => {
+    flow.recordWrite(100, 1);
+    flow.recordWrite(100, 20);
+    expect(flow.stats.stalls).toBe(0);
+  });
+
+  it('should never back off below the minimum rate', () => {
+    flow.recordWrite(100, 1);
+    for (let i = 0; i < 50; i++) flow.handleNotification(new Uint8Array([FLOW_CONFIG.XOFF]));
+    expect(flow.getBytesPerSecond()).toBe(1000 * FLOW_CONFIG.MIN_RATE_FACTOR);
+  });
+
+  describe('settle', () => {
+    /**
+     * @param {number} ms
+     * @returns {Promise<number>} Milliseconds settle took
+     */
+    const timeSettle = async (ms) => {
+      const startedAt = Date.now();
+      const settling = flow.settle(ms);
+      await vi.runAllTimersAsync();
+      await settling;
+      return Date.now() - startedAt;
+    };
+
+    it('should wait the command time at the tuned rate', async () => {
+      expect(await timeSettle(100)).toBe(100);
+    });
+
+    it('should wait longer once the printer has pushed back', async () => {
+      flow.pause();
+      flow.resume();
+      expect(await timeSettle(100)).toBe(Math.ceil(100 / FLOW_CONFIG.BACKOFF_FACTOR));
+    });
+
+    it('should hold on after an XOFF until XON', async () => {
+      flow.handleNotification(new Uint8Array([FLOW_CONFIG.XOFF]));
+      const settling = flow.settle(100);
+      await vi.advanceTimersByTimeAsync(1000);
+      flow.handleNotification(new Uint8Array([FLOW_CONFIG.XON]));
+      await vi.runAllTimersAsync();
+      await settling;
+
+      expect(flow.stats.waitMs).toBe(1000 + Math.ceil(100 / FLOW_CONFIG.BACKOFF_FACTOR));
+    });
+  });
+
+  describe('XON/XOFF', () => {
+    it('should pause writing on XOFF until XON', async () => {
+      expect(flow.handleNotification(new Uint8Array([FLOW_CONFIG.XOFF]))).toBe(true);
+      expect(flow.paused).toBe(true);
+
+      let resumed = false;
+      const waiting = flow.waitForRoom(10).then(() => (resumed = true));
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(resumed).toBe(false);
+
+      expect(flow.handleNotification(new DataView(new Uint8Array([FLOW_CONFIG.XON]).buffer))).toBe(true);
+      await vi.runAllTimersAsync();
+      await waiting;
+      expect(flow.paused).toBe(false);
+      expect(flow.stats.xoffs).toBe(1);
+    });
+
+    it('should carry on if XON never comes', async () => {
+      flow.handleNotification(new Uint8Array([FLOW_CONFIG.XOFF]));
+      const waited = await timeWait(10);
+
+      expect(waited).toBeGreaterThanOrEqual(FLOW_CONFIG.XOFF_TIMEOUT_MS);
+      expect(flow.paused).toBe(false);
+    });
+
+    it('should leave other notifications alone', () => {
+      expect(flow.handleNotification(new Uint8Array([0x1a, 0x06, 0x88]))).toBe(false);
+      expect(flow.handleNotification(new Uint8Array([0x42]))).toBe(false);
+    });
+
+    it('should ignore XOFF from printers that do not use it', () => {
+      const quiet = new FlowController({ ...tuning, XON_XOFF: false });
+      expect(quiet.handleNotification(new Uint8Array([FLOW_CONFIG.XOFF]))).toBe(false);
+      expect(quiet.paused).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createDefaultMedia,
+  normalizeMedia,
+  isLabelMedia,
+  loadMediaSettings,
+  saveMediaSettings,
+  getCanvasSize,
+  getLabelGapCommand,
+  getMediaTypeCommand,
+  getLabelFeedCommand,
+} from '../src/modules/label-media.js';
+import {
+  MEDIA_TYPES,
+  LABEL_CONFIG,
+  STORAGE_KEYS,
+  PRINTER_CONFIGS,
+  PRINTER_MODELS,
+  DEFAULT_PRINTER_CONFIG,
+} from '../src/modules/constants.js';
+
+/**
+ * @param {Partial<import('../src/modules/label-media.js').MediaSettings>} [overrides]
+ */
+const labels = (overrides = {}) => ({
+  ...createDefaultMedia(),
+  type: MEDIA_TYPES.GAP,
+  ...overrides,
+});
+
+describe('normalizeMedia', () => {
+  it('should default to a continuous roll', () => {
+    expect(normalizeMedia(null)).toEqual(createDefaultMedia());
+    expect(createDefaultMedia().type).toBe(MEDIA_TYPES.CONTINUOUS);
+  });
+
+  it('should keep valid settings', () => {
+    const media = labels({ type: MEDIA_TYPES.BLACK_MARK, widthMm: 50, heightMm: 80, gapMm: 2 });
+    expect(normalizeMedia(media)).toEqual(media);
+  });
+
+  it('should fall back on unknown types and bad numbers', () => {
+    const media = normalizeMedia(
+      /** @type {any} */ ({ type: 'papyrus', widthMm: NaN, heightMm: 'tall', gapMm: undefined })
+    );
+    expect(media).toEqual(createDefaultMedia());
+  });
+
+  it('should clamp sizes to what printers can handle', () => {
+    const media = normalizeMedia(labels({ widthMm: 1, heightMm: 5000, gapMm: -3 }));
+
+    expect(media.widthMm).toBe(LABEL_CONFIG.MIN_SIZE_MM);
+    expect(media.heightMm).toBe(LABEL_CONFIG.MAX_HEIGHT_MM);
+    expect(media.gapMm).toBe(0);
+  });
+});
+
+describe('isLabelMedia', () => {
+  it('should treat gap and black mark paper as labels', () => {
+    expect(isLabelMedia(labels())).toBe(true);
+    expect(isLabelMedia(labels({ type: MEDIA_TYPES.BLACK_MARK }))).toBe(true);
+    expect(isLabelMedia(createDefaultMedia())).toBe(false);
+  });
+});
+
+describe('media storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should round-trip settings', () => {
+    const media = labels({ widthMm: 50, heightMm: 30 });
+    saveMediaSettings(media);
+    expect(loadMediaSettings()).toEqual(media);
+  });
+
+  it('should fall back to defaults when nothing or garbage is stored', () => {
+    expect(loadMediaSettings()).toEqual(createDefaultMedia());
+
+    localStorage.setItem(STORAGE_KEYS.MEDIA_SETTINGS, '{oops');
+    expect(loadMediaSettings()).toEqual(createDefaultMedia());
+  });
+});
+
+describe('getCanvasSize', () => {
+  it('should use the full print width for a roll', () => {
+    expect(getCanvasSize(createDefaultMedia(), 384)).toEqual({ width: 384, height: 500 });
+    expect(getCanvasSize(createDefaultMedia(), 576).width).toBe(576);
+  });
+
+  it('should size the canvas to the label at 8 dots per mm', () => {
+    expect(getCanvasSize(labels({ widthMm: 40, heightMm: 30 }), 384)).toEqual({
+      width: 320,
+      height: 240,
+    });
+  });
+
+  it('should round label width down to whole bytes', () => {
+    expect(getCanvasSize(labels({ widthMm: 33 }), 384).width).toBe(264);
+  });
+
+  it('should not be wider than the print head', () => {
+    expect(getCanvasSize(labels({ widthMm: 100, heightMm: 150 }), 384)).toEqual({
+      width: 384,
+      height: 1200,
+    });
+  });
+});
+
+describe('getLabelGapCommand', () => {
+  const template = PRINTER_CONFIGS[PRINTER_MODELS.T02].INIT_COMMANDS.SET_LABEL_GAP;
+
+  it('should send no gap for continuous paper', () => {
+    expect(getLabelGapCommand(template, createDefaultMedia())).toEqual([0x1a, 0x07, 0x01, 0x00, 0x00]);
+  });
+
+  it('should send the gap length in dots, high byte first', () => {
+    expect(getLabelGapCommand(template, labels({ gapMm: 3 }))).toEqual([0x1a, 0x07, 0x01, 0x00, 24]);
+    expect(getLabelGapCommand(template, labels({ gapMm: 20 }))).toEqual([0x1a, 0x07, 0x01, 0x00, 160]);
+    expect(getLabelGapCommand([0x00, 0x00], labels({ gapMm: 40 }))).toEqual([0x01, 0x40]);
+  });
+});
+
+describe('getMediaTypeCommand', () => {
+  const blackMarks = labels({ type: MEDIA_TYPES.BLACK_MARK });
+
+  it('should pick the gap or black mark sensor with FS ( L', () => {
+    expect(getMediaTypeCommand(DEFAULT_PRINTER_CONFIG, labels())).toEqual([
+      0x1c, 0x28, 0x4c, 0x02, 0x00, 0x21, 0x31,
+    ]);
+    expect(getMediaTypeCommand(DEFAULT_PRINTER_CONFIG, blackMarks)).toEqual([
+      0x1c, 0x28, 0x4c, 0x02, 0x00, 0x21, 0x32,
+    ]);
+  });
+
+  it('should send nothing for a roll to printers that start on one', () => {
+    expect(getMediaTypeCommand(DEFAULT_PRINTER_CONFIG, createDefaultMedia())).toBeNull();
+  });
+
+  it("should use the printer's own paper type command", () => {
+    const config = PRINTER_CONFIGS[PRINTER_MODELS.T02];
+    expect(getMediaTypeCommand(config, createDefaultMedia())).toEqual([0x1f, 0x11, 0x0b]);
+    expect(getMediaTypeCommand(config, labels())).toEqual([0x1f, 0x11, 0x0a]);
+    expect(getMediaTypeCommand(config, blackMarks)).toEqual([0x1f, 0x11, 0x26]);
+  });
+});
+
+describe('getLabelFeedCommand', () => {
+  it('should be GS FF', () => {
+    expect(getLabelFeedCommand()).toEqual([0x1d, 0x0c]);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  niimbotPacket,
+  getNiimbotReplyCode,
+  encodeNiimbotRow,
+  getNiimbotLabelType,
+  getNiimbotDensity,
+  decodeNiimbotPackets,
+  NiimbotReplies,
+} from '../src/modules/niimbot.js';
+import {
+  NIIMBOT,
+  MEDIA_TYPES,
+  PRINTER_CONFIGS,
+  PRINTER_MODELS,
+} from '../src/modules/constants.js';
+
+const { COMMANDS } = NIIMBOT;
+
+describe('niimbotPacket', () => {
+  it('should frame the data with header, length, XOR checksum and trailer', () => {
+    expect(niimbotPacket(0x21, [0x03])).toEqual([
+      0x55, 0x55, 0x21, 0x01, 0x03, 0x21 ^ 0x01 ^ 0x03, 0xaa, 0xaa,
+    ]);
+  });
+});
+
+describe('getNiimbotReplyCode', () => {
+  it('should add the reply offset for the command', () => {
+    expect(getNiimbotReplyCode(COMMANDS.START_PRINT)).toBe(0x02);
+    expect(getNiimbotReplyCode(COMMANDS.END_PAGE)).toBe(0xe4);
+    expect(getNiimbotReplyCode(COMMANDS.SET_LABEL_DENSITY)).toBe(0x31);
+    expect(getNiimbotReplyCode(COMMANDS.GET_PRINT_STATUS)).toBe(0xb3);
+  });
+});
+
+describe('encodeNiimbotRow', () => {
+  it('should send the row number and the row centered on the print head', () => {
+    const [packet] = decodeNiimbotPackets(new Uint8Array(encodeNiimbotRow([0xf0], 300, 4)));
+
+    expect(packet.command).toBe(COMMANDS.BITMAP_ROW);
+    expect(Array.from(packet.data)).toEqual([0x01, 0x2c, 0, 0, 0, 1, 0x00, 0xf0, 0x00, 0x00]);
+  });
+
+  it('should use the short packet for blank rows', () => {
+    const [packet] = decodeNiimbotPackets(new Uint8Array(encodeNiimbotRow([0, 0], 5, 4)));
+
+    expect(packet.command).toBe(COMMANDS.EMPTY_ROWS);
+    expect(Array.from(packet.data)).toEqual([0x00, 0x05, 1]);
+  });
+});
+
+describe('getNiimbotLabelType', () => {
+  it.each([
+    [MEDIA_TYPES.GAP, NIIMBOT.LABEL_TYPES.GAP],
+    [MEDIA_TYPES.BLACK_MARK, NIIMBOT.LABEL_TYPES.BLACK_MARK],
+    [MEDIA_TYPES.CONTINUOUS, NIIMBOT.LABEL_TYPES.CONTINUOUS],
+  ])('should map %s paper', (type, labelType) => {
+    expect(getNiimbotLabelType({ type, widthMm: 40, heightMm: 30, gapMm: 3 })).toBe(labelType);
+  });
+});
+
+describe('getNiimbotDensity', () => {
+  it('should clamp to the levels the model takes', () => {
+    const d11 = PRINTER_CONFIGS[PRINTER_MODELS.NIIMBOT_D11];
+    expect(getNiimbotDensity(d11)).toBe(2);
+    expect(getNiimbotDensity(d11, { density: 9 })).toBe(3);
+  });
+});
+
+describe('decodeNiimbotPackets', () => {
+  it('should reject a bad checksum', () => {
+    const bytes = niimbotPacket(0x01, [0x01]);
+    bytes[5] ^= 0xff;
+    expect(() => decodeNiimbotPackets(new Uint8Array(bytes))).toThrow(
+      'Bad checksum in packet at byte 0'
+    );
+  });
+
+  it('should reject a stream cut short', () => {
+    const bytes = niimbotPacket(0x01, [0x01]).slice(0, 6);
+    expect(() => decodeNiimbotPackets(new Uint8Array(bytes))).toThrow(
+      'Stream ends inside a packet at byte 0'
+    );
+  });
+});
+
+describe('NiimbotReplies', () => {
+  /** @type {NiimbotReplies} */
+  let replies;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    replies = new NiimbotReplies();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should resolve the request the reply answers', async () => {
+    const startPage = replies.wait(COMMANDS.START_PAGE);
+    const startPrint = replies.wait(COMMANDS.START_PRINT);
+
+    // Noise before the packet is skipped
+    const handled = replies.handle(new Uint8Array([0x00, ...niimbotPacket(0x02, [0x01])]));
+
+    expect(handled).toBe(true);
+    expect(Array.from(await startPrint)).toEqual([0x01]);
+    replies.handle(new Uint8Array(niimbotPacket(0x04, [0x01])));
+    expect(Array.from(await startPage)).toEqual([0x01]);
+  });
+
+  it('should ignore notifications that hold no packets', () => {
+    expect(replies.handle(new Uint8Array([0x13]))).toBe(false);
+  });
+
+  it('should reject the oldest request when the printer reports an error', async () => {
+    const first = replies.wait(COMMANDS.START_PRINT);
+    const second = replies.wait(COMMANDS.START_PAGE);
+
+    replies.handle(new Uint8Array(niimbotPacket(COMMANDS.ERROR, [0x00])));
+
+    await expect(first).rejects.toThrow('refused the print');
+    replies.cancelAll(new Error('Printer disconnected'));
+    await expect(second).rejects.toThrow('Printer disconnected');
+  });
+
+  it('should give up when no reply comes in time', async () => {
+    const reply = replies.wait(COMMANDS.START_PRINT, 1000);
+    const assertion = expect(reply).rejects.toThrow('stopped answering');
+
+    await vi.advanceTimersByTimeAsync(1000);
+    await assertion;
+  });
+});
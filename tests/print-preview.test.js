@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { bitmapToCanvas, renderPrintPreview } from '../src/modules/print-preview.js';
+import { bitmapFromRows } from '../src/modules/bitmap.js';
+import { DITHER_MODES } from '../src/modules/constants.js';
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} x
+ * @param {number} y
+ * @returns {number} Red channel of the pixel
+ */
+function pixelAt(canvas, x, y) {
+  const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+  return ctx.getImageData(x, y, 1, 1).data[0];
+}
+
+/**
+ * A white drawing with a filled square in the top left corner
+ * @param {string} color
+ * @returns {HTMLCanvasElement}
+ */
+function drawingWithSquare(color) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 32;
+  canvas.height = 4;
+  const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+  ctx.fillStyle = 'white';
+  ctx.fillRect(0, 0, 32, 4);
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, 4, 4);
+  return canvas;
+}
+
+describe('bitmapToCanvas', () => {
+  it('should draw set bits black and the rest white', () => {
+    const canvas = bitmapToCanvas(bitmapFromRows([[0b10100000], [0b00000001]]), 8);
+
+    expect(canvas.width).toBe(8);
+    expect(canvas.height).toBe(2);
+    expect([0, 1, 2, 3].map((x) => pixelAt(canvas, x, 0))).toEqual([0, 255, 0, 255]);
+    expect(pixelAt(canvas, 7, 1)).toBe(0);
+    expect(pixelAt(canvas, 6, 1)).toBe(255);
+  });
+
+  it('should leave dots past the print head white', () => {
+    const canvas = bitmapToCanvas(bitmapFromRows([[0xff]]), 16);
+
+    expect(pixelAt(canvas, 7, 0)).toBe(0);
+    expect(pixelAt(canvas, 8, 0)).toBe(255);
+  });
+});
+
+describe('renderPrintPreview', () => {
+  it('should lose light colors the threshold drops, as printing does', () => {
+    const drawing = drawingWithSquare('#ffff00');
+
+    expect(pixelAt(renderPrintPreview(drawing, 4), 1, 1)).toBe(255);
+    expect(pixelAt(renderPrintPreview(drawing, 4, { threshold: 240 }), 1, 1)).toBe(0);
+  });
+
+  it('should keep dark colors', () => {
+    const preview = renderPrintPreview(drawingWithSquare('#000080'), 4, {
+      dither: DITHER_MODES.THRESHOLD,
+    });
+
+    expect(pixelAt(preview, 0, 0)).toBe(0);
+    expect(pixelAt(preview, 4, 0)).toBe(255);
+  });
+
+  it('should cut the drawing to a narrower printer', () => {
+    const drawing = drawingWithSquare('black');
+    const ctx = /** @type {CanvasRenderingContext2D} */ (drawing.getContext('2d'));
+    ctx.fillRect(24, 0, 8, 4);
+
+    const preview = renderPrintPreview(drawing, 2);
+
+    expect(preview.width).toBe(32);
+    expect(pixelAt(preview, 0, 0)).toBe(0);
+    expect(pixelAt(preview, 28, 0)).toBe(255);
+  });
+});
@@ -0,0 +1,591 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PrintQueue } from '../src/modules/print-queue.js';
+import { PrinterManager } from '../src/modules/printer.js';
+import { PrinterPool } from '../src/modules/printer-pool.js';
+import { LoopbackTransport } from '../src/modules/transports.js';
+import { PrinterError } from '../src/modules/printer-errors.js';
+import { layoutBanner } from '../src/modules/banner.js';
+import {
+  PRINTER_CONFIGS,
+  PRINTER_MODELS,
+  QUEUE_CONFIG,
+  PRINT_LAYOUT,
+  PRINTER_ERRORS,
+  MEDIA_TYPES,
+  RECEIPT_BLOCKS,
+  BARCODE_FORMATS,
+} from '../src/modules/constants.js';
+
+/**
+ * @typedef {import('../src/modules/printer.js').RowSource} RowSource
+ */
+
+/**
+ * A promise that can be settled from the outside, to hold a print "in progress"
+ */
+function deferred() {
+  /** @type {(value?: unknown) => void} */
+  let resolve = () => {};
+  /** @type {(reason?: unknown) => void} */
+  let reject = () => {};
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+describe('PrintQueue', () => {
+  /** @type {PrinterManager} */
+  let printerManager;
+  /** @type {PrintQueue} */
+  let queue;
+  /** @type {HTMLCanvasElement} */
+  let canvas;
+  /** @type {import('vitest').Mock} */
+  let printBitmap;
+  /** @type {import('vitest').Mock} */
+  let feed;
+
+  beforeEach(() => {
+    printerManager = new PrinterManager();
+    printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.T02];
+    printBitmap = vi.fn().mockResolvedValue(undefined);
+    feed = vi.fn().mockResolvedValue(undefined);
+    printerManager.printBitmap = printBitmap;
+    printerManager.feed = feed;
+
+    queue = new PrintQueue(printerManager);
+    canvas = document.createElement('canvas');
+    canvas.width = 8;
+    canvas.height = 2;
+  });
+
+  it('should print a queued job', async () => {
+    const done = vi.fn();
+    queue.addEventListener('jobdone', done);
+
+    const job = queue.add(canvas);
+
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+    expect(printBitmap).toHaveBeenCalledTimes(1);
+    expect(printBitmap.mock.calls[0][0]).toMatchObject({ height: 2, bytesPerLine: 1 });
+    expect(done).toHaveBeenCalledTimes(1);
+  });
+
+  it('should queue printer rows under the given name', async () => {
+    const source = { height: 2, bytesPerLine: 1, getRows: () => new Uint8Array(2) };
+    const job = queue.addBitmap(source, { copies: 2 }, 'Banner');
+
+    expect(job.label).toBe(`Banner #${job.id}`);
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+    expect(printBitmap).toHaveBeenCalledTimes(2);
+    expect(printBitmap.mock.calls[0][0]).toBe(source);
+  });
+
+  it('should print receipts with printReceipt', async () => {
+    const printReceipt = vi.fn().mockResolvedValue(undefined);
+    printerManager.printReceipt = printReceipt;
+    /** @type {import('../src/modules/receipt.js').ReceiptBlock[]} */
+    const blocks = [{ type: RECEIPT_BLOCKS.TEXT, text: 'Lemonade' }];
+
+    const job = queue.addReceipt(blocks);
+
+    expect(job.label).toBe(`Text #${job.id}`);
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+    expect(printReceipt.mock.calls[0][0]).toBe(blocks);
+    expect(printBitmap).not.toHaveBeenCalled();
+  });
+
+  it('should refuse a receipt the printer cannot fit', () => {
+    /** @type {import('../src/modules/receipt.js').ReceiptBlock[]} */
+    const blocks = [
+      { type: RECEIPT_BLOCKS.BARCODE, format: BARCODE_FORMATS.CODE128, data: 'x'.repeat(60) },
+    ];
+
+    expect(() => queue.addReceipt(blocks)).toThrow('too long for the paper');
+    expect(queue.jobs).toHaveLength(0);
+  });
+
+  it('should print with the density and speed chosen when queued', async () => {
+    const job = queue.add(canvas, { density: 14, speed: 3 });
+
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+    expect(printBitmap.mock.calls[0][2]).toEqual({ density: 14, speed: 3 });
+  });
+
+  it('should keep only valid layout settings for the job', async () => {
+    const job = queue.add(canvas, { feedAfter: 50, cut: 'sideways', trim: true, dither: 'none' });
+
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+    expect(printBitmap.mock.calls[0][2]).toEqual({
+      feedAfter: PRINT_LAYOUT.MAX_FEED_LINES,
+      trim: true,
+    });
+  });
+
+  it('should snapshot the canvas when the job is queued', async () => {
+    const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, 8, 2);
+
+    queue.pause();
+    const job = queue.add(canvas);
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, 8, 2);
+    queue.resume();
+
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+    /** @type {import('../src/modules/printer.js').RowSource} */
+    const rows = printBitmap.mock.calls[0][0];
+    expect(rows.height).toBe(2);
+    expect([...(await rows.getRows(0, 2))]).toEqual([0xff, 0xff]);
+  });
+
+  it('should print jobs one at a time in order', async () => {
+    const first = deferred();
+    printBitmap.mockReturnValueOnce(first.promise);
+
+    const job1 = queue.add(canvas);
+    const job2 = queue.add(canvas);
+
+    expect(job1.state).toBe('printing');
+    expect(job2.state).toBe('pending');
+    expect(printBitmap).toHaveBeenCalledTimes(1);
+
+    first.resolve();
+
+    await vi.waitFor(() => expect(job2.state).toBe('done'));
+    expect(job1.state).toBe('done');
+    expect(printBitmap).toHaveBeenCalledTimes(2);
+  });
+
+  it('should print copies with a separator feed between them', async () => {
+    const job = queue.add(canvas, { copies: 3 });
+
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+    expect(printBitmap).toHaveBeenCalledTimes(3);
+    expect(feed).toHaveBeenCalledTimes(2);
+    expect(feed).toHaveBeenCalledWith(QUEUE_CONFIG.SEPARATOR_FEED_LINES);
+    expect(job.copiesPrinted).toBe(3);
+  });
+
+  it('should not add separator feeds between labels', async () => {
+    printerManager.setMedia({ type: MEDIA_TYPES.GAP, widthMm: 40, heightMm: 30, gapMm: 3 });
+    const job = queue.add(canvas, { copies: 3 });
+
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+    expect(printBitmap).toHaveBeenCalledTimes(3);
+    expect(feed).not.toHaveBeenCalled();
+  });
+
+  it('should clamp the number of copies', () => {
+    queue.pause();
+    expect(queue.add(canvas, { copies: 0 }).copies).toBe(1);
+    expect(queue.add(canvas, { copies: 500 }).copies).toBe(QUEUE_CONFIG.MAX_COPIES);
+  });
+
+  it('should not start jobs while paused', async () => {
+    queue.pause();
+    const job = queue.add(canvas);
+
+    expect(job.state).toBe('pending');
+    expect(printBitmap).not.toHaveBeenCalled();
+
+    queue.resume();
+
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+  });
+
+  it('should pause between copies and continue on resume', async () => {
+    const first = deferred();
+    printBitmap.mockReturnValueOnce(first.promise);
+
+    const job = queue.add(canvas, { copies: 2 });
+    queue.pause();
+    first.resolve();
+
+    await vi.waitFor(() => expect(job.state).toBe('pending'));
+    expect(job.copiesPrinted).toBe(1);
+
+    queue.resume();
+
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+    expect(printBitmap).toHaveBeenCalledTimes(2);
+  });
+
+  it('should cancel a pending job', async () => {
+    queue.pause();
+    const job = queue.add(canvas);
+
+    expect(queue.cancel(job.id)).toBe(true);
+    queue.resume();
+
+    expect(job.state).toBe('cancelled');
+    expect(printBitmap).not.toHaveBeenCalled();
+  });
+
+  it('should stop an active job after the current copy', async () => {
+    const first = deferred();
+    printBitmap.mockReturnValueOnce(first.promise);
+
+    const job = queue.add(canvas, { copies: 3 });
+    queue.cancel(job.id);
+    first.resolve();
+
+    await vi.waitFor(() => expect(queue.getActiveJobs()).toEqual([]));
+    expect(job.state).toBe('cancelled');
+    expect(printBitmap).toHaveBeenCalledTimes(1);
+  });
+
+  it('should abort the active copy when cancelled', async () => {
+    /** @type {AbortSignal | undefined} */
+    let signal;
+    printBitmap.mockImplementationOnce((_bitmap, control) => {
+      signal = control.signal;
+      return new Promise((_resolve, reject) => {
+        control.signal.addEventListener('abort', () => reject(control.signal.reason));
+      });
+    });
+    const cancelled = vi.fn();
+    const failed = vi.fn();
+    queue.addEventListener('jobcancelled', cancelled);
+    queue.addEventListener('jobfailed', failed);
+
+    const job = queue.add(canvas);
+    queue.cancel(job.id);
+
+    await vi.waitFor(() => expect(cancelled).toHaveBeenCalledTimes(1));
+    expect(signal?.aborted).toBe(true);
+    expect(job.state).toBe('cancelled');
+    expect(failed).not.toHaveBeenCalled();
+    expect(queue.isPaused).toBe(false);
+  });
+
+  it('should pass progress through to listeners', async () => {
+    printBitmap.mockImplementationOnce(async (_bitmap, control) => {
+      control.onProgress({ rowsSent: 1, totalRows: 2, bytesSent: 9, totalBytes: 18 });
+    });
+    const progress = vi.fn();
+    queue.addEventListener('progress', progress);
+
+    const job = queue.add(canvas);
+
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+    expect(progress).toHaveBeenCalledTimes(1);
+    expect(progress.mock.calls[0][0].detail).toBe(job);
+  });
+
+  it('should not cancel a finished job', async () => {
+    const job = queue.add(canvas);
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+
+    expect(queue.cancel(job.id)).toBe(false);
+    expect(queue.cancel(999)).toBe(false);
+  });
+
+  it('should mark failed jobs and pause the queue', async () => {
+    printBitmap.mockRejectedValueOnce(new Error('Printer not connected'));
+    const failed = vi.fn();
+    queue.addEventListener('jobfailed', failed);
+
+    const job1 = queue.add(canvas);
+    const job2 = queue.add(canvas);
+
+    await vi.waitFor(() => expect(job1.state).toBe('failed'));
+    expect(job1.error).toBe('Printer not connected');
+    expect(queue.isPaused).toBe(true);
+    expect(job2.state).toBe('pending');
+    expect(failed).toHaveBeenCalledTimes(1);
+  });
+
+  it('should tell the user what to do when a job fails', async () => {
+    printBitmap.mockRejectedValueOnce(new PrinterError(PRINTER_ERRORS.PAPER_OUT, 'paper sensor'));
+
+    const job = queue.add(canvas);
+
+    await vi.waitFor(() => expect(job.state).toBe('failed'));
+    expect(job.error).toBe('The printer ran out of paper. Put in a new roll.');
+  });
+
+  it('should carry on from the last row the printer took when retried', async () => {
+    printBitmap.mockImplementationOnce(async (_bitmap, control) => {
+      control.onProgress({ rowsSent: 16, totalRows: 40, bytesSent: 0, totalBytes: 0 });
+      throw new PrinterError(PRINTER_ERRORS.WRITE_FAILED, 'link lost');
+    });
+    const job = queue.add(canvas, { copies: 2 });
+    await vi.waitFor(() => expect(job.state).toBe('failed'));
+    expect(job.resumeRow).toBe(16);
+
+    expect(queue.retry(job.id)).toBe(true);
+
+    expect(queue.isPaused).toBe(false);
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+    expect(printBitmap.mock.calls.map(([, control]) => control.startRow)).toEqual([0, 16, 0]);
+    // Only the second copy is fed apart from the first
+    expect(feed).toHaveBeenCalledTimes(1);
+    expect(job.error).toBeNull();
+  });
+
+  it('should start labels over when retried', async () => {
+    printerManager.setMedia({ type: MEDIA_TYPES.GAP, widthMm: 40, heightMm: 30, gapMm: 3 });
+    printBitmap.mockImplementationOnce(async (_bitmap, control) => {
+      control.onProgress({ rowsSent: 16, totalRows: 40, bytesSent: 0, totalBytes: 0 });
+      throw new PrinterError(PRINTER_ERRORS.WRITE_FAILED, 'link lost');
+    });
+    const job = queue.add(canvas);
+    await vi.waitFor(() => expect(job.state).toBe('failed'));
+
+    expect(job.resumeRow).toBe(0);
+  });
+
+  it('should only retry failed jobs', async () => {
+    const job = queue.add(canvas);
+    await vi.waitFor(() => expect(job.state).toBe('done'));
+
+    expect(queue.retry(job.id)).toBe(false);
+    expect(queue.retry(999)).toBe(false);
+  });
+
+  it('should list pending and finished jobs separately', async () => {
+    const job1 = queue.add(canvas);
+    await vi.waitFor(() => expect(job1.state).toBe('done'));
+    queue.pause();
+    const job2 = queue.add(canvas);
+
+    expect(queue.getPendingJobs()).toEqual([job2]);
+    expect(queue.getFinishedJobs()).toEqual([job1]);
+
+    queue.clearFinished();
+
+    expect(queue.getFinishedJobs()).toEqual([]);
+    expect(queue.getPendingJobs()).toEqual([job2]);
+  });
+
+  it('should emit change events', async () => {
+    const change = vi.fn();
+    queue.addEventListener('change', change);
+
+    queue.pause();
+    queue.add(canvas);
+
+    expect(change).toHaveBeenCalledTimes(2);
+  });
+
+  it('should throw when the printer is not configured', () => {
+    printerManager.config = null;
+    expect(() => queue.add(canvas)).toThrow('Printer not configured');
+  });
+});
+
+describe('PrintQueue with several printers', () => {
+  /** @type {PrinterPool} */
+  let pool;
+  /** @type {PrintQueue} */
+  let queue;
+  /** @type {HTMLCanvasElement} */
+  let canvas;
+
+  /**
+   * Add a connected printer whose prints wait until released
+   * @param {string} name
+   * @param {string} [model]
+   */
+  const addPrinter = (name, model = PRINTER_MODELS.T02) => {
+    const manager = new PrinterManager();
+    manager.connectTransport(new LoopbackTransport(name), PRINTER_CONFIGS[model]);
+    /** @type {ReturnType<typeof deferred>[]} */
+    const prints = [];
+    manager.printBitmap = vi.fn(() => {
+      const print = deferred();
+      prints.push(print);
+      return print.promise;
+    });
+    return { printer: pool.add(manager), manager, prints };
+  };
+
+  beforeEach(() => {
+    pool = new PrinterPool();
+    queue = new PrintQueue(pool);
+    canvas = document.createElement('canvas');
+    canvas.width = 8;
+    canvas.height = 2;
+  });
+
+  it('should print on every free printer at once', async () => {
+    const kitchen = addPrinter('Kitchen');
+    const den = addPrinter('Den');
+
+    const first = queue.add(canvas);
+    const second = queue.add(canvas);
+    const third = queue.add(canvas);
+
+    expect(first.assignedTo).toBe(kitchen.printer.id);
+    expect(second.assignedTo).toBe(den.printer.id);
+    expect(third.state).toBe('pending');
+    expect(queue.getPrinterJob(den.printer.id)).toBe(second);
+
+    den.prints[0].resolve();
+    await vi.waitFor(() => expect(third.assignedTo).toBe(den.printer.id));
+    expect(second.state).toBe('done');
+  });
+
+  it('should send a job to the printer it was sent to, without holding up the others', async () => {
+    const kitchen = addPrinter('Kitchen');
+    const den = addPrinter('Den');
+
+    const busy = queue.add(canvas, { printerId: kitchen.printer.id });
+    const waiting = queue.add(canvas, { printerId: kitchen.printer.id });
+    const any = queue.add(canvas);
+
+    expect(busy.assignedTo).toBe(kitchen.printer.id);
+    expect(waiting.state).toBe('pending');
+    expect(any.assignedTo).toBe(den.printer.id);
+
+    kitchen.prints[0].resolve();
+    await vi.waitFor(() => expect(waiting.assignedTo).toBe(kitchen.printer.id));
+  });
+
+  it('should skip printers that are not connected', () => {
+    const gone = addPrinter('Gone');
+    const here = addPrinter('Here');
+    gone.manager.isConnected = false;
+
+    const job = queue.add(canvas);
+
+    expect(job.assignedTo).toBe(here.printer.id);
+  });
+
+  it('should start waiting jobs when a printer joins', async () => {
+    const kitchen = addPrinter('Kitchen');
+    queue.add(canvas);
+    const second = queue.add(canvas);
+    expect(second.state).toBe('pending');
+
+    const den = addPrinter('Den');
+
+    expect(second.assignedTo).toBe(den.printer.id);
+    kitchen.prints[0].resolve();
+  });
+
+  it('should fail jobs sent to a printer that leaves the pool', () => {
+    const kitchen = addPrinter('Kitchen');
+    queue.add(canvas, { printerId: kitchen.printer.id });
+    const waiting = queue.add(canvas, { printerId: kitchen.printer.id });
+    const failed = vi.fn();
+    queue.addEventListener('jobfailed', failed);
+
+    pool.remove(kitchen.printer.id);
+
+    expect(waiting.state).toBe('failed');
+    expect(waiting.error).toBe('The printer for this job was removed');
+    expect(failed).toHaveBeenCalledTimes(1);
+  });
+
+  it('should convert each job for the printer that prints it', () => {
+    const wide = addPrinter('Wide', PRINTER_MODELS.GENERIC_80MM);
+    const narrow = addPrinter('Narrow', PRINTER_MODELS.NIIMBOT_D11);
+    canvas.width = 576;
+
+    queue.add(canvas);
+    queue.add(canvas);
+
+    expect(wide.manager.printBitmap).toHaveBeenCalledWith(
+      expect.objectContaining({ bytesPerLine: 72 }),
+      expect.anything(),
+      expect.anything()
+    );
+    expect(narrow.manager.printBitmap).toHaveBeenCalledWith(
+      expect.objectContaining({ bytesPerLine: 12 }),
+      expect.anything(),
+      expect.anything()
+    );
+    expect(queue.getTargetPrinter({})).toBe(narrow.manager);
+  });
+
+  it('should lay out a banner for the width of the printer that prints it', async () => {
+    const wide = addPrinter('Wide', PRINTER_MODELS.GENERIC_80MM);
+    const narrow = addPrinter('Narrow', PRINTER_MODELS.NIIMBOT_D11);
+    const content = { text: 'Hi' };
+
+    queue.addBanner(content);
+    queue.addBanner(content);
+
+    for (const { manager, width } of [
+      { manager: wide.manager, width: 576 },
+      { manager: narrow.manager, width: 96 },
+    ]) {
+      const [source] = vi.mocked(manager.printBitmap).mock.calls[0];
+      expect(source).toMatchObject({
+        bytesPerLine: width / 8,
+        height: layoutBanner(content, width).length,
+      });
+      const rows = await /** @type {RowSource} */ (source).getRows(0, 8);
+      expect(rows.length).toBe(8 * (width / 8));
+    }
+  });
+
+  it('should print with the settings of the printer that takes the job', () => {
+    queue = new PrintQueue(pool, (manager) => ({ density: manager.config?.WIDTH === 96 ? 2 : 9 }));
+    const wide = addPrinter('Wide');
+    const narrow = addPrinter('Narrow', PRINTER_MODELS.NIIMBOT_D11);
+
+    queue.add(canvas);
+    queue.add(canvas, { speed: 1 });
+
+    expect(vi.mocked(wide.manager.printBitmap).mock.calls[0][2]).toEqual({ density: 9 });
+    expect(vi.mocked(narrow.manager.printBitmap).mock.calls[0][2]).toEqual({
+      density: 2,
+      speed: 1,
+    });
+  });
+
+  /**
+   * Fail a job on a printer after some of its rows went out
+   * @param {ReturnType<typeof addPrinter>} target
+   */
+  const failPartway = async (target) => {
+    const job = queue.add(canvas);
+    expect(job.assignedTo).toBe(target.printer.id);
+    const [, control] = vi.mocked(target.manager.printBitmap).mock.calls.at(-1) ?? [];
+    control?.onProgress?.({ rowsSent: 16, totalRows: 40, bytesSent: 0, totalBytes: 0 });
+    target.prints.at(-1)?.reject(new PrinterError(PRINTER_ERRORS.WRITE_FAILED, 'link lost'));
+    await vi.waitFor(() => expect(job.state).toBe('failed'));
+    return job;
+  };
+
+  it('should carry on a retried copy on the printer that started it', async () => {
+    const kitchen = addPrinter('Kitchen');
+    const den = addPrinter('Den');
+    const job = await failPartway(kitchen);
+    // Keep the kitchen printer busy, with the den free
+    queue.add(canvas, { printerId: kitchen.printer.id });
+    queue.resume();
+
+    queue.retry(job.id);
+
+    expect(job.state).toBe('pending');
+    expect(den.manager.printBitmap).not.toHaveBeenCalled();
+    kitchen.prints.at(-1)?.resolve();
+    await vi.waitFor(() => expect(job.state).toBe('printing'));
+    expect(job.assignedTo).toBe(kitchen.printer.id);
+    expect(vi.mocked(kitchen.manager.printBitmap).mock.calls.at(-1)?.[1].startRow).toBe(16);
+  });
+
+  it('should start a retried copy over when its printer has left', async () => {
+    const kitchen = addPrinter('Kitchen');
+    const den = addPrinter('Den');
+    const job = await failPartway(kitchen);
+
+    pool.remove(kitchen.printer.id);
+    queue.retry(job.id);
+
+    expect(job.assignedTo).toBe(den.printer.id);
+    expect(job.resumeRow).toBe(0);
+    expect(vi.mocked(den.manager.printBitmap).mock.calls[0][1].startRow).toBe(0);
+  });
+
+  it('should refuse jobs when no printer is connected', () => {
+    expect(() => queue.add(canvas)).toThrow('Printer not connected');
+  });
+});
@@ -0,0 +1,165 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getDensityRange,
+  getSpeedRange,
+  getInitCommands,
+  getPrintLevels,
+  loadPrinterSettings,
+  savePrinterSettings,
+  normalizePrinterSettings,
+} from '../src/modules/print-settings.js';
+import {
+  PRINTER_CONFIGS,
+  PRINTER_MODELS,
+  PRINT_LEVELS,
+  PRINT_LAYOUT,
+  ALIGNMENTS,
+  CUT_MODES,
+  STORAGE_KEYS,
+  PRINTER_PROTOCOLS,
+} from '../src/modules/constants.js';
+
+const t02 = PRINTER_CONFIGS[PRINTER_MODELS.T02];
+const hb4057 = PRINTER_CONFIGS[PRINTER_MODELS.HB4057];
+const cat = PRINTER_CONFIGS[PRINTER_MODELS.CAT];
+
+describe('getDensityRange / getSpeedRange', () => {
+  it('should default to the level in the printer config', () => {
+    expect(getDensityRange(t02)).toEqual({
+      min: PRINT_LEVELS.MIN_DENSITY,
+      max: PRINT_LEVELS.MAX_DENSITY,
+      default: 0x0c,
+    });
+    expect(getSpeedRange(t02)?.default).toBe(4);
+  });
+
+  it('should stop at the highest density the model takes', () => {
+    expect(getDensityRange(PRINTER_CONFIGS[PRINTER_MODELS.NIIMBOT_B21])).toEqual({
+      min: PRINT_LEVELS.MIN_DENSITY,
+      max: 5,
+      default: 3,
+    });
+  });
+
+  it('should be null for printers without vendor commands', () => {
+    expect(getDensityRange(hb4057)).toBeNull();
+    expect(getSpeedRange(hb4057)).toBeNull();
+    expect(getDensityRange(null)).toBeNull();
+    expect(getSpeedRange({ ...t02, INIT_COMMANDS: { SET_DENSITY: [0x1a, 0x09, 0x0c] } })).toBeNull();
+  });
+});
+
+describe('getInitCommands', () => {
+  it('should fill in the density and speed levels', () => {
+    const init = getInitCommands(t02, { density: 3, speed: 1 });
+
+    expect(init?.SET_DENSITY).toEqual([0x1a, 0x09, 0x03]);
+    expect(init?.SET_PRINT_SPEED).toEqual([0x1f, 0x11, 0x02, 0x01]);
+    expect(init?.WAKE_PRINTER).toEqual(t02.INIT_COMMANDS.WAKE_PRINTER);
+  });
+
+  it('should keep the config levels when nothing is chosen', () => {
+    expect(getInitCommands(t02)).toEqual(t02.INIT_COMMANDS);
+  });
+
+  it('should clamp levels the printer does not take', () => {
+    const init = getInitCommands(t02, { density: 99, speed: 0 });
+
+    expect(init?.SET_DENSITY?.at(-1)).toBe(PRINT_LEVELS.MAX_DENSITY);
+    expect(init?.SET_PRINT_SPEED?.at(-1)).toBe(PRINT_LEVELS.MIN_SPEED);
+  });
+
+  it('should return null for printers without init commands', () => {
+    expect(getInitCommands(hb4057, { density: 10 })).toBeNull();
+  });
+
+  it('should not send ESC/POS init commands to printers with their own protocol', () => {
+    expect(getInitCommands({ ...t02, PROTOCOL: PRINTER_PROTOCOLS.CAT })).toBeNull();
+  });
+});
+
+describe('getPrintLevels', () => {
+  it('should start from the default levels of printers with their own protocol', () => {
+    expect(getDensityRange(cat)?.default).toBe(cat.DEFAULT_LEVELS.DENSITY);
+    expect(getPrintLevels(cat)).toEqual({
+      density: cat.DEFAULT_LEVELS.DENSITY,
+      speed: cat.DEFAULT_LEVELS.SPEED,
+    });
+    expect(getPrintLevels(cat, { density: 99, speed: 2 })).toEqual({
+      density: PRINT_LEVELS.MAX_DENSITY,
+      speed: 2,
+    });
+  });
+
+  it('should leave out settings the printer has no level for', () => {
+    expect(getPrintLevels(PRINTER_CONFIGS[PRINTER_MODELS.NIIMBOT_D11]).speed).toBeNull();
+    expect(getPrintLevels({ ...cat, DEFAULT_LEVELS: undefined })).toEqual({
+      density: null,
+      speed: null,
+    });
+  });
+});
+
+describe('normalizePrinterSettings', () => {
+  it('should keep valid layout settings and clamp feeds', () => {
+    expect(
+      normalizePrinterSettings({
+        feedBefore: -2,
+        feedAfter: 99,
+        align: ALIGNMENTS.RIGHT,
+        trim: true,
+        cut: CUT_MODES.PARTIAL,
+      })
+    ).toEqual({
+      feedBefore: 0,
+      feedAfter: PRINT_LAYOUT.MAX_FEED_LINES,
+      align: ALIGNMENTS.RIGHT,
+      trim: true,
+      cut: CUT_MODES.PARTIAL,
+    });
+  });
+
+  it('should drop anything it does not know', () => {
+    expect(
+      normalizePrinterSettings({ align: 'middle', cut: 'snip', trim: 'yes', feedAfter: NaN })
+    ).toEqual({});
+    expect(normalizePrinterSettings(null)).toEqual({});
+  });
+});
+
+describe('printer settings storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should remember settings per printer model', () => {
+    savePrinterSettings(PRINTER_MODELS.T02, { density: 14 });
+    savePrinterSettings(PRINTER_MODELS.T02, { speed: 2 });
+    savePrinterSettings('custom-desk-printer', { density: 5 });
+
+    expect(loadPrinterSettings(PRINTER_MODELS.T02)).toEqual({ density: 14, speed: 2 });
+    expect(loadPrinterSettings('custom-desk-printer')).toEqual({ density: 5 });
+    expect(loadPrinterSettings(PRINTER_MODELS.HB4057)).toEqual({});
+    expect(loadPrinterSettings(undefined)).toEqual({});
+  });
+
+  it('should remember where the paper goes around each print', () => {
+    savePrinterSettings(PRINTER_MODELS.GENERIC_80MM, { feedAfter: 5, cut: CUT_MODES.FULL });
+
+    expect(loadPrinterSettings(PRINTER_MODELS.GENERIC_80MM)).toEqual({
+      feedAfter: 5,
+      cut: CUT_MODES.FULL,
+    });
+  });
+
+  it('should ignore garbage in storage', () => {
+    localStorage.setItem(STORAGE_KEYS.PRINTER_SETTINGS, '{oops');
+    expect(loadPrinterSettings(PRINTER_MODELS.T02)).toEqual({});
+
+    localStorage.setItem(
+      STORAGE_KEYS.PRINTER_SETTINGS,
+      JSON.stringify({ [PRINTER_MODELS.T02]: { density: 'dark' } })
+    );
+    expect(loadPrinterSettings(PRINTER_MODELS.T02)).toEqual({});
+  });
+});
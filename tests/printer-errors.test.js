@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import {
+  PrinterError,
+  isPrinterError,
+  describePrinterError,
+} from '../src/modules/printer-errors.js';
+import { PRINTER_ERRORS } from '../src/modules/constants.js';
+
+describe('PrinterError', () => {
+  it('should keep its code, details and cause', () => {
+    const cause = new Error('GATT operation failed');
+    const error = new PrinterError(PRINTER_ERRORS.WRITE_FAILED, 'Chunk 3 failed', { cause });
+
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('PrinterError');
+    expect(error.code).toBe(PRINTER_ERRORS.WRITE_FAILED);
+    expect(error.message).toBe('Chunk 3 failed');
+    expect(error.cause).toBe(cause);
+  });
+
+  it('should be told apart from other errors, by code too', () => {
+    const error = new PrinterError(PRINTER_ERRORS.TIMEOUT, 'No answer');
+
+    expect(isPrinterError(error)).toBe(true);
+    expect(isPrinterError(error, PRINTER_ERRORS.TIMEOUT)).toBe(true);
+    expect(isPrinterError(error, PRINTER_ERRORS.PAPER_OUT)).toBe(false);
+    expect(isPrinterError(new Error('No answer'))).toBe(false);
+  });
+});
+
+describe('describePrinterError', () => {
+  it.each(Object.values(PRINTER_ERRORS))('should say what to do about %s', (code) => {
+    const message = describePrinterError(new PrinterError(code, 'details'));
+
+    expect(message).not.toContain('details');
+    expect(message).toMatch(/\.$/);
+  });
+
+  it('should keep the message of other errors', () => {
+    expect(describePrinterError(new Error('Type something for the barcode'))).toBe(
+      'Type something for the barcode'
+    );
+    expect(describePrinterError('Something odd')).toBe('Something odd');
+  });
+});
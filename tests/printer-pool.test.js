@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  PrinterPool,
+  describePoolPrinter,
+  loadPrinterName,
+} from '../src/modules/printer-pool.js';
+import { PrinterManager } from '../src/modules/printer.js';
+import { LoopbackTransport } from '../src/modules/transports.js';
+import {
+  PRINTER_CONFIGS,
+  PRINTER_MODELS,
+  POOL_CONFIG,
+  STORAGE_KEYS,
+} from '../src/modules/constants.js';
+
+/**
+ * A printer connected through a loopback link
+ * @param {string} name
+ * @param {string} [model]
+ * @returns {PrinterManager}
+ */
+function connectedPrinter(name, model = PRINTER_MODELS.T02) {
+  const manager = new PrinterManager();
+  manager.connectTransport(new LoopbackTransport(name), PRINTER_CONFIGS[model]);
+  return manager;
+}
+
+describe('PrinterPool', () => {
+  /** @type {PrinterPool} */
+  let pool;
+
+  beforeEach(() => {
+    pool = new PrinterPool();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should list printers in the order they were added, the first being primary', () => {
+    const first = pool.add(connectedPrinter('Kitchen'));
+    const second = pool.add(connectedPrinter('Den'));
+
+    expect(pool.printers).toEqual([first, second]);
+    expect(first.id).not.toBe(second.id);
+    expect(pool.getPrimary()).toBe(first);
+    expect(pool.get(second.id)).toBe(second);
+    expect(pool.get(99)).toBeNull();
+  });
+
+  it('should make another printer primary', () => {
+    const first = pool.add(connectedPrinter('Kitchen'));
+    const second = pool.add(connectedPrinter('Den'));
+
+    pool.setPrimary(second.id);
+
+    expect(pool.printers).toEqual([second, first]);
+  });
+
+  it('should disconnect printers it removes', () => {
+    const manager = connectedPrinter('Kitchen');
+    const printer = pool.add(manager);
+
+    expect(pool.remove(printer.id)).toBe(true);
+
+    expect(pool.printers).toEqual([]);
+    expect(manager.getConnectionStatus()).toBe(false);
+    expect(pool.remove(printer.id)).toBe(false);
+  });
+
+  it('should name printers and remember the names', () => {
+    const manager = connectedPrinter('T02');
+    const printer = pool.add(manager);
+    expect(pool.getName(printer)).toBe('T02');
+
+    pool.rename(printer.id, '  Party table  ');
+    expect(pool.getName(printer)).toBe('Party table');
+
+    const again = new PrinterPool().add(connectedPrinter('T02'));
+    expect(loadPrinterName(again.manager)).toBe('Party table');
+
+    pool.rename(printer.id, ' ');
+    expect(pool.getName(printer)).toBe('T02');
+  });
+
+  it('should cut long names', () => {
+    const printer = pool.add(connectedPrinter('T02'));
+
+    pool.rename(printer.id, 'x'.repeat(POOL_CONFIG.MAX_NAME_LENGTH + 5));
+
+    expect(pool.getName(printer)).toHaveLength(POOL_CONFIG.MAX_NAME_LENGTH);
+  });
+
+  it('should pass on status changes and connection events', () => {
+    const manager = connectedPrinter('Kitchen');
+    pool.add(manager);
+    const change = vi.fn();
+    pool.addEventListener('change', change);
+
+    manager.dispatchEvent(new CustomEvent('statuschange'));
+    manager.dispatchEvent(new CustomEvent('disconnected'));
+
+    expect(change).toHaveBeenCalledTimes(2);
+  });
+
+  it('should drop a printer that could not be reconnected', () => {
+    const manager = connectedPrinter('Kitchen');
+    pool.add(manager);
+    manager.isConnected = false;
+
+    manager.dispatchEvent(new CustomEvent('reconnectfailed'));
+
+    expect(pool.printers).toEqual([]);
+  });
+
+  it('should keep remembering a printer that could not be reconnected', () => {
+    const manager = connectedPrinter('Kitchen');
+    manager.device = /** @type {BluetoothDevice} */ (
+      /** @type {unknown} */ ({ id: 'kitchen', removeEventListener: () => {} })
+    );
+    localStorage.setItem(STORAGE_KEYS.REMEMBERED_PRINTER, 'kitchen');
+    pool.add(manager);
+    manager.isConnected = false;
+    // Still set while the reconnect attempts wind down
+    manager.isReconnecting = true;
+
+    manager.dispatchEvent(new CustomEvent('reconnectfailed'));
+
+    expect(pool.printers).toEqual([]);
+    expect(localStorage.getItem(STORAGE_KEYS.REMEMBERED_PRINTER)).toBe('kitchen');
+  });
+
+  it('should find the printer with the narrowest print head', () => {
+    pool.add(connectedPrinter('Wide', PRINTER_MODELS.T02));
+    const narrow = pool.add(connectedPrinter('Narrow', PRINTER_MODELS.NIIMBOT_D11));
+
+    expect(pool.getNarrowest()).toBe(narrow);
+    expect(new PrinterPool().getNarrowest()).toBeNull();
+  });
+
+  it('should describe how each printer is doing', () => {
+    const printer = pool.add(connectedPrinter('Kitchen'));
+
+    expect(describePoolPrinter(printer)).toEqual({ text: '✅ Ready', ready: true, problem: false });
+    expect(describePoolPrinter(printer, true).text).toBe('🖨️ Printing');
+
+    printer.manager.status = { ...printer.manager.status, paperOut: true };
+    expect(describePoolPrinter(printer)).toMatchObject({ ready: false, problem: true });
+
+    printer.manager.disconnect();
+    expect(describePoolPrinter(printer).text).toBe('❌ Not connected');
+  });
+});
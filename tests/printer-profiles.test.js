@@ -0,0 +1,331 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  normalizeUuid,
+  parseHexBytes,
+  formatHexBytes,
+  validateProfile,
+  createProfileModel,
+  loadProfiles,
+  saveProfile,
+  deleteProfile,
+  exportProfiles,
+  importProfiles,
+  getAllPrinterConfigs,
+  findPrinterConfig,
+  getBluetoothFilters,
+} from '../src/modules/printer-profiles.js';
+import {
+  PRINTER_MODELS,
+  DEFAULT_PRINTER_CONFIG,
+  STATUS_PROTOCOLS,
+  STORAGE_KEYS,
+  RASTER_MODES,
+  PRINTER_PROTOCOLS,
+  RECEIPT_BLOCKS,
+  PRINTER_CONFIGS,
+} from '../src/modules/constants.js';
+
+/**
+ * A valid profile as the editor would submit it
+ * @param {Record<string, unknown>} [overrides]
+ */
+function profileInput(overrides = {}) {
+  return {
+    MODEL: 'custom-desk-printer',
+    NAME: 'Desk Printer',
+    SERVICE_UUID: 'ff00',
+    WRITE_CHAR_UUID: 'ff02',
+    NOTIFY_CHAR_UUID: '',
+    WIDTH: 576,
+    MTU_SIZE: 100,
+    LINES_PER_CHUNK: 16,
+    STATUS_PROTOCOL: null,
+    INIT_COMMANDS: { WAKE_PRINTER: [0x1a, 0x04, 0x5a], SET_DENSITY: [] },
+    ...overrides,
+  };
+}
+
+describe('normalizeUuid', () => {
+  it('should expand 16-bit and 32-bit short UUIDs', () => {
+    expect(normalizeUuid('FF00')).toBe('0000ff00-0000-1000-8000-00805f9b34fb');
+    expect(normalizeUuid('0x0000ff02')).toBe('0000ff02-0000-1000-8000-00805f9b34fb');
+  });
+
+  it('should lower-case full UUIDs', () => {
+    expect(normalizeUuid(' 49535343-FE7D-4AE5-8FA9-9FAFD205E455 ')).toBe(
+      '49535343-fe7d-4ae5-8fa9-9fafd205e455'
+    );
+  });
+
+  it('should allow blank', () => {
+    expect(normalizeUuid('  ')).toBe('');
+  });
+
+  it('should reject anything else', () => {
+    expect(() => normalizeUuid('printer')).toThrow('"printer" is not a Bluetooth UUID');
+  });
+});
+
+describe('parseHexBytes / formatHexBytes', () => {
+  it('should parse spaces, commas and 0x prefixes', () => {
+    expect(parseHexBytes('1a 04 5A')).toEqual([0x1a, 0x04, 0x5a]);
+    expect(parseHexBytes('0x1f,0x11, 0x02 4')).toEqual([0x1f, 0x11, 0x02, 0x04]);
+    expect(parseHexBytes('')).toEqual([]);
+  });
+
+  it('should reject values that are not bytes', () => {
+    expect(() => parseHexBytes('1a 100')).toThrow('"100" is not a hex byte');
+    expect(() => parseHexBytes('zz')).toThrow('"zz" is not a hex byte');
+  });
+
+  it('should format bytes so they parse back', () => {
+    expect(formatHexBytes([0x1a, 0x04, 0x5a])).toBe('1a 04 5a');
+    expect(parseHexBytes(formatHexBytes([0, 255]))).toEqual([0, 255]);
+    expect(formatHexBytes(undefined)).toBe('');
+  });
+});
+
+describe('validateProfile', () => {
+  it('should normalize UUIDs and derive BYTES_PER_LINE', () => {
+    const profile = validateProfile(profileInput());
+
+    expect(profile.SERVICE_UUID).toBe('0000ff00-0000-1000-8000-00805f9b34fb');
+    expect(profile.WRITE_CHAR_UUID).toBe('0000ff02-0000-1000-8000-00805f9b34fb');
+    expect(profile.NOTIFY_CHAR_UUID).toBe('');
+    expect(profile.BYTES_PER_LINE).toBe(72);
+  });
+
+  it('should drop empty init commands', () => {
+    expect(validateProfile(profileInput()).INIT_COMMANDS).toEqual({
+      WAKE_PRINTER: [0x1a, 0x04, 0x5a],
+    });
+    expect(validateProfile(profileInput({ INIT_COMMANDS: { SET_DENSITY: [] } })).INIT_COMMANDS).toBeNull();
+  });
+
+  it.each([
+    [{ MODEL: '' }, 'Profile needs a MODEL id'],
+    [{ MODEL: PRINTER_MODELS.T02 }, 'is a built-in printer'],
+    [{ NAME: ' ' }, 'needs a NAME'],
+    [{ WIDTH: 380 }, 'WIDTH must be a multiple of 8 dots'],
+    [{ WIDTH: 2000 }, 'WIDTH must be a whole number from 8 to 832'],
+    [{ MTU_SIZE: 10 }, 'MTU_SIZE must be a whole number'],
+    [{ LINES_PER_CHUNK: 1.5 }, 'LINES_PER_CHUNK must be a whole number'],
+    [{ WRITE_CHAR_UUID: 'nope' }, 'WRITE_CHAR_UUID: "nope" is not a Bluetooth UUID'],
+    [{ STATUS_PROTOCOL: 'smoke-signals' }, 'Unknown STATUS_PROTOCOL'],
+    [{ INIT_COMMANDS: { WAKE_PRINTER: [256] } }, 'INIT_COMMANDS.WAKE_PRINTER must be a list of bytes'],
+  ])('should reject %o', (overrides, message) => {
+    expect(() => validateProfile(profileInput(overrides))).toThrow(message);
+  });
+
+  it('should keep valid flow control tuning', () => {
+    const tuning = { BUFFER_BYTES: 4096, BYTES_PER_SEC: 12000, XON_XOFF: true };
+    expect(validateProfile(profileInput({ FLOW_CONTROL: tuning })).FLOW_CONTROL).toEqual(tuning);
+    expect(validateProfile(profileInput())).not.toHaveProperty('FLOW_CONTROL');
+  });
+
+  it('should reject flow control tuning out of range', () => {
+    expect(() =>
+      validateProfile(profileInput({ FLOW_CONTROL: { BUFFER_BYTES: 8, BYTES_PER_SEC: 1000 } }))
+    ).toThrow('FLOW_CONTROL.BUFFER_BYTES must be a whole number');
+  });
+
+  it('should keep a raster mode other than the default', () => {
+    expect(validateProfile(profileInput({ RASTER_MODE: RASTER_MODES.ESC_STAR })).RASTER_MODE).toBe(
+      RASTER_MODES.ESC_STAR
+    );
+    expect(validateProfile(profileInput({ RASTER_MODE: RASTER_MODES.GS_V_0 }))).not.toHaveProperty(
+      'RASTER_MODE'
+    );
+    expect(() => validateProfile(profileInput({ RASTER_MODE: 'sixel' }))).toThrow(
+      'Unknown RASTER_MODE "sixel"'
+    );
+  });
+
+  it('should keep a cat printer protocol', () => {
+    const profile = validateProfile(
+      profileInput({ PROTOCOL: PRINTER_PROTOCOLS.CAT, INIT_COMMANDS: null })
+    );
+    expect(profile.PROTOCOL).toBe(PRINTER_PROTOCOLS.CAT);
+    expect(() => validateProfile(profileInput({ PROTOCOL: 'zpl' }))).toThrow(
+      'Unknown PROTOCOL "zpl"'
+    );
+  });
+
+  it('should keep default levels for printers with their own protocol', () => {
+    const profile = validateProfile(
+      profileInput({
+        PROTOCOL: PRINTER_PROTOCOLS.CAT,
+        INIT_COMMANDS: null,
+        DEFAULT_LEVELS: { DENSITY: 6, SPEED: 2 },
+      })
+    );
+    expect(profile.DEFAULT_LEVELS).toEqual({ DENSITY: 6, SPEED: 2 });
+    expect(validateProfile(profileInput({ DEFAULT_LEVELS: {} }))).not.toHaveProperty(
+      'DEFAULT_LEVELS'
+    );
+    expect(() => validateProfile(profileInput({ DEFAULT_LEVELS: { SPEED: 9 } }))).toThrow(
+      'DEFAULT_LEVELS.SPEED must be a whole number from 1 to 5'
+    );
+  });
+
+  it('should reject ESC/POS init commands for printers with their own protocol', () => {
+    expect(() => validateProfile(profileInput({ PROTOCOL: PRINTER_PROTOCOLS.NIIMBOT }))).toThrow(
+      'INIT_COMMANDS are ESC/POS commands'
+    );
+  });
+
+  it('should keep the blocks a printer prints itself', () => {
+    const profile = validateProfile(
+      profileInput({ NATIVE_BLOCKS: [RECEIPT_BLOCKS.QR, RECEIPT_BLOCKS.TEXT, RECEIPT_BLOCKS.QR] })
+    );
+    expect(profile.NATIVE_BLOCKS).toEqual([RECEIPT_BLOCKS.TEXT, RECEIPT_BLOCKS.QR]);
+    expect(validateProfile(profileInput({ NATIVE_BLOCKS: [] }))).not.toHaveProperty(
+      'NATIVE_BLOCKS'
+    );
+    expect(() => validateProfile(profileInput({ NATIVE_BLOCKS: ['pdf417'] }))).toThrow(
+      'Unknown NATIVE_BLOCKS entry "pdf417"'
+    );
+  });
+
+  it('should only keep the cutter flag when it is set', () => {
+    expect(validateProfile(profileInput({ CUTTER: true })).CUTTER).toBe(true);
+    expect(validateProfile(profileInput({ CUTTER: false }))).not.toHaveProperty('CUTTER');
+    expect(validateProfile(profileInput({ CUTTER: 'yes' }))).not.toHaveProperty('CUTTER');
+  });
+
+  it('should accept a known status protocol', () => {
+    const profile = validateProfile(profileInput({ STATUS_PROTOCOL: STATUS_PROTOCOLS.ESCPOS_ASB }));
+    expect(profile.STATUS_PROTOCOL).toBe(STATUS_PROTOCOLS.ESCPOS_ASB);
+  });
+});
+
+describe('profile storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should save, replace and delete profiles', () => {
+    saveProfile(profileInput());
+    saveProfile(profileInput({ NAME: 'Renamed' }));
+
+    expect(loadProfiles().map((p) => p.NAME)).toEqual(['Renamed']);
+
+    deleteProfile('custom-desk-printer');
+    expect(loadProfiles()).toEqual([]);
+  });
+
+  it('should skip stored entries that are corrupt', () => {
+    localStorage.setItem(
+      STORAGE_KEYS.PRINTER_PROFILES,
+      JSON.stringify([profileInput(), { MODEL: 'broken' }])
+    );
+    expect(loadProfiles().map((p) => p.MODEL)).toEqual(['custom-desk-printer']);
+
+    localStorage.setItem(STORAGE_KEYS.PRINTER_PROFILES, '{not json');
+    expect(loadProfiles()).toEqual([]);
+  });
+
+  it('should create MODEL ids that do not clash', () => {
+    expect(createProfileModel('Desk Printer!')).toBe('custom-desk-printer');
+    saveProfile(profileInput());
+    expect(createProfileModel('Desk Printer')).toBe('custom-desk-printer-2');
+  });
+
+  it('should list saved profiles ahead of the built-in printers', () => {
+    saveProfile(profileInput());
+    const models = getAllPrinterConfigs().map((config) => config.MODEL);
+
+    expect(models[0]).toBe('custom-desk-printer');
+    expect(models).toContain(PRINTER_MODELS.T02);
+    expect(models).toContain(PRINTER_MODELS.HB4057);
+  });
+
+  it('should find built-in and saved configs by model', () => {
+    saveProfile(profileInput());
+
+    expect(findPrinterConfig('custom-desk-printer').NAME).toBe('Desk Printer');
+    expect(findPrinterConfig(PRINTER_MODELS.HB4057).MODEL).toBe(PRINTER_MODELS.HB4057);
+    expect(findPrinterConfig('missing')).toBe(DEFAULT_PRINTER_CONFIG);
+    expect(findPrinterConfig()).toBe(DEFAULT_PRINTER_CONFIG);
+  });
+});
+
+describe('getBluetoothFilters', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should match known services and name prefixes, once each', () => {
+    const niimbot = PRINTER_CONFIGS[PRINTER_MODELS.NIIMBOT_B21];
+
+    expect(
+      getBluetoothFilters([
+        PRINTER_CONFIGS[PRINTER_MODELS.NIIMBOT_D11],
+        niimbot,
+        PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_80MM],
+      ])
+    ).toEqual([
+      { services: [niimbot.SERVICE_UUID] },
+      { namePrefix: 'D11' },
+      { namePrefix: 'D110' },
+      { namePrefix: 'D101' },
+      { namePrefix: 'B21' },
+      { namePrefix: 'B1' },
+      { namePrefix: 'B3S' },
+    ]);
+  });
+
+  it('should include saved profiles by default', () => {
+    saveProfile(profileInput({ SERVICE_UUID: 'abcd' }));
+
+    expect(getBluetoothFilters()[0]).toEqual({
+      services: ['0000abcd-0000-1000-8000-00805f9b34fb'],
+    });
+    expect(getBluetoothFilters()).toContainEqual({ namePrefix: 'GB0' });
+  });
+});
+
+describe('import / export', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should round-trip profiles through JSON', () => {
+    saveProfile(profileInput());
+    const json = exportProfiles();
+
+    localStorage.clear();
+    const imported = importProfiles(json);
+
+    expect(imported).toHaveLength(1);
+    expect(loadProfiles()).toEqual(imported);
+    expect(JSON.parse(json).version).toBe(1);
+  });
+
+  it('should accept a plain array and replace profiles with the same MODEL', () => {
+    saveProfile(profileInput());
+    saveProfile(profileInput({ MODEL: 'custom-other', NAME: 'Other' }));
+
+    importProfiles(JSON.stringify([profileInput({ NAME: 'Shared' })]));
+
+    expect(loadProfiles().map((p) => p.NAME)).toEqual(['Other', 'Shared']);
+  });
+
+  it('should import nothing if any profile is invalid', () => {
+    const json = JSON.stringify({
+      version: 1,
+      profiles: [profileInput(), profileInput({ MODEL: 'custom-bad', WIDTH: 7 })],
+    });
+
+    expect(() => importProfiles(json)).toThrow('Profile 2: WIDTH must be');
+    expect(loadProfiles()).toEqual([]);
+  });
+
+  it.each([
+    ['not json', 'This file is not valid JSON'],
+    ['{"version": 1}', 'No printer profiles found in this file'],
+    ['{"version": 99, "profiles": []}', 'made by a newer version'],
+  ])('should reject %s', (json, message) => {
+    expect(() => importProfiles(json)).toThrow(message);
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createInitialStatus,
+  getStatusEnableCommand,
+  parseStatusPacket,
+  describeStatusProblem,
+} from '../src/modules/printer-status.js';
+import { STATUS_PROTOCOLS } from '../src/modules/constants.js';
+import { crc8 } from '../src/modules/cat-printer.js';
+
+describe('createInitialStatus', () => {
+  it('should assume the printer is ready', () => {
+    const status = createInitialStatus();
+    expect(status.paperOut).toBe(false);
+    expect(status.coverOpen).toBe(false);
+    expect(status.overheated).toBe(false);
+    expect(status.batteryLevel).toBeNull();
+  });
+});
+
+describe('getStatusEnableCommand', () => {
+  it('should enable Automatic Status Back for ESC/POS printers', () => {
+    expect(getStatusEnableCommand(STATUS_PROTOCOLS.ESCPOS_ASB)).toEqual([0x1d, 0x61, 0x0e]);
+  });
+
+  it('should not send anything for Phomemo printers', () => {
+    expect(getStatusEnableCommand(STATUS_PROTOCOLS.PHOMEMO)).toBeNull();
+  });
+
+  it('should ask cat printers for their state', () => {
+    expect(getStatusEnableCommand(STATUS_PROTOCOLS.CAT)).toEqual([
+      0x51, 0x78, 0xa3, 0x00, 0x01, 0x00, 0x00, 0x00, 0xff,
+    ]);
+  });
+
+  it('should not send anything without a status protocol', () => {
+    expect(getStatusEnableCommand(null)).toBeNull();
+  });
+});
+
+describe('parseStatusPacket', () => {
+  describe('Phomemo', () => {
+    const parse = (/** @type {number[]} */ bytes) =>
+      parseStatusPacket(STATUS_PROTOCOLS.PHOMEMO, new Uint8Array(bytes));
+
+    it('should parse battery level', () => {
+      expect(parse([0x1a, 0x04, 0x50]).changes).toEqual({ batteryLevel: 80 });
+    });
+
+    it('should clamp battery level to 100', () => {
+      expect(parse([0x1a, 0x04, 0xff]).changes.batteryLevel).toBe(100);
+    });
+
+    it('should parse paper out and paper loaded', () => {
+      expect(parse([0x1a, 0x06, 0x88]).changes).toEqual({ paperOut: true });
+      expect(parse([0x1a, 0x06, 0x89]).changes).toEqual({ paperOut: false });
+    });
+
+    it('should parse cover open and closed', () => {
+      expect(parse([0x1a, 0x03, 0xa9]).changes).toEqual({ coverOpen: true });
+      expect(parse([0x1a, 0x03, 0xa8]).changes).toEqual({ coverOpen: false });
+    });
+
+    it('should parse overheating', () => {
+      expect(parse([0x1a, 0x0a, 0x88]).changes).toEqual({ overheated: true });
+      expect(parse([0x1a, 0x0a, 0x89]).changes).toEqual({ overheated: false });
+    });
+
+    it('should report print finished', () => {
+      const update = parse([0x1a, 0x0f, 0x0c]);
+      expect(update.printFinished).toBe(true);
+      expect(update.changes).toEqual({});
+    });
+
+    it('should parse several packets in one notification', () => {
+      const update = parse([0x1a, 0x04, 0x32, 0x1a, 0x06, 0x88, 0x1a, 0x0f, 0x0c]);
+      expect(update.changes).toEqual({ batteryLevel: 50, paperOut: true });
+      expect(update.printFinished).toBe(true);
+    });
+
+    it('should ignore unknown packets and stray bytes', () => {
+      const update = parse([0x00, 0x1a, 0x7f, 0x01, 0x1a, 0x04, 0x10, 0x1a]);
+      expect(update.changes).toEqual({ batteryLevel: 16 });
+      expect(update.printFinished).toBe(false);
+    });
+  });
+
+  describe('ESC/POS Automatic Status Back', () => {
+    const parse = (/** @type {number[]} */ bytes) =>
+      parseStatusPacket(STATUS_PROTOCOLS.ESCPOS_ASB, new Uint8Array(bytes));
+
+    it('should report a ready printer', () => {
+      expect(parse([0x10, 0x00, 0x00, 0x0f]).changes).toEqual({
+        coverOpen: false,
+        overheated: false,
+        paperOut: false,
+      });
+    });
+
+    it('should parse cover open', () => {
+      expect(parse([0x30, 0x00, 0x00, 0x0f]).changes.coverOpen).toBe(true);
+    });
+
+    it('should parse an overheated print head', () => {
+      expect(parse([0x10, 0x40, 0x00, 0x0f]).changes.overheated).toBe(true);
+    });
+
+    it('should parse paper end', () => {
+      expect(parse([0x18, 0x00, 0x0c, 0x0f]).changes.paperOut).toBe(true);
+    });
+
+    it('should ignore packets that are not ASB', () => {
+      expect(parse([0xff, 0x01]).changes).toEqual({});
+    });
+  });
+
+  describe('Cat printer', () => {
+    /** @param {number} state */
+    const parse = (state) =>
+      parseStatusPacket(
+        STATUS_PROTOCOLS.CAT,
+        new Uint8Array([0x51, 0x78, 0xa3, 0x01, 0x01, 0x00, state, crc8([state]), 0xff])
+      );
+
+    it('should report a ready printer', () => {
+      expect(parse(0x00).changes).toEqual({
+        paperOut: false,
+        coverOpen: false,
+        overheated: false,
+      });
+    });
+
+    it('should parse each state bit', () => {
+      expect(parse(0x01).changes.paperOut).toBe(true);
+      expect(parse(0x02).changes.coverOpen).toBe(true);
+      expect(parse(0x04).changes.overheated).toBe(true);
+    });
+
+    it('should ignore other packets', () => {
+      const flow = new Uint8Array([0x51, 0x78, 0xae, 0x01, 0x01, 0x00, 0x10, 0x70, 0xff]);
+      expect(parseStatusPacket(STATUS_PROTOCOLS.CAT, flow).changes).toEqual({});
+    });
+  });
+
+  it('should ignore notifications without a status protocol', () => {
+    const update = parseStatusPacket(null, new Uint8Array([0x1a, 0x06, 0x88]));
+    expect(update).toEqual({ changes: {}, printFinished: false });
+  });
+});
+
+describe('describeStatusProblem', () => {
+  it('should return null when the printer is ready', () => {
+    expect(describeStatusProblem(createInitialStatus())).toBeNull();
+  });
+
+  it('should explain each problem', () => {
+    const ready = createInitialStatus();
+    expect(describeStatusProblem({ ...ready, paperOut: true })).toContain('paper');
+    expect(describeStatusProblem({ ...ready, coverOpen: true })).toContain('lid');
+    expect(describeStatusProblem({ ...ready, overheated: true })).toContain('hot');
+  });
+
+  it('should not treat low battery as a problem', () => {
+    expect(describeStatusProblem({ ...createInitialStatus(), batteryLevel: 5 })).toBeNull();
+  });
+});
@@ -1,6 +1,102 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { PrinterManager } from '../src/modules/printer.js';
-import { PRINTER_CONFIGS, PRINTER_MODELS } from '../src/modules/constants.js';
+import { BluetoothTransport, LoopbackTransport } from '../src/modules/transports.js';
+import { VirtualPrinter } from '../src/modules/virtual-printer.js';
+import { saveProfile } from '../src/modules/printer-profiles.js';
+import { createBitmap, bitmapFromRows, getBitmapRow } from '../src/modules/bitmap.js';
+import {
+  niimbotPacket,
+  decodeNiimbotPackets,
+  getNiimbotReplyCode,
+} from '../src/modules/niimbot.js';
+import { getCatFeed } from '../src/modules/cat-printer.js';
+import { PrinterError } from '../src/modules/printer-errors.js';
+import {
+  PRINTER_CONFIGS,
+  PRINTER_MODELS,
+  DITHER_MODES,
+  STORAGE_KEYS,
+  MEDIA_TYPES,
+  DEFAULT_PRINTER_CONFIG,
+  FLOW_CONFIG,
+  RASTER_MODES,
+  NIIMBOT,
+  DETECTION_TIERS,
+  CALIBRATION_PATTERNS,
+  DIAGNOSTICS_CONFIG,
+  RECEIPT_BLOCKS,
+  RECEIPT_CONFIG,
+  BARCODE_FORMATS,
+  ALIGNMENTS,
+  CUT_MODES,
+  CAT_PRINTER,
+  PRINTER_ERRORS,
+  WRITE_RETRY_CONFIG,
+  STANDARD_GATT,
+} from '../src/modules/constants.js';
+
+/**
+ * Create a fake Bluetooth device that looks like a Phomemo T02, or another known printer
+ * @param {{
+ *   id?: string,
+ *   connect?: () => Promise<unknown>,
+ *   name?: string,
+ *   model?: string,
+ *   extraServices?: object[],
+ * }} [options]
+ */
+function createMockDevice(options = {}) {
+  const config = /** @type {import('../src/modules/constants.js').PrinterConfig} */ (
+    Object.values(PRINTER_CONFIGS).find((c) => c.MODEL === (options.model ?? PRINTER_MODELS.T02))
+  );
+  const events = new EventTarget();
+  const writeChar = Object.assign(new EventTarget(), {
+    uuid: config.WRITE_CHAR_UUID,
+    properties: { write: true, writeWithoutResponse: false },
+    writeValue: vi.fn().mockResolvedValue(undefined),
+    startNotifications: vi.fn().mockResolvedValue(undefined),
+  });
+  const notifyChar = Object.assign(new EventTarget(), {
+    uuid: config.NOTIFY_CHAR_UUID,
+    properties: { write: false, writeWithoutResponse: false },
+    startNotifications: vi.fn().mockResolvedValue(undefined),
+  });
+  const service = {
+    uuid: config.SERVICE_UUID,
+    getCharacteristic: vi.fn(async (/** @type {string} */ uuid) => {
+      if (uuid === config.WRITE_CHAR_UUID) return writeChar;
+      if (uuid === config.NOTIFY_CHAR_UUID) return notifyChar;
+      throw new Error('Characteristic not found');
+    }),
+    getCharacteristics: vi.fn(async () => [writeChar, notifyChar]),
+  };
+  const gatt = {
+    connected: false,
+    connect: vi.fn(
+      options.connect ??
+        (async () => {
+          gatt.connected = true;
+          return { getPrimaryServices: async () => [service, ...(options.extraServices ?? [])] };
+        })
+    ),
+    disconnect: vi.fn(() => {
+      gatt.connected = false;
+    }),
+  };
+  const device = {
+    id: options.id ?? 'device-1',
+    name: options.name ?? 'T02',
+    gatt,
+    addEventListener: events.addEventListener.bind(events),
+    removeEventListener: events.removeEventListener.bind(events),
+    dispatchEvent: events.dispatchEvent.bind(events),
+  };
+  return {
+    device: /** @type {BluetoothDevice} */ (/** @type {unknown} */ (device)),
+    gatt,
+    notifyChar,
+  };
+}
 
 describe('PrinterManager', () => {
   /** @type {PrinterManager} */
@@ -13,7 +109,7 @@ describe('PrinterManager', () => {
   describe('constructor', () => {
     it('should initialize with no device connected', () => {
       expect(printerManager.device).toBeNull();
-      expect(printerManager.writeCharacteristic).toBeNull();
+      expect(printerManager.transport).toBeNull();
       expect(printerManager.isConnected).toBe(false);
     });
   });
@@ -59,14 +155,14 @@ describe('PrinterManager', () => {
         },
       });
       printerManager.isConnected = true;
-      printerManager.writeCharacteristic = /** @type {BluetoothRemoteGATTCharacteristic} */ ({});
+      printerManager.transport = new LoopbackTransport();
 
       printerManager.disconnect();
 
       expect(mockDisconnect).toHaveBeenCalled();
       expect(printerManager.isConnected).toBe(false);
       expect(printerManager.device).toBeNull();
-      expect(printerManager.writeCharacteristic).toBeNull();
+      expect(printerManager.transport).toBeNull();
     });
 
     it('should handle disconnect when device is not connected', () => {
@@ -99,10 +195,34 @@ describe('PrinterManager', () => {
 
       const bitmap = printerManager.canvasToBitmap(canvas);
 
-      expect(bitmap).toHaveLength(100); // Height
-      expect(bitmap[0]).toHaveLength(testConfig.BYTES_PER_LINE);
+      expect(bitmap.height).toBe(100);
+      expect(bitmap.bytesPerLine).toBe(testConfig.BYTES_PER_LINE);
+      expect(bitmap.data).toHaveLength(100 * testConfig.BYTES_PER_LINE);
     });
 
+    it.each([PRINTER_MODELS.GENERIC_80MM, PRINTER_MODELS.GENERIC_104MM])(
+      'should pack full-width rows for a %s printer',
+      (model) => {
+        const canvas = document.createElement('canvas');
+        const testConfig = PRINTER_CONFIGS[model];
+        canvas.width = testConfig.WIDTH;
+        canvas.height = 2;
+        printerManager.config = testConfig;
+
+        const ctx = canvas.getContext('2d');
+        if (!ctx) throw new Error('Context should exist');
+        ctx.fillStyle = 'black';
+        ctx.fillRect(testConfig.WIDTH - 8, 0, 8, 2);
+
+        const bitmap = printerManager.canvasToBitmap(canvas);
+
+        const row = getBitmapRow(bitmap, 0);
+        expect(row).toHaveLength(testConfig.BYTES_PER_LINE);
+        expect(row.at(-1)).toBe(0xff);
+        expect(row.at(-2)).toBe(0x00);
+      }
+    );
+
     it('should convert white pixels to 0 bits', () => {
       const canvas = document.createElement('canvas');
       const testConfig = PRINTER_CONFIGS[PRINTER_MODELS.T02];
@@ -122,7 +242,7 @@ describe('PrinterManager', () => {
       const bitmap = printerManager.canvasToBitmap(canvas);
 
       // All bytes should be 0 (white = no ink)
-      for (const byte of bitmap[0]) {
+      for (const byte of getBitmapRow(bitmap, 0)) {
         expect(byte).toBe(0);
       }
     });
@@ -145,7 +265,51 @@ describe('PrinterManager', () => {
       const bitmap = printerManager.canvasToBitmap(canvas);
 
       // First byte should be 255 (all bits set)
-      expect(bitmap[0][0]).toBe(255);
+      expect(bitmap.data[0]).toBe(255);
+    });
+
+    it('should dither gray pixels when a dithering mode is selected', () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 64;
+      canvas.height = 8;
+
+      printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.T02];
+
+      const ctx = canvas.getContext('2d');
+      if (!ctx) throw new Error('Context should exist');
+
+      // Light gray disappears with a plain threshold
+      ctx.fillStyle = '#a0a0a0';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+      const thresholded = printerManager.canvasToBitmap(canvas);
+      const dithered = printerManager.canvasToBitmap(canvas, {
+        dither: DITHER_MODES.FLOYD_STEINBERG,
+      });
+
+      const inkedBytes = (/** @type {import('../src/modules/bitmap.js').Bitmap} */ bitmap) =>
+        bitmap.data.filter((byte) => byte !== 0).length;
+
+      expect(inkedBytes(thresholded)).toBe(0);
+      expect(inkedBytes(dithered)).toBeGreaterThan(0);
+    });
+
+    it('should apply a custom threshold', () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = 8;
+      canvas.height = 1;
+
+      printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.T02];
+
+      const ctx = canvas.getContext('2d');
+      if (!ctx) throw new Error('Context should exist');
+
+      ctx.fillStyle = '#a0a0a0';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+      const bitmap = printerManager.canvasToBitmap(canvas, { threshold: 200 });
+
+      expect(bitmap.data[0]).toBe(255);
     });
 
     it('should throw error if context cannot be obtained', () => {
@@ -183,15 +347,20 @@ describe('PrinterManager', () => {
       await expect(printerManager.sendData([1, 2, 3])).rejects.toThrow(
         'Printer not connected'
       );
+      await expect(printerManager.sendData([1, 2, 3])).rejects.toMatchObject({
+        code: PRINTER_ERRORS.NOT_CONNECTED,
+      });
     });
 
     it('should send data in chunks', async () => {
       const testConfig = PRINTER_CONFIGS[PRINTER_MODELS.T02];
       const mockWrite = vi.fn().mockResolvedValue(undefined);
-      printerManager.writeCharacteristic = /** @type {BluetoothRemoteGATTCharacteristic} */ ({
-        writeValue: mockWrite,
-        properties: { write: true, writeWithoutResponse: false },
-      });
+      printerManager.transport = new BluetoothTransport(
+        /** @type {BluetoothRemoteGATTCharacteristic} */ ({
+          writeValue: mockWrite,
+          properties: { write: true, writeWithoutResponse: false },
+        })
+      );
       printerManager.config = testConfig;
 
       const data = new Array(testConfig.MTU_SIZE * 2 + 10).fill(0);
@@ -204,10 +373,12 @@ describe('PrinterManager', () => {
     it('should send correct chunk sizes', async () => {
       const testConfig = PRINTER_CONFIGS[PRINTER_MODELS.T02];
       const mockWrite = vi.fn().mockResolvedValue(undefined);
-      printerManager.writeCharacteristic = /** @type {BluetoothRemoteGATTCharacteristic} */ ({
-        writeValue: mockWrite,
-        properties: { write: true, writeWithoutResponse: false },
-      });
+      printerManager.transport = new BluetoothTransport(
+        /** @type {BluetoothRemoteGATTCharacteristic} */ ({
+          writeValue: mockWrite,
+          properties: { write: true, writeWithoutResponse: false },
+        })
+      );
       printerManager.config = testConfig;
 
       const data = new Array(testConfig.MTU_SIZE + 10).fill(0);
@@ -219,16 +390,1335 @@ describe('PrinterManager', () => {
       expect(mockWrite.mock.calls[1][0]).toHaveLength(10);
     });
 
-    it('should propagate write errors', async () => {
-      const mockWrite = vi.fn().mockRejectedValue(new Error('Write failed'));
-      printerManager.writeCharacteristic = /** @type {BluetoothRemoteGATTCharacteristic} */ ({
-        writeValue: mockWrite,
-        properties: { write: true, writeWithoutResponse: false },
+    it('should send the exact bytes through the transport', async () => {
+      const transport = new LoopbackTransport();
+      printerManager.transport = transport;
+      printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.HB4057];
+
+      const data = Array.from({ length: 100 }, (_, i) => i);
+      await printerManager.sendData(data);
+
+      expect(transport.chunks.map((chunk) => chunk.length)).toEqual([64, 36]);
+      expect(Array.from(transport.getBytes())).toEqual(data);
+    });
+
+    describe('failed writes', () => {
+      /** @type {import('vitest').Mock} */
+      let mockWrite;
+
+      beforeEach(() => {
+        vi.useFakeTimers();
+        mockWrite = vi.fn();
+        printerManager.transport = new BluetoothTransport(
+          /** @type {BluetoothRemoteGATTCharacteristic} */ ({
+            writeValue: mockWrite,
+            properties: { write: true, writeWithoutResponse: false },
+          })
+        );
+        printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.T02];
+      });
+
+      afterEach(() => {
+        vi.useRealTimers();
       });
+
+      it('should try a chunk again after a short wait', async () => {
+        mockWrite.mockRejectedValueOnce(new Error('GATT operation already in progress'));
+        mockWrite.mockResolvedValue(undefined);
+
+        const done = printerManager.sendData([1, 2, 3]);
+        await vi.runAllTimersAsync();
+        await done;
+
+        expect(mockWrite).toHaveBeenCalledTimes(2);
+      });
+
+      it('should give up with a write error after the last attempt', async () => {
+        mockWrite.mockRejectedValue(new Error('Write failed'));
+
+        const done = printerManager.sendData([1, 2, 3]);
+        const assertion = expect(done).rejects.toThrow(PrinterError);
+        await vi.runAllTimersAsync();
+        await assertion;
+
+        await expect(done).rejects.toMatchObject({
+          code: PRINTER_ERRORS.WRITE_FAILED,
+          message: 'Could not send data to the printer: Write failed',
+        });
+        expect(mockWrite).toHaveBeenCalledTimes(WRITE_RETRY_CONFIG.MAX_ATTEMPTS);
+      });
+
+      it('should time out writes that never finish, without sending them again', async () => {
+        mockWrite.mockReturnValue(new Promise(() => {}));
+
+        const done = printerManager.sendData([1, 2, 3]);
+        const assertion = expect(done).rejects.toMatchObject({ code: PRINTER_ERRORS.TIMEOUT });
+        await vi.runAllTimersAsync();
+        await assertion;
+        expect(mockWrite).toHaveBeenCalledTimes(1);
+      });
+
+      it('should not retry once the printer is disconnected', async () => {
+        mockWrite.mockImplementation(async () => {
+          printerManager.transport = null;
+          throw new Error('GATT Server is disconnected');
+        });
+
+        const done = printerManager.sendData([1, 2, 3]);
+        const assertion = expect(done).rejects.toMatchObject({
+          code: PRINTER_ERRORS.WRITE_FAILED,
+        });
+        await vi.runAllTimersAsync();
+        await assertion;
+        expect(mockWrite).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    describe('flow control', () => {
+      beforeEach(() => {
+        vi.useFakeTimers();
+      });
+
+      afterEach(() => {
+        vi.useRealTimers();
+      });
+
+      it('should send a buffer-full at once, then keep to the print rate', async () => {
+        const config = PRINTER_CONFIGS[PRINTER_MODELS.HB4057];
+        const { BUFFER_BYTES, BYTES_PER_SEC } = config.FLOW_CONTROL;
+        const transport = new LoopbackTransport();
+        printerManager.connectTransport(transport, config);
+
+        /** @type {number[]} */
+        const writeTimes = [];
+        const write = transport.write.bind(transport);
+        transport.write = (chunk) => {
+          writeTimes.push(Date.now());
+          return write(chunk);
+        };
+
+        const startedAt = Date.now();
+        const done = printerManager.sendData(new Array(BUFFER_BYTES + 1000).fill(0));
+        await vi.runAllTimersAsync();
+        await done;
+
+        const chunksInBuffer = BUFFER_BYTES / config.MTU_SIZE;
+        expect(writeTimes.slice(0, chunksInBuffer).every((t) => t === startedAt)).toBe(true);
+        const elapsed = Date.now() - startedAt;
+        // Slightly quicker than the tuned rate, as smooth writes speed it up
+        expect(elapsed).toBeLessThanOrEqual((1000 / BYTES_PER_SEC) * 1000);
+        expect(elapsed).toBeGreaterThan((1000 / BYTES_PER_SEC) * 1000 * 0.8);
+      });
+
+      it('should use the default tuning for printers without their own', async () => {
+        printerManager.connectTransport(new LoopbackTransport(), DEFAULT_PRINTER_CONFIG);
+        await printerManager.sendData([0x1b, 0x40]);
+
+        expect(printerManager.flow?.tuning).toBe(FLOW_CONFIG.DEFAULT_TUNING);
+      });
+
+      it('should start a fresh estimate on each connection', async () => {
+        const config = PRINTER_CONFIGS[PRINTER_MODELS.HB4057];
+        printerManager.connectTransport(new LoopbackTransport(), config);
+        await printerManager.sendData([0x1b, 0x40]);
+        const firstFlow = printerManager.flow;
+
+        printerManager.connectTransport(new LoopbackTransport(), config);
+
+        expect(printerManager.flow).toBeNull();
+        await printerManager.sendData([0x1b, 0x40]);
+        expect(printerManager.flow).not.toBe(firstFlow);
+      });
+    });
+  });
+
+  describe('handleNotification', () => {
+    beforeEach(() => {
       printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.T02];
+    });
+
+    it('should update status and emit statuschange', () => {
+      const listener = vi.fn();
+      printerManager.addEventListener('statuschange', listener);
+
+      printerManager.handleNotification(new Uint8Array([0x1a, 0x06, 0x88]));
+
+      expect(printerManager.getStatus().paperOut).toBe(true);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].detail.paperOut).toBe(true);
+    });
+
+    it('should keep earlier fields when new ones arrive', () => {
+      printerManager.handleNotification(new Uint8Array([0x1a, 0x04, 0x40]));
+      printerManager.handleNotification(new Uint8Array([0x1a, 0x03, 0xa9]));
+
+      expect(printerManager.getStatus().batteryLevel).toBe(64);
+      expect(printerManager.getStatus().coverOpen).toBe(true);
+    });
+
+    it('should emit printfinished', () => {
+      const statusListener = vi.fn();
+      const finishedListener = vi.fn();
+      printerManager.addEventListener('statuschange', statusListener);
+      printerManager.addEventListener('printfinished', finishedListener);
+
+      printerManager.handleNotification(new Uint8Array([0x1a, 0x0f, 0x0c]));
+
+      expect(finishedListener).toHaveBeenCalledTimes(1);
+      expect(statusListener).not.toHaveBeenCalled();
+    });
+
+    it('should pass XOFF to flow control instead of the status parser', async () => {
+      const config = PRINTER_CONFIGS[PRINTER_MODELS.HB4057];
+      printerManager.connectTransport(new LoopbackTransport(), config);
+      await printerManager.sendData([0x1b, 0x40]);
+      const listener = vi.fn();
+      printerManager.addEventListener('statuschange', listener);
+
+      printerManager.handleNotification(new Uint8Array([0x13]));
+
+      expect(printerManager.flow?.paused).toBe(true);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should pause and resume on cat printer flow packets', async () => {
+      const config = PRINTER_CONFIGS[PRINTER_MODELS.CAT];
+      printerManager.connectTransport(new LoopbackTransport(), config);
+      const listener = vi.fn();
+      printerManager.addEventListener('statuschange', listener);
+
+      printerManager.handleNotification(
+        new Uint8Array([0x51, 0x78, 0xae, 0x01, 0x01, 0x00, 0x10, 0x70, 0xff])
+      );
+      expect(printerManager.flow?.paused).toBe(true);
+
+      printerManager.handleNotification(
+        new Uint8Array([0x51, 0x78, 0xae, 0x01, 0x01, 0x00, 0x00, 0x00, 0xff])
+      );
+      expect(printerManager.flow?.paused).toBe(false);
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should reset status on disconnect', () => {
+      printerManager.handleNotification(new Uint8Array([0x1a, 0x06, 0x88]));
+      printerManager.disconnect();
+
+      expect(printerManager.getStatus().paperOut).toBe(false);
+    });
+  });
+
+  describe('connectDevice', () => {
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    it('should not listen for notifications the printer would not turn on', async () => {
+      const { device, notifyChar } = createMockDevice();
+      notifyChar.startNotifications.mockRejectedValue(new Error('GATT operation failed'));
+      const handleNotification = vi.spyOn(printerManager, 'handleNotification');
+
+      await printerManager.connectDevice(device);
+      Object.assign(notifyChar, { value: new DataView(Uint8Array.of(0x01).buffer) });
+      notifyChar.dispatchEvent(new Event('characteristicvaluechanged'));
+
+      expect(printerManager.isConnected).toBe(true);
+      expect(printerManager.notifyCharacteristic).toBeNull();
+      expect(handleNotification).not.toHaveBeenCalled();
+    });
+
+    it('should detect a known printer and remember it', async () => {
+      const { device } = createMockDevice({ id: 'abc' });
+
+      const name = await printerManager.connectDevice(device);
+
+      expect(name).toBe('T02');
+      expect(printerManager.isConnected).toBe(true);
+      expect(printerManager.detectedModel).toBe(PRINTER_MODELS.T02);
+      expect(printerManager.detectionTier).toBe(DETECTION_TIERS.KNOWN);
+      expect(printerManager.detectionReason).toBe(
+        `It has the Phomemo T02/M02 print service (${PRINTER_CONFIGS[PRINTER_MODELS.T02].SERVICE_UUID})`
+      );
+      expect(localStorage.getItem(STORAGE_KEYS.REMEMBERED_PRINTER)).toBe('abc');
+    });
+
+    it('should forget the printer on a deliberate disconnect', async () => {
+      const { device } = createMockDevice();
+      await printerManager.connectDevice(device);
+
+      printerManager.disconnect();
+
+      expect(localStorage.getItem(STORAGE_KEYS.REMEMBERED_PRINTER)).toBeNull();
+    });
+
+    it.each([
+      ['D11-H2207', PRINTER_MODELS.NIIMBOT_D11],
+      ['B21-C2304', PRINTER_MODELS.NIIMBOT_B21],
+      ['B3S-P1234', PRINTER_MODELS.NIIMBOT_B21],
+    ])('should tell Niimbot models apart by name (%s)', async (name, model) => {
+      const { device } = createMockDevice({ name, model: PRINTER_MODELS.NIIMBOT_B21 });
+
+      await printerManager.connectDevice(device);
+
+      expect(printerManager.detectedModel).toBe(model);
+    });
+
+    it('should use generic ESC/POS for other devices with the Niimbot service', async () => {
+      const { device } = createMockDevice({ name: 'MiniPrint', model: PRINTER_MODELS.NIIMBOT_B21 });
+
+      await printerManager.connectDevice(device);
+
+      expect(printerManager.detectedModel).toBe(PRINTER_MODELS.UNKNOWN);
+      expect(printerManager.detectionTier).toBe(DETECTION_TIERS.GENERIC);
+      expect(printerManager.config?.PROTOCOL).toBeUndefined();
+    });
+
+    it('should refuse a device with nothing to write to', async () => {
+      const { device } = createMockDevice({
+        name: 'Living Room TV',
+        connect: async () => ({ getPrimaryServices: async () => [] }),
+      });
+
+      await expect(printerManager.connectDevice(device)).rejects.toMatchObject({
+        code: PRINTER_ERRORS.UNSUPPORTED_DEVICE,
+      });
+      expect(printerManager.isConnected).toBe(false);
+    });
+
+    it('should say which name prefix picked the model', async () => {
+      const { device } = createMockDevice({ name: 'D110-A1', model: PRINTER_MODELS.NIIMBOT_B21 });
+
+      await printerManager.connectDevice(device);
 
-      await expect(printerManager.sendData([1, 2, 3])).rejects.toThrow('Write failed');
+      expect(printerManager.detectionReason).toBe(
+        'Its name starts with "D11" and it has the Niimbot D11 print service'
+      );
+    });
+
+    describe('standard services', () => {
+      /**
+       * A GATT service whose characteristics hold the given values
+       * @param {string} uuid
+       * @param {Record<string, Uint8Array>} values - By characteristic UUID
+       */
+      const standardService = (uuid, values) => {
+        // The same object each time, as browsers keep them for a device
+        /** @type {Map<string, EventTarget>} */
+        const characteristics = new Map();
+        return {
+          uuid,
+          getCharacteristic: async (/** @type {string} */ charUuid) => {
+            if (!(charUuid in values)) throw new Error('Characteristic not found');
+            if (!characteristics.has(charUuid)) {
+              characteristics.set(
+                charUuid,
+                Object.assign(new EventTarget(), {
+                  value: null,
+                  properties: { notify: true },
+                  readValue: async () => new DataView(values[charUuid].buffer),
+                  startNotifications: vi.fn().mockResolvedValue(undefined),
+                })
+              );
+            }
+            return characteristics.get(charUuid);
+          },
+        };
+      };
+
+      /** @param {Record<string, string>} fields - Device Information strings by UUID */
+      const deviceInfoService = (fields) =>
+        standardService(
+          STANDARD_GATT.DEVICE_INFO_SERVICE,
+          Object.fromEntries(
+            Object.entries(fields).map(([uuid, text]) => [uuid, new TextEncoder().encode(text)])
+          )
+        );
+
+      it('should read the model, firmware and serial', async () => {
+        const { DEVICE_INFO } = STANDARD_GATT;
+        const { device } = createMockDevice({
+          extraServices: [
+            deviceInfoService({
+              [DEVICE_INFO.model]: 'M02 Pro\0\0',
+              [DEVICE_INFO.firmware]: '1.2.3',
+              [DEVICE_INFO.serial]: 'A1B2',
+            }),
+          ],
+        });
+
+        await printerManager.connectDevice(device);
+
+        expect(printerManager.deviceInfo).toMatchObject({
+          model: 'M02 Pro',
+          firmware: '1.2.3',
+          serial: 'A1B2',
+          manufacturer: null,
+        });
+
+        printerManager.disconnect();
+        expect(printerManager.deviceInfo.model).toBeNull();
+      });
+
+      it('should pick a model by its model number when the name is generic', async () => {
+        const { device } = createMockDevice({
+          name: 'Printer_7F21',
+          model: PRINTER_MODELS.NIIMBOT_B21,
+          extraServices: [deviceInfoService({ [STANDARD_GATT.DEVICE_INFO.model]: 'D110' })],
+        });
+
+        await printerManager.connectDevice(device);
+
+        expect(printerManager.detectedModel).toBe(PRINTER_MODELS.NIIMBOT_D11);
+        expect(printerManager.detectionReason).toBe(
+          'Its model number starts with "D11" and it has the Niimbot D11 print service'
+        );
+      });
+
+      it('should read the battery level and follow its changes', async () => {
+        const battery = standardService(STANDARD_GATT.BATTERY_SERVICE, {
+          [STANDARD_GATT.BATTERY_LEVEL]: Uint8Array.of(80),
+        });
+        const { device } = createMockDevice({ extraServices: [battery] });
+        const onStatus = vi.fn();
+        printerManager.addEventListener('statuschange', onStatus);
+
+        await printerManager.connectDevice(device);
+        expect(printerManager.getStatus().batteryLevel).toBe(80);
+
+        const characteristic = /** @type {EventTarget & { value: DataView | null }} */ (
+          printerManager.batteryCharacteristic
+        );
+        characteristic.value = new DataView(Uint8Array.of(35).buffer);
+        characteristic.dispatchEvent(new Event('characteristicvaluechanged'));
+
+        expect(printerManager.getStatus().batteryLevel).toBe(35);
+        expect(onStatus).toHaveBeenCalledTimes(2);
+      });
+
+      it('should follow the battery level once after reconnecting', async () => {
+        const battery = standardService(STANDARD_GATT.BATTERY_SERVICE, {
+          [STANDARD_GATT.BATTERY_LEVEL]: Uint8Array.of(80),
+        });
+        const { device } = createMockDevice({ extraServices: [battery] });
+        await printerManager.connectDevice(device);
+        const characteristic = /** @type {EventTarget & { value: DataView | null }} */ (
+          printerManager.batteryCharacteristic
+        );
+
+        const update = vi.spyOn(printerManager, 'updateBatteryLevel');
+        characteristic.value = new DataView(Uint8Array.of(35).buffer);
+
+        vi.spyOn(printerManager, '_reconnectWithBackoff').mockResolvedValue(null);
+        printerManager.handleUnexpectedDisconnect();
+        // Nothing is followed while the link is down
+        characteristic.dispatchEvent(new Event('characteristicvaluechanged'));
+        expect(update).not.toHaveBeenCalled();
+
+        await printerManager.connectDevice(device);
+        update.mockClear();
+        characteristic.dispatchEvent(new Event('characteristicvaluechanged'));
+
+        expect(printerManager.batteryCharacteristic).toBe(characteristic);
+        expect(update).toHaveBeenCalledTimes(1);
+      });
+
+      it('should not follow a battery level whose notifications would not turn on', async () => {
+        const battery = standardService(STANDARD_GATT.BATTERY_SERVICE, {
+          [STANDARD_GATT.BATTERY_LEVEL]: Uint8Array.of(80),
+        });
+        const characteristic =
+          /** @type {EventTarget & { value: DataView | null, startNotifications: import('vitest').Mock }} */ (
+            await battery.getCharacteristic(STANDARD_GATT.BATTERY_LEVEL)
+          );
+        characteristic.startNotifications.mockRejectedValue(new Error('Not supported'));
+        const { device } = createMockDevice({ extraServices: [battery] });
+        await printerManager.connectDevice(device);
+        const update = vi.spyOn(printerManager, 'updateBatteryLevel');
+
+        characteristic.value = new DataView(Uint8Array.of(35).buffer);
+        characteristic.dispatchEvent(new Event('characteristicvaluechanged'));
+
+        expect(printerManager.getStatus().batteryLevel).toBe(80);
+        expect(printerManager.batteryCharacteristic).toBeNull();
+        expect(update).not.toHaveBeenCalled();
+      });
+    });
+
+    it('should detect a printer from a saved profile', async () => {
+      const t02 = PRINTER_CONFIGS[PRINTER_MODELS.T02];
+      saveProfile({
+        MODEL: 'custom-wide-t02',
+        NAME: 'Wide T02',
+        SERVICE_UUID: t02.SERVICE_UUID,
+        WRITE_CHAR_UUID: t02.WRITE_CHAR_UUID,
+        WIDTH: 576,
+        MTU_SIZE: 100,
+        LINES_PER_CHUNK: 8,
+        INIT_COMMANDS: null,
+        STATUS_PROTOCOL: null,
+      });
+      const { device } = createMockDevice();
+
+      await printerManager.connectDevice(device);
+
+      expect(printerManager.detectedModel).toBe('custom-wide-t02');
+      expect(printerManager.config?.BYTES_PER_LINE).toBe(72);
     });
   });
 
+  describe('connect', () => {
+    afterEach(() => {
+      vi.restoreAllMocks();
+      localStorage.clear();
+    });
+
+    it('should ask for the services of built-in printers and saved profiles', async () => {
+      saveProfile({
+        MODEL: 'custom-cat',
+        NAME: 'Cat',
+        SERVICE_UUID: 'ae30',
+        WRITE_CHAR_UUID: 'ae01',
+        WIDTH: 384,
+        MTU_SIZE: 100,
+        LINES_PER_CHUNK: 8,
+      });
+      const requestDevice = vi
+        .spyOn(navigator.bluetooth, 'requestDevice')
+        .mockRejectedValue(new Error('User cancelled'));
+
+      await expect(printerManager.connect()).rejects.toThrow('User cancelled');
+
+      const { optionalServices } = requestDevice.mock.calls[0][0] ?? {};
+      expect(optionalServices).toEqual([
+        STANDARD_GATT.BATTERY_SERVICE,
+        STANDARD_GATT.DEVICE_INFO_SERVICE,
+        '0000ae30-0000-1000-8000-00805f9b34fb',
+        PRINTER_CONFIGS[PRINTER_MODELS.T02].SERVICE_UUID,
+        PRINTER_CONFIGS[PRINTER_MODELS.HB4057].SERVICE_UUID,
+        PRINTER_CONFIGS[PRINTER_MODELS.NIIMBOT_B21].SERVICE_UUID,
+      ]);
+    });
+
+    it('should only list known printers unless all devices are asked for', async () => {
+      const requestDevice = vi
+        .spyOn(navigator.bluetooth, 'requestDevice')
+        .mockRejectedValue(new Error('User cancelled'));
+
+      await expect(printerManager.connect()).rejects.toThrow('User cancelled');
+      await expect(printerManager.connect(true)).rejects.toThrow('User cancelled');
+
+      const [filtered, all] = requestDevice.mock.calls.map(([options]) => options ?? {});
+      expect(filtered).not.toHaveProperty('acceptAllDevices');
+      expect(filtered.filters).toContainEqual({ namePrefix: 'T02' });
+      expect(filtered.filters).toContainEqual({
+        services: [PRINTER_CONFIGS[PRINTER_MODELS.HB4057].SERVICE_UUID],
+      });
+      expect(all).toMatchObject({ acceptAllDevices: true });
+      expect(all).not.toHaveProperty('filters');
+    });
+  });
+
+  describe('automatic reconnect', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      localStorage.clear();
+    });
+
+    it('should notice a dropped link and reconnect', async () => {
+      const { device, gatt } = createMockDevice();
+      await printerManager.connectDevice(device);
+
+      const disconnected = vi.fn();
+      const connected = vi.fn();
+      printerManager.addEventListener('disconnected', disconnected);
+      printerManager.addEventListener('connected', connected);
+
+      gatt.connected = false;
+      device.dispatchEvent(new Event('gattserverdisconnected'));
+
+      expect(printerManager.isConnected).toBe(false);
+      expect(printerManager.isReconnecting).toBe(true);
+      expect(disconnected).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(printerManager.isConnected).toBe(true);
+      expect(printerManager.isReconnecting).toBe(false);
+      expect(connected).toHaveBeenCalledTimes(1);
+      expect(gatt.connect).toHaveBeenCalledTimes(2);
+    });
+
+    it('should back off between failed attempts and then give up', async () => {
+      const { device, gatt } = createMockDevice();
+      await printerManager.connectDevice(device);
+      gatt.connect.mockRejectedValue(new Error('Device out of range'));
+
+      /** @type {number[]} */
+      const delays = [];
+      const failed = vi.fn();
+      printerManager.addEventListener('reconnecting', (e) => {
+        delays.push(/** @type {CustomEvent} */ (e).detail.delayMs);
+      });
+      printerManager.addEventListener('reconnectfailed', failed);
+
+      device.dispatchEvent(new Event('gattserverdisconnected'));
+      await vi.advanceTimersByTimeAsync(60000);
+
+      expect(delays).toEqual([1000, 2000, 4000, 8000, 16000]);
+      expect(failed).toHaveBeenCalledTimes(1);
+      expect(printerManager.isConnected).toBe(false);
+      expect(printerManager.isReconnecting).toBe(false);
+    });
+
+    it('should stop reconnecting after disconnect() is called', async () => {
+      const { device, gatt } = createMockDevice();
+      await printerManager.connectDevice(device);
+
+      device.dispatchEvent(new Event('gattserverdisconnected'));
+      printerManager.disconnect();
+      await vi.advanceTimersByTimeAsync(60000);
+
+      expect(gatt.connect).toHaveBeenCalledTimes(1);
+      expect(printerManager.isReconnecting).toBe(false);
+    });
+
+    it('should ignore disconnects after disconnect() is called', async () => {
+      const { device } = createMockDevice();
+      await printerManager.connectDevice(device);
+      const disconnected = vi.fn();
+      printerManager.addEventListener('disconnected', disconnected);
+
+      printerManager.disconnect();
+      device.dispatchEvent(new Event('gattserverdisconnected'));
+
+      expect(disconnected).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconnectRemembered', () => {
+    afterEach(() => {
+      localStorage.clear();
+      vi.restoreAllMocks();
+    });
+
+    it('should return null when no printer is remembered', async () => {
+      expect(await printerManager.reconnectRemembered()).toBeNull();
+    });
+
+    it('should return null when the browser no longer knows the device', async () => {
+      localStorage.setItem(STORAGE_KEYS.REMEMBERED_PRINTER, 'gone');
+      expect(await printerManager.reconnectRemembered()).toBeNull();
+    });
+
+    it('should reconnect to the remembered device without the chooser', async () => {
+      const { device } = createMockDevice({ id: 'remembered' });
+      const other = createMockDevice({ id: 'other' }).device;
+      localStorage.setItem(STORAGE_KEYS.REMEMBERED_PRINTER, 'remembered');
+      vi.spyOn(navigator.bluetooth, 'getDevices').mockResolvedValue([other, device]);
+      const requestDevice = vi.spyOn(navigator.bluetooth, 'requestDevice');
+
+      const name = await printerManager.reconnectRemembered();
+
+      expect(name).toBe('T02');
+      expect(printerManager.device).toBe(device);
+      expect(printerManager.isConnected).toBe(true);
+      expect(requestDevice).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('printBitmap', () => {
+    /** @type {import('vitest').Mock} */
+    let mockWrite;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      mockWrite = vi.fn().mockResolvedValue(undefined);
+      printerManager.transport = new BluetoothTransport(
+        /** @type {BluetoothRemoteGATTCharacteristic} */ ({
+          writeValue: mockWrite,
+          properties: { write: true, writeWithoutResponse: false },
+        })
+      );
+      printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.HB4057];
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    /**
+     * @param {number} height
+     * @returns {import('../src/modules/bitmap.js').Bitmap}
+     */
+    const blankBitmap = (height) => createBitmap(height, 48);
+
+    /** @returns {number[][]} Every write, as plain arrays */
+    const writes = () => mockWrite.mock.calls.map(([chunk]) => Array.from(chunk));
+
+    it('should report progress after each block', async () => {
+      const onProgress = vi.fn();
+
+      const done = printerManager.printBitmap(blankBitmap(20), { onProgress });
+      await vi.runAllTimersAsync();
+      await done;
+
+      expect(onProgress.mock.calls.map(([p]) => p.rowsSent)).toEqual([8, 16, 20]);
+      expect(onProgress.mock.calls[2][0]).toEqual({
+        rowsSent: 20,
+        totalRows: 20,
+        bytesSent: 3 * 8 + 20 * 48,
+        totalBytes: 3 * 8 + 20 * 48,
+      });
+    });
+
+    it('should stop between blocks and feed the paper when aborted', async () => {
+      const controller = new AbortController();
+      const onProgress = vi.fn(() => controller.abort());
+
+      const done = printerManager.printBitmap(blankBitmap(20), {
+        signal: controller.signal,
+        onProgress,
+      });
+      const assertion = expect(done).rejects.toThrow(/abort/i);
+      await vi.runAllTimersAsync();
+      await assertion;
+
+      expect(onProgress).toHaveBeenCalledTimes(1);
+      const blocks = writes().filter((w) => w[0] === 0x1d && w[1] === 0x76);
+      expect(blocks).toHaveLength(1);
+      expect(writes().at(-1)).toEqual([0x1b, 0x64, 0x03]);
+    });
+
+    it('should write the raster width as two little-endian bytes', async () => {
+      // Wider than 255 bytes per line, so the high byte is needed
+      printerManager.config = {
+        ...PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_104MM],
+        WIDTH: 2400,
+        BYTES_PER_LINE: 300,
+        MTU_SIZE: 512,
+      };
+      const bitmap = createBitmap(2, 300);
+
+      const done = printerManager.printBitmap(bitmap);
+      await vi.runAllTimersAsync();
+      await done;
+
+      const block = writes().find((w) => w[0] === 0x1d && w[1] === 0x76);
+      expect(block?.slice(0, 8)).toEqual([0x1d, 0x76, 0x30, 0x00, 0x2c, 0x01, 0x02, 0x00]);
+    });
+
+    it('should take the raster width from the bitmap rows', async () => {
+      const bitmap = createBitmap(2, 40);
+
+      const done = printerManager.printBitmap(bitmap);
+      await vi.runAllTimersAsync();
+      await done;
+
+      const block = writes().find((w) => w[0] === 0x1d && w[1] === 0x76);
+      expect(block?.slice(4, 6)).toEqual([40, 0]);
+    });
+
+    describe('on labels', () => {
+      beforeEach(() => {
+        printerManager.setMedia({
+          type: MEDIA_TYPES.GAP,
+          widthMm: 40,
+          heightMm: 30,
+          gapMm: 3,
+        });
+      });
+
+      it('should feed to the next label instead of a fixed feed', async () => {
+        const done = printerManager.printBitmap(blankBitmap(8));
+        await vi.runAllTimersAsync();
+        await done;
+
+        expect(writes().at(-1)).toEqual([0x1d, 0x0c]);
+        expect(writes()).not.toContainEqual([0x1b, 0x64, 0x03]);
+      });
+
+      it('should send the label gap to printers that take one', async () => {
+        printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.T02];
+
+        const done = printerManager.printBitmap(blankBitmap(8));
+        await vi.runAllTimersAsync();
+        await done;
+
+        expect(writes()).toContainEqual([0x1a, 0x07, 0x01, 0x00, 24]);
+        expect(writes()).toContainEqual([0x1f, 0x11, 0x0a]);
+      });
+
+      it('should set the sensor for black marks on printers without a gap command', async () => {
+        printerManager.setMedia({ ...printerManager.getMedia(), type: MEDIA_TYPES.BLACK_MARK });
+
+        const done = printerManager.printBitmap(blankBitmap(8));
+        await vi.runAllTimersAsync();
+        await done;
+
+        expect(writes()).toContainEqual([0x1c, 0x28, 0x4c, 0x02, 0x00, 0x21, 0x32]);
+        expect(writes()).not.toContainEqual([0x1c, 0x28, 0x4c, 0x02, 0x00, 0x21, 0x31]);
+      });
+    });
+
+    it('should read a row source one block at a time', async () => {
+      const getRows = vi.fn(async (/** @type {number} */ start, /** @type {number} */ end) =>
+        new Uint8Array((end - start) * 48).fill(0xff)
+      );
+
+      const done = printerManager.printBitmap({ height: 20, bytesPerLine: 48, getRows });
+      await vi.runAllTimersAsync();
+      await done;
+
+      expect(getRows.mock.calls).toEqual([
+        [0, 8],
+        [8, 16],
+        [16, 20],
+      ]);
+      const sent = writes().flat();
+      expect(sent.filter((byte) => byte === 0xff)).toHaveLength(20 * 48);
+    });
+
+    it('should send the chosen density and speed to printers that take them', async () => {
+      printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.T02];
+
+      const done = printerManager.printBitmap(blankBitmap(8), {}, { density: 15, speed: 2 });
+      await vi.runAllTimersAsync();
+      await done;
+
+      expect(writes()).toContainEqual([0x1a, 0x09, 0x0f]);
+      expect(writes()).toContainEqual([0x1f, 0x11, 0x02, 0x02]);
+    });
+
+    it('should ignore density and speed on printers without vendor commands', async () => {
+      const done = printerManager.printBitmap(blankBitmap(8), {}, { density: 15, speed: 2 });
+      await vi.runAllTimersAsync();
+      await done;
+
+      expect(writes().some((chunk) => chunk[0] === 0x1a || chunk[0] === 0x1f)).toBe(false);
+    });
+
+    it('should send ESC * bands between line spacing commands', async () => {
+      printerManager.config = {
+        ...PRINTER_CONFIGS[PRINTER_MODELS.HB4057],
+        RASTER_MODE: RASTER_MODES.ESC_STAR,
+      };
+      const onProgress = vi.fn();
+
+      const done = printerManager.printBitmap(blankBitmap(30), { onProgress });
+      await vi.runAllTimersAsync();
+      await done;
+
+      // Blocks follow the 24-dot band, not LINES_PER_CHUNK
+      expect(onProgress.mock.calls.map(([p]) => p.rowsSent)).toEqual([24, 30]);
+      const sent = writes().flat();
+      const bands = sent.filter((byte, i) => byte === 0x1b && sent[i + 1] === 0x2a);
+      expect(bands).toHaveLength(2);
+      expect(sent.indexOf(0x33, 0)).toBeLessThan(sent.indexOf(0x2a));
+      expect(writes()).toContainEqual([0x1b, 0x32]);
+      expect(writes().at(-1)).toEqual([0x1b, 0x64, 0x03]);
+    });
+
+    it('should send cat printers packets instead of ESC/POS', async () => {
+      printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.CAT];
+      const onProgress = vi.fn();
+
+      const done = printerManager.printBitmap(blankBitmap(10), { onProgress }, { density: 8 });
+      await vi.runAllTimersAsync();
+      await done;
+
+      const sent = writes().flat();
+      expect(sent.slice(0, 2)).toEqual([0x51, 0x78]);
+      expect(sent).not.toContain(0x1b);
+      // SET_ENERGY with level 8 × 0x1000
+      expect(sent.join(',')).toContain([0xaf, 0x00, 0x02, 0x00, 0x00, 0x80].join(','));
+      expect(onProgress.mock.calls.at(-1)?.[0]).toEqual({
+        rowsSent: 10,
+        totalRows: 10,
+        bytesSent: 10 * 56,
+        totalBytes: 10 * 56,
+      });
+    });
+
+    describe('layout', () => {
+      /**
+       * @param {import('../src/modules/bitmap.js').Bitmap} bitmap
+       * @param {import('../src/modules/print-settings.js').PrinterSettings} settings
+       */
+      const print = async (bitmap, settings) => {
+        const done = printerManager.printBitmap(bitmap, {}, settings);
+        await vi.runAllTimersAsync();
+        await done;
+      };
+
+      /** @returns {number} Rows in the GS v 0 blocks sent */
+      const rasterRows = () =>
+        writes()
+          .filter((w) => w[0] === 0x1d && w[1] === 0x76)
+          .reduce((rows, w) => rows + (w[6] | (w[7] << 8)), 0);
+
+      it('should center pictures and feed 3 lines after them by default', async () => {
+        await print(blankBitmap(8), {});
+
+        expect(writes()).toContainEqual([0x1b, 0x61, 0x01]);
+        expect(writes().filter((w) => w[0] === 0x1b && w[1] === 0x64)).toEqual([
+          [0x1b, 0x64, 0x03],
+        ]);
+      });
+
+      it('should send the chosen alignment and feeds', async () => {
+        await print(blankBitmap(8), { align: ALIGNMENTS.RIGHT, feedBefore: 2, feedAfter: 6 });
+
+        expect(writes()).toContainEqual([0x1b, 0x61, 0x02]);
+        expect(writes()).not.toContainEqual([0x1b, 0x61, 0x01]);
+        const feeds = writes().filter((w) => w[0] === 0x1b && w[1] === 0x64);
+        expect(feeds).toEqual([
+          [0x1b, 0x64, 0x02],
+          [0x1b, 0x64, 0x06],
+        ]);
+        expect(writes().indexOf(feeds[0])).toBeLessThan(
+          writes().findIndex((w) => w[0] === 0x1d && w[1] === 0x76)
+        );
+      });
+
+      it('should leave out blank rows at the top and bottom when trimming', async () => {
+        const rows = Array.from({ length: 20 }, (_, y) =>
+          new Uint8Array(48).fill(y === 5 || y === 9 ? 0xff : 0)
+        );
+
+        await print(bitmapFromRows(rows), { trim: true });
+
+        expect(rasterRows()).toBe(5);
+      });
+
+      it('should not trim labels, where blank paper places the picture', async () => {
+        printerManager.setMedia({ type: MEDIA_TYPES.GAP, widthMm: 40, heightMm: 30, gapMm: 3 });
+
+        await print(blankBitmap(20), { trim: true });
+
+        expect(rasterRows()).toBe(20);
+      });
+
+      it('should cut after the feed on printers with a cutter', async () => {
+        printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_80MM];
+
+        await print(blankBitmap(8), { cut: CUT_MODES.PARTIAL });
+
+        expect(writes().slice(-2)).toEqual([
+          [0x1b, 0x64, 0x03],
+          [0x1d, 0x56, 0x01],
+        ]);
+      });
+
+      it('should not cut by default or on printers without a cutter', async () => {
+        printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_80MM];
+        await print(blankBitmap(8), {});
+        printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.HB4057];
+        await print(blankBitmap(8), { cut: CUT_MODES.FULL });
+
+        expect(writes().some((w) => w[0] === 0x1d && w[1] === 0x56)).toBe(false);
+      });
+
+      it('should feed cat printers by the chosen number of lines', async () => {
+        printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.CAT];
+
+        await print(blankBitmap(4), { feedBefore: 1, feedAfter: 2 });
+
+        const sent = writes().flat().join(',');
+        const { LINE_DOTS } = CAT_PRINTER;
+        expect(sent).toContain(getCatFeed(LINE_DOTS).join(','));
+        expect(sent).toContain(getCatFeed(2 * LINE_DOTS).join(','));
+      });
+
+      it('should print a canvas with the layout in its options', async () => {
+        printerManager.config = PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_80MM];
+        const canvas = document.createElement('canvas');
+        canvas.width = 8;
+        canvas.height = 4;
+
+        const done = printerManager.print(canvas, {
+          align: ALIGNMENTS.LEFT,
+          feedAfter: 5,
+          cut: CUT_MODES.FULL,
+        });
+        await vi.runAllTimersAsync();
+        await done;
+
+        expect(writes()).toContainEqual([0x1b, 0x61, 0x00]);
+        expect(writes().slice(-2)).toEqual([
+          [0x1b, 0x64, 0x05],
+          [0x1d, 0x56, 0x00],
+        ]);
+      });
+    });
+
+    it('should carry on from a row without feeding paper first', async () => {
+      const onProgress = vi.fn();
+
+      const done = printerManager.printBitmap(
+        blankBitmap(20),
+        { startRow: 8, onProgress },
+        { feedBefore: 2 }
+      );
+      await vi.runAllTimersAsync();
+      await done;
+
+      const blocks = writes().filter((w) => w[0] === 0x1d && w[1] === 0x76);
+      expect(blocks.map((w) => w[6])).toEqual([8, 4]);
+      expect(writes()).not.toContainEqual([0x1b, 0x64, 0x02]);
+      expect(onProgress.mock.calls.map(([p]) => p.rowsSent)).toEqual([16, 20]);
+      expect(onProgress.mock.calls[0][0].bytesSent).toBe(2 * (8 + 8 * 48));
+    });
+
+    it('should stop with a paper error when the printer runs out', async () => {
+      const onProgress = vi.fn(() => {
+        printerManager.status = { ...printerManager.status, paperOut: true };
+      });
+
+      const done = printerManager.printBitmap(blankBitmap(20), { onProgress });
+      const assertion = expect(done).rejects.toMatchObject({ code: PRINTER_ERRORS.PAPER_OUT });
+      await vi.runAllTimersAsync();
+      await assertion;
+
+      expect(onProgress).toHaveBeenCalledTimes(1);
+      expect(writes().filter((w) => w[0] === 0x1d && w[1] === 0x76)).toHaveLength(1);
+    });
+
+    it('should not send anything if already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(
+        printerManager.printBitmap(blankBitmap(8), { signal: controller.signal })
+      ).rejects.toThrow(/abort/i);
+      expect(mockWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Niimbot printing', () => {
+    const { COMMANDS } = NIIMBOT;
+
+    /**
+     * Answer every request the way a Niimbot printer does
+     * @param {(command: number, data: Uint8Array) => number[] | null} [answer] - Reply data, or null for none
+     */
+    const connectNiimbot = (answer = () => [0x01]) => {
+      const transport = new LoopbackTransport();
+      const write = transport.write.bind(transport);
+      transport.write = async (chunk) => {
+        await write(chunk);
+        for (const { command, data } of decodeNiimbotPackets(chunk)) {
+          if (command === COMMANDS.BITMAP_ROW || command === COMMANDS.EMPTY_ROWS) continue;
+          const reply = answer(command, data);
+          if (reply) {
+            const packet = niimbotPacket(getNiimbotReplyCode(command), reply);
+            queueMicrotask(() => printerManager.handleNotification(new Uint8Array(packet)));
+          }
+        }
+      };
+      printerManager.connectTransport(transport, PRINTER_CONFIGS[PRINTER_MODELS.NIIMBOT_B21]);
+      // Stands in for the Bluetooth notify characteristic replies arrive on
+      printerManager.notifyCharacteristic = /** @type {BluetoothRemoteGATTCharacteristic} */ (
+        /** @type {unknown} */ (new EventTarget())
+      );
+      return transport;
+    };
+
+    /** @param {LoopbackTransport} transport */
+    const commandsSent = (transport) =>
+      decodeNiimbotPackets(transport.getBytes()).map((packet) => packet.command);
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should set up the page, send the rows and wait for the label to print', async () => {
+      let statusPolls = 0;
+      const transport = connectNiimbot((command) => {
+        if (command !== COMMANDS.GET_PRINT_STATUS) return [0x01];
+        // Printed on the second poll
+        statusPolls++;
+        return [0x00, statusPolls > 1 ? 1 : 0, 0x00, 0x00];
+      });
+      const bitmap = bitmapFromRows([new Array(48).fill(0xff), new Array(48).fill(0)]);
+
+      const done = printerManager.printBitmap(bitmap, {}, { density: 4 });
+      await vi.runAllTimersAsync();
+      await done;
+
+      expect(commandsSent(transport)).toEqual([
+        COMMANDS.SET_LABEL_DENSITY,
+        COMMANDS.SET_LABEL_TYPE,
+        COMMANDS.START_PRINT,
+        COMMANDS.START_PAGE,
+        COMMANDS.SET_DIMENSION,
+        COMMANDS.BITMAP_ROW,
+        COMMANDS.EMPTY_ROWS,
+        COMMANDS.END_PAGE,
+        COMMANDS.GET_PRINT_STATUS,
+        COMMANDS.GET_PRINT_STATUS,
+        COMMANDS.END_PRINT,
+      ]);
+      const packets = decodeNiimbotPackets(transport.getBytes());
+      expect(Array.from(packets[0].data)).toEqual([4]);
+      // A roll is selected, but the B21 only prints on labels
+      expect(Array.from(packets[1].data)).toEqual([NIIMBOT.LABEL_TYPES.GAP]);
+      expect(Array.from(packets[4].data)).toEqual([0, 2, 1, 128]);
+    });
+
+    it('should fail if the printer stops answering', async () => {
+      connectNiimbot(() => null);
+
+      const done = printerManager.printBitmap(createBitmap(1, 48));
+      const assertion = expect(done).rejects.toThrow('The label printer stopped answering');
+      await vi.runAllTimersAsync();
+      await assertion;
+    });
+
+    it('should fail if the printer rejects the label', async () => {
+      const transport = connectNiimbot((command) => (command === COMMANDS.START_PRINT ? null : [1]));
+      const write = transport.write.bind(transport);
+      transport.write = async (chunk) => {
+        await write(chunk);
+        if (decodeNiimbotPackets(chunk)[0]?.command === COMMANDS.START_PRINT) {
+          const error = niimbotPacket(COMMANDS.ERROR, [0x00]);
+          queueMicrotask(() => printerManager.handleNotification(new Uint8Array(error)));
+        }
+      };
+
+      const done = printerManager.printBitmap(createBitmap(1, 48));
+      const assertion = expect(done).rejects.toThrow('refused the print');
+      await vi.runAllTimersAsync();
+      await assertion;
+    });
+
+    it('should not feed paper between copies', async () => {
+      const transport = connectNiimbot();
+
+      await printerManager.feed(3);
+
+      expect(transport.getBytes()).toHaveLength(0);
+    });
+  });
+
+  describe('printReceipt', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    /**
+     * @param {LoopbackTransport} transport
+     * @param {import('../src/modules/receipt.js').ReceiptBlock[]} blocks
+     * @param {import('../src/modules/printer.js').PrintControl} [control]
+     * @returns {Promise<number[]>} Every byte sent
+     */
+    const print = async (transport, blocks, control) => {
+      const done = printerManager.printReceipt(blocks, control);
+      await vi.runAllTimersAsync();
+      await done;
+      return Array.from(transport.getBytes());
+    };
+
+    /**
+     * @param {number[]} bytes
+     * @param {number[]} part
+     */
+    const contains = (bytes, part) => bytes.join(',').includes(part.join(','));
+
+    it('should send text and QR codes as commands to desktop printers', async () => {
+      const transport = new LoopbackTransport();
+      printerManager.connectTransport(transport, PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_80MM]);
+
+      const sent = await print(transport, [
+        { type: RECEIPT_BLOCKS.TEXT, text: 'Lemonade' },
+        { type: RECEIPT_BLOCKS.QR, data: 'abc' },
+      ]);
+
+      expect(contains(sent, Array.from('Lemonade\n', (c) => c.charCodeAt(0)))).toBe(true);
+      expect(contains(sent, [0x1d, 0x28, 0x6b])).toBe(true);
+      expect(contains(sent, [0x1d, 0x76, 0x30])).toBe(false);
+      expect(sent.slice(-3)).toEqual([0x1b, 0x64, 0x03]);
+    });
+
+    it('should draw text the printer has no characters for', async () => {
+      const transport = new LoopbackTransport();
+      printerManager.connectTransport(transport, PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_80MM]);
+      const onProgress = vi.fn();
+
+      const sent = await print(
+        transport,
+        [
+          { type: RECEIPT_BLOCKS.TEXT, text: 'Café' },
+          { type: RECEIPT_BLOCKS.TEXT, text: 'Tea' },
+        ],
+        { onProgress }
+      );
+
+      expect(contains(sent, [0x1d, 0x76, 0x30])).toBe(true);
+      expect(contains(sent, [0x54, 0x65, 0x61, 0x0a])).toBe(true);
+      const last = onProgress.mock.calls.at(-1)?.[0];
+      expect(last.rowsSent).toBe(2 * RECEIPT_CONFIG.LINE_HEIGHT);
+      expect(last.rowsSent).toBe(last.totalRows);
+      expect(last.bytesSent).toBe(last.totalBytes);
+    });
+
+    it('should print the whole receipt as a picture on printers without fonts', async () => {
+      const transport = new LoopbackTransport();
+      printerManager.connectTransport(transport, PRINTER_CONFIGS[PRINTER_MODELS.T02]);
+
+      const sent = await print(transport, [{ type: RECEIPT_BLOCKS.TEXT, text: 'Lemonade' }]);
+
+      expect(contains(sent, [0x1d, 0x76, 0x30])).toBe(true);
+      expect(contains(sent, Array.from('Lemonade', (c) => c.charCodeAt(0)))).toBe(false);
+    });
+
+    it('should fail before printing a barcode too long for the paper', async () => {
+      const transport = new LoopbackTransport();
+      printerManager.connectTransport(transport, PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_80MM]);
+
+      await expect(
+        printerManager.printReceipt([
+          { type: RECEIPT_BLOCKS.BARCODE, format: BARCODE_FORMATS.CODE128, data: 'x'.repeat(60) },
+        ])
+      ).rejects.toThrow('too long for the paper');
+      expect(transport.chunks).toHaveLength(0);
+    });
+
+    it('should only use printer commands on real ESC/POS printers', () => {
+      const config = PRINTER_CONFIGS[PRINTER_MODELS.GENERIC_80MM];
+
+      printerManager.connectTransport(new LoopbackTransport(), config);
+      expect(printerManager.getNativeBlocks()).toEqual(config.NATIVE_BLOCKS);
+
+      printerManager.connectTransport(new VirtualPrinter(config), config);
+      expect(printerManager.getNativeBlocks()).toEqual([]);
+
+      printerManager.connectTransport(new LoopbackTransport(), PRINTER_CONFIGS[PRINTER_MODELS.CAT]);
+      expect(printerManager.getNativeBlocks()).toEqual([]);
+    });
+  });
+
+  describe('connectTransport', () => {
+    it('should print through any transport with the given config', async () => {
+      const transport = new LoopbackTransport('Test Loopback');
+      const config = PRINTER_CONFIGS[PRINTER_MODELS.HB4057];
+
+      const name = printerManager.connectTransport(transport, config);
+
+      expect(name).toBe('Test Loopback');
+      expect(printerManager.isConnected).toBe(true);
+      expect(printerManager.config).toBe(config);
+      expect(printerManager.detectedModel).toBe(PRINTER_MODELS.HB4057);
+      expect(printerManager.getDeviceName()).toBe('Test Loopback');
+
+      await printerManager.sendData([0x1b, 0x40]);
+      expect(Array.from(transport.getBytes())).toEqual([0x1b, 0x40]);
+    });
+
+    it('should default to the generic config', () => {
+      printerManager.connectTransport(new LoopbackTransport());
+      expect(printerManager.detectedModel).toBe(PRINTER_MODELS.UNKNOWN);
+    });
+
+    it('should apply the raster mode remembered for the device', () => {
+      localStorage.clear();
+      printerManager.connectTransport(new LoopbackTransport('Old Printer'));
+      printerManager.setRasterMode(RASTER_MODES.GS_L);
+      printerManager.disconnect();
+
+      printerManager.connectTransport(new LoopbackTransport('Old Printer'));
+      expect(printerManager.config?.RASTER_MODE).toBe(RASTER_MODES.GS_L);
+
+      printerManager.connectTransport(new LoopbackTransport('Other Printer'));
+      expect(printerManager.config?.RASTER_MODE).toBeUndefined();
+    });
+
+    it('should print a test pattern without changing the raster mode', async () => {
+      vi.useFakeTimers();
+      const transport = new LoopbackTransport();
+      printerManager.connectTransport(transport);
+
+      const done = printerManager.printRasterTest(RASTER_MODES.GS_L, 3);
+      await vi.runAllTimersAsync();
+      await done;
+      vi.useRealTimers();
+
+      const bytes = Array.from(transport.getBytes());
+      expect(bytes.some((byte, i) => byte === 0x1d && bytes[i + 1] === 0x28)).toBe(true);
+      expect(bytes.some((byte, i) => byte === 0x1d && bytes[i + 1] === 0x76)).toBe(false);
+      expect(printerManager.config?.RASTER_MODE).toBeUndefined();
+    });
+
+    it('should close the transport on disconnect', () => {
+      const transport = new LoopbackTransport();
+      printerManager.connectTransport(transport);
+
+      printerManager.disconnect();
+
+      expect(transport.isOpen).toBe(false);
+      expect(printerManager.transport).toBeNull();
+      expect(printerManager.isConnected).toBe(false);
+    });
+  });
+
+  describe('diagnostics', () => {
+    it('should say the config was chosen by hand for other links, and forget it on disconnect', () => {
+      printerManager.connectTransport(new LoopbackTransport());
+      expect(printerManager.detectionTier).toBe(DETECTION_TIERS.MANUAL);
+      expect(printerManager.detectionReason).toBe('Generic Printer was picked when connecting');
+
+      printerManager.disconnect();
+      expect(printerManager.detectionTier).toBeNull();
+      expect(printerManager.detectionReason).toBeNull();
+    });
+
+    it('should log the bytes sent and the notifications received', async () => {
+      printerManager.connectTransport(new LoopbackTransport(), {
+        ...DEFAULT_PRINTER_CONFIG,
+        MTU_SIZE: 2,
+      });
+
+      await printerManager.sendData([1, 2, 3]);
+      printerManager.handleNotification(Uint8Array.of(0xaa));
+
+      const entries = printerManager.trafficLog.entries;
+      expect(entries.map((entry) => [entry.direction, [...entry.bytes]])).toEqual([
+        ['sent', [1, 2]],
+        ['sent', [3]],
+        ['received', [0xaa]],
+      ]);
+    });
+
+    it('should list services only for Bluetooth printers', async () => {
+      printerManager.connectTransport(new LoopbackTransport());
+      expect(await printerManager.getGattServices()).toBeNull();
+    });
+
+    it('should print a calibration pattern and report its throughput', async () => {
+      vi.useFakeTimers();
+      const transport = new LoopbackTransport();
+      printerManager.connectTransport(transport);
+
+      const done = printerManager.printCalibration(CALIBRATION_PATTERNS.GRID);
+      await vi.runAllTimersAsync();
+      const result = await done;
+      vi.useRealTimers();
+
+      expect(result.bytes).toBe(transport.getBytes().length);
+      expect(result.bytes).toBeGreaterThan(
+        DEFAULT_PRINTER_CONFIG.BYTES_PER_LINE * DIAGNOSTICS_CONFIG.PATTERN_HEIGHT
+      );
+      expect(result.elapsedMs).toBeGreaterThan(0);
+    });
+  });
 });
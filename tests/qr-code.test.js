@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  encodeQrCode,
+  reedSolomon,
+  getQrFormatBits,
+  getMaxQrBytes,
+} from '../src/modules/qr-code.js';
+
+/**
+ * Rows of a QR code as strings of 0s and 1s
+ * @param {import('../src/modules/qr-code.js').QrMatrix} matrix
+ * @returns {string[]}
+ */
+function rowsOf(matrix) {
+  return Array.from({ length: matrix.size }, (_, y) =>
+    Array.from(matrix.modules.subarray(y * matrix.size, (y + 1) * matrix.size)).join('')
+  );
+}
+
+describe('reedSolomon', () => {
+  it('should compute the error correction codewords of a block', () => {
+    // "HELLO WORLD" at 1-M, from the worked example at thonky.com/qr-code-tutorial
+    const data = Uint8Array.of(32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17);
+
+    expect([...reedSolomon(data, 10)]).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+});
+
+describe('getQrFormatBits', () => {
+  it('should give the format information for level M', () => {
+    expect(getQrFormatBits(0).toString(2).padStart(15, '0')).toBe('101010000010010');
+    expect(getQrFormatBits(5).toString(2).padStart(15, '0')).toBe('100000011001110');
+  });
+});
+
+describe('encodeQrCode', () => {
+  it('should encode short text as a version 1 code', () => {
+    expect(rowsOf(encodeQrCode('Hi!'))).toEqual([
+      '111111100110001111111',
+      '100000100111001000001',
+      '101110101101101011101',
+      '101110101100101011101',
+      '101110101110101011101',
+      '100000101101001000001',
+      '111111101010101111111',
+      '000000001000000000000',
+      '101111100101001111100',
+      '011001001011111000001',
+      '001111111110101101110',
+      '111011001111111000100',
+      '110100110010100100001',
+      '000000001110100100100',
+      '111111100101010011110',
+      '100000101110000110111',
+      '101110101101010010100',
+      '101110101101111001000',
+      '101110101100101100000',
+      '100000100001111001000',
+      '111111101010100100110',
+    ]);
+  });
+
+  it('should pick the smallest version that holds the text', () => {
+    expect(encodeQrCode('x'.repeat(14)).size).toBe(21);
+    expect(encodeQrCode('x'.repeat(15)).size).toBe(25);
+    expect(encodeQrCode('x'.repeat(getMaxQrBytes())).size).toBe(57);
+  });
+
+  it('should count UTF-8 bytes, not characters', () => {
+    // 8 characters, 16 bytes: too many for version 1
+    expect(encodeQrCode('é'.repeat(8)).size).toBe(25);
+  });
+
+  it('should draw the finder patterns in three corners', () => {
+    const { size, modules } = encodeQrCode('https://example.com');
+    /** @type {(x: number, y: number) => number} */
+    const at = (x, y) => modules[y * size + x];
+
+    for (const [x, y] of [
+      [0, 0],
+      [size - 7, 0],
+      [0, size - 7],
+    ]) {
+      expect(at(x, y)).toBe(1);
+      expect(at(x + 1, y + 1)).toBe(0);
+      expect(at(x + 3, y + 3)).toBe(1);
+    }
+  });
+
+  it('should reject text that is too long', () => {
+    expect(() => encodeQrCode('x'.repeat(getMaxQrBytes() + 1))).toThrow('QR code text is too long');
+  });
+});
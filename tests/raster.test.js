@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  getRasterEncoder,
+  createRasterTestCanvas,
+  loadRasterMode,
+  saveRasterMode,
+} from '../src/modules/raster.js';
+import { RASTER_MODES, STORAGE_KEYS } from '../src/modules/constants.js';
+
+describe('getRasterEncoder', () => {
+  it('should default to GS v 0', () => {
+    expect(getRasterEncoder(undefined).mode).toBe(RASTER_MODES.GS_V_0);
+  });
+
+  it.each(Object.values(RASTER_MODES))('should return the %s encoder', (mode) => {
+    expect(getRasterEncoder(mode).mode).toBe(mode);
+  });
+
+  it.each(Object.values(RASTER_MODES))('should predict the %s block size', (mode) => {
+    const encoder = getRasterEncoder(mode);
+    const height = encoder.bandHeight ?? 5;
+    const rows = new Uint8Array(height * 3).fill(0x81);
+
+    expect(encoder.encodeBlock(rows, 3)).toHaveLength(encoder.blockSize(height, 3));
+  });
+});
+
+describe('GS v 0 encoder', () => {
+  it('should prefix the rows with the width and height', () => {
+    const block = getRasterEncoder(RASTER_MODES.GS_V_0).encodeBlock(Uint8Array.of(0xaa, 0x55), 1);
+    expect([...block]).toEqual([0x1d, 0x76, 0x30, 0x00, 0x01, 0x00, 0x02, 0x00, 0xaa, 0x55]);
+  });
+});
+
+describe('ESC * encoder', () => {
+  const encoder = getRasterEncoder(RASTER_MODES.ESC_STAR);
+
+  it('should set the line spacing to the band height around the image', () => {
+    expect(encoder.bandHeight).toBe(24);
+    expect(encoder.prefix).toEqual([0x1b, 0x33, 24]);
+    expect(encoder.suffix).toEqual([0x1b, 0x32]);
+  });
+
+  it('should pack each column into 3 bytes, top dot first', () => {
+    // Dot (0, 0), dot (1, 9) and dot (7, 23)
+    const rows = new Uint8Array(24);
+    rows[0] = 0x80;
+    rows[9] = 0x40;
+    rows[23] = 0x01;
+
+    const block = [...encoder.encodeBlock(rows, 1)];
+
+    expect(block.slice(0, 5)).toEqual([0x1b, 0x2a, 33, 8, 0]);
+    const columns = block.slice(5, -1);
+    expect(columns.slice(0, 3)).toEqual([0x80, 0x00, 0x00]);
+    expect(columns.slice(3, 6)).toEqual([0x00, 0x40, 0x00]);
+    expect(columns.slice(21, 24)).toEqual([0x00, 0x00, 0x01]);
+    expect(block.at(-1)).toBe(0x0a);
+  });
+
+  it('should leave missing rows of a short band white', () => {
+    const block = [...encoder.encodeBlock(Uint8Array.of(0xff), 1)];
+    const columns = block.slice(5, -1);
+
+    expect(columns).toHaveLength(24);
+    expect(columns.filter((_, i) => i % 3 === 0)).toEqual(new Array(8).fill(0x80));
+    expect(columns.filter((_, i) => i % 3 !== 0).every((byte) => byte === 0)).toBe(true);
+  });
+});
+
+describe('GS ( L encoder', () => {
+  const encoder = getRasterEncoder(RASTER_MODES.GS_L);
+
+  it('should store the graphics and then print them', () => {
+    const block = encoder.encodeBlock(Uint8Array.of(0xf0, 0x0f), 2);
+
+    expect([...block]).toEqual([
+      0x1d, 0x28, 0x4c, 12, 0,
+      0x30, 0x70, 0x30, 0x01, 0x01, 0x31,
+      16, 0, 1, 0,
+      0xf0, 0x0f,
+      0x1d, 0x28, 0x4c, 0x02, 0x00, 0x30, 0x32,
+    ]);
+  });
+
+  it('should switch to GS 8 L when the data needs a 4-byte length', () => {
+    const rows = new Uint8Array(1000 * 72);
+    const block = encoder.encodeBlock(rows, 72);
+    const size = 10 + 1000 * 72;
+
+    expect([...block.subarray(0, 7)]).toEqual([
+      0x1d, 0x38, 0x4c, size & 0xff, (size >> 8) & 0xff, size >> 16, 0,
+    ]);
+    expect(block).toHaveLength(encoder.blockSize(1000, 72));
+  });
+});
+
+describe('createRasterTestCanvas', () => {
+  it('should be as wide as the print head', () => {
+    const canvas = createRasterTestCanvas(2, 384);
+    expect(canvas.width).toBe(384);
+    expect(canvas.height).toBeGreaterThan(0);
+  });
+});
+
+describe('raster mode storage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should remember the mode per device name', () => {
+    saveRasterMode('Printer A', RASTER_MODES.ESC_STAR);
+    saveRasterMode('Printer B', RASTER_MODES.GS_L);
+
+    expect(loadRasterMode('Printer A')).toBe(RASTER_MODES.ESC_STAR);
+    expect(loadRasterMode('Printer B')).toBe(RASTER_MODES.GS_L);
+    expect(loadRasterMode('Printer C')).toBeNull();
+  });
+
+  it('should ignore corrupt or unknown entries', () => {
+    localStorage.setItem(STORAGE_KEYS.RASTER_MODES, JSON.stringify({ 'Printer A': 'sixel' }));
+    expect(loadRasterMode('Printer A')).toBeNull();
+
+    localStorage.setItem(STORAGE_KEYS.RASTER_MODES, '{not json');
+    expect(loadRasterMode('Printer A')).toBeNull();
+  });
+});
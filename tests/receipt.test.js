@@ -0,0 +1,209 @@
+import { describe, it, expect } from 'vitest';
+import {
+  wrapReceiptText,
+  splitReceipt,
+  isNativeBlock,
+  encodeReceiptBlock,
+  getReceiptBlockHeight,
+  renderReceipt,
+  validateReceiptBlock,
+} from '../src/modules/receipt.js';
+import { encodeQrCode } from '../src/modules/qr-code.js';
+import {
+  RECEIPT_BLOCKS,
+  ALIGNMENTS,
+  RECEIPT_CONFIG,
+  BARCODE_FORMATS,
+} from '../src/modules/constants.js';
+
+const ALL_NATIVE = Object.values(RECEIPT_BLOCKS);
+
+/**
+ * Brightness of one pixel (red channel) of a canvas
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function pixelAt(canvas, x, y) {
+  const ctx = /** @type {CanvasRenderingContext2D} */ (canvas.getContext('2d'));
+  return ctx.getImageData(0, 0, canvas.width, canvas.height).data[(y * canvas.width + x) * 4];
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {readonly number[]} part
+ * @returns {boolean} True if part appears in bytes
+ */
+function includesBytes(bytes, part) {
+  return bytes.some((_, i) => part.every((byte, j) => bytes[i + j] === byte));
+}
+
+describe('wrapReceiptText', () => {
+  it('should wrap at spaces and keep line breaks', () => {
+    expect(wrapReceiptText('Lemonade one dollar\nThanks', 10)).toEqual([
+      'Lemonade',
+      'one dollar',
+      'Thanks',
+    ]);
+  });
+
+  it('should split words longer than a line', () => {
+    expect(wrapReceiptText('abcdefghij', 4)).toEqual(['abcd', 'efgh', 'ij']);
+  });
+});
+
+describe('splitReceipt', () => {
+  it('should group blocks the printer prints itself and blocks to draw', () => {
+    const title = { type: RECEIPT_BLOCKS.TEXT, text: 'Menu' };
+    const emoji = { type: RECEIPT_BLOCKS.TEXT, text: 'Cookies 🍪' };
+    const qr = { type: RECEIPT_BLOCKS.QR, data: 'https://example.com' };
+    const blocks = /** @type {import('../src/modules/receipt.js').ReceiptBlock[]} */ ([
+      title,
+      emoji,
+      qr,
+    ]);
+
+    expect(splitReceipt(blocks, [RECEIPT_BLOCKS.TEXT])).toEqual([
+      { native: true, blocks: [title] },
+      { native: false, blocks: [emoji, qr] },
+    ]);
+    expect(splitReceipt(blocks, [])).toEqual([{ native: false, blocks }]);
+  });
+
+  it('should draw text the printer code page may not have', () => {
+    expect(isNativeBlock({ type: RECEIPT_BLOCKS.TEXT, text: 'Crème brûlée' }, ALL_NATIVE)).toBe(
+      false
+    );
+    expect(isNativeBlock({ type: RECEIPT_BLOCKS.TEXT, text: 'Cake $2' }, ALL_NATIVE)).toBe(true);
+  });
+});
+
+describe('encodeReceiptBlock', () => {
+  it('should print text with size, bold, underline and alignment, then reset them', () => {
+    const bytes = encodeReceiptBlock(
+      {
+        type: RECEIPT_BLOCKS.TEXT,
+        text: 'Hi',
+        size: 2,
+        bold: true,
+        underline: true,
+        align: ALIGNMENTS.CENTER,
+      },
+      384
+    );
+
+    expect([...bytes]).toEqual([
+      0x1b, 0x61, 1,
+      0x1d, 0x21, 0x11,
+      0x1b, 0x45, 1,
+      0x1b, 0x2d, 1,
+      0x48, 0x69, 0x0a,
+      0x1d, 0x21, 0,
+      0x1b, 0x45, 0,
+      0x1b, 0x2d, 0,
+      0x1b, 0x61, 0,
+    ]);
+  });
+
+  it('should wrap text to the characters that fit at its size', () => {
+    const bytes = encodeReceiptBlock(
+      { type: RECEIPT_BLOCKS.TEXT, text: 'aaaa bbbb', size: 4 },
+      RECEIPT_CONFIG.CHAR_WIDTH * 4 * 5
+    );
+
+    expect(String.fromCharCode(...bytes)).toContain('aaaa\nbbbb\n');
+  });
+
+  it('should store a QR code and print it', () => {
+    const bytes = encodeReceiptBlock({ type: RECEIPT_BLOCKS.QR, data: 'abc', moduleDots: 5 }, 384);
+
+    expect(includesBytes(bytes, [0x1d, 0x28, 0x6b, 3, 0, 0x31, 0x43, 5])).toBe(true);
+    expect(includesBytes(bytes, [0x1d, 0x28, 0x6b, 6, 0, 0x31, 0x50, 0x30, 0x61, 0x62, 0x63])).toBe(
+      true
+    );
+    expect(includesBytes(bytes, [0x1d, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30])).toBe(true);
+  });
+
+  it('should shrink a QR code that would be wider than the paper', () => {
+    const bytes = encodeReceiptBlock({ type: RECEIPT_BLOCKS.QR, data: 'abc', moduleDots: 16 }, 64);
+
+    // Version 1 is 21 modules, so 3 dots each fit in 64
+    expect(includesBytes(bytes, [0x1d, 0x28, 0x6b, 3, 0, 0x31, 0x43, 3])).toBe(true);
+  });
+
+  it('should print Code 128 in code set B, doubling braces', () => {
+    const bytes = encodeReceiptBlock(
+      { type: RECEIPT_BLOCKS.BARCODE, format: BARCODE_FORMATS.CODE128, data: 'A{1' },
+      384
+    );
+
+    expect(includesBytes(bytes, [0x1d, 0x6b, 73, 6, 0x7b, 0x42, 0x41, 0x7b, 0x7b, 0x31])).toBe(
+      true
+    );
+  });
+
+  it('should print EAN-13 with its check digit', () => {
+    const bytes = encodeReceiptBlock(
+      { type: RECEIPT_BLOCKS.BARCODE, format: BARCODE_FORMATS.EAN13, data: '400638133393' },
+      384
+    );
+
+    expect(includesBytes(bytes, [0x1d, 0x6b, 67, 13, ...Array.from('4006381333931', (c) => c.charCodeAt(0))])).toBe(true);
+  });
+});
+
+describe('validateReceiptBlock', () => {
+  it('should reject barcodes wider than the paper', () => {
+    const block = /** @type {const} */ ({
+      type: RECEIPT_BLOCKS.BARCODE,
+      format: BARCODE_FORMATS.CODE128,
+      data: 'x'.repeat(20),
+    });
+
+    expect(() => validateReceiptBlock(block, 384)).toThrow('too long for the paper');
+    expect(() => validateReceiptBlock(block, 576)).not.toThrow();
+  });
+});
+
+describe('renderReceipt', () => {
+  it('should stack the blocks at their printed heights', () => {
+    const text = /** @type {const} */ ({ type: RECEIPT_BLOCKS.TEXT, text: 'one\ntwo', size: 2 });
+    const qr = /** @type {const} */ ({ type: RECEIPT_BLOCKS.QR, data: 'abc', moduleDots: 4 });
+
+    const canvas = renderReceipt([text, qr], 384);
+
+    expect(getReceiptBlockHeight(text, 384)).toBe(2 * RECEIPT_CONFIG.LINE_HEIGHT * 2);
+    expect(canvas.width).toBe(384);
+    expect(canvas.height).toBe(2 * RECEIPT_CONFIG.LINE_HEIGHT * 2 + 21 * 4);
+  });
+
+  it('should draw QR codes where they are aligned', () => {
+    const { modules } = encodeQrCode('abc');
+    const canvas = renderReceipt(
+      [{ type: RECEIPT_BLOCKS.QR, data: 'abc', moduleDots: 2, align: ALIGNMENTS.RIGHT }],
+      64
+    );
+    const left = 64 - 21 * 2;
+
+    // Top left corner of the finder pattern, then the white ring inside it
+    expect(modules[0]).toBe(1);
+    expect(pixelAt(canvas, left, 0)).toBe(0);
+    expect(pixelAt(canvas, left + 2, 2)).toBe(255);
+    expect(pixelAt(canvas, left - 1, 0)).toBe(255);
+  });
+
+  it('should draw barcode bars the full bar height', () => {
+    const canvas = renderReceipt(
+      [{ type: RECEIPT_BLOCKS.BARCODE, format: BARCODE_FORMATS.EAN13, data: '400638133393' }],
+      384
+    );
+    const dots = RECEIPT_CONFIG.BARCODE_MODULE_DOTS;
+
+    expect(canvas.height).toBe(RECEIPT_CONFIG.BARCODE_HEIGHT + RECEIPT_CONFIG.LINE_HEIGHT);
+    // Start guard 101
+    expect(pixelAt(canvas, 0, 0)).toBe(0);
+    expect(pixelAt(canvas, dots, RECEIPT_CONFIG.BARCODE_HEIGHT - 1)).toBe(255);
+    expect(pixelAt(canvas, 2 * dots, RECEIPT_CONFIG.BARCODE_HEIGHT - 1)).toBe(0);
+  });
+});
@@ -91,7 +91,24 @@ const mockCanvas2DContext = (canvas) => {
     stroke: () => {},
     fillText: () => {},
     measureText: () => ({ width: 0 }),
-    drawImage: () => {},
+    drawImage: function (image, dx, dy, ...size) {
+      // Copies pixels from another mock canvas, enough for snapshots; scaled draws are ignored
+      if (size.length > 0 || !image?._mockContext) return;
+      const source = image._mockContext.getImageData(0, 0, image.width, image.height);
+      for (let sy = 0; sy < source.height; sy++) {
+        for (let sx = 0; sx < source.width; sx++) {
+          const px = Math.floor(dx) + sx;
+          const py = Math.floor(dy) + sy;
+          if (px < 0 || py < 0 || px >= canvasWidth || py >= canvasHeight) continue;
+          const srcIdx = (sy * source.width + sx) * 4;
+          pixelBuffer.set(source.data.subarray(srcIdx, srcIdx + 4), (py * canvasWidth + px) * 4);
+        }
+      }
+    },
+    setTransform: () => {},
+    translate: () => {},
+    rotate: () => {},
+    scale: () => {},
     getImageData: (x, y, width, height) => {
       const data = new Uint8ClampedArray(width * height * 4);
       const startX = Math.max(0, Math.floor(x));
@@ -0,0 +1,182 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  BluetoothTransport,
+  SerialTransport,
+  UsbTransport,
+  LoopbackTransport,
+} from '../src/modules/transports.js';
+import { TRANSPORT_TYPES } from '../src/modules/constants.js';
+
+describe('BluetoothTransport', () => {
+  /**
+   * @param {boolean} withoutResponse
+   */
+  const createCharacteristic = (withoutResponse) => ({
+    properties: { write: !withoutResponse, writeWithoutResponse: withoutResponse },
+    writeValue: vi.fn().mockResolvedValue(undefined),
+    writeValueWithoutResponse: vi.fn().mockResolvedValue(undefined),
+  });
+
+  it('should write with response when that is all the characteristic supports', async () => {
+    const characteristic = createCharacteristic(false);
+    const transport = new BluetoothTransport(
+      /** @type {BluetoothRemoteGATTCharacteristic} */ (/** @type {unknown} */ (characteristic))
+    );
+
+    await transport.write(new Uint8Array([1, 2]));
+
+    expect(characteristic.writeValue).toHaveBeenCalledWith(new Uint8Array([1, 2]));
+    expect(characteristic.writeValueWithoutResponse).not.toHaveBeenCalled();
+  });
+
+  it('should prefer write without response', async () => {
+    const characteristic = createCharacteristic(true);
+    const transport = new BluetoothTransport(
+      /** @type {BluetoothRemoteGATTCharacteristic} */ (/** @type {unknown} */ (characteristic)),
+      'T02'
+    );
+
+    await transport.write(new Uint8Array([3]));
+
+    expect(characteristic.writeValueWithoutResponse).toHaveBeenCalledTimes(1);
+    expect(transport.name).toBe('T02');
+    expect(transport.type).toBe(TRANSPORT_TYPES.BLUETOOTH);
+  });
+});
+
+describe('SerialTransport', () => {
+  const createPort = () => {
+    const writer = {
+      ready: Promise.resolve(),
+      write: vi.fn().mockResolvedValue(undefined),
+      releaseLock: vi.fn(),
+    };
+    const port = {
+      writable: { getWriter: () => writer },
+      close: vi.fn().mockResolvedValue(undefined),
+    };
+    return { port: /** @type {SerialPort} */ (/** @type {unknown} */ (port)), writer };
+  };
+
+  it('should write chunks to the port', async () => {
+    const { port, writer } = createPort();
+    const transport = new SerialTransport(port);
+
+    await transport.write(new Uint8Array([0x1b, 0x40]));
+
+    expect(writer.write).toHaveBeenCalledWith(new Uint8Array([0x1b, 0x40]));
+    expect(transport.type).toBe(TRANSPORT_TYPES.SERIAL);
+  });
+
+  it('should release the writer and close the port', async () => {
+    const { port, writer } = createPort();
+    const transport = new SerialTransport(port);
+
+    await transport.close();
+
+    expect(writer.releaseLock).toHaveBeenCalled();
+    expect(port.close).toHaveBeenCalled();
+    await expect(transport.write(new Uint8Array([1]))).rejects.toThrow('Serial port is closed');
+  });
+
+  it('should reject a port that is not open', () => {
+    const port = /** @type {SerialPort} */ (/** @type {unknown} */ ({ writable: null }));
+    expect(() => new SerialTransport(port)).toThrow('Serial port is not open');
+  });
+
+  it('should explain when Web Serial is unsupported', async () => {
+    await expect(SerialTransport.request()).rejects.toThrow('does not support Web Serial');
+  });
+});
+
+describe('UsbTransport', () => {
+  /**
+   * @param {string} status
+   */
+  const createDevice = (status) => ({
+    productName: 'USB Thermal',
+    opened: true,
+    transferOut: vi.fn().mockResolvedValue({ status }),
+    releaseInterface: vi.fn().mockResolvedValue(undefined),
+    close: vi.fn().mockResolvedValue(undefined),
+  });
+
+  it('should send chunks to the bulk OUT endpoint', async () => {
+    const device = createDevice('ok');
+    const transport = new UsbTransport(
+      /** @type {USBDevice} */ (/** @type {unknown} */ (device)),
+      0,
+      2
+    );
+
+    await transport.write(new Uint8Array([9]));
+
+    expect(device.transferOut).toHaveBeenCalledWith(2, new Uint8Array([9]));
+    expect(transport.name).toBe('USB Thermal');
+  });
+
+  it('should fail when the transfer stalls', async () => {
+    const device = createDevice('stall');
+    const transport = new UsbTransport(
+      /** @type {USBDevice} */ (/** @type {unknown} */ (device)),
+      0,
+      2
+    );
+
+    await expect(transport.write(new Uint8Array([9]))).rejects.toThrow(
+      'USB transfer failed: stall'
+    );
+  });
+
+  it('should release the interface on close', async () => {
+    const device = createDevice('ok');
+    const transport = new UsbTransport(
+      /** @type {USBDevice} */ (/** @type {unknown} */ (device)),
+      1,
+      2
+    );
+
+    await transport.close();
+
+    expect(device.releaseInterface).toHaveBeenCalledWith(1);
+    expect(device.close).toHaveBeenCalled();
+  });
+});
+
+describe('LoopbackTransport', () => {
+  it('should record every chunk in order', async () => {
+    const transport = new LoopbackTransport();
+
+    await transport.write(new Uint8Array([1, 2]));
+    await transport.write(new Uint8Array([3]));
+
+    expect(transport.chunks).toHaveLength(2);
+    expect(Array.from(transport.getBytes())).toEqual([1, 2, 3]);
+  });
+
+  it('should copy chunks so later changes are not recorded', async () => {
+    const transport = new LoopbackTransport();
+    const buffer = new Uint8Array([1, 2]);
+
+    await transport.write(buffer);
+    buffer[0] = 99;
+
+    expect(Array.from(transport.getBytes())).toEqual([1, 2]);
+  });
+
+  it('should clear recorded bytes', async () => {
+    const transport = new LoopbackTransport();
+    await transport.write(new Uint8Array([1]));
+
+    transport.clear();
+
+    expect(transport.getBytes()).toHaveLength(0);
+  });
+
+  it('should refuse writes after close', async () => {
+    const transport = new LoopbackTransport();
+    await transport.close();
+
+    await expect(transport.write(new Uint8Array([1]))).rejects.toThrow('closed');
+  });
+});
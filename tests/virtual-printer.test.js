@@ -0,0 +1,337 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { decodeEscPos, renderPaper, VirtualPrinter } from '../src/modules/virtual-printer.js';
+import { PrinterManager } from '../src/modules/printer.js';
+import {
+  PRINTER_CONFIGS,
+  PRINTER_MODELS,
+  TRANSPORT_TYPES,
+  DEFAULT_PRINTER_CONFIG,
+  MEDIA_TYPES,
+  RASTER_MODES,
+  MEDIA_SENSOR_COMMANDS,
+} from '../src/modules/constants.js';
+import { getRasterEncoder } from '../src/modules/raster.js';
+import { bitmapFromRows } from '../src/modules/bitmap.js';
+
+describe('decodeEscPos', () => {
+  it('should decode init, alignment and feed', () => {
+    const commands = decodeEscPos(new Uint8Array([0x1b, 0x40, 0x1b, 0x61, 0x01, 0x1b, 0x64, 0x03]));
+
+    expect(commands).toEqual([
+      { type: 'init', offset: 0 },
+      { type: 'align', offset: 2, value: 1 },
+      { type: 'feed', offset: 5, lines: 3 },
+    ]);
+  });
+
+  it('should decode a GS v 0 raster block with its data', () => {
+    const bytes = new Uint8Array([0x1d, 0x76, 0x30, 0x00, 0x02, 0x00, 0x02, 0x00, 0xff, 0x00, 0x0f, 0xf0]);
+    const [raster] = decodeEscPos(bytes);
+
+    expect(raster).toEqual({
+      type: 'raster',
+      offset: 0,
+      widthBytes: 2,
+      height: 2,
+      data: new Uint8Array([0xff, 0x00, 0x0f, 0xf0]),
+    });
+  });
+
+  it('should decode the Phomemo header commands', () => {
+    const init = PRINTER_CONFIGS[PRINTER_MODELS.T02].INIT_COMMANDS;
+    if (!init) throw new Error('T02 should have init commands');
+    const bytes = new Uint8Array([
+      ...(init.WAKE_PRINTER ?? []),
+      ...(init.SET_DENSITY ?? []),
+      ...(init.SET_LABEL_GAP ?? []),
+      ...(init.SET_PRINT_SPEED ?? []),
+    ]);
+
+    const commands = decodeEscPos(bytes);
+
+    expect(commands.map((c) => c.type)).toEqual(['vendor', 'vendor', 'vendor', 'vendor']);
+    expect(commands.map((c) => c.offset)).toEqual([0, 3, 6, 11]);
+  });
+
+  it('should decode the paper sensor commands', () => {
+    const { ESC_POS, PHOMEMO } = MEDIA_SENSOR_COMMANDS;
+    const bytes = new Uint8Array([
+      ...ESC_POS[MEDIA_TYPES.BLACK_MARK],
+      ...PHOMEMO[MEDIA_TYPES.GAP],
+      ...PHOMEMO[MEDIA_TYPES.CONTINUOUS],
+    ]);
+
+    const commands = decodeEscPos(bytes);
+
+    expect(commands.map((c) => c.type)).toEqual(['vendor', 'vendor', 'vendor']);
+    expect(commands.map((c) => c.offset)).toEqual([0, 7, 10]);
+  });
+
+  it('should decode the label feed command', () => {
+    expect(decodeEscPos(new Uint8Array([0x1d, 0x0c]))).toEqual([{ type: 'label-feed', offset: 0 }]);
+  });
+
+  it('should decode full and partial cuts', () => {
+    expect(decodeEscPos(new Uint8Array([0x1d, 0x56, 0x00, 0x1d, 0x56, 0x01]))).toEqual([
+      { type: 'cut', offset: 0, partial: false },
+      { type: 'cut', offset: 3, partial: true },
+    ]);
+  });
+
+  it('should decode the Automatic Status Back command', () => {
+    expect(decodeEscPos(new Uint8Array([0x1d, 0x61, 0x0e]))).toEqual([
+      { type: 'status-back', offset: 0, value: 0x0e },
+    ]);
+  });
+
+  it('should decode ESC * bit images and line spacing', () => {
+    const data = new Array(8 * 3).fill(0);
+    const bytes = new Uint8Array([0x1b, 0x33, 24, 0x1b, 0x2a, 33, 8, 0, ...data, 0x0a, 0x1b, 0x32]);
+
+    expect(decodeEscPos(bytes)).toEqual([
+      { type: 'line-spacing', offset: 0, dots: 24 },
+      { type: 'bit-image', offset: 3, width: 8, bandHeight: 24, data: new Uint8Array(data) },
+      { type: 'line-feed', offset: 32 },
+      { type: 'line-spacing', offset: 33, dots: null },
+    ]);
+  });
+
+  it('should decode GS ( L store and print graphics', () => {
+    const block = getRasterEncoder(RASTER_MODES.GS_L).encodeBlock(Uint8Array.of(0xf0, 0x0f), 1);
+
+    expect(decodeEscPos(new Uint8Array(block))).toEqual([
+      { type: 'graphics', offset: 0, width: 8, height: 2, data: new Uint8Array([0xf0, 0x0f]) },
+      { type: 'graphics-print', offset: 17 },
+    ]);
+  });
+
+  it('should report unrecognized bytes one at a time', () => {
+    expect(decodeEscPos(new Uint8Array([0x42, 0x1b, 0x40]))).toEqual([
+      { type: 'unknown', offset: 0, byte: 0x42 },
+      { type: 'init', offset: 1 },
+    ]);
+  });
+
+  it('should throw when a raster block is cut short', () => {
+    const bytes = new Uint8Array([0x1d, 0x76, 0x30, 0x00, 0x30, 0x00, 0x08, 0x00, 0xff]);
+    expect(() => decodeEscPos(bytes)).toThrow('Stream ends inside a command at byte 0');
+  });
+});
+
+describe('renderPaper', () => {
+  /**
+   * @param {number} widthBytes
+   * @param {number[]} data
+   * @returns {import('../src/modules/virtual-printer.js').EscPosCommand}
+   */
+  const raster = (widthBytes, data) => ({
+    type: 'raster',
+    offset: 0,
+    widthBytes,
+    height: data.length / widthBytes,
+    data: new Uint8Array(data),
+  });
+
+  it('should unpack raster bits MSB first', () => {
+    const paper = renderPaper([raster(1, [0b10000001])], 8);
+
+    expect(paper.height).toBe(1);
+    expect(Array.from(paper.dots)).toEqual([1, 0, 0, 0, 0, 0, 0, 1]);
+  });
+
+  it('should center narrow images when alignment is centered', () => {
+    const paper = renderPaper([{ type: 'align', offset: 0, value: 1 }, raster(1, [0xff])], 16);
+
+    expect(Array.from(paper.dots.slice(0, 4))).toEqual([0, 0, 0, 0]);
+    expect(Array.from(paper.dots.slice(4, 12))).toEqual(new Array(8).fill(1));
+  });
+
+  it('should reset alignment on init', () => {
+    const paper = renderPaper(
+      [{ type: 'align', offset: 0, value: 2 }, { type: 'init', offset: 3 }, raster(1, [0xff])],
+      16
+    );
+    expect(paper.dots[0]).toBe(1);
+  });
+
+  it('should add blank paper for feeds', () => {
+    const paper = renderPaper([raster(1, [0xff]), { type: 'feed', offset: 9, lines: 2 }], 8);
+
+    expect(paper.height).toBe(1 + 2 * 30);
+    expect(paper.dots.slice(8).every((dot) => dot === 0)).toBe(true);
+  });
+
+  it('should feed to the start of the next label', () => {
+    const labelFeed = /** @type {const} */ ({ type: 'label-feed', offset: 0 });
+    const paper = renderPaper([raster(1, [0xff, 0xff, 0xff]), labelFeed], 8, 10);
+    expect(paper.height).toBe(10);
+
+    // Already at a label boundary, nothing to feed
+    expect(renderPaper([labelFeed], 8, 10).height).toBe(0);
+    // A roll has no labels to feed to
+    expect(renderPaper([raster(1, [0xff]), labelFeed], 8).height).toBe(1);
+  });
+});
+
+describe('VirtualPrinter', () => {
+  /** @type {PrinterManager} */
+  let printerManager;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    printerManager = new PrinterManager();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should be a virtual transport named after the emulated printer', () => {
+    const printer = new VirtualPrinter();
+
+    expect(printer.type).toBe(TRANSPORT_TYPES.VIRTUAL);
+    expect(printer.name).toBe(`Virtual ${DEFAULT_PRINTER_CONFIG.NAME}`);
+  });
+
+  it.each([
+    PRINTER_MODELS.T02,
+    PRINTER_MODELS.HB4057,
+    PRINTER_MODELS.GENERIC_104MM,
+    PRINTER_MODELS.CAT,
+  ])(
+    'should print exactly what printBitmap sent on a %s',
+    async (model) => {
+      const config = PRINTER_CONFIGS[model];
+      const printer = new VirtualPrinter(config);
+      printerManager.connectTransport(printer, config);
+
+      // A diagonal line, 20 rows tall so it spans several blocks
+      const bitmap = bitmapFromRows(
+        Array.from({ length: 20 }, (_, y) => {
+          const row = new Array(config.BYTES_PER_LINE).fill(0);
+          row[y >> 3] = 0x80 >> (y & 7);
+          return row;
+        })
+      );
+
+      const done = printerManager.printBitmap(bitmap);
+      await vi.runAllTimersAsync();
+      await done;
+
+      expect(printer.decode().some((c) => c.type === 'unknown')).toBe(false);
+
+      const paper = printer.getPaper();
+      expect(paper.width).toBe(config.WIDTH);
+      expect(paper.height).toBe(20 + 3 * 30);
+      for (let y = 0; y < 20; y++) {
+        const row = paper.dots.slice(y * paper.width, (y + 1) * paper.width);
+        expect(row.indexOf(1)).toBe(y);
+        expect(row.lastIndexOf(1)).toBe(y);
+      }
+    }
+  );
+
+  it('should print labels one label pitch apart', async () => {
+    const config = PRINTER_CONFIGS[PRINTER_MODELS.HB4057];
+    const printer = new VirtualPrinter(config);
+    const media = { type: MEDIA_TYPES.GAP, widthMm: 40, heightMm: 30, gapMm: 3 };
+    printer.media = media;
+    printerManager.connectTransport(printer, config);
+    printerManager.setMedia(media);
+
+    const bitmap = bitmapFromRows(Array.from({ length: 16 }, () => new Array(40).fill(0xff)));
+    for (let copy = 0; copy < 2; copy++) {
+      const done = printerManager.printBitmap(bitmap);
+      await vi.runAllTimersAsync();
+      await done;
+    }
+
+    const pitch = (30 + 3) * 8;
+    const paper = printer.getPaper();
+    expect(paper.height).toBe(2 * pitch);
+    // Second label starts exactly one pitch down, centered on the 48-byte head
+    expect(paper.dots[pitch * paper.width + 32]).toBe(1);
+    expect(paper.dots[pitch * paper.width + 31]).toBe(0);
+  });
+
+  it.each(Object.values(RASTER_MODES))(
+    'should print the same picture with %s',
+    async (mode) => {
+      const config = { ...DEFAULT_PRINTER_CONFIG, RASTER_MODE: mode };
+      const printer = new VirtualPrinter(config);
+      printerManager.connectTransport(printer, config);
+
+      // 30 rows, so ESC * needs a second, partly filled band
+      const bitmap = bitmapFromRows(
+        Array.from({ length: 30 }, (_, y) => {
+          const row = new Array(config.BYTES_PER_LINE).fill(0);
+          row[y >> 3] = 0x80 >> (y & 7);
+          return row;
+        })
+      );
+
+      const done = printerManager.printBitmap(bitmap);
+      await vi.runAllTimersAsync();
+      await done;
+
+      expect(printer.decode().some((c) => c.type === 'unknown')).toBe(false);
+
+      const paper = printer.getPaper();
+      for (let y = 0; y < 30; y++) {
+        const row = paper.dots.slice(y * paper.width, (y + 1) * paper.width);
+        expect(row.indexOf(1)).toBe(y);
+        expect(row.lastIndexOf(1)).toBe(y);
+      }
+      expect(paper.dots.slice(30 * paper.width).every((dot) => dot === 0)).toBe(true);
+    }
+  );
+
+  it('should center narrow rows on a cat printer', async () => {
+    const config = PRINTER_CONFIGS[PRINTER_MODELS.CAT];
+    const printer = new VirtualPrinter(config);
+    printerManager.connectTransport(printer, config);
+
+    const done = printerManager.printBitmap(bitmapFromRows([[0x80, 0x01]]));
+    await vi.runAllTimersAsync();
+    await done;
+
+    const row = printer.getPaper().dots.slice(0, config.WIDTH);
+    expect(row.indexOf(1)).toBe(23 * 8);
+    expect(row.lastIndexOf(1)).toBe(25 * 8 - 1);
+  });
+
+  it('should print a Niimbot label at the label size', async () => {
+    const config = PRINTER_CONFIGS[PRINTER_MODELS.NIIMBOT_D11];
+    const printer = new VirtualPrinter(config);
+    const media = { type: MEDIA_TYPES.GAP, widthMm: 12, heightMm: 10, gapMm: 2 };
+    printer.media = media;
+    printerManager.connectTransport(printer, config);
+    printerManager.setMedia(media);
+
+    // Black top half, blank bottom half
+    const bitmap = bitmapFromRows(
+      Array.from({ length: 80 }, (_, y) => new Array(12).fill(y < 40 ? 0xff : 0))
+    );
+    const done = printerManager.printBitmap(bitmap);
+    await vi.runAllTimersAsync();
+    await done;
+
+    const paper = printer.getPaper();
+    expect(paper.width).toBe(96);
+    expect(paper.height).toBe((10 + 2) * 8);
+    expect(paper.dots.slice(0, 40 * 96).every((dot) => dot === 1)).toBe(true);
+    expect(paper.dots.slice(40 * 96).every((dot) => dot === 0)).toBe(true);
+  });
+
+  it('should start a fresh strip after clear', async () => {
+    const printer = new VirtualPrinter();
+    printerManager.connectTransport(printer);
+
+    const done = printerManager.feed(1);
+    await vi.runAllTimersAsync();
+    await done;
+    printer.clear();
+
+    expect(printer.getPaper().height).toBe(0);
+  });
+});